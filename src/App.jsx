@@ -1,16 +1,58 @@
-import React, { useState, useEffect } from 'react';
-import { Car, Clock, MapPin, Route, Zap, Navigation, Plus, Edit2, Trash2, Eye, EyeOff, Upload, X, RotateCcw, Settings } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Car, Clock, MapPin, Route, Zap, Navigation, Plus, Edit2, Trash2, Eye, EyeOff, Upload, X, RotateCcw, Settings, Calendar, ChevronLeft, ChevronRight, Coffee, Users, Pin, AlertTriangle, Server, ShieldCheck, Building, Download, Printer } from 'lucide-react';
 import { optimizeWithVRoomAdvanced } from './services/vroomService';
-import { getRoute } from './services/osrmService';
+import { getCachedLegs, invalidateMatrixCache } from './services/matrixCache';
+import { loadPlanningState, saveVehicles, saveCourses, saveTimeWindowConfig, saveSelectedDate, savePlanningResults, saveAssignmentPins, saveEndpoints, savePatients, saveFacilities, saveColumnMappingProfiles } from './services/storageService';
+import { getEndpoints, setEndpoints, getServerChain, getRoutingProfile } from './services/endpointRegistry';
+import { OSRM_CONFIG } from './services/osrmService';
+import { geocode, describeGeocodeResult, GEOCODER_CONFIG } from './services/geocoder';
 import RouteMap from './components/RouteMap';
 import FileUploadModal from './components/FileUploadModal';
 import ToastNotification from './components/ToastNotification';
 import TimeWindowConfigPanel from './components/TimeWindowConfigPanel';
-import { processCoursesWithReturns, formatWaitingTime, calculateWaitingTime } from './utils/returnCourses';
+import EndpointSettingsPanel from './components/EndpointSettingsPanel';
+import GazetteerPanel from './components/GazetteerPanel';
+import AddressPicker from './components/AddressPicker';
+import PatientRegistryPanel from './components/PatientRegistryPanel';
+import FacilityRegistryPanel from './components/FacilityRegistryPanel';
+import CalendarExportPanel from './components/CalendarExportPanel';
+import FleetTimeline from './components/FleetTimeline';
+import UnassignedPanel from './components/UnassignedPanel';
+import ConflictResolver from './components/ConflictResolver';
+import { processCoursesWithReturns, generateReturnCourses, formatWaitingTime, calculateWaitingTime } from './utils/returnCourses';
+import { getTodayKey, addDays, getWeekKeys, formatDateLabel, formatTimestamp, timestampToTime, getCourseTimestamp } from './utils/planningCalendar';
+import { DEFAULT_SHIFTS, DEFAULT_BREAKS, getVehicleShifts, getVehicleBreaks, formatShift, formatBreak, validateShifts, validateBreaks, getCoursesOutsideShifts, describeTripServiceTime, getTripServiceRequirement } from './utils/vehicleShifts';
+import { DEFAULT_MAX_DETOUR, getCoRiders, getPeakOccupancy } from './utils/sharedRides';
+import { VEHICLE_TYPES, EQUIPMENT, getVehicleEquipment, getVehicleTypeLabel, getEquipmentLabel } from './utils/vehicleSkills';
+import { vehicleIcon, pickupIcon, destinationIcon } from './utils/mapSetup';
+import { getMobilityLabel, getAddressKindLabel, getPatientRequirements, findPatient, createPatientFromCourse, getNextPatientId, linkCoursesToPatients, isDuplicateCourse } from './utils/patientRegistry';
+import { DEFAULT_FACILITIES, getEntrance, getFacilityDestinationLabel, normalizeFacility, findFacilityByName, applyFacilityToCourse, linkCoursesToFacilities, refreshFacilityCourses, formatOpeningHours, getOpeningHoursIssue, getCoursesOutsideOpeningHours } from './utils/facilityRegistry';
+import { findInsertionOptions, commitInsertion, previewTripMove, commitTripMove } from './services/insertionService';
+import { getDayPins, setPin, prunePins, applyPinsToTrips, describePin } from './utils/assignmentPins';
+import { exportPlanToXlsx } from './utils/spreadsheet';
+import { exportRoadmapsToPdf } from './utils/driverRoadmap';
+import { exportRoutesGeoJSON, exportRouteGpx } from './utils/routeExport';
+import { buildRouteGeometries } from './services/routeGeometry';
+import { getUnassignedEntries } from './utils/unassignedCourses';
+import { WEEKDAYS, isRecurringCourse, occursOnDate, getOccurrenceSeriesId, materializeCoursesForDate, getOccurrenceOverride, setOccurrenceOverride, setReturnOverride, addSeriesException, parseExceptionDates, describeRecurrence } from './utils/recurringCourses';
+
+// Courses from before the patient and facility registries (demo data, older storage)
+// are linked to them when the planning is loaded
+function linkCoursesToRegistries(courses, patients, facilities) {
+  const linked = courses.some(course => course.patient && !course.patientId)
+    ? linkCoursesToPatients(patients, courses)
+    : { patients, courses };
+  return { patients: linked.patients, courses: linkCoursesToFacilities(facilities, linked.courses).courses };
+}
 
 export default function App() {
   const [isOptimizing, setIsOptimizing] = useState(false);
-  const [optimizationResult, setOptimizationResult] = useState(null);
+  const [optimizationResults, setOptimizationResults] = useState({}); // One result per planning day (YYYY-MM-DD)
+  const planRevisionsRef = useRef({}); // Last revision of each day's plan, kept while the day is re-optimized
+  const [assignmentPins, setAssignmentPins] = useState({}); // Courses locked to a vehicle, per planning day
+  const [pinEditor, setPinEditor] = useState(null); // { course, vehicleId, position, time } being edited
+  const [insertionProposal, setInsertionProposal] = useState(null); // Options to insert a late course in the day's plan
+  const [isInserting, setIsInserting] = useState(false);
   const [tripDetails, setTripDetails] = useState({});
   const [loadingDetails, setLoadingDetails] = useState(false);
   
@@ -19,11 +61,30 @@ export default function App() {
   const [showCourseModal, setShowCourseModal] = useState(false);
   const [showFileUploadModal, setShowFileUploadModal] = useState(false);
   const [showTimeWindowConfig, setShowTimeWindowConfig] = useState(false);
+  const [showEndpointSettings, setShowEndpointSettings] = useState(false);
+  const [showGazetteer, setShowGazetteer] = useState(false);
+  const [showPatientRegistry, setShowPatientRegistry] = useState(false);
+  const [showFacilityRegistry, setShowFacilityRegistry] = useState(false);
+  const [showCalendarExport, setShowCalendarExport] = useState(false);
+  const [conflictCase, setConflictCase] = useState(null); // Unassigned course sent to the conflict resolver: { trips, vehicles, allTrips }
+  const [routeGeometries, setRouteGeometries] = useState({}); // Road paths of the displayed day's routes, by vehicle
+  const [coursePatientId, setCoursePatientId] = useState(null);
+  const [courseFacilityId, setCourseFacilityId] = useState(null);
+  const [courseEntranceId, setCourseEntranceId] = useState(null);
+  const [courseAddressPresets, setCourseAddressPresets] = useState({});
   const [editingVehicle, setEditingVehicle] = useState(null);
+  const [vehicleShiftsDraft, setVehicleShiftsDraft] = useState(DEFAULT_SHIFTS);
+  const [vehicleBreaksDraft, setVehicleBreaksDraft] = useState(DEFAULT_BREAKS);
   const [editingCourse, setEditingCourse] = useState(null);
+  const [courseEditScope, setCourseEditScope] = useState('occurrence'); // 'occurrence' or 'series' when editing a series occurrence
+  const [isCourseRecurring, setIsCourseRecurring] = useState(false);
   
   // Toast notification state
   const [toast, setToast] = useState(null);
+
+  // OSRM/VROOM servers of the dispatch centre (applied to the endpoint registry)
+  const [endpointConfig, setEndpointConfig] = useState(getEndpoints());
+  const [columnMappingProfiles, setColumnMappingProfiles] = useState([]); // Saved column mappings of import files
   
   // Time window configuration
   const [timeWindowConfig, setTimeWindowConfig] = useState({
@@ -41,10 +102,14 @@ export default function App() {
   
   // View states
   const [activeTab, setActiveTab] = useState('overview');
-  const [resultsView, setResultsView] = useState('by-vehicle'); // 'by-vehicle' or 'by-time'
+  const [selectedDate, setSelectedDate] = useState(getTodayKey());
+  const [resultsView, setResultsView] = useState('by-vehicle'); // 'by-vehicle', 'by-time' or 'timeline'
   const [selectedVehicle, setSelectedVehicle] = useState(null);
   const [visibleRoutes, setVisibleRoutes] = useState(new Set());
 
+  // Persistence state: saves are held back until the stored planning has been restored
+  const [isStorageReady, setIsStorageReady] = useState(false);
+
   // Vehicles data
   const [vehicles, setVehicles] = useState([
     { 
@@ -73,8 +138,10 @@ export default function App() {
     }
   ]);
 
-  // Courses data
-  const [courses, setCourses] = useState([
+  const [facilities, setFacilities] = useState(DEFAULT_FACILITIES);
+
+  // Demo courses of the first run, seeded on today's date and linked to the registries
+  const [demoPlanning] = useState(() => linkCoursesToRegistries([
     { id: 1, patient: 'Jean Dupont', pickup: 'Carpentras Centre', destination: 'CHU Avignon', coordinates: [5.0481, 44.2550], destinationCoords: [4.8050, 43.9320], appointmentTime: '06:15' },
     { id: 2, patient: 'Marie Martin', pickup: 'Monteux', destination: 'Clinique Rhône-Durance Avignon', coordinates: [5.0089, 44.0381], destinationCoords: [4.8200, 43.9400], appointmentTime: '06:45' },
     { id: 3, patient: 'Pierre Leroy', pickup: 'Pernes-les-Fontaines', destination: 'CHU Marseille La Timone', coordinates: [5.0589, 44.0061], destinationCoords: [5.3950, 43.2784], appointmentTime: '07:00' },
@@ -90,40 +157,165 @@ export default function App() {
     { id: 13, patient: 'François Roux', pickup: 'Sorgues', destination: 'Hôpital Européen Marseille', coordinates: [4.8703, 44.0069], destinationCoords: [5.3700, 43.2800], appointmentTime: '13:30' },
     { id: 14, patient: 'Isabelle Girard', pickup: 'Le Thor', destination: 'Cabinet cardiologie Avignon', coordinates: [4.9939, 43.9289], destinationCoords: [4.8200, 43.9450], appointmentTime: '14:00' },
     { id: 15, patient: 'Thierry Faure', pickup: 'Châteauneuf-du-Pape', destination: 'Laboratoire Carpentras', coordinates: [4.8342, 44.0564], destinationCoords: [5.0500, 44.2600], appointmentTime: '14:45' }
-  ]);
+  ].map(course => ({ ...course, date: getTodayKey() })), [], DEFAULT_FACILITIES));
+
+  // Courses data, and the patient registry they reference by patientId
+  const [courses, setCourses] = useState(demoPlanning.courses);
+  const [patients, setPatients] = useState(demoPlanning.patients);
+
+  // Planning day currently displayed (series are expanded into the day's occurrences)
+  const optimizationResult = optimizationResults[selectedDate] || null;
+  // Same array until the courses or the day change, so effects on it don't rerun on every render
+  const dayCourses = useMemo(() => materializeCoursesForDate(courses, selectedDate), [courses, selectedDate]);
+  const dayPins = getDayPins(assignmentPins, selectedDate);
+  const coursesOutsideShifts = getCoursesOutsideShifts(dayCourses, vehicles);
+  const coursesOutsideOpeningHours = getCoursesOutsideOpeningHours(dayCourses, facilities);
+  const unassignedEntries = getUnassignedEntries(optimizationResult, processCoursesWithReturns(dayCourses), { vehicles, config: timeWindowConfig, tripDetails });
+
+  // Course modal defaults: the series itself when editing "the whole series"
+  const editingSeries = editingCourse?.seriesId ? courses.find(c => c.id === editingCourse.seriesId) : null;
+  const courseFormDefaults = editingSeries && courseEditScope === 'series' ? editingSeries : editingCourse;
+  const coursePatient = patients.find(patient => patient.id === coursePatientId) || null;
+  const courseFacility = facilities.find(facility => facility.id === courseFacilityId) || null;
+
+  // Restore the last planning from IndexedDB (demo data is only used on first run)
+  useEffect(() => {
+    let cancelled = false;
+
+    loadPlanningState()
+      .then(stored => {
+        if (cancelled || !stored) return;
+
+        // Back-up vehicles added for a past day are not kept
+        setVehicles(stored.vehicles.filter(vehicle => !vehicle.availableOn || vehicle.availableOn >= getTodayKey()));
+        // The registry is seeded by the storage upgrade; an emptied registry stays empty
+        const restoredFacilities = stored.facilities.map(normalizeFacility);
+        const restored = linkCoursesToRegistries(stored.courses, stored.patients, restoredFacilities);
+        setCourses(restored.courses);
+        setPatients(restored.patients);
+        setFacilities(restoredFacilities);
+        if (stored.timeWindowConfig) {
+          setTimeWindowConfig(stored.timeWindowConfig);
+        }
+        // Applied before the first OSRM call, which waits for isStorageReady
+        if (stored.endpoints) {
+          setEndpointConfig(setEndpoints(stored.endpoints));
+        }
+        setColumnMappingProfiles(stored.columnMappingProfiles);
+        setTripDetails(stored.tripDetails);
+        setOptimizationResults(stored.optimizationResults);
+        setAssignmentPins(stored.assignmentPins);
+
+        const restoredDate = stored.selectedDate || getTodayKey();
+        setSelectedDate(restoredDate);
+        const restoredRoutes = stored.optimizationResults[restoredDate]?.routes;
+        if (restoredRoutes) {
+          setVisibleRoutes(new Set(restoredRoutes.map(route => route.vehicle)));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsStorageReady(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Save every change once the stored planning has been restored
+  useEffect(() => {
+    if (isStorageReady) saveVehicles(vehicles);
+  }, [vehicles, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) saveCourses(courses);
+  }, [courses, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) savePatients(patients);
+  }, [patients, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) saveFacilities(facilities);
+  }, [facilities, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) saveTimeWindowConfig(timeWindowConfig);
+  }, [timeWindowConfig, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) saveEndpoints(endpointConfig);
+  }, [endpointConfig, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) saveColumnMappingProfiles(columnMappingProfiles);
+  }, [columnMappingProfiles, isStorageReady]);
 
-  // Calculate trip details using OSRM
   useEffect(() => {
+    if (isStorageReady) saveSelectedDate(selectedDate);
+  }, [selectedDate, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) savePlanningResults({ tripDetails, optimizationResults });
+  }, [tripDetails, optimizationResults, isStorageReady]);
+
+  useEffect(() => {
+    if (isStorageReady) saveAssignmentPins(assignmentPins);
+  }, [assignmentPins, isStorageReady]);
+
+  // Road geometry of the displayed day's routes (map and GeoJSON/GPX exports)
+  useEffect(() => {
+    setRouteGeometries({});
+    if (!optimizationResult?.routes) return;
+    let cancelled = false;
+    buildRouteGeometries(optimizationResult, vehicles, dayCourses).then(geometries => {
+      if (!cancelled) setRouteGeometries(geometries);
+    });
+    return () => { cancelled = true; };
+  }, [optimizationResult, vehicles, dayCourses]);
+
+  // Calculate trip details using OSRM (only for the displayed day)
+  useEffect(() => {
+    if (!isStorageReady) return;
     calculateTripDetails();
-  }, [courses]);
+  }, [courses, selectedDate, isStorageReady]);
 
   const calculateTripDetails = async () => {
     setLoadingDetails(true);
     const details = {};
     
     try {
-      for (const course of courses) {
+      // One cached OSRM lookup for the whole day instead of a route request per course
+      const legs = await getCachedLegs(dayCourses.map(course => [course.coordinates, course.destinationCoords]));
+
+      for (const [index, course] of dayCourses.entries()) {
         try {
-          const route = await getRoute([course.coordinates, course.destinationCoords]);
+          if (!legs[index]) {
+            throw new Error('No OSRM route');
+          }
+          const route = {
+            distance: Math.round(legs[index].distance / 100) / 10, // km
+            duration: Math.round(legs[index].duration / 60) // minutes
+          };
           
           // Calculate pickup time based on course type
-          let pickupTimeInSeconds;
+          let pickupTimestamp;
           let travelTimeWithBuffer;
           
           if (course.isReturnTrip) {
-            // For return courses: pickup must be AFTER exitTime (stored in appointmentTime)
+            // For return courses: pickup must be AFTER exitTime (stored in appointmentTimestamp)
             // Allow some buffer time for vehicle to arrive after patient exits
-            const exitTimeInSeconds = getTimeInSeconds(course.appointmentTime);
+            const exitTimestamp = getCourseTimestamp(course);
             const bufferTime = 15 * 60; // 15 minutes buffer
-            pickupTimeInSeconds = exitTimeInSeconds + bufferTime;
+            pickupTimestamp = exitTimestamp + bufferTime;
             travelTimeWithBuffer = 15; // Buffer time in minutes
           } else {
             // For regular courses: pickup before appointment to arrive on time
-            const appointmentTimeInSeconds = getTimeInSeconds(course.appointmentTime);
+            const appointmentTimestamp = getCourseTimestamp(course);
             travelTimeWithBuffer = Math.ceil(route.duration * 1.25);
-            pickupTimeInSeconds = appointmentTimeInSeconds - (travelTimeWithBuffer * 60);
+            pickupTimestamp = appointmentTimestamp - (travelTimeWithBuffer * 60);
           }
-          const pickupTime = formatTimeFromSeconds(pickupTimeInSeconds);
+          const pickupTime = formatTimestamp(pickupTimestamp, course.date);
           
           details[course.id] = {
             distance: route.distance * 1000,
@@ -131,6 +323,7 @@ export default function App() {
             distanceKm: route.distance.toFixed(1),
             durationMin: route.duration,
             pickupTime: pickupTime,
+            pickupTimestamp: pickupTimestamp,
             appointmentTime: course.appointmentTime,
             travelTimeWithBuffer: travelTimeWithBuffer
           };
@@ -140,22 +333,22 @@ export default function App() {
           const estimatedDurationMin = Math.round(distance * 2);
           
           // Calculate pickup time based on course type  
-          let pickupTimeInSeconds;
+          let pickupTimestamp;
           let travelTimeWithBuffer;
           
           if (course.isReturnTrip) {
             // For return courses: pickup must be AFTER exitTime
-            const exitTimeInSeconds = getTimeInSeconds(course.appointmentTime);
+            const exitTimestamp = getCourseTimestamp(course);
             const bufferTime = 15 * 60; // 15 minutes buffer
-            pickupTimeInSeconds = exitTimeInSeconds + bufferTime;
+            pickupTimestamp = exitTimestamp + bufferTime;
             travelTimeWithBuffer = 15; // Buffer time in minutes
           } else {
             // For regular courses: pickup before appointment
-            const appointmentTimeInSeconds = getTimeInSeconds(course.appointmentTime);
+            const appointmentTimestamp = getCourseTimestamp(course);
             travelTimeWithBuffer = Math.ceil(estimatedDurationMin * 1.25);
-            pickupTimeInSeconds = appointmentTimeInSeconds - (travelTimeWithBuffer * 60);
+            pickupTimestamp = appointmentTimestamp - (travelTimeWithBuffer * 60);
           }
-          const pickupTime = formatTimeFromSeconds(pickupTimeInSeconds);
+          const pickupTime = formatTimestamp(pickupTimestamp, course.date);
           
           details[course.id] = {
             distance: distance * 1000,
@@ -163,13 +356,22 @@ export default function App() {
             distanceKm: distance.toFixed(1),
             durationMin: estimatedDurationMin,
             pickupTime: pickupTime,
+            pickupTimestamp: pickupTimestamp,
             appointmentTime: course.appointmentTime,
             travelTimeWithBuffer: travelTimeWithBuffer,
             estimated: true
           };
         }
       }
-      setTripDetails(details);
+      // Keep details of the other days, drop those of deleted courses and series
+      setTripDetails(prev => {
+        const courseIds = new Set(courses.map(c => c.id));
+        const kept = Object.fromEntries(Object.entries(prev).filter(([id]) => {
+          const seriesId = getOccurrenceSeriesId(Number(id));
+          return courseIds.has(seriesId ?? Number(id));
+        }));
+        return { ...kept, ...details };
+      });
     } catch (error) {
       console.error('Error calculating trip details:', error);
     } finally {
@@ -188,9 +390,53 @@ export default function App() {
     return R * c;
   };
 
+  const handleOpenPinEditor = (course, vehicleId, position) => {
+    const pin = dayPins[course.id];
+    const details = tripDetails[course.id];
+    setPinEditor({
+      course,
+      vehicleId: pin?.vehicleId ?? vehicleId,
+      position: pin ? pin.position : null,
+      defaultPosition: position,
+      time: pin ? pin.time : null,
+      defaultTime: details?.pickupTimestamp ? timestampToTime(details.pickupTimestamp) : '08:00'
+    });
+  };
+
+  const handleSavePin = (pin) => {
+    setAssignmentPins(prev => setPin(prev, selectedDate, pinEditor.course.id, pin));
+    setToast({
+      message: pin
+        ? `${pinEditor.course.patient} épinglé(e) : ${describePin(pin, vehicles)}. Relancez l'optimisation pour replanifier le reste.`
+        : `${pinEditor.course.patient} n'est plus épinglé(e)`,
+      type: 'success'
+    });
+    setPinEditor(null);
+  };
+
+  // Each new plan of a day gets the next revision (the SEQUENCE of its exported calendar events)
+  const setDayResult = (date, result) => {
+    let revision = null;
+    if (result) {
+      revision = Math.max(planRevisionsRef.current[date] || 0, optimizationResults[date]?.revision || 0) + 1;
+      planRevisionsRef.current[date] = revision;
+    }
+    setOptimizationResults(prev => {
+      const next = { ...prev };
+      if (result) {
+        next[date] = { ...result, revision };
+      } else {
+        delete next[date];
+      }
+      return next;
+    });
+  };
+
   const handleOptimization = async (customConfig = null) => {
+    // Results belong to the day being optimized, even if the user switches day meanwhile
+    const planningDate = selectedDate;
     setIsOptimizing(true);
-    setOptimizationResult(null);
+    setDayResult(planningDate, null);
 
     // Use provided config or current state config
     const config = customConfig || timeWindowConfig;
@@ -198,17 +444,21 @@ export default function App() {
     try {
       console.log('🚛 Starting Advanced VROOM optimization with config:', config);
       console.log('📊 Input data:', {
+        planningDate,
         vehicleCount: vehicles.length,
-        courseCount: courses.length,
-        coursesWithDuration: courses.filter(c => c.duration && c.duration > 0).length
+        courseCount: dayCourses.length,
+        coursesWithDuration: dayCourses.filter(c => c.duration && c.duration > 0).length
       });
 
-      // Step 1: Process courses with returns (this generates return trips automatically)
-      const allTrips = processCoursesWithReturns(courses);
+      // Step 1: Process the day's materialized courses with returns (this generates missing return trips automatically)
+      // Pinned courses keep their vehicle; only the rest is re-optimized
+      const processedTrips = processCoursesWithReturns(dayCourses);
+      const allTrips = applyPinsToTrips(processedTrips, prunePins(dayPins, processedTrips, vehicles));
       console.log('🔄 Processed courses with returns:', {
-        originalCourses: courses.length,
+        originalCourses: dayCourses.length,
         totalTrips: allTrips.length,
-        returnTrips: allTrips.filter(t => t.isReturnTrip).length
+        returnTrips: allTrips.filter(t => t.isReturnTrip).length,
+        pinnedTrips: allTrips.filter(t => t.pin).length
       });
 
       // Step 2: Use the advanced VROOM optimization with time window config
@@ -219,20 +469,22 @@ export default function App() {
           geometry: false,
           overview: 'simplified'
         },
-        timeWindowConfig: config // Pass the configuration
+        timeWindowConfig: config, // Pass the configuration
+        planningDate
       });
       
       console.log('✅ Advanced optimization completed:', result);
-      setOptimizationResult(result);
+      // The trips given to the solver: courses added later are "not optimized yet", not unassigned
+      setDayResult(planningDate, { ...result, inputTripIds: allTrips.map(trip => trip.id) });
       
       // Initialize visible routes
-      if (result.routes) {
+      if (result.routes && planningDate === selectedDate) {
         setVisibleRoutes(new Set(result.routes.map(route => route.vehicle)));
       }
 
     } catch (error) {
       console.error('❌ Optimization failed:', error);
-      setOptimizationResult({ 
+      setDayResult(planningDate, { 
         error: error.message,
         suggestion: 'Try with fewer courses or check if VROOM server is running'
       });
@@ -241,25 +493,213 @@ export default function App() {
     }
   };
 
+  // Day's plan as a workbook for the crews: one sheet per vehicle
+  const handleExportPlan = async () => {
+    try {
+      await exportPlanToXlsx(optimizationResult, { vehicles, courses: dayCourses, date: selectedDate });
+    } catch (error) {
+      console.error('❌ Plan export failed:', error);
+      setToast({ message: `Export impossible : ${error.message}`, type: 'error' });
+    }
+  };
+
+  // Printable roadmaps for the drivers: one vehicle, or all of them in one document
+  const handlePrintRoadmaps = async (vehicleId = null) => {
+    try {
+      await exportRoadmapsToPdf(optimizationResult, { vehicles, courses: dayCourses, patients, tripDetails, routeGeometries, date: selectedDate }, vehicleId);
+    } catch (error) {
+      console.error('❌ Roadmap export failed:', error);
+      setToast({ message: `Impression impossible : ${error.message}`, type: 'error' });
+    }
+  };
+
+  // Routes for navigation devices: all vehicles as GeoJSON, or one vehicle as GPX
+  const handleExportRoutes = (vehicleId = null) => {
+    try {
+      const context = { vehicles, date: selectedDate };
+      if (vehicleId === null) {
+        exportRoutesGeoJSON(routeGeometries, context);
+      } else {
+        exportRouteGpx(routeGeometries, context, vehicleId);
+      }
+    } catch (error) {
+      console.error('❌ Route export failed:', error);
+      setToast({ message: `Export impossible : ${error.message}`, type: 'error' });
+    }
+  };
+
+  // Late course: propose the cheapest places in the day's plan instead of re-optimizing every vehicle
+  const handleFindInsertion = async (courseData) => {
+    const planningDate = courseData.date;
+    const plan = optimizationResults[planningDate];
+    if (!plan?.routes) {
+      setToast({ message: 'Aucun planning optimisé pour ce jour : lancez d\'abord l\'optimisation', type: 'warning' });
+      return;
+    }
+
+    const newId = Math.max(...courses.map(c => c.id), 0) + 1;
+    const newTrips = processCoursesWithReturns([{
+      id: newId,
+      ...courseData,
+      isReturnTrip: false,
+      originalCourseId: null,
+      vehicleType: courseData.vehicleType || 'VSL'
+    }]);
+    const planTrips = processCoursesWithReturns(materializeCoursesForDate(courses, planningDate));
+
+    setIsInserting(true);
+    try {
+      const result = await findInsertionOptions(plan, newTrips, planTrips, vehicles, { timeWindowConfig });
+      setInsertionProposal({ planningDate, newTrips, ...result });
+      setShowCourseModal(false);
+      setEditingCourse(null);
+    } catch (error) {
+      console.error('❌ Insertion search failed:', error);
+      setToast({ message: `Recherche d'insertion impossible : ${error.message}`, type: 'error' });
+    } finally {
+      setIsInserting(false);
+    }
+  };
+
+  const handleCommitInsertion = (option) => {
+    const { planningDate } = insertionProposal;
+    const newTrips = registerCoursePatient(insertionProposal.newTrips);
+    setCourses(prev => [...prev, ...newTrips]);
+    setDayResult(planningDate, commitInsertion(optimizationResults[planningDate], option, newTrips));
+    if (planningDate === selectedDate) {
+      setVisibleRoutes(prev => new Set([...prev, ...option.routes.map(route => route.vehicle.id)]));
+    }
+    setToast({
+      message: `${newTrips[0].patient} inséré(e) dans le planning (+${option.addedKm} km, +${option.addedMinutes} min)`,
+      type: 'success'
+    });
+    setInsertionProposal(null);
+  };
+
+  const handleAddWithoutInsertion = () => {
+    setCourses(prev => [...prev, ...registerCoursePatient(insertionProposal.newTrips)]);
+    setToast({ message: 'Course ajoutée sans modifier le planning optimisé', type: 'info' });
+    setInsertionProposal(null);
+  };
+
+  // Fleet timeline: check a dragged course on a lane and time, then write it into the day's plan
+  const handlePreviewTripMove = (move) => previewTripMove(
+    optimizationResult,
+    move,
+    processCoursesWithReturns(dayCourses),
+    vehicles,
+    { timeWindowConfig, planningDate: selectedDate }
+  );
+
+  const handleCommitTripMove = (move, vehicle) => {
+    const trip = processCoursesWithReturns(dayCourses).find(t => t.id === move.tripId);
+    setDayResult(selectedDate, commitTripMove(optimizationResult, move, selectedDate));
+    // Pinned where it was dropped, so the next optimization keeps the dispatcher's choice
+    setAssignmentPins(prev => setPin(prev, selectedDate, move.tripId, {
+      vehicleId: vehicle.id,
+      position: null,
+      time: timestampToTime(move.pickupTimestamp)
+    }));
+    setVisibleRoutes(prev => new Set([...prev, ...move.routes.map(route => route.vehicle.id)]));
+    setToast({
+      message: `${trip?.patient || 'Course'} déplacé(e) et épinglé(e) sur ${vehicle.name} à ${formatTimestamp(move.pickupTimestamp, selectedDate)} (${move.addedKm >= 0 ? '+' : ''}${move.addedKm} km)`,
+      type: 'success'
+    });
+  };
+
+  // Unassigned panel: remedies change the course or the fleet, the next optimization replans it
+  const handleUnassignedRemedy = (entry, remedy) => {
+    const { trip } = entry;
+    switch (remedy.type) {
+      case 'widen-window':
+      case 'vehicle-type':
+        updateDayCourse(trip, remedy.changes);
+        setToast({ message: `${trip.patient} : ${remedy.label}. Relancez l'optimisation pour replanifier la course.`, type: 'success' });
+        break;
+      case 'temporary-vehicle': {
+        const newId = Math.max(...vehicles.map(v => v.id), 0) + 1;
+        const vehicle = { id: newId, ...remedy.vehicle, name: `${remedy.vehicle.name} ${newId}` };
+        setVehicles(prev => [...prev, vehicle]);
+        setToast({
+          message: `${vehicle.name} ajouté pour le ${formatDateLabel(vehicle.availableOn, { day: 'numeric', month: 'long' })} (${vehicle.shifts.map(formatShift).join(', ')}). Relancez l'optimisation.`,
+          type: 'success'
+        });
+        break;
+      }
+      case 'resolve-conflicts':
+        setConflictCase({
+          trips: [{ ...trip, time: timestampToTime(getTripServiceRequirement(trip).earliestStart), conflictReason: entry.detail }],
+          vehicles: getVehiclesWithPlannedTrips(),
+          allTrips: processCoursesWithReturns(dayCourses)
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Vehicles with the trips of their planned route, as the conflict resolver expects them
+  const getVehiclesWithPlannedTrips = () => {
+    const trips = processCoursesWithReturns(dayCourses);
+    return vehicles.map(vehicle => {
+      const route = optimizationResult?.routes?.find(r => r.vehicle === vehicle.id);
+      const plannedTrips = (route?.steps || [])
+        .filter(step => step.type === 'pickup')
+        .map(step => {
+          const trip = trips.find(t => t.id * 10 + 1 === step.id);
+          return trip && { ...trip, time: typeof step.arrival === 'number' ? timestampToTime(step.arrival) : null };
+        })
+        .filter(Boolean);
+      return { ...vehicle, trips: plannedTrips };
+    });
+  };
+
+  // Conflict resolver: a time or vehicle alternative becomes a pin of the day
+  const handleConflictResolution = (tripId, strategyType, option) => {
+    const trip = conflictCase.trips.find(t => t.id === tripId);
+    const vehicle = vehicles.find(v => v.name === option.vehicle);
+
+    if ((strategyType === 'time_adjustment' || strategyType === 'vehicle_change') && vehicle) {
+      const pin = { vehicleId: vehicle.id, position: null, time: strategyType === 'time_adjustment' ? option.newTime : null };
+      setAssignmentPins(prev => setPin(prev, selectedDate, tripId, pin));
+      setToast({
+        message: `${trip.patient} épinglé(e) : ${describePin(pin, vehicles)}. Relancez l'optimisation pour replanifier le reste.`,
+        type: 'success'
+      });
+    } else {
+      setToast({ message: 'Cette solution se met en place à la main dans le planning', type: 'info' });
+    }
+    setConflictCase(null);
+  };
+
   const handleTimeWindowConfigChange = async (newConfig) => {
     setTimeWindowConfig(newConfig);
     // Automatically run optimization with new config
     await handleOptimization(newConfig);
   };
 
-  // Helper functions
-  const getTimeInSeconds = (timeStr) => {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    return hours * 3600 + minutes * 60;
+  const handleEndpointsChange = async (newEndpoints) => {
+    const getOsrmSignature = () => JSON.stringify([getRoutingProfile(), getServerChain('osrm').map(server => server.url)]);
+    const previousOsrm = getOsrmSignature();
+    setEndpointConfig(setEndpoints(newEndpoints));
+
+    // Cached distances come from the previous servers (maybe another map extract)
+    if (getOsrmSignature() !== previousOsrm) {
+      await invalidateMatrixCache();
+      calculateTripDetails();
+    }
+    setToast({ message: 'Serveurs de calcul mis à jour', type: 'success' });
   };
 
-  const formatTimeFromSeconds = (totalSeconds) => {
-    if (totalSeconds < 0) totalSeconds = 0;
-    if (totalSeconds >= 86400) totalSeconds = 86399;
-    
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+  // Helper functions
+  // Appointment time (or exit time for returns), flagged "(J+1)" when it falls after midnight
+  const formatCourseTime = (course) => formatTimestamp(getCourseTimestamp(course), course.date);
+
+  // Planning calendar navigation
+  const handleSelectDate = (dateKey) => {
+    setSelectedDate(dateKey);
+    const routes = optimizationResults[dateKey]?.routes;
+    setVisibleRoutes(new Set(routes ? routes.map(route => route.vehicle) : []));
   };
 
   // Vehicle CRUD operations
@@ -269,16 +709,30 @@ export default function App() {
       type: 'VSL',
       location: 'Jonquières (84)',
       coordinates: [4.9072, 44.1142],
-      capacity: 1
+      capacity: 1,
+      shifts: DEFAULT_SHIFTS,
+      breaks: DEFAULT_BREAKS
     });
+    setVehicleShiftsDraft(DEFAULT_SHIFTS);
+    setVehicleBreaksDraft(DEFAULT_BREAKS);
     setShowVehicleModal(true);
   };
 
   const handleEditVehicle = (vehicle) => {
     setEditingVehicle(vehicle);
+    setVehicleShiftsDraft(getVehicleShifts(vehicle));
+    setVehicleBreaksDraft(getVehicleBreaks(vehicle));
     setShowVehicleModal(true);
   };
 
+  const updateShiftDraft = (index, field, value) => {
+    setVehicleShiftsDraft(prev => prev.map((shift, i) => i === index ? { ...shift, [field]: value } : shift));
+  };
+
+  const updateBreakDraft = (index, field, value) => {
+    setVehicleBreaksDraft(prev => prev.map((crewBreak, i) => i === index ? { ...crewBreak, [field]: value } : crewBreak));
+  };
+
   const handleDeleteVehicle = (vehicleId) => {
     if (window.confirm('Êtes-vous sûr de vouloir supprimer ce véhicule ?')) {
       setVehicles(prev => prev.filter(v => v.id !== vehicleId));
@@ -306,30 +760,213 @@ export default function App() {
       patient: '',
       pickup: '',
       destination: '',
-      coordinates: [4.9072, 44.1142],
-      destinationCoords: [4.8050, 43.9320],
+      coordinates: null,
+      destinationCoords: null,
+      date: selectedDate,
       appointmentTime: '08:00'
     });
+    setCoursePatientId(null);
+    setCourseFacilityId(null);
+    setCourseEntranceId(null);
+    setCourseAddressPresets({});
+    setIsCourseRecurring(false);
     setShowCourseModal(true);
   };
 
+  // Point posted by an address picker; an address typed without choosing a suggestion
+  // nor placing the pin is geocoded here
+  const resolveFormCoordinates = async (formData, addressName, lngName, latName) => {
+    const coordinates = [parseFloat(formData.get(lngName)), parseFloat(formData.get(latName))];
+    if (coordinates.every(value => Number.isFinite(value))) return coordinates;
+
+    const { results, error } = await geocode(formData.get(addressName), { limit: 1 });
+    const match = results[0];
+    if (!match) {
+      setToast({ message: error, type: 'error' });
+      return null;
+    }
+    setToast({
+      message: describeGeocodeResult(match),
+      type: match.confidence >= GEOCODER_CONFIG.minConfidence ? 'success' : 'warning'
+    });
+    return match.coordinates;
+  };
+
+  // Registry edits: courses keep showing the current patient name
+  const handlePatientsChange = (updatedPatients) => {
+    setPatients(updatedPatients);
+    const names = new Map(updatedPatients.map(patient => [patient.id, patient.name]));
+    setCourses(prev => prev.some(course => names.has(course.patientId) && course.patient !== names.get(course.patientId))
+      ? prev.map(course => names.has(course.patientId) ? { ...course, patient: names.get(course.patientId) } : course)
+      : prev
+    );
+  };
+
+  // Registry edits: courses follow the handover time and entrances of their facility
+  const handleFacilitiesChange = (updatedFacilities) => {
+    setFacilities(updatedFacilities);
+    setCourses(prev => refreshFacilityCourses(prev, facilities, updatedFacilities));
+  };
+
+  // Saved address put in an address picker of the course form (remounted with it as default)
+  const presetCourseAddress = (field, savedAddress) => {
+    setCourseAddressPresets(prev => ({
+      ...prev,
+      [field]: { address: savedAddress.address, coordinates: savedAddress.coordinates, version: (prev[field]?.version || 0) + 1 }
+    }));
+  };
+
+  // Patient typed in the course form: a registry match sets the transport needs from its mobility profile
+  const handleCoursePatientChange = (e) => {
+    const patient = findPatient(patients, { name: e.target.value });
+    setCoursePatientId(patient ? patient.id : null);
+    if (!patient || patient.id === coursePatientId) return;
+
+    const form = e.target.form;
+    const { vehicleType, requiredEquipment } = getPatientRequirements(patient);
+    form.elements.vehicleType.value = vehicleType;
+    requiredEquipment.forEach(equipment => {
+      form.elements[`requires-${equipment}`].checked = true;
+    });
+    if (!form.elements.pickup.value && patient.addresses.length > 0) {
+      presetCourseAddress('pickup', patient.addresses[0]);
+    }
+  };
+
+  // Facility or entrance chosen in the course form: the entrance becomes the destination
+  const handleCourseFacilityChange = (facilityId, entranceId = null) => {
+    const facility = facilities.find(other => other.id === facilityId) || null;
+    const entrance = facility && getEntrance(facility, entranceId);
+    setCourseFacilityId(facility ? facility.id : null);
+    setCourseEntranceId(entrance ? entrance.id : null);
+    if (entrance) {
+      presetCourseAddress('destination', { address: getFacilityDestinationLabel(facility, entrance), coordinates: entrance.coordinates });
+    }
+  };
+
   const handleEditCourse = (course) => {
     setEditingCourse(course);
+    setCoursePatientId(course.patientId || null);
+    // Return trips leave from the facility: it is kept as is, not edited as a destination
+    setCourseFacilityId(course.isReturnTrip ? null : course.facilityId || null);
+    setCourseEntranceId(course.isReturnTrip ? null : course.entranceId || null);
+    setCourseAddressPresets({});
+    setCourseEditScope('occurrence');
+    setIsCourseRecurring(Boolean(course.seriesId));
     setShowCourseModal(true);
   };
 
-  const handleDeleteCourse = (courseId) => {
+  const updateSeries = (seriesId, update) => {
+    setCourses(prev => prev.map(c => c.id === seriesId ? update(c) : c));
+  };
+
+  // Change a few fields of a course of the day; for a series, only that day's occurrence
+  const updateDayCourse = (course, changes) => {
+    if (course.seriesId && course.isReturnTrip) {
+      // The return of an occurrence is generated from it: its changes are kept apart
+      updateSeries(course.seriesId, series => setReturnOverride(series, course.occurrenceDate, {
+        ...series.recurrence.returnOverrides?.[course.occurrenceDate],
+        ...changes
+      }));
+    } else if (course.seriesId) {
+      updateSeries(course.seriesId, series => setOccurrenceOverride(series, course.occurrenceDate, {
+        ...series.recurrence.overrides?.[course.occurrenceDate],
+        ...changes
+      }));
+    } else {
+      setCourses(prev => prev.map(c => c.id === course.id ? { ...c, ...changes } : c));
+    }
+  };
+
+  const handleDeleteCourse = (course) => {
+    if (course.seriesId) {
+      // Series occurrence: only this day is removed, the series goes on
+      if (window.confirm(`Supprimer l'occurrence du ${formatDateLabel(course.occurrenceDate, { day: 'numeric', month: 'long' })} ? Les autres séances de la série sont conservées.`)) {
+        updateSeries(course.seriesId, series => addSeriesException(series, course.occurrenceDate));
+      }
+      return;
+    }
+
     if (window.confirm('Êtes-vous sûr de vouloir supprimer cette course ?')) {
-      setCourses(prev => prev.filter(c => c.id !== courseId));
+      setCourses(prev => prev.filter(c => c.id !== course.id));
     }
   };
 
-  const handleSaveCourse = (courseData) => {
-    if (editingCourse.id) {
+  const handleDeleteSeries = (seriesId) => {
+    if (window.confirm('Supprimer toute la série ? Toutes les séances passées et futures seront supprimées.')) {
+      setCourses(prev => prev.filter(c => c.id !== seriesId));
+      setShowCourseModal(false);
+      setEditingCourse(null);
+    }
+  };
+
+  // Every saved course references a registry patient. An unknown name is added to the registry
+  // when its course (and return) is saved, not when the form is submitted.
+  const registerCoursePatient = (newCourses) => {
+    if (newCourses[0].patientId) return newCourses;
+    const newPatient = createPatientFromCourse(newCourses[0], getNextPatientId(patients));
+    setPatients(prev => [...prev, newPatient]);
+    return newCourses.map(course => ({ ...course, patientId: newPatient.id }));
+  };
+
+  const handleSaveCourse = (formCourseData, recurrence = null) => {
+    const [courseData] = registerCoursePatient([formCourseData]);
+    if (editingCourse.seriesId && courseEditScope === 'occurrence') {
+      // Edit this occurrence only
+      const series = courses.find(c => c.id === editingCourse.seriesId);
+
+      if (courseData.date !== editingCourse.occurrenceDate) {
+        // Moved to another day: the occurrence becomes a single course
+        const newId = Math.max(...courses.map(c => c.id), 0) + 1;
+        const { seriesId, occurrenceDate, isOverridden, ...occurrenceFields } = editingCourse;
+        const movedCourses = processCoursesWithReturns([{ ...occurrenceFields, ...courseData, id: newId }]);
+
+        setCourses(prev => [
+          ...prev.map(c => c.id === series.id ? addSeriesException(c, editingCourse.occurrenceDate) : c),
+          ...movedCourses
+        ]);
+      } else {
+        const override = getOccurrenceOverride(series, courseData);
+        updateSeries(series.id, c => setOccurrenceOverride(c, editingCourse.occurrenceDate, override));
+      }
+    } else if (editingCourse.seriesId) {
+      // Edit the whole series (its start date is kept)
+      updateSeries(editingCourse.seriesId, series => ({
+        ...series,
+        ...courseData,
+        date: series.date,
+        recurrence: recurrence ? {
+          ...recurrence,
+          overrides: series.recurrence.overrides || {},
+          returnOverrides: series.recurrence.returnOverrides || {}
+        } : null
+      }));
+    } else if (editingCourse.id) {
       // Edit existing course
-      setCourses(prev => prev.map(c => 
-        c.id === editingCourse.id ? { ...c, ...courseData } : c
-      ));
+      if (recurrence) {
+        // Turned into a series: returns are now materialized for each occurrence
+        setCourses(prev => prev
+          .filter(c => !(c.isReturnTrip && c.originalCourseId === editingCourse.id))
+          .map(c => c.id === editingCourse.id ? { ...c, ...courseData, recurrence } : c)
+        );
+      } else {
+        // Its stored return is rebuilt from the new day, time and duration (keeping its id and
+        // accepted wait); it is dropped when the course no longer has a duration
+        setCourses(prev => {
+          const updatedCourse = { ...prev.find(c => c.id === editingCourse.id), ...courseData };
+          const storedReturn = prev.find(c => c.isReturnTrip && c.originalCourseId === editingCourse.id);
+          const [rebuiltReturn] = generateReturnCourses([updatedCourse]);
+          const others = prev
+            .filter(c => c !== storedReturn)
+            .map(c => c.id === editingCourse.id ? updatedCourse : c);
+
+          return rebuiltReturn ? [...others, {
+            ...rebuiltReturn,
+            id: storedReturn?.id ?? Math.max(...prev.map(c => c.id), 0) + 1,
+            maxWaitTime: storedReturn?.maxWaitTime ?? rebuiltReturn.maxWaitTime
+          }] : others;
+        });
+      }
     } else {
       // Add new course
       const newId = Math.max(...courses.map(c => c.id), 0) + 1;
@@ -340,17 +977,26 @@ export default function App() {
         originalCourseId: null,
         vehicleType: courseData.vehicleType || 'VSL'
       };
-      
-      // Generate return course if duration is specified
-      const coursesWithReturns = processCoursesWithReturns([newCourse]);
-      setCourses(prev => [...prev, ...coursesWithReturns]);
-      
-      // Show toast if return course was generated
-      if (coursesWithReturns.length > 1) {
+
+      if (recurrence) {
+        // New series: occurrences and their returns are materialized day by day
+        setCourses(prev => [...prev, { ...newCourse, recurrence }]);
         setToast({
-          message: `Course ajoutée avec course retour générée automatiquement !`,
+          message: `Série créée : ${describeRecurrence(recurrence)}`,
           type: 'success'
         });
+      } else {
+        // Generate return course if duration is specified
+        const coursesWithReturns = processCoursesWithReturns([newCourse]);
+        setCourses(prev => [...prev, ...coursesWithReturns]);
+        
+        // Show toast if return course was generated
+        if (coursesWithReturns.length > 1) {
+          setToast({
+            message: `Course ajoutée avec course retour générée automatiquement !`,
+            type: 'success'
+          });
+        }
       }
     }
     setShowCourseModal(false);
@@ -358,17 +1004,16 @@ export default function App() {
   };
 
   const handleCoursesImport = (importedCourses) => {
-    // Check for duplicates based on patient name, pickup location, and appointment time
+    // Check for duplicates based on patient name, pickup location, date and appointment time
+    // Courses without a date in the file are planned on the displayed day
+    // Courses are linked to the patient registry first, so duplicates are found by patient id
     const existingCourses = courses;
     const duplicates = [];
     const uniqueNewCourses = [];
+    const linked = linkCoursesToPatients(patients, importedCourses.map(course => ({ ...course, date: course.date || selectedDate })));
     
-    importedCourses.forEach(newCourse => {
-      const isDuplicate = existingCourses.some(existing => 
-        existing.patient.toLowerCase() === newCourse.patient.toLowerCase() &&
-        existing.pickup.toLowerCase() === newCourse.pickup.toLowerCase() &&
-        existing.appointmentTime === newCourse.appointmentTime
-      );
+    linked.courses.forEach(newCourse => {
+      const isDuplicate = existingCourses.some(existing => isDuplicateCourse(existing, newCourse));
       
       if (isDuplicate) {
         duplicates.push(newCourse);
@@ -377,6 +1022,10 @@ export default function App() {
       }
     });
     
+    // Patients the file added to the registry are kept only for the courses actually imported
+    const importedPatientIds = new Set(uniqueNewCourses.map(course => course.patientId));
+    setPatients(linked.patients.filter(patient => patients.includes(patient) || importedPatientIds.has(patient.id)));
+    
     // Generate new IDs for unique courses to avoid conflicts
     const maxId = Math.max(...courses.map(c => c.id), 0);
     const coursesWithNewIds = uniqueNewCourses.map((course, index) => ({
@@ -412,17 +1061,24 @@ export default function App() {
       });
     } else {
       setToast({
-        message: `${uniqueNewCourses.length} course${uniqueNewCourses.length > 1 ? 's' : ''} importée${uniqueNewCourses.length > 1 ? 's' : ''} avec ${returnCoursesGenerated} retour${returnCoursesGenerated > 1 ? 's' : ''} générés automatiquement !`,
+        message: `${uniqueNewCourses.length} course${uniqueNewCourses.length > 1 ? 's' : ''} importée${uniqueNewCourses.length > 1 ? 's' : ''} avec ${returnCoursesGenerated} retour${returnCoursesGenerated > 1 ? 's' : ''} générés automatiquement !` +
+          (linked.createdCount > 0 ? ` ${linked.createdCount} nouveau${linked.createdCount > 1 ? 'x' : ''} patient${linked.createdCount > 1 ? 's' : ''} ajouté${linked.createdCount > 1 ? 's' : ''} au registre.` : ''),
         type: 'success'
       });
     }
   };
 
   const handleClearAllCourses = () => {
-    if (window.confirm(`Êtes-vous sûr de vouloir supprimer toutes les ${courses.length} courses ? Cette action est irréversible.`)) {
-      setCourses([]);
+    const dayLabel = formatDateLabel(selectedDate, { weekday: 'long', day: 'numeric', month: 'long' });
+    if (window.confirm(`Êtes-vous sûr de vouloir supprimer les ${dayCourses.length} courses du ${dayLabel} ? Cette action est irréversible.`)) {
+      // Single courses of the day are removed, series only skip this day
+      setCourses(prev => prev
+        .filter(c => isRecurringCourse(c) || c.date !== selectedDate)
+        .map(c => occursOnDate(c, selectedDate) ? addSeriesException(c, selectedDate) : c)
+      );
+      setDayResult(selectedDate, null);
       setToast({
-        message: 'Toutes les courses ont été supprimées',
+        message: `Toutes les courses du ${dayLabel} ont été supprimées`,
         type: 'info'
       });
     }
@@ -441,6 +1097,32 @@ export default function App() {
     });
   };
 
+  // Crew break blocks of a route, with their scheduled start and end
+  const getRouteBreaks = (route) => {
+    const vehicle = vehicles.find(v => v.id === route.vehicle);
+    return (route.steps || [])
+      .filter(step => step.type === 'break')
+      .map(step => ({
+        isBreak: true,
+        vehicle,
+        step,
+        pickupTimestamp: step.arrival,
+        startTime: formatTimestamp(step.arrival, selectedDate),
+        endTime: formatTimestamp(step.arrival + (step.service || 0), selectedDate),
+        durationMin: Math.round((step.service || 0) / 60),
+        conflict: Boolean(step.conflict)
+      }));
+  };
+
+  // Patients riding together with a course on a route (shared rides only)
+  const getCoRiderNames = (coRiders, course) => {
+    if (!course.shareable) return [];
+    return (coRiders.get(course.id) || [])
+      .map(tripId => dayCourses.find(c => c.id === tripId))
+      .filter(other => other?.shareable)
+      .map(other => other.patient);
+  };
+
   // Get results sorted by time
   const getResultsByTime = () => {
     if (!optimizationResult?.routes) return [];
@@ -450,9 +1132,10 @@ export default function App() {
     optimizationResult.routes.forEach(route => {
       const vehicle = vehicles.find(v => v.id === route.vehicle);
       const pickupSteps = route.steps?.filter(step => step.type === 'pickup') || [];
+      const coRiders = getCoRiders(route);
       
       pickupSteps.forEach(step => {
-        const course = courses.find(c => c.id * 10 + 1 === step.id);
+        const course = dayCourses.find(c => c.id * 10 + 1 === step.id);
         const details = course ? tripDetails[course.id] : null;
         
         if (course && details) {
@@ -461,17 +1144,17 @@ export default function App() {
             vehicle,
             details,
             pickupTime: details.pickupTime,
-            appointmentTime: course.isReturnTrip ? course.exitTime : course.appointmentTime
+            pickupTimestamp: details.pickupTimestamp,
+            appointmentTime: formatCourseTime(course),
+            coRiderNames: getCoRiderNames(coRiders, course)
           });
         }
       });
+
+      allAssignments.push(...getRouteBreaks(route));
     });
     
-    return allAssignments.sort((a, b) => {
-      const timeA = getTimeInSeconds(a.pickupTime);
-      const timeB = getTimeInSeconds(b.pickupTime);
-      return timeA - timeB;
-    });
+    return allAssignments.sort((a, b) => a.pickupTimestamp - b.pickupTimestamp);
   };
 
   return (
@@ -484,6 +1167,12 @@ export default function App() {
               <div>
                 <h1 className="text-2xl font-bold text-gray-900">AmbuSched - Transport Médical</h1>
                 <p className="text-gray-600 mt-1">Optimisation des tournées VSL - Zone Carpentras/Avignon</p>
+                {endpointConfig.strictPrivacy && (
+                  <span className="inline-flex items-center gap-1 mt-2 text-xs font-medium text-green-800 bg-green-100 px-2 py-1 rounded" title={`Hôtes autorisés : ${endpointConfig.allowedHosts.join(', ')}`}>
+                    <ShieldCheck className="w-3 h-3" />
+                    Confidentialité stricte : coordonnées envoyées aux seuls serveurs autorisés
+                  </span>
+                )}
               </div>
               <div className="flex items-center gap-3">
                 <button
@@ -493,6 +1182,34 @@ export default function App() {
                   <Settings className="w-4 h-4" />
                   Paramètres
                 </button>
+                <button
+                  onClick={() => setShowEndpointSettings(true)}
+                  className="flex items-center gap-2 bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                >
+                  <Server className="w-4 h-4" />
+                  Serveurs
+                </button>
+                <button
+                  onClick={() => setShowPatientRegistry(true)}
+                  className="flex items-center gap-2 bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                >
+                  <Users className="w-4 h-4" />
+                  Patients
+                </button>
+                <button
+                  onClick={() => setShowFacilityRegistry(true)}
+                  className="flex items-center gap-2 bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                >
+                  <Building className="w-4 h-4" />
+                  Établissements
+                </button>
+                <button
+                  onClick={() => setShowGazetteer(true)}
+                  className="flex items-center gap-2 bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                >
+                  <MapPin className="w-4 h-4" />
+                  Adresses
+                </button>
                 <button
                   onClick={() => handleOptimization()}
                   disabled={isOptimizing}
@@ -514,6 +1231,66 @@ export default function App() {
             </div>
           </div>
 
+          {/* Planning Calendar */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="flex items-center gap-2">
+                <Calendar className="w-5 h-5 text-gray-700" />
+                <button
+                  onClick={() => handleSelectDate(addDays(selectedDate, -1))}
+                  className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-md"
+                  title="Jour précédent"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <input
+                  type="date"
+                  value={selectedDate}
+                  onChange={(e) => e.target.value && handleSelectDate(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={() => handleSelectDate(addDays(selectedDate, 1))}
+                  className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-md"
+                  title="Jour suivant"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleSelectDate(getTodayKey())}
+                  className="px-3 py-2 text-sm text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Aujourd'hui
+                </button>
+              </div>
+              <div className="flex gap-1">
+                {getWeekKeys(selectedDate).map(dateKey => {
+                  const dayCount = materializeCoursesForDate(courses, dateKey).filter(c => !c.isReturnTrip).length;
+                  const isOptimized = Boolean(optimizationResults[dateKey]?.routes);
+                  const isSelected = dateKey === selectedDate;
+
+                  return (
+                    <button
+                      key={dateKey}
+                      onClick={() => handleSelectDate(dateKey)}
+                      className={`w-16 px-2 py-1 rounded-md text-center transition-colors ${
+                        isSelected
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-50 text-gray-700 hover:bg-gray-100 border border-gray-200'
+                      }`}
+                    >
+                      <div className="text-xs capitalize">{formatDateLabel(dateKey, { weekday: 'short' })}</div>
+                      <div className="text-sm font-semibold">{formatDateLabel(dateKey, { day: 'numeric', month: 'short' })}</div>
+                      <div className={`text-xs ${isSelected ? 'text-blue-100' : 'text-gray-500'}`}>
+                        {dayCount} course{dayCount > 1 ? 's' : ''}{isOptimized ? ' ✓' : ''}
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
             {/* Vehicles Section */}
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -564,6 +1341,22 @@ export default function App() {
                         <div className="text-xs text-gray-500 mt-1">
                           Capacité: {vehicle.capacity} patient • {assignedCourses} courses assignées
                         </div>
+                        <div className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+                          <Clock className="w-3 h-3" />
+                          {getVehicleShifts(vehicle).map(formatShift).join(' • ')}
+                          {vehicle.availableOn && ` • le ${formatDateLabel(vehicle.availableOn, { day: 'numeric', month: 'long' })} uniquement`}
+                        </div>
+                        {getVehicleEquipment(vehicle).length > 0 && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            🧰 {getVehicleEquipment(vehicle).map(getEquipmentLabel).join(', ')}
+                          </div>
+                        )}
+                        {getVehicleBreaks(vehicle).length > 0 && (
+                          <div className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+                            <Coffee className="w-3 h-3" />
+                            Pause {getVehicleBreaks(vehicle).map(formatBreak).join(' • ')}
+                          </div>
+                        )}
                       </div>
                     </div>
                   );
@@ -576,7 +1369,7 @@ export default function App() {
               <div className="flex justify-between items-center mb-4">
                 <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
                   <Route className="w-5 h-5" />
-                  Courses ({courses.filter(c => !c.isReturnTrip).length} + {courses.filter(c => c.isReturnTrip).length} retours)
+                  Courses ({dayCourses.filter(c => !c.isReturnTrip).length} + {dayCourses.filter(c => c.isReturnTrip).length} retours)
                 </h2>
                 <div className="flex items-center gap-2">
                   <button
@@ -586,7 +1379,7 @@ export default function App() {
                     <Upload className="w-4 h-4" />
                     Importer
                   </button>
-                  {courses.length > 0 && (
+                  {dayCourses.length > 0 && (
                     <button
                       onClick={handleClearAllCourses}
                       className="flex items-center gap-1 bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded-md text-sm font-medium"
@@ -610,7 +1403,12 @@ export default function App() {
                 </div>
               )}
               <div className="space-y-3 max-h-96 overflow-y-auto">
-                {courses.map(course => (
+                {dayCourses.length === 0 && (
+                  <div className="text-sm text-gray-500 text-center py-6">
+                    Aucune course planifiée ce jour
+                  </div>
+                )}
+                {dayCourses.map(course => (
                   <div key={course.id} className={`border rounded-lg p-3 ${
                     course.isReturnTrip ? 'bg-blue-50 border-blue-200' : 'bg-white'
                   }`}>
@@ -627,6 +1425,16 @@ export default function App() {
                             RETOUR
                           </span>
                         )}
+                        {course.seriesId && !course.isReturnTrip && (
+                          <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs rounded-full" title={describeRecurrence(courses.find(c => c.id === course.seriesId)?.recurrence)}>
+                            🔁 SÉRIE{course.isOverridden ? ' (modifiée)' : ''}
+                          </span>
+                        )}
+                        {course.shareable && (
+                          <span className="px-2 py-1 bg-teal-100 text-teal-800 text-xs rounded-full" title={`Détour max ${course.maxDetour ?? DEFAULT_MAX_DETOUR} min`}>
+                            👥 PARTAGÉ
+                          </span>
+                        )}
                       </div>
                       <div className="flex items-center gap-2">
                         <button
@@ -637,8 +1445,9 @@ export default function App() {
                           <Edit2 className="w-4 h-4" />
                         </button>
                         <button
-                          onClick={() => handleDeleteCourse(course.id)}
+                          onClick={() => handleDeleteCourse(course)}
                           className="text-red-600 hover:text-red-800"
+                          disabled={course.isReturnTrip && Boolean(course.seriesId)} // Series returns follow their occurrence
                         >
                           <Trash2 className="w-4 h-4" />
                         </button>
@@ -647,7 +1456,7 @@ export default function App() {
                     <div className="space-y-1 text-xs text-gray-600">
                       <div className="flex items-center gap-1">
                         <Clock className="w-3 h-3" />
-                        {course.isReturnTrip ? 'Dispo dès' : 'RDV'}: {course.appointmentTime}
+                        {course.isReturnTrip ? 'Dispo dès' : 'RDV'}: {formatCourseTime(course)}
                         {tripDetails[course.id] && (
                           <span className="text-blue-600 ml-2">
                             Pickup: {tripDetails[course.id].pickupTime}
@@ -655,14 +1464,14 @@ export default function App() {
                         )}
                         {course.isReturnTrip && course.exitTime && (
                           <span className="text-green-600 ml-2">
-                            Fin RDV: {course.exitTime}
+                            Fin RDV: {formatCourseTime(course)}
                           </span>
                         )}
                       </div>
                       {course.isReturnTrip && tripDetails[course.id] && (
                         <div className="flex items-center gap-1 text-orange-600">
                           <Clock className="w-3 h-3" />
-                          Attente patient: {formatWaitingTime(calculateWaitingTime(course, tripDetails[course.id].pickupTime))}
+                          Attente patient: {formatWaitingTime(calculateWaitingTime(course, tripDetails[course.id].pickupTimestamp ?? tripDetails[course.id].pickupTime))}
                         </div>
                       )}
                       <div className="flex items-center gap-1">
@@ -670,6 +1479,11 @@ export default function App() {
                         {course.pickup}
                       </div>
                       <div className="text-gray-500">→ {course.destination}</div>
+                      {((course.vehicleType || 'VSL') !== 'VSL' || course.requiredEquipment?.length > 0) && (
+                        <div className="text-gray-500">
+                          🧰 {[getVehicleTypeLabel(course.vehicleType || 'VSL'), ...(course.requiredEquipment || []).map(getEquipmentLabel)].join(' + ')}
+                        </div>
+                      )}
                       {tripDetails[course.id] && (
                         <div className="flex gap-2 text-gray-500 text-xs mt-1 p-2 bg-gray-50 rounded">
                           <span>{tripDetails[course.id].distanceKm} km</span>
@@ -717,11 +1531,12 @@ export default function App() {
             </div>
             <div className="relative">
               <RouteMap 
-                trips={courses} 
+                trips={dayCourses} 
                 vehicles={vehicles} 
                 optimizationResult={optimizationResult}
                 selectedVehicle={selectedVehicle}
                 visibleRoutes={visibleRoutes}
+                routeGeometries={routeGeometries}
               />
             </div>
           </div>
@@ -729,13 +1544,45 @@ export default function App() {
           {/* Optimization Results */}
           {optimizationResult && (
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-              <h2 className="text-lg font-semibold text-gray-900 mb-4">Résultats de l'optimisation</h2>
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Résultats de l'optimisation – <span className="capitalize">{formatDateLabel(selectedDate, { weekday: 'long', day: 'numeric', month: 'long' })}</span>
+              </h2>
               {optimizationResult.error ? (
                 <div className="text-red-600 p-4 bg-red-50 rounded-lg">
                   Erreur: {optimizationResult.error}
                 </div>
               ) : (
                 <div className="space-y-4">
+                  {optimizationResult.routingData?.osrmUsed === false && (
+                    <div className="flex items-start gap-2 text-sm text-red-800 bg-red-50 border border-red-200 rounded-lg p-3">
+                      <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      <div>
+                        <p className="font-medium">Planning construit sur des temps de trajet estimés (vol d'oiseau, {OSRM_CONFIG.estimatedSpeedKmh} km/h), pas sur le réseau routier.</p>
+                        <p className="text-xs mt-1">
+                          {optimizationResult.strictPrivacy
+                            ? 'Mode confidentialité stricte : aucun serveur OSRM autorisé n\'a répondu, aucune coordonnée n\'a quitté le réseau.'
+                            : 'Aucun serveur OSRM n\'a répondu.'}
+                          {optimizationResult.vroomOffline && ' Tournées calculées par l\'optimisation locale simplifiée (VROOM indisponible).'}
+                          {' '}Vérifiez les horaires avant de les communiquer.
+                        </p>
+                      </div>
+                    </div>
+                  )}
+
+                  {optimizationResult.routingData?.estimatedCells > 0 && (
+                    <div className="flex items-center gap-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-3">
+                      <AlertTriangle className="w-4 h-4" />
+                      {optimizationResult.routingData.estimatedCells} temps de trajet estimés à vol d'oiseau : une partie des requêtes OSRM a échoué.
+                    </div>
+                  )}
+
+                  {Object.keys(dayPins).length > 0 && (
+                    <div className="flex items-center gap-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-3">
+                      <Pin className="w-4 h-4" />
+                      {Object.keys(dayPins).length} course{Object.keys(dayPins).length > 1 ? 's' : ''} épinglée{Object.keys(dayPins).length > 1 ? 's' : ''} : seules les autres sont ré-optimisées.
+                    </div>
+                  )}
+
                   {/* Results View Toggle */}
                   <div className="flex items-center gap-4 mb-4">
                     <span className="text-sm font-medium text-gray-700">Affichage:</span>
@@ -760,8 +1607,47 @@ export default function App() {
                       >
                         Par horaire
                       </button>
+                      <button
+                        onClick={() => setResultsView('timeline')}
+                        className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                          resultsView === 'timeline'
+                            ? 'bg-white text-blue-600 shadow-sm'
+                            : 'text-gray-600 hover:text-gray-800'
+                        }`}
+                      >
+                        Chronogramme
+                      </button>
                     </div>
-                  </div>
+                    <button
+                      onClick={() => handlePrintRoadmaps()}
+                      className="ml-auto flex items-center gap-2 px-3 py-1 text-sm font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 border border-blue-200 rounded-md"
+                    >
+                      <Printer className="w-4 h-4" />
+                      Feuilles de route (PDF)
+                    </button>
+                    <button
+                      onClick={() => setShowCalendarExport(true)}
+                      className="flex items-center gap-2 px-3 py-1 text-sm font-medium text-purple-700 bg-purple-50 hover:bg-purple-100 border border-purple-200 rounded-md"
+                    >
+                      <Calendar className="w-4 h-4" />
+                      Agendas (.ics)
+                    </button>
+                    <button
+                      onClick={() => handleExportRoutes()}
+                      className="flex items-center gap-2 px-3 py-1 text-sm font-medium text-teal-700 bg-teal-50 hover:bg-teal-100 border border-teal-200 rounded-md"
+                      title="Tracés routiers de toutes les tournées"
+                    >
+                      <Route className="w-4 h-4" />
+                      GeoJSON
+                    </button>
+                    <button
+                      onClick={handleExportPlan}
+                      className="flex items-center gap-2 px-3 py-1 text-sm font-medium text-green-700 bg-green-50 hover:bg-green-100 border border-green-200 rounded-md"
+                    >
+                      <Download className="w-4 h-4" />
+                      Exporter (.xlsx)
+                    </button>
+                  </div>
 
                   {/* Statistics */}
                   <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
@@ -780,7 +1666,7 @@ export default function App() {
                     </div>
                     <div className="bg-orange-50 p-4 rounded-lg">
                       <div className="text-2xl font-bold text-orange-600">
-                        {optimizationResult.unassigned?.length || 0}
+                        {unassignedEntries.filter(entry => entry.code !== 'not-optimized').length}
                       </div>
                       <div className="text-sm text-orange-800">Courses non assignées</div>
                     </div>
@@ -802,6 +1688,14 @@ export default function App() {
                         const vehicle = vehicles.find(v => v.id === route.vehicle);
                         const pickupSteps = route.steps?.filter(step => step.type === 'pickup') || [];
                         const isVisible = visibleRoutes.has(route.vehicle);
+                        const coRiders = getCoRiders(route);
+                        const timeline = [
+                          ...pickupSteps.map(step => {
+                            const course = dayCourses.find(c => c.id * 10 + 1 === step.id);
+                            return { step, course, pickupTimestamp: course ? tripDetails[course.id]?.pickupTimestamp : undefined };
+                          }),
+                          ...getRouteBreaks(route)
+                        ].sort((a, b) => (a.pickupTimestamp ?? Infinity) - (b.pickupTimestamp ?? Infinity));
                         
                         return (
                           <div key={index} className="border rounded-lg p-4">
@@ -821,6 +1715,30 @@ export default function App() {
                                   {isVisible ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
                                   {isVisible ? 'Visible' : 'Masqué'}
                                 </button>
+                                <button
+                                  onClick={() => handlePrintRoadmaps(route.vehicle)}
+                                  className="flex items-center gap-1 px-2 py-1 rounded text-sm bg-gray-100 text-gray-600 hover:bg-gray-200"
+                                  title="Feuille de route de ce véhicule (PDF)"
+                                >
+                                  <Printer className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => handleExportRoutes(route.vehicle)}
+                                  disabled={!routeGeometries[route.vehicle]}
+                                  className="flex items-center gap-1 px-2 py-1 rounded text-sm bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-50"
+                                  title={routeGeometries[route.vehicle]?.roadSnapped === false
+                                    ? 'Tracé GPX (lignes droites : OSRM indisponible)'
+                                    : 'Tracé GPX pour le GPS du véhicule'}
+                                >
+                                  <Navigation className="w-4 h-4" />
+                                  GPX
+                                </button>
+                                {coRiders.size > 0 && (
+                                  <span className="flex items-center gap-1 text-sm text-teal-700 bg-teal-100 px-2 py-1 rounded">
+                                    <Users className="w-4 h-4" />
+                                    {getPeakOccupancy(route)} à bord max
+                                  </span>
+                                )}
                                 <span className="text-sm text-blue-600 bg-blue-100 px-2 py-1 rounded">
                                   {pickupSteps.length} courses
                                 </span>
@@ -828,12 +1746,29 @@ export default function App() {
                             </div>
                             
                             <div className="space-y-2">
-                              {pickupSteps.map((step, stepIndex) => {
-                                const course = courses.find(c => c.id * 10 + 1 === step.id);
+                              {timeline.map((entry, stepIndex) => {
+                                if (entry.isBreak) {
+                                  return (
+                                    <div key={stepIndex} className="bg-yellow-50 p-3 rounded border border-yellow-200 flex justify-between items-center">
+                                      <div className="flex items-center gap-2 font-medium text-yellow-800">
+                                        <Coffee className="w-4 h-4" />
+                                        Pause équipage ({entry.durationMin} min)
+                                        {entry.conflict && <span className="text-xs text-red-600">⚠️ chevauche une course</span>}
+                                      </div>
+                                      <div className="text-sm text-yellow-700">
+                                        {entry.startTime} – {entry.endTime}
+                                      </div>
+                                    </div>
+                                  );
+                                }
+
+                                const { course } = entry;
                                 const details = course ? tripDetails[course.id] : null;
+                                const coRiderNames = course ? getCoRiderNames(coRiders, course) : [];
+                                const pin = course ? dayPins[course.id] : null;
                                 
                                 return course ? (
-                                  <div key={stepIndex} className="bg-gray-50 p-3 rounded border">
+                                  <div key={stepIndex} className={`p-3 rounded border ${pin ? 'bg-amber-50 border-amber-200' : 'bg-gray-50'}`}>
                                     <div className="flex justify-between items-start">
                                       <div>
                                         <div className="font-medium text-gray-900">{course.patient}</div>
@@ -845,13 +1780,32 @@ export default function App() {
                                             {details.distanceKm} km • {details.durationMin} min
                                           </div>
                                         )}
+                                        {coRiderNames.length > 0 && (
+                                          <div className="flex items-center gap-1 text-xs text-teal-700 mt-1">
+                                            <Users className="w-3 h-3" />
+                                            À bord avec {coRiderNames.join(', ')}
+                                          </div>
+                                        )}
+                                        {pin && (
+                                          <div className="flex items-center gap-1 text-xs text-amber-700 mt-1">
+                                            <Pin className="w-3 h-3" />
+                                            Épinglé : {describePin(pin, vehicles)}
+                                          </div>
+                                        )}
                                       </div>
                                       <div className="text-right text-sm">
-                                        <div className="text-blue-600 font-medium">
+                                        <div className="flex items-center justify-end gap-2 text-blue-600 font-medium">
                                           Pickup: {details?.pickupTime || 'N/A'}
+                                          <button
+                                            onClick={() => handleOpenPinEditor(course, route.vehicle, pickupSteps.findIndex(step => step.id === course.id * 10 + 1) + 1)}
+                                            className={pin ? 'text-amber-600 hover:text-amber-800' : 'text-gray-400 hover:text-gray-600'}
+                                            title={pin ? 'Modifier l\'épinglage' : 'Épingler à ce véhicule'}
+                                          >
+                                            <Pin className="w-4 h-4" />
+                                          </button>
                                         </div>
                                         <div className="text-gray-500">
-                                          {course.isReturnTrip ? 'Fin RDV' : 'RDV'}: {course.isReturnTrip ? course.exitTime : course.appointmentTime}
+                                          {course.isReturnTrip ? 'Fin RDV' : 'RDV'}: {formatCourseTime(course)}
                                         </div>
                                       </div>
                                     </div>
@@ -865,12 +1819,49 @@ export default function App() {
                     </div>
                   )}
 
+                  {/* Fleet Timeline */}
+                  {resultsView === 'timeline' && optimizationResult.routes && (
+                    <div className="space-y-4">
+                      <h3 className="font-medium text-gray-900">Chronogramme de la flotte</h3>
+                      <p className="text-sm text-gray-600">
+                        Glissez une course vers un autre véhicule ou un autre horaire : la faisabilité est vérifiée avant de l'enregistrer dans le planning.
+                      </p>
+                      <FleetTimeline
+                        routes={optimizationResult.routes}
+                        vehicles={vehicles}
+                        trips={processCoursesWithReturns(dayCourses)}
+                        date={selectedDate}
+                        onPreviewMove={handlePreviewTripMove}
+                        onMove={handleCommitTripMove}
+                        onRefused={(message) => setToast({ message: `Déplacement refusé : ${message}`, type: 'error' })}
+                      />
+                    </div>
+                  )}
+
                   {/* Results by Time */}
                   {resultsView === 'by-time' && (
                     <div className="space-y-4">
                       <h3 className="font-medium text-gray-900">Planning chronologique</h3>
                       <div className="space-y-2">
-                        {getResultsByTime().map((assignment, index) => (
+                        {getResultsByTime().map((assignment, index) => assignment.isBreak ? (
+                          <div key={index} className="border border-yellow-200 rounded-lg p-4 bg-yellow-50">
+                            <div className="flex justify-between items-center">
+                              <div className="flex items-center gap-2 font-medium text-yellow-800">
+                                <Coffee className="w-4 h-4" />
+                                Pause équipage ({assignment.durationMin} min)
+                                {assignment.conflict && <span className="text-xs text-red-600">⚠️ chevauche une course</span>}
+                              </div>
+                              <div className="text-right">
+                                <div className="text-yellow-700 font-medium">
+                                  {assignment.startTime} – {assignment.endTime}
+                                </div>
+                                <div className="text-sm text-green-600 mt-1">
+                                  {assignment.vehicle?.name}
+                                </div>
+                              </div>
+                            </div>
+                          </div>
+                        ) : (
                           <div key={index} className="border rounded-lg p-4">
                             <div className="flex justify-between items-start">
                               <div>
@@ -881,6 +1872,12 @@ export default function App() {
                                 <div className="text-xs text-gray-500 mt-1">
                                   {assignment.details.distanceKm} km • {assignment.details.durationMin} min
                                 </div>
+                                {assignment.coRiderNames.length > 0 && (
+                                  <div className="flex items-center gap-1 text-xs text-teal-700 mt-1">
+                                    <Users className="w-3 h-3" />
+                                    À bord avec {assignment.coRiderNames.join(', ')}
+                                  </div>
+                                )}
                               </div>
                               <div className="text-right">
                                 <div className="text-blue-600 font-medium">
@@ -900,39 +1897,64 @@ export default function App() {
                     </div>
                   )}
 
-                  {/* Unassigned Courses */}
-                  {optimizationResult.unassigned && optimizationResult.unassigned.length > 0 && (
+                  {/* Courses whose facility is closed at the appointment or the return */}
+                  {coursesOutsideOpeningHours.length > 0 && (
                     <div className="mt-6">
-                      <h3 className="font-medium text-gray-900 mb-3">Courses non assignées</h3>
+                      <h3 className="font-medium text-gray-900 mb-3">Courses hors des horaires d'ouverture</h3>
                       <div className="space-y-2">
-                        {optimizationResult.unassigned
-                          .filter(item => item.id % 10 === 1) // Only show pickup items to avoid duplicates
-                          .map((item, index) => {
-                          const course = courses.find(c => c.id * 10 + 1 === item.id);
-                          return course ? (
-                            <div key={index} className="border border-red-200 rounded-lg p-4 bg-red-50">
-                              <div className="flex justify-between items-start">
-                                <div>
-                                  <div className="font-medium text-gray-900">{course.patient}</div>
-                                  <div className="text-sm text-gray-600">
-                                    {course.pickup} → {course.destination}
-                                  </div>
-                                  {item.description && (
-                                    <div className="text-sm text-red-600 mt-2">
-                                      Raison: {item.description}
-                                    </div>
-                                  )}
+                        {coursesOutsideOpeningHours.map(({ course, message }) => (
+                          <div key={course.id} className="border border-amber-200 rounded-lg p-4 bg-amber-50">
+                            <div className="flex justify-between items-start">
+                              <div>
+                                <div className="font-medium text-gray-900">{course.isReturnTrip ? '🔄 ' : ''}{course.patient}</div>
+                                <div className="text-sm text-gray-600">
+                                  {course.pickup} → {course.destination}
                                 </div>
-                                <div className="text-right text-sm">
-                                  <div className="text-gray-500">{course.isReturnTrip ? 'Fin RDV' : 'RDV'}: {course.isReturnTrip ? course.exitTime : course.appointmentTime}</div>
+                                <div className="text-sm text-amber-700 mt-2">{message}</div>
+                              </div>
+                              <div className="text-right text-sm">
+                                <div className="text-gray-500">{course.isReturnTrip ? 'Fin RDV' : 'RDV'}: {formatCourseTime(course)}</div>
+                              </div>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Courses outside every vehicle shift */}
+                  {coursesOutsideShifts.length > 0 && (
+                    <div className="mt-6">
+                      <h3 className="font-medium text-gray-900 mb-3">Courses hors des créneaux de service</h3>
+                      <div className="space-y-2">
+                        {coursesOutsideShifts.map(course => (
+                          <div key={course.id} className="border border-amber-200 rounded-lg p-4 bg-amber-50">
+                            <div className="flex justify-between items-start">
+                              <div>
+                                <div className="font-medium text-gray-900">{course.isReturnTrip ? '🔄 ' : ''}{course.patient}</div>
+                                <div className="text-sm text-gray-600">
+                                  {course.pickup} → {course.destination}
+                                </div>
+                                <div className="text-sm text-amber-700 mt-2">
+                                  Besoin véhicule {describeTripServiceTime(course)} : aucun véhicule en service sur ce créneau
                                 </div>
                               </div>
+                              <div className="text-right text-sm">
+                                <div className="text-gray-500">{course.isReturnTrip ? 'Fin RDV' : 'RDV'}: {formatCourseTime(course)}</div>
+                              </div>
                             </div>
-                          ) : null;
-                        })}
+                          </div>
+                        ))}
                       </div>
                     </div>
                   )}
+
+                  {/* Unassigned Courses */}
+                  <UnassignedPanel
+                    entries={unassignedEntries}
+                    formatCourseTime={formatCourseTime}
+                    onRemedy={handleUnassignedRemedy}
+                  />
                 </div>
               )}
             </div>
@@ -940,6 +1962,159 @@ export default function App() {
         </div>
       </div>
 
+      {/* Insertion Modal */}
+      {insertionProposal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg w-full max-w-lg">
+            <div className="p-6 border-b">
+              <h3 className="text-lg font-semibold text-gray-900">Insérer {insertionProposal.newTrips[0].patient}</h3>
+              <p className="text-sm text-gray-500 mt-1">
+                {formatDateLabel(insertionProposal.planningDate, { weekday: 'long', day: 'numeric', month: 'long' })}
+                {insertionProposal.newTrips.length > 1 && ' • aller et retour'}
+                {insertionProposal.osrmUsed === false && ' • distances estimées (OSRM indisponible)'}
+              </p>
+            </div>
+            <div className="p-6 space-y-3 max-h-[60vh] overflow-y-auto">
+              {insertionProposal.options.length === 0 ? (
+                <div className="flex items-start gap-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+                  <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  {insertionProposal.message || 'Aucune insertion possible'}
+                </div>
+              ) : insertionProposal.options.map((option, index) => (
+                <div key={option.key} className={`border rounded-lg p-4 ${index === 0 ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}>
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="space-y-1">
+                      {option.assignments.map(assignment => (
+                        <div key={assignment.tripId} className="text-sm text-gray-900">
+                          <span className="font-medium">{assignment.isReturnTrip ? 'Retour' : 'Aller'} :</span>{' '}
+                          {assignment.vehicle.name}, {assignment.position === 1 ? '1re' : `${assignment.position}e`} course
+                          {assignment.pickupTimestamp && ` • prise en charge ${formatTimestamp(assignment.pickupTimestamp, insertionProposal.planningDate)}`}
+                        </div>
+                      ))}
+                      <div className="text-xs text-gray-600">
+                        +{option.addedKm} km • +{option.addedMinutes} min de route
+                      </div>
+                      {option.impacts.length === 0 ? (
+                        <div className="text-xs text-green-700">Aucun autre patient retardé</div>
+                      ) : (
+                        <div className="text-xs text-orange-700">
+                          Retards : {option.impacts.map(impact => `${impact.patient} +${impact.delayMin} min`).join(', ')}
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => handleCommitInsertion(option)}
+                      className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 flex-shrink-0"
+                    >
+                      Choisir
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="p-6 border-t flex justify-end gap-3">
+              <button
+                onClick={() => setInsertionProposal(null)}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800"
+              >
+                Annuler
+              </button>
+              <button
+                onClick={handleAddWithoutInsertion}
+                className="px-4 py-2 text-blue-700 bg-blue-100 rounded-md hover:bg-blue-200"
+              >
+                Ajouter sans planifier
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Pin Modal */}
+      {pinEditor && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg w-full max-w-md">
+            <div className="p-6 border-b">
+              <h3 className="text-lg font-semibold text-gray-900">Épingler {pinEditor.course.patient}</h3>
+              <p className="text-sm text-gray-500 mt-1">La course reste sur ce véhicule lors des prochaines optimisations.</p>
+            </div>
+            <form onSubmit={(e) => {
+              e.preventDefault();
+              const formData = new FormData(e.target);
+              handleSavePin({
+                vehicleId: parseInt(formData.get('vehicleId')),
+                position: formData.get('lockPosition') ? parseInt(formData.get('position')) : null,
+                time: formData.get('lockTime') ? formData.get('time') : null
+              });
+            }}>
+              <div className="p-6 space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Véhicule</label>
+                  <select
+                    name="vehicleId"
+                    defaultValue={pinEditor.vehicleId}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {vehicles.filter(vehicle => vehicle.status !== 'maintenance').map(vehicle => (
+                      <option key={vehicle.id} value={vehicle.id}>{vehicle.name} ({vehicle.type})</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center gap-3">
+                  <label className="flex items-center gap-2 text-sm text-gray-700 flex-1">
+                    <input type="checkbox" name="lockPosition" defaultChecked={Boolean(pinEditor.position)} />
+                    Position fixe dans la tournée
+                  </label>
+                  <input
+                    type="number"
+                    name="position"
+                    min="1"
+                    defaultValue={pinEditor.position || pinEditor.defaultPosition || 1}
+                    className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div className="flex items-center gap-3">
+                  <label className="flex items-center gap-2 text-sm text-gray-700 flex-1">
+                    <input type="checkbox" name="lockTime" defaultChecked={Boolean(pinEditor.time)} />
+                    Heure de prise en charge fixe
+                  </label>
+                  <input
+                    type="time"
+                    name="time"
+                    defaultValue={pinEditor.time || pinEditor.defaultTime}
+                    className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+              <div className="p-6 border-t flex justify-end gap-3">
+                <button
+                  type="button"
+                  onClick={() => setPinEditor(null)}
+                  className="px-4 py-2 text-gray-600 hover:text-gray-800"
+                >
+                  Annuler
+                </button>
+                {dayPins[pinEditor.course.id] && (
+                  <button
+                    type="button"
+                    onClick={() => handleSavePin(null)}
+                    className="px-4 py-2 text-red-600 hover:text-red-800"
+                  >
+                    Désépingler
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700"
+                >
+                  Épingler
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Vehicle Modal */}
       {showVehicleModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -949,19 +2124,29 @@ export default function App() {
                 {editingVehicle?.id ? 'Modifier véhicule' : 'Ajouter véhicule'}
               </h3>
             </div>
-            <form onSubmit={(e) => {
+            <form onSubmit={async (e) => {
               e.preventDefault();
               const formData = new FormData(e.target);
+              const coordinates = await resolveFormCoordinates(formData, 'location', 'longitude', 'latitude');
+              if (!coordinates) return;
               const vehicleData = {
                 name: formData.get('name'),
                 type: formData.get('type'),
                 location: formData.get('location'),
-                coordinates: [parseFloat(formData.get('longitude')), parseFloat(formData.get('latitude'))],
-                capacity: parseInt(formData.get('capacity'))
+                coordinates,
+                capacity: parseInt(formData.get('capacity')),
+                equipment: EQUIPMENT.filter(item => formData.get(`equipment-${item.value}`)).map(item => item.value),
+                shifts: vehicleShiftsDraft,
+                breaks: vehicleBreaksDraft
               };
+              const shiftError = validateShifts(vehicleShiftsDraft) || validateBreaks(vehicleBreaksDraft);
+              if (shiftError) {
+                setToast({ message: shiftError, type: 'error' });
+                return;
+              }
               handleSaveVehicle(vehicleData);
             }}>
-              <div className="p-6 space-y-4">
+              <div className="p-6 space-y-4 max-h-[70vh] overflow-y-auto">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Nom</label>
                   <input
@@ -979,45 +2164,36 @@ export default function App() {
                     defaultValue={editingVehicle?.type || 'VSL'}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
-                    <option value="VSL">VSL</option>
-                    <option value="Ambulance">Ambulance</option>
-                    <option value="Taxi">Taxi Conventionné</option>
+                    {VEHICLE_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
                   </select>
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Localisation</label>
-                  <input
-                    type="text"
-                    name="location"
-                    defaultValue={editingVehicle?.location || 'Jonquières (84)'}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    required
-                  />
-                </div>
-                <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Longitude</label>
-                    <input
-                      type="number"
-                      name="longitude"
-                      step="any"
-                      defaultValue={editingVehicle?.coordinates?.[0] || 4.9072}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      required
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Latitude</label>
-                    <input
-                      type="number"
-                      name="latitude"
-                      step="any"
-                      defaultValue={editingVehicle?.coordinates?.[1] || 44.1142}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      required
-                    />
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Équipement</label>
+                  <div className="flex flex-wrap gap-2">
+                    {EQUIPMENT.map(item => (
+                      <label key={item.value} className="flex items-center gap-1 text-sm text-gray-700 border rounded px-2 py-1">
+                        <input
+                          type="checkbox"
+                          name={`equipment-${item.value}`}
+                          defaultChecked={getVehicleEquipment(editingVehicle || {}).includes(item.value)}
+                        />
+                        {item.label}
+                      </label>
+                    ))}
                   </div>
                 </div>
+                <AddressPicker
+                  label="Localisation"
+                  name="location"
+                  lngName="longitude"
+                  latName="latitude"
+                  defaultAddress={editingVehicle?.location || ''}
+                  defaultCoordinates={editingVehicle?.coordinates || null}
+                  icon={vehicleIcon}
+                  required
+                />
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Capacité</label>
                   <input
@@ -1030,6 +2206,104 @@ export default function App() {
                     required
                   />
                 </div>
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-gray-700">Créneaux de service</label>
+                    <button
+                      type="button"
+                      onClick={() => setVehicleShiftsDraft(prev => [...prev, { start: '13:00', end: '20:00' }])}
+                      className="flex items-center gap-1 text-sm text-green-600 hover:text-green-800"
+                    >
+                      <Plus className="w-3 h-3" />
+                      Ajouter
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {vehicleShiftsDraft.map((shift, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <input
+                          type="time"
+                          value={shift.start}
+                          onChange={(e) => updateShiftDraft(index, 'start', e.target.value)}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          required
+                        />
+                        <span className="text-gray-500">→</span>
+                        <input
+                          type="time"
+                          value={shift.end}
+                          onChange={(e) => updateShiftDraft(index, 'end', e.target.value)}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          required
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setVehicleShiftsDraft(prev => prev.filter((_, i) => i !== index))}
+                          disabled={vehicleShiftsDraft.length === 1}
+                          className="text-red-600 hover:text-red-800 disabled:text-gray-300"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">Un créneau qui finit avant son début se termine le lendemain (nuit).</p>
+                </div>
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-gray-700">Pauses équipage</label>
+                    <button
+                      type="button"
+                      onClick={() => setVehicleBreaksDraft(prev => [...prev, { ...DEFAULT_BREAKS[0] }])}
+                      className="flex items-center gap-1 text-sm text-green-600 hover:text-green-800"
+                    >
+                      <Plus className="w-3 h-3" />
+                      Ajouter
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {vehicleBreaksDraft.map((crewBreak, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          min="5"
+                          step="5"
+                          value={crewBreak.duration}
+                          onChange={(e) => updateBreakDraft(index, 'duration', parseInt(e.target.value) || 0)}
+                          className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          required
+                        />
+                        <span className="text-gray-500 text-sm">min entre</span>
+                        <input
+                          type="time"
+                          value={crewBreak.start}
+                          onChange={(e) => updateBreakDraft(index, 'start', e.target.value)}
+                          className="flex-1 px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          required
+                        />
+                        <span className="text-gray-500">→</span>
+                        <input
+                          type="time"
+                          value={crewBreak.end}
+                          onChange={(e) => updateBreakDraft(index, 'end', e.target.value)}
+                          className="flex-1 px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          required
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setVehicleBreaksDraft(prev => prev.filter((_, i) => i !== index))}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    {vehicleBreaksDraft.length === 0 && (
+                      <p className="text-sm text-gray-500">Aucune pause</p>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">La pause est placée par l'optimiseur quelque part dans la plage indiquée.</p>
+                </div>
               </div>
               <div className="p-6 border-t flex justify-end gap-3">
                 <button
@@ -1063,110 +2337,339 @@ export default function App() {
                 {editingCourse?.id ? 'Modifier course' : 'Ajouter course'}
               </h3>
             </div>
-            <form onSubmit={(e) => {
+            <form key={`${editingCourse?.id || 'new'}-${courseEditScope}`} onSubmit={async (e) => {
               e.preventDefault();
+              const submitAction = e.nativeEvent.submitter?.value;
               const formData = new FormData(e.target);
+              const coordinates = await resolveFormCoordinates(formData, 'pickup', 'pickupLng', 'pickupLat');
+              const destinationCoords = coordinates && await resolveFormCoordinates(formData, 'destination', 'destLng', 'destLat');
+              if (!destinationCoords) return;
+              const isSeriesForm = !editingCourse?.seriesId || courseEditScope === 'series';
+              const recurrence = isSeriesForm && formData.get('recurring') ? {
+                weekdays: WEEKDAYS.filter(day => formData.get(`weekday-${day.value}`)).map(day => day.value),
+                endDate: formData.get('recurrenceEnd') || null,
+                exceptions: parseExceptionDates(formData.get('recurrenceExceptions')),
+                overrides: {}
+              } : null;
+              if (recurrence && recurrence.weekdays.length === 0) {
+                setToast({ message: 'Sélectionnez au moins un jour de la semaine pour la série', type: 'error' });
+                return;
+              }
               const courseData = {
                 patient: formData.get('patient'),
                 pickup: formData.get('pickup'),
                 destination: formData.get('destination'),
-                coordinates: [parseFloat(formData.get('pickupLng')), parseFloat(formData.get('pickupLat'))],
-                destinationCoords: [parseFloat(formData.get('destLng')), parseFloat(formData.get('destLat'))],
-                appointmentTime: formData.get('appointmentTime')
+                coordinates,
+                destinationCoords,
+                // The start of a series edited as a whole can't change (its input is disabled, so not posted)
+                date: formData.get('date') || editingSeries?.date,
+                appointmentTime: formData.get('appointmentTime'),
+                duration: parseInt(formData.get('duration')) || 0,
+                shareable: Boolean(formData.get('shareable')),
+                maxDetour: parseInt(formData.get('maxDetour')) || 0,
+                vehicleType: formData.get('vehicleType'),
+                requiredEquipment: EQUIPMENT.filter(item => formData.get(`requires-${item.value}`)).map(item => item.value)
               };
-              handleSaveCourse(courseData);
+              // A patient picked from the registry; unknown names are registered once the course is saved
+              if (coursePatient) {
+                courseData.patientId = coursePatient.id;
+              }
+              // Destination facility: the one chosen, or the registry entry named by the destination
+              if (!editingCourse?.isReturnTrip) {
+                const facilityMatch = courseFacility
+                  ? { facility: courseFacility, entrance: getEntrance(courseFacility, courseEntranceId) }
+                  : findFacilityByName(facilities, courseData.destination);
+                Object.assign(courseData, facilityMatch
+                  ? applyFacilityToCourse(courseData, facilityMatch.facility, facilityMatch.entrance)
+                  : { facilityId: null, entranceId: null, handoverMinutes: null });
+              }
+              const openingHoursIssue = getOpeningHoursIssue(courseData, facilities);
+              if (submitAction === 'insert' && !recurrence) {
+                handleFindInsertion(courseData);
+              } else {
+                handleSaveCourse(courseData, recurrence);
+              }
+              if (openingHoursIssue) {
+                setToast({ message: `Attention : ${openingHoursIssue}`, type: 'warning' });
+              }
             }}>
-              <div className="p-6 space-y-4">
+              <div className="p-6 space-y-4 max-h-[70vh] overflow-y-auto">
+                {editingCourse?.seriesId && (
+                  <div className="flex bg-gray-100 rounded-lg p-1">
+                    {[
+                      { value: 'occurrence', label: 'Cette occurrence' },
+                      { value: 'series', label: 'Toute la série' }
+                    ].map(scope => (
+                      <button
+                        key={scope.value}
+                        type="button"
+                        onClick={() => setCourseEditScope(scope.value)}
+                        className={`flex-1 px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                          courseEditScope === scope.value
+                            ? 'bg-white text-blue-600 shadow-sm'
+                            : 'text-gray-600 hover:text-gray-800'
+                        }`}
+                      >
+                        {scope.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Patient</label>
                   <input
                     type="text"
                     name="patient"
-                    defaultValue={editingCourse?.patient || ''}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    required
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Lieu de pickup</label>
-                  <input
-                    type="text"
-                    name="pickup"
-                    defaultValue={editingCourse?.pickup || ''}
+                    list="patient-registry"
+                    autoComplete="off"
+                    defaultValue={courseFormDefaults?.patient || ''}
+                    onChange={handleCoursePatientChange}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                     required
                   />
+                  <datalist id="patient-registry">
+                    {patients.map(patient => (
+                      <option key={patient.id} value={patient.name}>
+                        {[getMobilityLabel(patient.mobility), patient.phone].filter(Boolean).join(' · ')}
+                      </option>
+                    ))}
+                  </datalist>
+                  {coursePatient ? (
+                    <div className="mt-2 p-2 bg-blue-50 border border-blue-200 rounded text-xs text-blue-900 space-y-1">
+                      <div>
+                        {getMobilityLabel(coursePatient.mobility)} · {getVehicleTypeLabel(getPatientRequirements(coursePatient).vehicleType)}
+                        {coursePatient.phone && ` · ${coursePatient.phone}`}
+                      </div>
+                      {coursePatient.notes && <div className="italic">{coursePatient.notes}</div>}
+                      <div className="flex flex-wrap gap-1">
+                        {coursePatient.addresses.map(savedAddress => (
+                          <button
+                            key={`pickup-${savedAddress.id}`}
+                            type="button"
+                            onClick={() => presetCourseAddress('pickup', savedAddress)}
+                            className="px-2 py-0.5 bg-white border border-blue-200 rounded hover:bg-blue-100"
+                            title={savedAddress.address}
+                          >
+                            Départ : {savedAddress.label || getAddressKindLabel(savedAddress.kind)}
+                          </button>
+                        ))}
+                        {coursePatient.usualDestinations.map(savedAddress => (
+                          <button
+                            key={`destination-${savedAddress.id}`}
+                            type="button"
+                            onClick={() => presetCourseAddress('destination', savedAddress)}
+                            className="px-2 py-0.5 bg-white border border-blue-200 rounded hover:bg-blue-100"
+                            title={savedAddress.address}
+                          >
+                            → {savedAddress.label || savedAddress.address}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ) : (
+                    <p className="mt-1 text-xs text-gray-500">Patient absent du registre : il y sera ajouté à l'enregistrement</p>
+                  )}
                 </div>
+                <AddressPicker
+                  key={`pickup-${courseAddressPresets.pickup?.version || 0}`}
+                  label="Lieu de pickup"
+                  name="pickup"
+                  lngName="pickupLng"
+                  latName="pickupLat"
+                  defaultAddress={courseAddressPresets.pickup?.address ?? courseFormDefaults?.pickup ?? ''}
+                  defaultCoordinates={courseAddressPresets.pickup ? courseAddressPresets.pickup.coordinates : courseFormDefaults?.coordinates || null}
+                  icon={pickupIcon}
+                  required
+                />
+                {!editingCourse?.isReturnTrip && (
+                  <div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Établissement</label>
+                        <select
+                          value={courseFacilityId ?? ''}
+                          onChange={(e) => handleCourseFacilityChange(e.target.value ? Number(e.target.value) : null)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Adresse libre</option>
+                          {[...facilities].sort((a, b) => a.name.localeCompare(b.name)).map(facility => (
+                            <option key={facility.id} value={facility.id}>{facility.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Entrée / service</label>
+                        <select
+                          value={courseEntranceId ?? ''}
+                          onChange={(e) => handleCourseFacilityChange(courseFacilityId, e.target.value)}
+                          disabled={!courseFacility}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                        >
+                          {(courseFacility?.entrances || []).map(entrance => (
+                            <option key={entrance.id} value={entrance.id}>{entrance.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    {courseFacility && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Ouverture : {formatOpeningHours(courseFacility)} · remise du patient ~{courseFacility.handoverMinutes} min
+                      </p>
+                    )}
+                  </div>
+                )}
+                <AddressPicker
+                  key={`destination-${courseAddressPresets.destination?.version || 0}`}
+                  label="Destination"
+                  name="destination"
+                  lngName="destLng"
+                  latName="destLat"
+                  defaultAddress={courseAddressPresets.destination?.address ?? courseFormDefaults?.destination ?? ''}
+                  defaultCoordinates={courseAddressPresets.destination ? courseAddressPresets.destination.coordinates : courseFormDefaults?.destinationCoords || null}
+                  icon={destinationIcon}
+                  required
+                />
                 <div className="grid grid-cols-2 gap-3">
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Pickup Lng</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {editingCourse?.seriesId && courseEditScope === 'series' ? 'Début de série' : 'Date'}
+                    </label>
                     <input
-                      type="number"
-                      name="pickupLng"
-                      step="any"
-                      defaultValue={editingCourse?.coordinates?.[0] || 4.9072}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      type="date"
+                      name="date"
+                      defaultValue={courseFormDefaults?.date || selectedDate}
+                      disabled={Boolean(editingCourse?.seriesId) && courseEditScope === 'series'}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
                       required
                     />
                   </div>
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Pickup Lat</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Heure RDV</label>
                     <input
-                      type="number"
-                      name="pickupLat"
-                      step="any"
-                      defaultValue={editingCourse?.coordinates?.[1] || 44.1142}
+                      type="time"
+                      name="appointmentTime"
+                      defaultValue={courseFormDefaults?.appointmentTime || '08:00'}
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                       required
                     />
                   </div>
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Destination</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Durée RDV (min, 0 = pas de retour)</label>
                   <input
-                    type="text"
-                    name="destination"
-                    defaultValue={editingCourse?.destination || ''}
+                    type="number"
+                    name="duration"
+                    min="0"
+                    max="720"
+                    defaultValue={courseFormDefaults?.duration || 0}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    required
                   />
                 </div>
-                <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Dest Lng</label>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type de transport</label>
+                  <select
+                    name="vehicleType"
+                    defaultValue={courseFormDefaults?.vehicleType || 'VSL'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {VEHICLE_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {EQUIPMENT.map(item => (
+                      <label key={item.value} className="flex items-center gap-1 text-sm text-gray-700 border rounded px-2 py-1">
+                        <input
+                          type="checkbox"
+                          name={`requires-${item.value}`}
+                          defaultChecked={courseFormDefaults?.requiredEquipment?.includes(item.value)}
+                        />
+                        {item.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-3 items-end">
+                  <label className="flex items-center gap-2 text-sm font-medium text-gray-700 pb-2">
                     <input
-                      type="number"
-                      name="destLng"
-                      step="any"
-                      defaultValue={editingCourse?.destinationCoords?.[0] || 4.8050}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      required
+                      type="checkbox"
+                      name="shareable"
+                      defaultChecked={Boolean(courseFormDefaults?.shareable)}
                     />
-                  </div>
+                    <Users className="w-4 h-4" />
+                    Transport partagé
+                  </label>
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Dest Lat</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Détour max (min)</label>
                     <input
                       type="number"
-                      name="destLat"
-                      step="any"
-                      defaultValue={editingCourse?.destinationCoords?.[1] || 43.9320}
+                      name="maxDetour"
+                      min="0"
+                      max="120"
+                      defaultValue={courseFormDefaults?.maxDetour ?? DEFAULT_MAX_DETOUR}
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      required
                     />
                   </div>
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Heure RDV</label>
-                  <input
-                    type="time"
-                    name="appointmentTime"
-                    defaultValue={editingCourse?.appointmentTime || '08:00'}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    required
-                  />
-                </div>
+                {(!editingCourse?.seriesId || courseEditScope === 'series') && !editingCourse?.isReturnTrip && (
+                  <div className="border rounded-lg p-3 space-y-3 bg-purple-50 border-purple-200">
+                    <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                      <input
+                        type="checkbox"
+                        name="recurring"
+                        checked={isCourseRecurring}
+                        onChange={(e) => setIsCourseRecurring(e.target.checked)}
+                      />
+                      🔁 Transport récurrent (dialyse, chimiothérapie, rééducation...)
+                    </label>
+                    {isCourseRecurring && (
+                      <>
+                        <div className="flex flex-wrap gap-2">
+                          {WEEKDAYS.map(day => (
+                            <label key={day.value} className="flex items-center gap-1 text-sm text-gray-700 bg-white border rounded px-2 py-1">
+                              <input
+                                type="checkbox"
+                                name={`weekday-${day.value}`}
+                                defaultChecked={courseFormDefaults?.recurrence?.weekdays?.includes(day.value)}
+                              />
+                              {day.label}
+                            </label>
+                          ))}
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Fin de série</label>
+                          <input
+                            type="date"
+                            name="recurrenceEnd"
+                            defaultValue={courseFormDefaults?.recurrence?.endDate || ''}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Dates exclues (AAAA-MM-JJ, séparées par des virgules)</label>
+                          <input
+                            type="text"
+                            name="recurrenceExceptions"
+                            defaultValue={(courseFormDefaults?.recurrence?.exceptions || []).join(', ')}
+                            placeholder="2026-11-11, 2026-12-25"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
               </div>
               <div className="p-6 border-t flex justify-end gap-3">
+                {editingCourse?.seriesId && courseEditScope === 'series' && (
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteSeries(editingCourse.seriesId)}
+                    className="mr-auto px-4 py-2 text-red-600 hover:text-red-800"
+                  >
+                    Supprimer la série
+                  </button>
+                )}
                 <button
                   type="button"
                   onClick={() => {
@@ -1177,6 +2680,17 @@ export default function App() {
                 >
                   Annuler
                 </button>
+                {!editingCourse?.id && optimizationResult?.routes && (
+                  <button
+                    type="submit"
+                    value="insert"
+                    disabled={isInserting}
+                    className="px-4 py-2 text-blue-700 bg-blue-100 rounded-md hover:bg-blue-200 disabled:bg-gray-100 disabled:text-gray-500"
+                    title="Proposer les meilleures places dans le planning optimisé, sans replanifier les autres véhicules"
+                  >
+                    {isInserting ? 'Recherche...' : 'Insérer dans le planning'}
+                  </button>
+                )}
                 <button
                   type="submit"
                   className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
@@ -1195,6 +2709,11 @@ export default function App() {
         onClose={() => setShowFileUploadModal(false)}
         onCoursesImported={handleCoursesImport}
         currentCourses={courses}
+        patients={patients}
+        facilities={facilities}
+        mappingProfiles={columnMappingProfiles}
+        onMappingProfilesChange={setColumnMappingProfiles}
+        defaultDate={selectedDate}
       />
 
       {/* Time Window Configuration Panel */}
@@ -1206,6 +2725,60 @@ export default function App() {
         lastOptimizationResult={optimizationResult}
       />
 
+      {/* Routing/Solver Endpoint Settings */}
+      <EndpointSettingsPanel
+        isOpen={showEndpointSettings}
+        onClose={() => setShowEndpointSettings(false)}
+        onEndpointsChange={handleEndpointsChange}
+        currentEndpoints={endpointConfig}
+      />
+
+      {/* Patient Registry */}
+      <PatientRegistryPanel
+        isOpen={showPatientRegistry}
+        onClose={() => setShowPatientRegistry(false)}
+        patients={patients}
+        onPatientsChange={handlePatientsChange}
+        courses={courses}
+      />
+
+      {/* Medical Facility Registry */}
+      <FacilityRegistryPanel
+        isOpen={showFacilityRegistry}
+        onClose={() => setShowFacilityRegistry(false)}
+        facilities={facilities}
+        onFacilitiesChange={handleFacilitiesChange}
+        courses={courses}
+      />
+
+      {/* Alternatives for an unassigned course */}
+      {conflictCase && (
+        <ConflictResolver
+          conflictingTrips={conflictCase.trips}
+          vehicles={conflictCase.vehicles}
+          allTrips={conflictCase.allTrips}
+          onResolutionApplied={handleConflictResolution}
+          onClose={() => setConflictCase(null)}
+        />
+      )}
+
+      {/* iCalendar export of the day */}
+      <CalendarExportPanel
+        isOpen={showCalendarExport}
+        onClose={() => setShowCalendarExport(false)}
+        optimizationResult={optimizationResult}
+        vehicles={vehicles}
+        courses={dayCourses}
+        patients={patients}
+        date={selectedDate}
+      />
+
+      {/* Offline Address Gazetteer */}
+      <GazetteerPanel
+        isOpen={showGazetteer}
+        onClose={() => setShowGazetteer(false)}
+      />
+
       {/* Toast Notification */}
       {toast && (
         <ToastNotification
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Map as MapIcon, MapPin } from 'lucide-react';
+import { geocode, describeGeocodeResult, GEOCODER_CONFIG } from '../services/geocoder';
+import { getOSRMNearest } from '../services/osrmService';
+import { MAP_CENTER, MAP_ZOOM, TILE_LAYER } from '../utils/mapSetup';
+
+const SUGGESTION_DELAY = 250; // ms after the last keystroke
+const MIN_QUERY_LENGTH = 3;
+const PICKED_ZOOM = 15;
+
+// Follow the point when it comes from a suggestion (a drag keeps the current view)
+const RecenterOnPoint = ({ coordinates }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (coordinates) map.panTo([coordinates[1], coordinates[0]]);
+  }, [coordinates, map]);
+  return null;
+};
+
+const ClickToPlace = ({ onPlace }) => {
+  useMapEvents({
+    click: (e) => onPlace([e.latlng.lng, e.latlng.lat])
+  });
+  return null;
+};
+
+/**
+ * Address field with type-ahead suggestions from the geocoder and a mini-map where the point
+ * can be dropped or dragged; the point is snapped to the road (OSRM nearest).
+ * Lives in uncontrolled forms: the address is posted as `name`, the point as `lngName`/`latName`
+ * (empty when the address was typed without choosing a suggestion nor placing the point).
+ */
+const AddressPicker = ({
+  label,
+  name,
+  lngName,
+  latName,
+  defaultAddress = '',
+  defaultCoordinates = null,
+  icon,
+  placeholder,
+  required = false
+}) => {
+  const [address, setAddress] = useState(defaultAddress);
+  const [coordinates, setCoordinates] = useState(defaultCoordinates);
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [hasTyped, setHasTyped] = useState(false);
+  const [isMapOpen, setIsMapOpen] = useState(false);
+  const [status, setStatus] = useState(null); // { message, type: 'info' | 'warning' }
+  const [centerRequest, setCenterRequest] = useState(null);
+  const requestId = useRef(0);
+
+  // Type-ahead: debounced search, only answers of the latest request are kept
+  useEffect(() => {
+    if (!hasTyped || address.trim().length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+    const id = ++requestId.current;
+    const timer = setTimeout(async () => {
+      const { results } = await geocode(address);
+      if (id === requestId.current) {
+        setSuggestions(results);
+        setHighlighted(-1);
+      }
+    }, SUGGESTION_DELAY);
+    return () => clearTimeout(timer);
+  }, [address, hasTyped]);
+
+  const handleAddressChange = (e) => {
+    setAddress(e.target.value);
+    setHasTyped(true);
+    // A new address invalidates the point until a suggestion is chosen or the pin is placed
+    setCoordinates(null);
+    setStatus(null);
+  };
+
+  const selectSuggestion = (result) => {
+    requestId.current++;
+    setAddress(result.label);
+    setCoordinates(result.coordinates);
+    setCenterRequest(result.coordinates);
+    setSuggestions([]);
+    setHasTyped(false);
+    setStatus({
+      message: describeGeocodeResult(result),
+      type: result.confidence >= GEOCODER_CONFIG.minConfidence ? 'info' : 'warning'
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(prev => Math.min(prev + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault(); // Choose the suggestion instead of submitting the form
+      selectSuggestion(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
+  // Dropped or dragged pin: keep the raw point, then move it onto the nearest road
+  const placePoint = async (point) => {
+    const id = ++requestId.current;
+    setSuggestions([]);
+    setCoordinates(point);
+    setStatus({ message: 'Alignement sur la route...', type: 'info' });
+
+    const nearest = await getOSRMNearest(point);
+    if (id !== requestId.current) return;
+    if (nearest.success && nearest.waypoints.length > 0) {
+      const waypoint = nearest.waypoints[0];
+      setCoordinates(waypoint.location);
+      setStatus({
+        message: `Point aligné sur ${waypoint.name || 'la route'} (à ${Math.round(waypoint.distance)} m)`,
+        type: waypoint.distance > 200 ? 'warning' : 'info'
+      });
+    } else {
+      setStatus({ message: 'Point placé sans alignement sur la route (serveur OSRM indisponible)', type: 'warning' });
+    }
+  };
+
+  const markerPosition = coordinates ? [coordinates[1], coordinates[0]] : null;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <div className="relative flex gap-2">
+        <input
+          type="text"
+          name={name}
+          value={address}
+          onChange={handleAddressChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setSuggestions([])}
+          autoComplete="off"
+          placeholder={placeholder}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required={required}
+        />
+        <button
+          type="button"
+          onClick={() => setIsMapOpen(prev => !prev)}
+          className={`flex items-center gap-1 px-3 py-2 border rounded-md text-sm ${
+            isMapOpen ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+          title="Placer le point sur la carte"
+        >
+          <MapIcon className="w-4 h-4" />
+          Carte
+        </button>
+        {suggestions.length > 0 && (
+          <ul className="absolute left-0 right-0 top-full mt-1 z-10 bg-white border border-gray-200 rounded-md shadow-lg max-h-56 overflow-y-auto">
+            {suggestions.map((result, index) => (
+              <li
+                key={`${result.label}-${index}`}
+                // mousedown fires before the input blur that closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  selectSuggestion(result);
+                }}
+                className={`px-3 py-2 text-sm cursor-pointer flex items-center justify-between gap-2 ${
+                  index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <span className="flex items-center gap-2">
+                  <MapPin className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                  {result.label}
+                </span>
+                <span className={`text-xs ${result.confidence >= GEOCODER_CONFIG.minConfidence ? 'text-green-700' : 'text-amber-700'}`}>
+                  {Math.round(result.confidence * 100)} %
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <input type="hidden" name={lngName} value={coordinates ? coordinates[0] : ''} />
+      <input type="hidden" name={latName} value={coordinates ? coordinates[1] : ''} />
+
+      <div className="mt-1 text-xs">
+        {status && (
+          <p className={status.type === 'warning' ? 'text-amber-700' : 'text-gray-600'}>{status.message}</p>
+        )}
+        <p className="text-gray-500 font-mono">
+          {coordinates
+            ? `${coordinates[1].toFixed(5)}, ${coordinates[0].toFixed(5)}`
+            : 'Position non définie : choisissez une suggestion ou placez le point sur la carte'}
+        </p>
+      </div>
+
+      {isMapOpen && (
+        <div className="mt-2 h-48 w-full border rounded-lg overflow-hidden relative z-0">
+          <MapContainer
+            center={markerPosition || MAP_CENTER}
+            zoom={markerPosition ? PICKED_ZOOM : MAP_ZOOM}
+            style={{ height: '100%', width: '100%', zIndex: 0 }}
+          >
+            <TileLayer url={TILE_LAYER.url} attribution={TILE_LAYER.attribution} />
+            <ClickToPlace onPlace={placePoint} />
+            <RecenterOnPoint coordinates={centerRequest} />
+            {markerPosition && (
+              <Marker
+                position={markerPosition}
+                {...(icon ? { icon } : {})}
+                draggable
+                eventHandlers={{
+                  dragend: (e) => {
+                    const { lat, lng } = e.target.getLatLng();
+                    placePoint([lng, lat]);
+                  }
+                }}
+              />
+            )}
+          </MapContainer>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddressPicker;
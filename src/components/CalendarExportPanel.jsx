@@ -0,0 +1,105 @@
+import React from 'react';
+import { Calendar, Car, Users, Download } from 'lucide-react';
+import { buildVehicleCalendar, buildPatientCalendar, getPlannedPatients, downloadCalendar } from '../utils/icalendar';
+
+/**
+ * .ics downloads of an optimized day: one calendar per vehicle for the crews' phones,
+ * one per patient for the families' reminders
+ */
+const CalendarExportPanel = ({ isOpen, onClose, optimizationResult, vehicles, courses, patients, date }) => {
+  if (!isOpen) return null;
+
+  const context = { vehicles, courses, patients, date };
+  const routes = optimizationResult?.routes || [];
+  const plannedPatients = getPlannedPatients(optimizationResult, context);
+
+  const downloadVehicle = (vehicleId) => {
+    const vehicle = vehicles.find(v => v.id === vehicleId);
+    downloadCalendar(buildVehicleCalendar(optimizationResult, context, vehicleId), `agenda_${vehicle?.name || vehicleId}_${date}`);
+  };
+
+  const downloadPatient = (patientKey) => {
+    downloadCalendar(buildPatientCalendar(optimizationResult, context, patientKey), `agenda_${patientKey.name}_${date}`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center gap-3">
+            <Calendar className="w-6 h-6 text-blue-600" />
+            <h2 className="text-xl font-semibold">Agendas (.ics)</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <p className="text-sm text-gray-600">
+            Fichiers à ouvrir dans l'agenda du téléphone. Un nouvel export du même jour met à jour
+            les événements déjà importés au lieu de les dupliquer.
+          </p>
+
+          <div>
+            <h3 className="flex items-center gap-2 font-semibold mb-2">
+              <Car className="w-4 h-4" />
+              Véhicules (une entrée par prise en charge)
+            </h3>
+            <div className="space-y-2">
+              {routes.map(route => {
+                const vehicle = vehicles.find(v => v.id === route.vehicle);
+                const pickupCount = route.steps?.filter(step => step.type === 'pickup').length || 0;
+                return (
+                  <div key={route.vehicle} className="flex items-center justify-between p-3 bg-gray-50 rounded border">
+                    <span className="text-sm font-medium text-gray-900">
+                      {vehicle?.name || `Véhicule ${route.vehicle}`}
+                      <span className="ml-2 text-xs text-gray-500">{pickupCount} prise{pickupCount > 1 ? 's' : ''} en charge</span>
+                    </span>
+                    <button
+                      onClick={() => downloadVehicle(route.vehicle)}
+                      className="flex items-center gap-1 px-3 py-1 text-sm text-blue-700 bg-blue-50 hover:bg-blue-100 rounded"
+                    >
+                      <Download className="w-4 h-4" />
+                      .ics
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="flex items-center gap-2 font-semibold mb-2">
+              <Users className="w-4 h-4" />
+              Patients (heure de prise en charge et fenêtre de retour, avec rappel)
+            </h3>
+            {plannedPatients.length === 0 ? (
+              <p className="text-sm text-gray-500">Aucun patient assigné ce jour.</p>
+            ) : (
+              <div className="space-y-2">
+                {plannedPatients.map(patientKey => (
+                  <div key={patientKey.patientId ?? patientKey.name} className="flex items-center justify-between p-3 bg-gray-50 rounded border">
+                    <span className="text-sm font-medium text-gray-900">{patientKey.name}</span>
+                    <button
+                      onClick={() => downloadPatient(patientKey)}
+                      className="flex items-center gap-1 px-3 py-1 text-sm text-blue-700 bg-blue-50 hover:bg-blue-100 rounded"
+                    >
+                      <Download className="w-4 h-4" />
+                      .ics
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarExportPanel;
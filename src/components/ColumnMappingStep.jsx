@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { Columns, AlertTriangle, Eye, Trash2, FileText } from 'lucide-react';
+import { mapCSVRecords } from '../utils/fileReader';
+import { COURSE_FIELDS, assignColumn, getColumnField, getMissingFields } from '../utils/columnMapping';
+
+const SAMPLE_COUNT = 3;
+const PREVIEW_COUNT = 5;
+
+/**
+ * Import step between the upload and the confirmation: each CSV column is assigned
+ * to a course field (with sample values and a preview of the parsed rows),
+ * and the mapping can be saved as a profile for the next files with the same columns.
+ * For a workbook, the sheet holding the courses is chosen here too.
+ */
+const ColumnMappingStep = ({
+  table,
+  sheets = [],
+  sheetName = null,
+  onSheetChange,
+  mapping,
+  onMappingChange,
+  profile = null,
+  defaultProfileName = '',
+  onDeleteProfile,
+  onConfirm,
+  onCancel
+}) => {
+  const [saveProfile, setSaveProfile] = useState(!profile);
+  const [profileName, setProfileName] = useState(profile?.name || defaultProfileName);
+
+  const missingFields = getMissingFields(mapping);
+  const preview = mapCSVRecords({ ...table, records: table.records.slice(0, PREVIEW_COUNT), rowErrors: [] }, mapping);
+
+  const getSamples = (columnIndex) => table.records
+    .map(record => record.fields[columnIndex])
+    .filter(Boolean)
+    .slice(0, SAMPLE_COUNT);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start gap-3">
+        <Columns className="w-6 h-6 text-blue-600 mt-0.5" />
+        <div>
+          <h4 className="text-lg font-medium text-gray-900">Correspondance des colonnes</h4>
+          <p className="text-sm text-gray-600">
+            {table.headers.length} colonnes et {table.records.length} lignes détectées.
+            Associez chaque colonne à un champ de course ; les colonnes ignorées ne sont pas importées.
+          </p>
+          {sheets.length > 1 && (
+            <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+              <FileText className="w-4 h-4 text-gray-500" />
+              Feuille
+              <select
+                value={sheetName}
+                onChange={(e) => onSheetChange(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+              >
+                {sheets.map(sheet => (
+                  <option key={sheet.name} value={sheet.name}>
+                    {sheet.name} ({sheet.table.records.length} lignes)
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {profile && (
+            <p className="text-sm text-blue-700 mt-1">
+              Profil « {profile.name} » appliqué
+              <button
+                type="button"
+                onClick={onDeleteProfile}
+                className="inline-flex items-center gap-1 ml-3 text-xs text-red-600 hover:text-red-800"
+              >
+                <Trash2 className="w-3 h-3" />
+                Supprimer le profil
+              </button>
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="border rounded-lg overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr className="border-b">
+              <th className="text-left py-2 px-3">Colonne du fichier</th>
+              <th className="text-left py-2 px-3">Exemples</th>
+              <th className="text-left py-2 px-3">Champ de course</th>
+            </tr>
+          </thead>
+          <tbody>
+            {table.headers.map((header, columnIndex) => {
+              const field = getColumnField(mapping, columnIndex);
+              return (
+                <tr key={columnIndex} className="border-b last:border-b-0">
+                  <td className="py-2 px-3 font-medium text-gray-900">{header || `Colonne ${columnIndex + 1}`}</td>
+                  <td className="py-2 px-3 text-gray-600 text-xs">{getSamples(columnIndex).join(' · ') || '—'}</td>
+                  <td className="py-2 px-3">
+                    <select
+                      value={field || ''}
+                      onChange={(e) => onMappingChange(assignColumn(mapping, columnIndex, e.target.value || null))}
+                      className={`w-full px-2 py-1 border rounded-md text-sm ${field ? 'border-blue-300 bg-blue-50' : 'border-gray-300 text-gray-500'}`}
+                    >
+                      <option value="">Ignorer</option>
+                      {COURSE_FIELDS.map(courseField => (
+                        <option key={courseField.value} value={courseField.value}>
+                          {courseField.label}{courseField.required ? ' *' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 -mt-4">
+        * Champ obligatoire. Le patient vient d'une colonne « nom complet », ou des colonnes prénom et nom réunies.
+      </p>
+
+      {missingFields.length > 0 && (
+        <div className="flex items-start gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5" />
+          <span>À associer avant de continuer : {missingFields.join(', ')}</span>
+        </div>
+      )}
+
+      {/* Preview of the first rows with the current mapping */}
+      <div>
+        <div className="flex items-center mb-2">
+          <Eye className="w-5 h-5 text-gray-600 mr-2" />
+          <h5 className="font-medium text-gray-900">Aperçu ({Math.min(PREVIEW_COUNT, table.records.length)} premières lignes)</h5>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-300">
+                <th className="text-left py-2 px-2">Patient</th>
+                <th className="text-left py-2 px-2">Départ</th>
+                <th className="text-left py-2 px-2">Destination</th>
+                <th className="text-left py-2 px-2">Date</th>
+                <th className="text-left py-2 px-2">Heure RDV</th>
+                <th className="text-left py-2 px-2">Durée</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.courses.map((course, index) => (
+                <tr key={index} className="border-b border-gray-200">
+                  <td className="py-2 px-2 font-medium">{course.patient || '—'}</td>
+                  <td className="py-2 px-2">{course.pickup || '—'}</td>
+                  <td className="py-2 px-2">{course.destination || '—'}</td>
+                  <td className="py-2 px-2">{course.date || 'jour affiché'}</td>
+                  <td className="py-2 px-2">{course.appointmentTime}</td>
+                  <td className="py-2 px-2">{course.duration}min</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {preview.rowErrors.map(rowError => (
+            <p key={rowError.row} className="text-xs text-red-700 mt-2">Ligne {rowError.row} : {rowError.message}</p>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={saveProfile}
+            onChange={(e) => setSaveProfile(e.target.checked)}
+          />
+          {profile ? 'Mettre à jour le profil' : 'Enregistrer comme profil'}
+        </label>
+        <input
+          type="text"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          disabled={!saveProfile}
+          placeholder="Nom du profil (ex. CHU Avignon – dialyse)"
+          className="flex-1 px-2 py-1 border border-gray-300 rounded-md disabled:bg-gray-100"
+        />
+        <span className="w-full text-xs text-gray-500">
+          Le profil est appliqué automatiquement aux prochains fichiers ayant les mêmes colonnes.
+        </span>
+      </div>
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-gray-600 hover:text-gray-800"
+        >
+          Annuler
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(saveProfile && profileName.trim() ? profileName.trim() : null)}
+          disabled={missingFields.length > 0}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-medium disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+        >
+          Continuer
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingStep;
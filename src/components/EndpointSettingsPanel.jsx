@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import { Server, Plus, Trash2, ChevronUp, ChevronDown, RotateCcw, Info, AlertTriangle, ShieldCheck } from 'lucide-react';
+import { DEFAULT_ENDPOINTS, ENDPOINT_SERVICES, normalizeEndpoints, validateEndpoints, isHostAllowed } from '../services/endpointRegistry';
+
+const SERVICE_LABELS = {
+  osrm: { title: 'OSRM - Calcul des trajets', port: 5000 },
+  vroom: { title: 'VROOM - Optimisation des tournées', port: 3000 }
+};
+
+const EndpointSettingsPanel = ({
+  isOpen,
+  onClose,
+  onEndpointsChange,
+  currentEndpoints
+}) => {
+  const [config, setConfig] = useState(() => normalizeEndpoints(currentEndpoints));
+  const [errors, setErrors] = useState([]);
+
+  // Start from the applied configuration every time the panel opens
+  useEffect(() => {
+    if (isOpen) {
+      setConfig(normalizeEndpoints(currentEndpoints));
+      setErrors([]);
+    }
+  }, [isOpen, currentEndpoints]);
+
+  if (!isOpen) return null;
+
+  const normalizedDraft = normalizeEndpoints(config);
+
+  const updateServers = (service, updater) => {
+    setConfig(prev => ({
+      ...prev,
+      [service]: { ...prev[service], servers: updater(prev[service].servers) }
+    }));
+  };
+
+  const handleServerUpdate = (service, index, key, value) => {
+    updateServers(service, servers => servers.map((server, i) => (i === index ? { ...server, [key]: value } : server)));
+  };
+
+  const handleMoveServer = (service, index, offset) => {
+    updateServers(service, servers => {
+      const target = index + offset;
+      if (target < 0 || target >= servers.length) return servers;
+      const reordered = [...servers];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  const handleAddServer = (service) => {
+    updateServers(service, servers => [
+      ...servers,
+      {
+        id: `${service}-${Date.now()}`,
+        label: `Serveur ${servers.length + 1}`,
+        url: `http://localhost:${SERVICE_LABELS[service].port}`,
+        timeout: 15000,
+        isPublic: false
+      }
+    ]);
+  };
+
+  const handleRemoveServer = (service, index) => {
+    updateServers(service, servers => servers.filter((_, i) => i !== index));
+  };
+
+  const handleApply = () => {
+    const validationErrors = validateEndpoints(config);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) return;
+
+    onEndpointsChange(normalizeEndpoints(config));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center gap-3">
+            <Server className="w-6 h-6 text-blue-600" />
+            <h2 className="text-xl font-semibold">Serveurs de calcul</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Public fallbacks */}
+          <div className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              id="allowPublicFallbacks"
+              checked={config.allowPublicFallbacks}
+              onChange={(e) => setConfig(prev => ({ ...prev, allowPublicFallbacks: e.target.checked }))}
+              className="rounded mt-1"
+            />
+            <label htmlFor="allowPublicFallbacks" className="text-sm">
+              <span className="font-medium">Autoriser les serveurs publics en secours</span>
+              <span className="block text-xs text-gray-500">
+                Les serveurs publics reçoivent les coordonnées des patients. Décochez pour n'utiliser que les serveurs du centre.
+              </span>
+            </label>
+          </div>
+
+          {/* Strict privacy */}
+          <div className={`rounded-lg border p-4 ${config.strictPrivacy ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}>
+            <div className="flex items-start gap-3">
+              <input
+                type="checkbox"
+                id="strictPrivacy"
+                checked={config.strictPrivacy}
+                onChange={(e) => setConfig(prev => ({ ...prev, strictPrivacy: e.target.checked }))}
+                className="rounded mt-1"
+              />
+              <label htmlFor="strictPrivacy" className="text-sm">
+                <span className="font-medium flex items-center gap-1">
+                  <ShieldCheck className="w-4 h-4 text-green-700" />
+                  Mode confidentialité stricte
+                </span>
+                <span className="block text-xs text-gray-500">
+                  Les coordonnées des patients ne sont envoyées qu'aux hôtes autorisés ci-dessous. Sans serveur autorisé disponible,
+                  les temps de trajet sont estimés à vol d'oiseau et l'optimisation locale simplifiée est utilisée.
+                </span>
+              </label>
+            </div>
+            {config.strictPrivacy && (
+              <div className="mt-3 ml-6">
+                <label htmlFor="allowedHosts" className="block text-sm font-medium text-gray-700 mb-1">
+                  Hôtes autorisés (un par ligne)
+                </label>
+                <textarea
+                  id="allowedHosts"
+                  rows={3}
+                  value={config.allowedHosts.join('\n')}
+                  onChange={(e) => setConfig(prev => ({ ...prev, allowedHosts: e.target.value.split('\n') }))}
+                  className="w-full p-2 border border-gray-300 rounded-md text-sm font-mono"
+                  placeholder={'localhost\nosrm.centre.local\n*.centre.local'}
+                />
+              </div>
+            )}
+          </div>
+
+          {ENDPOINT_SERVICES.map(service => (
+            <div key={service}>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold">{SERVICE_LABELS[service].title}</h3>
+                {service === 'osrm' && (
+                  <div className="flex items-center gap-2 text-sm">
+                    <label htmlFor="osrmProfile" className="text-gray-700">Profil</label>
+                    <select
+                      id="osrmProfile"
+                      value={config.osrm.profile}
+                      onChange={(e) => setConfig(prev => ({ ...prev, osrm: { ...prev.osrm, profile: e.target.value } }))}
+                      className="p-1 border border-gray-300 rounded-md"
+                    >
+                      <option value="driving">driving</option>
+                      <option value="walking">walking</option>
+                      <option value="cycling">cycling</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                {config[service].servers.map((server, index) => {
+                  const isSkipped = (server.isPublic && !config.allowPublicFallbacks) || !isHostAllowed(server.url, normalizedDraft);
+                  return (
+                    <div
+                      key={server.id}
+                      title={isSkipped ? 'Non utilisé avec les réglages actuels' : undefined}
+                      className={`grid grid-cols-12 gap-2 items-center p-2 rounded-lg border ${isSkipped ? 'bg-gray-100 border-gray-200 opacity-60' : 'bg-gray-50 border-gray-200'}`}
+                    >
+                      <span className="col-span-1 text-sm font-medium text-gray-500 text-center">{index + 1}</span>
+                      <input
+                        type="text"
+                        value={server.label}
+                        onChange={(e) => handleServerUpdate(service, index, 'label', e.target.value)}
+                        className="col-span-3 p-2 border border-gray-300 rounded-md text-sm"
+                        placeholder="Nom"
+                      />
+                      <input
+                        type="text"
+                        value={server.url}
+                        onChange={(e) => handleServerUpdate(service, index, 'url', e.target.value)}
+                        className="col-span-4 p-2 border border-gray-300 rounded-md text-sm font-mono"
+                        placeholder="https://..."
+                      />
+                      <div className="col-span-2 flex items-center gap-1">
+                        <input
+                          type="number"
+                          min="1"
+                          max="300"
+                          value={Math.round(server.timeout / 1000)}
+                          onChange={(e) => handleServerUpdate(service, index, 'timeout', (parseInt(e.target.value) || 0) * 1000)}
+                          className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                          title="Délai d'attente (secondes)"
+                        />
+                        <span className="text-xs text-gray-500">s</span>
+                      </div>
+                      <div className="col-span-2 flex items-center justify-end gap-1">
+                        <label className="flex items-center gap-1 text-xs text-gray-600 mr-1" title="Serveur hors du centre (données envoyées à un tiers)">
+                          <input
+                            type="checkbox"
+                            checked={server.isPublic}
+                            onChange={(e) => handleServerUpdate(service, index, 'isPublic', e.target.checked)}
+                            className="rounded"
+                          />
+                          Public
+                        </label>
+                        <button
+                          onClick={() => handleMoveServer(service, index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Essayer plus tôt"
+                        >
+                          <ChevronUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleMoveServer(service, index, 1)}
+                          disabled={index === config[service].servers.length - 1}
+                          className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Essayer plus tard"
+                        >
+                          <ChevronDown className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleRemoveServer(service, index)}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          title="Supprimer"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <button
+                onClick={() => handleAddServer(service)}
+                className="mt-2 flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+              >
+                <Plus className="w-4 h-4" />
+                Ajouter un serveur
+              </button>
+            </div>
+          ))}
+
+          {errors.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+              <div className="flex items-start gap-3">
+                <AlertTriangle className="w-5 h-5 text-red-600 mt-0.5" />
+                <ul className="text-sm text-red-700 space-y-1">
+                  {errors.map((error, index) => (
+                    <li key={index}>{error}</li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {/* Info Panel */}
+          <div className="bg-blue-50 rounded-lg p-4">
+            <div className="flex items-start gap-3">
+              <Info className="w-5 h-5 text-blue-600 mt-0.5" />
+              <div className="text-sm text-blue-800">
+                <p className="font-medium mb-1">Ordre de secours :</p>
+                <ul className="space-y-1 text-xs">
+                  <li>• Les serveurs sont essayés dans l'ordre de la liste</li>
+                  <li>• Si aucun serveur OSRM ne répond, les distances sont estimées à vol d'oiseau</li>
+                  <li>• Si aucun serveur VROOM ne répond, l'optimisation locale simplifiée est utilisée</li>
+                  <li>• Changer les serveurs OSRM vide le cache des distances</li>
+                </ul>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center justify-between p-6 border-t bg-gray-50">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800"
+          >
+            Annuler
+          </button>
+          <div className="flex gap-3">
+            <button
+              onClick={() => {
+                setConfig(normalizeEndpoints(DEFAULT_ENDPOINTS));
+                setErrors([]);
+              }}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 flex items-center gap-2"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Valeurs par défaut
+            </button>
+            <button
+              onClick={handleApply}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+            >
+              <Server className="w-4 h-4" />
+              Appliquer & Fermer
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EndpointSettingsPanel;
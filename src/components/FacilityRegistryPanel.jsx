@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import { Building, Plus, Edit2, Trash2, Search, ArrowLeft, Clock } from 'lucide-react';
+import AddressPicker from './AddressPicker';
+import { destinationIcon } from '../utils/mapSetup';
+import { WEEKDAYS } from '../utils/recurringCourses';
+import {
+  FACILITY_TYPES,
+  getFacilityType,
+  getFacilityTypeLabel,
+  normalizeFacility,
+  getNextFacilityId,
+  parseDayHours,
+  formatDayHours,
+  formatOpeningHours,
+  countFacilityCourses
+} from '../utils/facilityRegistry';
+
+let nextRowId = 1;
+const withRowIds = (entrances) => entrances.map(entrance => ({ ...entrance, rowId: nextRowId++ }));
+
+const toHoursText = (openingHours) => Object.fromEntries(
+  WEEKDAYS.map(day => [day.value, formatDayHours(openingHours[day.value])])
+);
+
+const FacilityRegistryPanel = ({
+  isOpen,
+  onClose,
+  facilities,
+  onFacilitiesChange,
+  courses = []
+}) => {
+  const [query, setQuery] = useState('');
+  const [editingFacility, setEditingFacility] = useState(null);
+  const [facilityType, setFacilityType] = useState(null);
+  const [hoursText, setHoursText] = useState({});
+  const [entranceRows, setEntranceRows] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setEditingFacility(null);
+      setQuery('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const listedFacilities = facilities
+    .filter(facility => facility.name.toLowerCase().includes(query.trim().toLowerCase()))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const startEditing = (facility) => {
+    setEditingFacility(facility);
+    setFacilityType(facility.type);
+    setHoursText(toHoursText(facility.openingHours));
+    setEntranceRows(withRowIds(facility.entrances));
+    setError(null);
+  };
+
+  const handleAddFacility = () => {
+    startEditing(normalizeFacility({ id: null, name: query }));
+    setEntranceRows(withRowIds([{ id: 'main', label: 'Entrée principale', coordinates: null }]));
+  };
+
+  const handleDeleteFacility = (facility) => {
+    const courseCount = countFacilityCourses(courses, facility.id);
+    if (courseCount > 0) {
+      setError(`${facility.name} a ${courseCount} course${courseCount > 1 ? 's' : ''} planifiée${courseCount > 1 ? 's' : ''} : supprimez-les avant l'établissement`);
+      return;
+    }
+    if (window.confirm(`Supprimer ${facility.name} du registre ?`)) {
+      onFacilitiesChange(facilities.filter(other => other.id !== facility.id));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+
+    const openingHours = {};
+    for (const day of WEEKDAYS) {
+      const intervals = parseDayHours(hoursText[day.value]);
+      if (!intervals) {
+        setError(`Horaires invalides le ${day.label} : utilisez le format 08:00-12:00, 14:00-18:00`);
+        return;
+      }
+      if (intervals.length > 0) openingHours[day.value] = intervals;
+    }
+
+    const entrances = entranceRows.map(row => ({
+      id: row.id || `entrance-${Date.now()}-${row.rowId}`,
+      label: formData.get(`entrance-label-${row.rowId}`),
+      coordinates: [parseFloat(formData.get(`entrance-lng-${row.rowId}`)), parseFloat(formData.get(`entrance-lat-${row.rowId}`))]
+    })).filter(entrance => entrance.coordinates.every(value => Number.isFinite(value)));
+    if (entrances.length === 0) {
+      setError('Localisez au moins une entrée (adresse ou point sur la carte)');
+      return;
+    }
+
+    const facility = normalizeFacility({
+      id: editingFacility.id ?? getNextFacilityId(facilities),
+      name: formData.get('name'),
+      type: facilityType,
+      entrances,
+      openingHours,
+      handoverMinutes: formData.get('handoverMinutes')
+    });
+
+    if (editingFacility.id === null) {
+      onFacilitiesChange([...facilities, facility]);
+    } else {
+      onFacilitiesChange(facilities.map(other => (other.id === facility.id ? facility : other)));
+    }
+    setEditingFacility(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center gap-3">
+            <Building className="w-6 h-6 text-blue-600" />
+            <h2 className="text-xl font-semibold">
+              {editingFacility ? (editingFacility.id === null ? 'Nouvel établissement' : editingFacility.name) : 'Établissements de santé'}
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+
+        {editingFacility ? (
+          <form key={editingFacility.id ?? 'new'} onSubmit={handleSubmit}>
+            <div className="p-6 space-y-4">
+              {error && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">{error}</div>
+              )}
+
+              <div className="grid grid-cols-3 gap-3">
+                <div className="col-span-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Nom</label>
+                  <input
+                    type="text"
+                    name="name"
+                    defaultValue={editingFacility.name}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={facilityType}
+                    onChange={(e) => setFacilityType(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {FACILITY_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Remise du patient (min)</label>
+                  <input
+                    type="number"
+                    name="handoverMinutes"
+                    min="0"
+                    max="60"
+                    defaultValue={editingFacility.handoverMinutes}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">Horaires d'ouverture</label>
+                  <button
+                    type="button"
+                    onClick={() => setHoursText(toHoursText(getFacilityType(facilityType).openingHours))}
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    <Clock className="w-4 h-4" />
+                    Horaires types ({getFacilityTypeLabel(facilityType)})
+                  </button>
+                </div>
+                <div className="grid grid-cols-7 gap-2">
+                  {WEEKDAYS.map(day => (
+                    <div key={day.value}>
+                      <div className="text-xs text-gray-600 mb-1">{day.label}</div>
+                      <input
+                        type="text"
+                        value={hoursText[day.value] || ''}
+                        onChange={(e) => setHoursText(prev => ({ ...prev, [day.value]: e.target.value }))}
+                        placeholder="Fermé"
+                        className="w-full px-2 py-1 border border-gray-300 rounded-md text-xs"
+                      />
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Plages au format 08:00-12:00, 14:00-18:00 ; laisser vide si fermé</p>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">Entrées et services</label>
+                  <button
+                    type="button"
+                    onClick={() => setEntranceRows(prev => [...prev, { rowId: nextRowId++, id: null, label: '', coordinates: null }])}
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Ajouter
+                  </button>
+                </div>
+                <div className="space-y-3">
+                  {entranceRows.map((row, index) => (
+                    <div key={row.rowId} className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          name={`entrance-label-${row.rowId}`}
+                          defaultValue={row.label}
+                          placeholder="Service ou entrée (ex. Dialyse, Urgences)"
+                          className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          required
+                        />
+                        {index > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => setEntranceRows(prev => prev.filter(other => other.rowId !== row.rowId))}
+                            className="p-1 text-red-500 hover:text-red-700"
+                            title="Supprimer"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                      <AddressPicker
+                        label="Point de dépose"
+                        name={`entrance-address-${row.rowId}`}
+                        lngName={`entrance-lng-${row.rowId}`}
+                        latName={`entrance-lat-${row.rowId}`}
+                        defaultAddress=""
+                        defaultCoordinates={row.coordinates}
+                        icon={destinationIcon}
+                        placeholder="Adresse ou point sur la carte"
+                      />
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">La première entrée est utilisée quand aucun service n'est précisé</p>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between p-6 border-t bg-gray-50">
+              <button
+                type="button"
+                onClick={() => setEditingFacility(null)}
+                className="flex items-center gap-2 px-4 py-2 text-gray-600 hover:text-gray-800"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Retour à la liste
+              </button>
+              <button
+                type="submit"
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Enregistrer
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-6 space-y-4">
+            <div className="flex gap-2">
+              <div className="relative flex-1">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-3" />
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm"
+                  placeholder="Rechercher un établissement"
+                />
+              </div>
+              <button
+                onClick={handleAddFacility}
+                className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
+              >
+                <Plus className="w-4 h-4" />
+                Nouvel établissement
+              </button>
+            </div>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">{error}</div>
+            )}
+
+            <div className="space-y-2">
+              {listedFacilities.map(facility => (
+                <div key={facility.id} className="flex items-start justify-between p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                  <div className="text-sm">
+                    <div className="font-medium text-gray-900">{facility.name}</div>
+                    <div className="text-xs text-gray-600 mt-1 flex flex-wrap gap-x-3 gap-y-1">
+                      <span>{getFacilityTypeLabel(facility.type)}</span>
+                      <span className="flex items-center gap-1">
+                        <Clock className="w-3 h-3" />
+                        {formatOpeningHours(facility)}
+                      </span>
+                      <span>Remise ~{facility.handoverMinutes} min</span>
+                      <span>{countFacilityCourses(courses, facility.id)} course(s)</span>
+                    </div>
+                    {facility.entrances.length > 1 && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        Entrées : {facility.entrances.map(entrance => entrance.label).join(', ')}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => startEditing(facility)}
+                      className="p-1 text-gray-600 hover:text-blue-600"
+                      title="Modifier"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteFacility(facility)}
+                      className="p-1 text-red-500 hover:text-red-700"
+                      title="Supprimer"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+              {listedFacilities.length === 0 && (
+                <p className="text-sm text-gray-500">Aucun établissement{query ? ' ne correspond à la recherche' : ''}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FacilityRegistryPanel;
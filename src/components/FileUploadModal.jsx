@@ -1,11 +1,26 @@
 import React, { useState, useRef } from 'react';
 import { Upload, FileText, Download, CheckCircle, AlertTriangle, X, Eye } from 'lucide-react';
-import { readCourseFile, validateCourses, generateExampleFiles } from '../utils/fileReader';
+import { readImportFile, completeImport, validateCourses, generateExampleFiles } from '../utils/fileReader';
+import { guessColumnMapping, findMappingProfile, applyMappingProfile, createMappingProfile } from '../utils/columnMapping';
 import ImportConfirmationModal from './ImportConfirmationModal';
+import ColumnMappingStep from './ColumnMappingStep';
 
-const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses = [] }) => {
+const FileUploadModal = ({
+  isOpen,
+  onClose,
+  onCoursesImported,
+  currentCourses = [],
+  patients = [],
+  facilities = [],
+  mappingProfiles = [],
+  onMappingProfilesChange,
+  defaultDate = null
+}) => {
   const [dragActive, setDragActive] = useState(false);
-  const [uploadStatus, setUploadStatus] = useState('idle'); // 'idle', 'uploading', 'success', 'error'
+  const [uploadStatus, setUploadStatus] = useState('idle'); // 'idle', 'uploading', 'mapping', 'success', 'error'
+  const [importedFile, setImportedFile] = useState(null); // Read file, before the column mapping
+  const [columnMapping, setColumnMapping] = useState({});
+  const [mappingProfile, setMappingProfile] = useState(null);
   const [uploadedData, setUploadedData] = useState(null);
   const [validationResult, setValidationResult] = useState(null);
   const [previewData, setPreviewData] = useState(null);
@@ -49,13 +64,21 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
     setPreviewData(null);
 
     try {
-      const result = await readCourseFile(file);
-      const validation = validateCourses(result.courses);
-      
-      setUploadedData(result);
-      setValidationResult(validation);
-      setPreviewData(result.courses.slice(0, 5)); // Show first 5 courses for preview
-      setUploadStatus('success');
+      const imported = await readImportFile(file);
+      setImportedFile(imported);
+      if (!imported.table) {
+        await finishImport(imported, null);
+        return;
+      }
+
+      // Columns already mapped for this header set are read right away, the others are checked first;
+      // a workbook with several course sheets always stops at the mapping step to pick the sheet
+      const mapping = resolveMapping(imported.table);
+      if (mapping && !(imported.sheets?.length > 1)) {
+        await finishImport(imported, mapping);
+      } else {
+        setUploadStatus('mapping');
+      }
     } catch (error) {
       console.error('Error reading file:', error);
       setUploadStatus('error');
@@ -63,6 +86,66 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
     }
   };
 
+  // Saved profile of a table's columns, or the mapping guessed from their names
+  // @returns {Object|null} Mapping of the profile, null when guessed
+  const resolveMapping = (table) => {
+    const profile = findMappingProfile(mappingProfiles, table.headers);
+    setMappingProfile(profile);
+    if (profile) {
+      const mapping = applyMappingProfile(profile, table.headers);
+      setColumnMapping(mapping);
+      return mapping;
+    }
+    setColumnMapping(guessColumnMapping(table.headers));
+    return null;
+  };
+
+  const handleSheetChange = (sheetName) => {
+    const sheet = importedFile.sheets.find(candidate => candidate.name === sheetName);
+    setImportedFile({ ...importedFile, sheetName, table: sheet.table });
+    resolveMapping(sheet.table);
+  };
+
+  const handleMappingConfirm = async (profileName) => {
+    if (profileName) {
+      const profile = createMappingProfile(
+        profileName,
+        importedFile.table.headers,
+        columnMapping,
+        mappingProfile?.id ?? Math.max(...mappingProfiles.map(other => other.id), 0) + 1
+      );
+      onMappingProfilesChange([...mappingProfiles.filter(other => other.headersKey !== profile.headersKey), profile]);
+      setMappingProfile(profile);
+    }
+    setUploadStatus('uploading');
+    try {
+      await finishImport(importedFile, columnMapping);
+    } catch (error) {
+      console.error('Error reading file:', error);
+      setUploadStatus('error');
+      setValidationResult({ errors: [error.message], warnings: [] });
+    }
+  };
+
+  const handleDeleteMappingProfile = () => {
+    onMappingProfilesChange(mappingProfiles.filter(other => other.id !== mappingProfile.id));
+    setMappingProfile(null);
+  };
+
+  // Courses of the read file: mapping, registries, geocoding and validation
+  const finishImport = async (imported, mapping) => {
+    const result = await completeImport(imported, { mapping, patients, facilities });
+    const validation = validateCourses(result.courses.map(course => ({ ...course, date: course.date || defaultDate })), facilities);
+    // Rows the CSV reader could not split into columns are reported with their line number
+    validation.errors.unshift(...result.rowErrors.map(rowError => `Ligne ${rowError.row} : ${rowError.message}`));
+    validation.warnings.unshift(...result.warnings);
+
+    setUploadedData(result);
+    setValidationResult(validation);
+    setPreviewData(result.courses.slice(0, 5)); // Show first 5 courses for preview
+    setUploadStatus('success');
+  };
+
   const handleImport = () => {
     if (uploadedData && uploadedData.courses && uploadedData.courses.length > 0) {
       setShowConfirmation(true);
@@ -80,6 +163,9 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
 
   const resetState = () => {
     setUploadStatus('idle');
+    setImportedFile(null);
+    setColumnMapping({});
+    setMappingProfile(null);
     setUploadedData(null);
     setValidationResult(null);
     setPreviewData(null);
@@ -149,7 +235,16 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
                   Glissez votre fichier ici ou cliquez pour sélectionner
                 </h4>
                 <p className="text-sm text-gray-600 mb-4">
-                  Formats supportés: CSV, JSON, TXT (jusqu'à 10MB)
+                  Formats supportés: CSV, Excel (.xlsx, .xls), OpenDocument (.ods), iCalendar (.ics), JSON, TXT (jusqu'à 10MB)
+                  <span className="block text-xs text-gray-500 mt-1">
+                    CSV séparé par virgules, points-virgules ou tabulations, en UTF-8 ou Windows-1252 (Excel)
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    Classeurs : feuille au choix, en-têtes fusionnés acceptés, dates et heures converties
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    Agendas .ics des logiciels hospitaliers : un rendez-vous par événement, le lieu devient la destination
+                  </span>
                 </p>
                 
                 <button
@@ -163,7 +258,7 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
                   ref={fileInputRef}
                   type="file"
                   onChange={handleFileSelect}
-                  accept=".csv,.json,.txt"
+                  accept=".csv,.xlsx,.xlsm,.xls,.ods,.ics,.json,.txt"
                   className="hidden"
                 />
               </div>
@@ -206,7 +301,7 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
                 <div className="text-xs text-gray-600 space-y-1">
                   <div><strong>Requis:</strong> nom_patient, lieu_depart, destination, heure_rdv</div>
                   <div><strong>Optionnels:</strong> coordonnées (lng/lat), durée_rdv</div>
-                  <div><strong>Formats acceptés:</strong> Colonnes flexibles, plusieurs variantes de noms acceptées</div>
+                  <div><strong>Formats acceptés:</strong> noms de colonnes libres, associés aux champs après l'envoi du fichier (correspondance mémorisée par profil)</div>
                 </div>
               </div>
             </div>
@@ -221,6 +316,24 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
             </div>
           )}
 
+          {/* Column Mapping (CSV and spreadsheets) */}
+          {uploadStatus === 'mapping' && importedFile?.table && (
+            <ColumnMappingStep
+              key={`${importedFile.sheetName || ''}:${mappingProfile?.id ?? 'new'}`}
+              table={importedFile.table}
+              sheets={importedFile.sheets}
+              sheetName={importedFile.sheetName}
+              onSheetChange={handleSheetChange}
+              mapping={columnMapping}
+              onMappingChange={setColumnMapping}
+              profile={mappingProfile}
+              defaultProfileName={importedFile.filename.replace(/\.[^.]+$/, '')}
+              onDeleteProfile={handleDeleteMappingProfile}
+              onConfirm={handleMappingConfirm}
+              onCancel={resetState}
+            />
+          )}
+
           {/* Success State */}
           {uploadStatus === 'success' && uploadedData && (
             <div>
@@ -242,13 +355,40 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
                     <span className="font-medium text-green-800">Format:</span>
                     <br />
                     <span className="text-green-700 uppercase">{uploadedData.format}</span>
+                    <span className="block text-xs text-green-700">
+                      {[
+                        uploadedData.encoding,
+                        uploadedData.delimiter && `séparateur ${uploadedData.delimiter}`,
+                        uploadedData.sheetName && `feuille « ${uploadedData.sheetName} »`
+                      ].filter(Boolean).join(' · ')}
+                    </span>
                   </div>
                   <div>
                     <span className="font-medium text-green-800">Courses:</span>
                     <br />
                     <span className="text-green-700">{uploadedData.count} trouvées</span>
+                    {uploadedData.patientMatchCount > 0 && (
+                      <span className="block text-xs text-green-700">{uploadedData.patientMatchCount} patient{uploadedData.patientMatchCount > 1 ? 's' : ''} reconnu{uploadedData.patientMatchCount > 1 ? 's' : ''}</span>
+                    )}
+                    {uploadedData.facilityMatchCount > 0 && (
+                      <span className="block text-xs text-green-700">{uploadedData.facilityMatchCount} établissement{uploadedData.facilityMatchCount > 1 ? 's' : ''} reconnu{uploadedData.facilityMatchCount > 1 ? 's' : ''}</span>
+                    )}
+                    {uploadedData.geocodedCount > 0 && (
+                      <span className="block text-xs text-green-700">{uploadedData.geocodedCount} adresse{uploadedData.geocodedCount > 1 ? 's' : ''} géocodée{uploadedData.geocodedCount > 1 ? 's' : ''}</span>
+                    )}
                   </div>
                 </div>
+                {importedFile?.table && (
+                  <div className="flex items-center justify-between mt-3 pt-3 border-t border-green-200 text-xs text-green-800">
+                    <span>{mappingProfile ? `Colonnes lues avec le profil « ${mappingProfile.name} »` : 'Colonnes lues avec la correspondance choisie'}</span>
+                    <button
+                      onClick={() => setUploadStatus('mapping')}
+                      className="text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      Modifier la correspondance des colonnes
+                    </button>
+                  </div>
+                )}
               </div>
 
               {/* Validation Results */}
@@ -304,6 +444,7 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
                           <th className="text-left py-2 px-2">Patient</th>
                           <th className="text-left py-2 px-2">Départ</th>
                           <th className="text-left py-2 px-2">Destination</th>
+                          <th className="text-left py-2 px-2">Date</th>
                           <th className="text-left py-2 px-2">Heure RDV</th>
                           <th className="text-left py-2 px-2">Durée</th>
                         </tr>
@@ -314,6 +455,7 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
                             <td className="py-2 px-2 font-medium">{course.patient}</td>
                             <td className="py-2 px-2">{course.pickup}</td>
                             <td className="py-2 px-2">{course.destination}</td>
+                            <td className="py-2 px-2">{course.date || defaultDate || '-'}</td>
                             <td className="py-2 px-2">{course.appointmentTime}</td>
                             <td className="py-2 px-2">{course.duration}min</td>
                           </tr>
@@ -394,6 +536,7 @@ const FileUploadModal = ({ isOpen, onClose, onCoursesImported, currentCourses =
         onConfirm={handleConfirmImport}
         importData={uploadedData}
         currentCourses={currentCourses}
+        defaultDate={defaultDate}
       />
     </div>
   );
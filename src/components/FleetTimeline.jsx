@@ -0,0 +1,173 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { CheckCircle, XCircle, Loader } from 'lucide-react';
+import VehicleSchedule from './VehicleSchedule';
+import { getTimelineRange, getRouteSegments, getTripBars } from '../utils/fleetTimeline';
+import { formatTimestamp } from '../utils/planningCalendar';
+
+const SNAP = 5 * 60; // Dropped times are rounded to 5 minutes
+
+const LEGEND = [
+  { label: 'Course', className: 'bg-blue-600' },
+  { label: 'Retour', className: 'bg-indigo-500' },
+  { label: 'Conduite', className: 'bg-blue-300' },
+  { label: 'Prise en charge / dépose', className: 'bg-green-400' },
+  { label: 'Attente', className: 'bg-gray-300' },
+  { label: 'Pause', className: 'bg-yellow-400' }
+];
+
+/**
+ * Fleet-wide timeline of the day: one lane per vehicle. A course dragged to another lane
+ * or time is checked live (time windows, capacity, skills) and written back on drop.
+ */
+const FleetTimeline = ({ routes = [], vehicles, trips, date, onPreviewMove, onMove, onRefused }) => {
+  const [dragged, setDragged] = useState(null); // { bar, grabOffset }
+  const [hover, setHover] = useState(null); // { vehicleId, notBefore, status, message }
+  const previewRef = useRef({ key: null, promise: null });
+
+  const activeVehicles = vehicles.filter(v => v.status !== 'maintenance');
+  const range = useMemo(() => getTimelineRange(routes, activeVehicles, date), [routes, vehicles, date]);
+
+  const lanes = activeVehicles.map(vehicle => {
+    const route = routes.find(r => r.vehicle === vehicle.id);
+    return {
+      vehicle,
+      segments: route ? getRouteSegments(route) : [],
+      bars: route ? getTripBars(route, trips) : []
+    };
+  });
+
+  const resetDrag = () => {
+    setDragged(null);
+    setHover(null);
+    previewRef.current = { key: null, promise: null };
+  };
+
+  const handleBarDragStart = (bar, pointerTime) => {
+    setDragged({ bar, grabOffset: pointerTime - bar.start });
+  };
+
+  const handleLaneDragOver = (vehicle, pointerTime) => {
+    if (!dragged) return;
+    const notBefore = Math.round((pointerTime - dragged.grabOffset) / SNAP) * SNAP;
+    const key = `${vehicle.id}:${notBefore}`;
+    if (previewRef.current.key === key) return;
+
+    const promise = onPreviewMove({ tripId: dragged.bar.trip.id, vehicleId: vehicle.id, notBefore });
+    previewRef.current = { key, promise };
+    setHover({ vehicleId: vehicle.id, notBefore, status: 'pending', message: null });
+
+    promise.then(result => {
+      // A newer position may have been checked meanwhile
+      if (previewRef.current.key !== key) return;
+      setHover({ vehicleId: vehicle.id, notBefore, status: result.feasible ? 'ok' : 'refused', message: result.feasible ? describeMove(result, vehicle) : result.message });
+    });
+  };
+
+  const handleLaneDrop = async (vehicle) => {
+    const { promise } = previewRef.current;
+    resetDrag();
+    if (!promise) return;
+
+    const result = await promise;
+    if (result.feasible) {
+      onMove(result, vehicle);
+    } else {
+      onRefused(result.message);
+    }
+  };
+
+  const describeMove = (result, vehicle) => {
+    const parts = [`Prise en charge ${formatTimestamp(result.pickupTimestamp, date)} sur ${vehicle.name}`];
+    parts.push(`${result.addedKm >= 0 ? '+' : ''}${result.addedKm} km`);
+    if (result.impacts.length > 0) {
+      parts.push(`retards : ${result.impacts.map(impact => `${impact.patient} +${impact.delayMin} min`).join(', ')}`);
+    }
+    return parts.join(' · ');
+  };
+
+  if (activeVehicles.length === 0) {
+    return <p className="text-sm text-gray-500">Aucun véhicule disponible</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+        {LEGEND.map(item => (
+          <span key={item.label} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded ${item.className}`} />
+            {item.label}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded ring-2 ring-amber-400" />
+          Déplacée à la main
+        </span>
+      </div>
+
+      {/* Live check of the dragged course */}
+      <div className="h-6 text-sm">
+        {dragged && !hover && (
+          <span className="text-gray-500">Déposez {dragged.bar.trip.patient} sur un véhicule et un horaire</span>
+        )}
+        {hover?.status === 'pending' && (
+          <span className="flex items-center gap-1 text-blue-700">
+            <Loader className="w-4 h-4 animate-spin" />
+            Vérification…
+          </span>
+        )}
+        {hover?.status === 'ok' && (
+          <span className="flex items-center gap-1 text-green-700">
+            <CheckCircle className="w-4 h-4" />
+            {hover.message}
+          </span>
+        )}
+        {hover?.status === 'refused' && (
+          <span className="flex items-center gap-1 text-red-700">
+            <XCircle className="w-4 h-4" />
+            {hover.message}
+          </span>
+        )}
+      </div>
+
+      {/* Hours */}
+      <div className="flex gap-3">
+        <div className="w-40 flex-shrink-0" />
+        <div className="relative flex-1 h-4">
+          {range.hours.map(hour => (
+            <span
+              key={hour}
+              className="absolute text-xs text-gray-500 transform -translate-x-1/2"
+              style={{ left: `${((hour - range.start) / (range.end - range.start)) * 100}%` }}
+            >
+              {formatTimestamp(hour, date)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2" onDragLeave={(e) => {
+        if (e.currentTarget.contains(e.relatedTarget)) return;
+        setHover(null);
+        previewRef.current = { key: null, promise: null };
+      }}>
+        {lanes.map(lane => (
+          <VehicleSchedule
+            key={lane.vehicle.id}
+            vehicle={lane.vehicle}
+            segments={lane.segments}
+            bars={lane.bars}
+            range={range}
+            date={date}
+            dropState={hover?.vehicleId === lane.vehicle.id ? hover : null}
+            onBarDragStart={handleBarDragStart}
+            onBarDragEnd={resetDrag}
+            onLaneDragOver={handleLaneDragOver}
+            onLaneDrop={handleLaneDrop}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FleetTimeline;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MapPin, Upload, Trash2, Search, Info, AlertTriangle, CheckCircle } from 'lucide-react';
+import { importBanCsv, removeGazetteerDepartement, getGazetteerSummary } from '../services/banGazetteer';
+import { geocode, describeGeocodeResult, GEOCODER_CONFIG } from '../services/geocoder';
+
+/**
+ * Text of a BAN extract, decompressing the .csv.gz files served by adresse.data.gouv.fr
+ */
+async function readBanFile(file) {
+  if (!file.name.endsWith('.gz')) return file.text();
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Ce navigateur ne sait pas décompresser les fichiers .gz : décompressez-le avant import');
+  }
+  const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+const GazetteerPanel = ({ isOpen, onClose }) => {
+  const [summary, setSummary] = useState([]);
+  const [importStatus, setImportStatus] = useState(null); // { state: 'running' | 'success' | 'error', message }
+  const [query, setQuery] = useState('');
+  const [searchResult, setSearchResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const refreshSummary = async () => {
+    setSummary(await getGazetteerSummary());
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      refreshSummary();
+      setImportStatus(null);
+      setSearchResult(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImportStatus({ state: 'running', message: `Lecture de ${file.name}...` });
+    try {
+      const result = await importBanCsv(await readBanFile(file));
+      if (!result.success) {
+        setImportStatus({ state: 'error', message: result.error });
+        return;
+      }
+      setImportStatus({
+        state: 'success',
+        message: `${result.addressCount} adresses, ${result.streetCount} voies importées (département ${result.departements.join(', ')})` +
+          (result.skippedLines > 0 ? ` - ${result.skippedLines} lignes ignorées` : '')
+      });
+      await refreshSummary();
+    } catch (error) {
+      setImportStatus({ state: 'error', message: error.message });
+    }
+  };
+
+  const handleRemove = async (departement) => {
+    if (!window.confirm(`Supprimer les adresses du département ${departement} ?`)) return;
+    await removeGazetteerDepartement(departement);
+    await refreshSummary();
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setSearchResult(await geocode(query));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center gap-3">
+            <MapPin className="w-6 h-6 text-blue-600" />
+            <h2 className="text-xl font-semibold">Base d'adresses (BAN)</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Import */}
+          <div>
+            <h3 className="font-semibold mb-2">Importer un département</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Fichier CSV de la Base Adresse Nationale (adresses-84.csv ou adresses-84.csv.gz, sur adresse.data.gouv.fr).
+              Un département déjà importé est remplacé.
+            </p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.gz"
+              onChange={handleFileSelect}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importStatus?.state === 'running'}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white px-4 py-2 rounded-lg text-sm font-medium"
+            >
+              {importStatus?.state === 'running' ? (
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+              ) : (
+                <Upload className="w-4 h-4" />
+              )}
+              Choisir un fichier BAN
+            </button>
+            {importStatus && (
+              <div className={`mt-3 flex items-start gap-2 text-sm ${
+                importStatus.state === 'error' ? 'text-red-700' : importStatus.state === 'success' ? 'text-green-700' : 'text-gray-600'
+              }`}>
+                {importStatus.state === 'error' && <AlertTriangle className="w-4 h-4 mt-0.5" />}
+                {importStatus.state === 'success' && <CheckCircle className="w-4 h-4 mt-0.5" />}
+                <span>{importStatus.message}</span>
+              </div>
+            )}
+          </div>
+
+          {/* Imported départements */}
+          <div>
+            <h3 className="font-semibold mb-2">Départements importés</h3>
+            {summary.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                Aucun département : les courses sans coordonnées ne peuvent pas être localisées.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {summary.map(entry => (
+                  <div key={entry.departement} className="flex items-center justify-between p-2 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                    <span className="font-medium">{entry.departement}</span>
+                    <span className="text-gray-600">
+                      {entry.communes} communes · {entry.streets} voies · {entry.addresses} adresses
+                    </span>
+                    <button
+                      onClick={() => handleRemove(entry.departement)}
+                      className="p-1 text-red-500 hover:text-red-700"
+                      title="Supprimer"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Test search */}
+          <div>
+            <h3 className="font-semibold mb-2">Tester une adresse</h3>
+            <form onSubmit={handleSearch} className="flex gap-2">
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                placeholder="12 av. du Mont Ventoux, Carpentras"
+              />
+              <button
+                type="submit"
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <Search className="w-4 h-4" />
+                Rechercher
+              </button>
+            </form>
+            {searchResult && (
+              <div className="mt-3 space-y-1 text-sm">
+                {!searchResult.success && <p className="text-red-700">{searchResult.error}</p>}
+                {searchResult.results.map((result, index) => (
+                  <div
+                    key={index}
+                    className={`flex items-center justify-between p-2 rounded border ${
+                      result.confidence >= GEOCODER_CONFIG.minConfidence ? 'border-green-200 bg-green-50' : 'border-amber-200 bg-amber-50'
+                    }`}
+                  >
+                    <span>{describeGeocodeResult(result)}</span>
+                    <span className="font-mono text-xs text-gray-600">
+                      {result.coordinates[1].toFixed(5)}, {result.coordinates[0].toFixed(5)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Info Panel */}
+          <div className="bg-blue-50 rounded-lg p-4">
+            <div className="flex items-start gap-3">
+              <Info className="w-5 h-5 text-blue-600 mt-0.5" />
+              <div className="text-sm text-blue-800">
+                <p className="font-medium mb-1">Géocodage hors ligne :</p>
+                <ul className="space-y-1 text-xs">
+                  <li>• Les adresses sont recherchées dans le navigateur, sans envoi à un service externe</li>
+                  <li>• Les fautes de frappe et abréviations (av., bd, st...) sont tolérées</li>
+                  <li>• En dessous de {Math.round(GEOCODER_CONFIG.minConfidence * 100)} % de confiance, la position doit être vérifiée</li>
+                </ul>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end p-6 border-t bg-gray-50">
+          <button
+            onClick={onClose}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Fermer
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GazetteerPanel;
@@ -1,21 +1,20 @@
 import React from 'react';
 import { CheckCircle, AlertTriangle, X } from 'lucide-react';
+import { isDuplicateCourse } from '../utils/patientRegistry';
 
-const ImportConfirmationModal = ({ isOpen, onClose, onConfirm, importData, currentCourses }) => {
+const ImportConfirmationModal = ({ isOpen, onClose, onConfirm, importData, currentCourses, defaultDate = null }) => {
   if (!isOpen || !importData) return null;
 
   const { courses } = importData;
   const existingCount = currentCourses.length;
   
-  // Check for duplicates
+  // Check for duplicates (courses without a date are planned on the displayed day)
   const duplicates = [];
   const uniqueNewCourses = [];
   
   courses.forEach(newCourse => {
-    const isDuplicate = currentCourses.some(existing => 
-      existing.patient.toLowerCase() === newCourse.patient.toLowerCase() &&
-      existing.pickup.toLowerCase() === newCourse.pickup.toLowerCase() &&
-      existing.appointmentTime === newCourse.appointmentTime
+    const isDuplicate = currentCourses.some(existing =>
+      isDuplicateCourse(existing, { ...newCourse, date: newCourse.date || defaultDate })
     );
     
     if (isDuplicate) {
@@ -13,6 +13,7 @@ import {
   runServiceHealthCheck,
   runRealWorldSimulation
 } from '../utils/advancedOptimizationTests.js';
+import { runAllPlanningTests } from '../utils/planningTests.js';
 import { diagnosticVROOMTest } from '../services/vroomService.js';
 
 const OptimizationTester = ({ isOpen, onClose }) => {
@@ -88,6 +89,10 @@ const OptimizationTester = ({ isOpen, onClose }) => {
           setCurrentTest('Real-World Simulation');
           result = await runRealWorldSimulation();
           break;
+        case 'planning':
+          setCurrentTest('Planning Tests');
+          result = await runAllPlanningTests();
+          break;
         case 'stress':
           setCurrentTest('Stress Test');
           const largeScenario = generateStressTestScenario(15, 50);
@@ -196,6 +201,20 @@ const OptimizationTester = ({ isOpen, onClose }) => {
               </button>
             </div>
 
+            {/* Planning Tests */}
+            <div className="space-y-3 mb-6">
+              <h4 className="font-medium text-gray-700">Planning Tests</h4>
+              
+              <button
+                onClick={() => runTest('planning')}
+                disabled={testing}
+                className="w-full flex items-center gap-2 px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 disabled:opacity-50"
+              >
+                <CheckCircle className="h-4 w-4" />
+                Planning Rules
+              </button>
+            </div>
+
             {/* Advanced Tests */}
             <div className="space-y-3 mb-6">
               <h4 className="font-medium text-gray-700">Advanced Tests</h4>
@@ -262,6 +281,7 @@ const OptimizationTester = ({ isOpen, onClose }) => {
               <div className="text-xs text-blue-800 space-y-1">
                 <p><strong>Quick Tests:</strong> Basic connectivity checks</p>
                 <p><strong>Optimization:</strong> Core routing scenarios</p>
+                <p><strong>Planning:</strong> Scheduling rule checks</p>
                 <p><strong>Health Check:</strong> Full system diagnostics</p>
                 <p><strong>Performance:</strong> Speed & memory benchmarks</p>
                 <p><strong>Real-World:</strong> Simulated daily operations</p>
@@ -356,6 +376,14 @@ const OptimizationTester = ({ isOpen, onClose }) => {
                         <p>📍 Total Trips: {results.data.summary?.totalTrips}</p>
                       </div>
                     )}
+                    {results.type === 'planning' && (
+                      <div className="space-y-1">
+                        <p>📊 Checks passed: {results.data.passed}/{results.data.total}</p>
+                        {results.data.results.map(feature => (
+                          <p key={feature.feature}>{feature.success ? '✅' : '❌'} {feature.name}: {feature.passed}/{feature.passed + feature.failed}</p>
+                        ))}
+                      </div>
+                    )}
                     {results.type === 'stress' && (
                       <div className="space-y-1">
                         <p>🚗 Vehicles: {results.data.scenario?.vehicles.length}</p>
@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Plus, Edit2, Trash2, Search, Phone, ArrowLeft } from 'lucide-react';
+import AddressPicker from './AddressPicker';
+import { pickupIcon, destinationIcon } from '../utils/mapSetup';
+import { VEHICLE_TYPES, getVehicleTypeLabel } from '../utils/vehicleSkills';
+import {
+  MOBILITY_PROFILES,
+  ADDRESS_KINDS,
+  getMobilityLabel,
+  getAddressKindLabel,
+  getPatientRequirements,
+  normalizePatient,
+  getNextPatientId,
+  searchPatients,
+  countPatientCourses
+} from '../utils/patientRegistry';
+
+let nextRowId = 1;
+const withRowIds = (addresses) => addresses.map(address => ({ ...address, rowId: nextRowId++ }));
+
+// Address rows of the patient form (home, EHPAD... or usual destinations)
+const AddressRows = ({ prefix, title, rows, setRows, icon, defaultKind }) => (
+  <div>
+    <div className="flex items-center justify-between mb-2">
+      <label className="block text-sm font-medium text-gray-700">{title}</label>
+      <button
+        type="button"
+        onClick={() => setRows(prev => [...prev, { rowId: nextRowId++, kind: defaultKind, label: '', address: '', coordinates: null }])}
+        className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+      >
+        <Plus className="w-4 h-4" />
+        Ajouter
+      </button>
+    </div>
+    <div className="space-y-3">
+      {rows.map(row => (
+        <div key={row.rowId} className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+          <div className="flex gap-2">
+            <select
+              name={`${prefix}-kind-${row.rowId}`}
+              defaultValue={row.kind}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {ADDRESS_KINDS.map(kind => (
+                <option key={kind.value} value={kind.value}>{kind.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              name={`${prefix}-label-${row.rowId}`}
+              defaultValue={row.label}
+              placeholder="Nom (ex. EHPAD Les Oliviers, fille)"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+            <button
+              type="button"
+              onClick={() => setRows(prev => prev.filter(other => other.rowId !== row.rowId))}
+              className="p-1 text-red-500 hover:text-red-700"
+              title="Supprimer"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          <AddressPicker
+            label="Adresse"
+            name={`${prefix}-address-${row.rowId}`}
+            lngName={`${prefix}-lng-${row.rowId}`}
+            latName={`${prefix}-lat-${row.rowId}`}
+            defaultAddress={row.address}
+            defaultCoordinates={row.coordinates}
+            icon={icon}
+          />
+        </div>
+      ))}
+      {rows.length === 0 && <p className="text-xs text-gray-500">Aucune adresse</p>}
+    </div>
+  </div>
+);
+
+const readAddressRows = (formData, prefix, rows) => rows.map(row => {
+  const coordinates = [parseFloat(formData.get(`${prefix}-lng-${row.rowId}`)), parseFloat(formData.get(`${prefix}-lat-${row.rowId}`))];
+  return {
+    id: row.id,
+    kind: formData.get(`${prefix}-kind-${row.rowId}`),
+    label: formData.get(`${prefix}-label-${row.rowId}`),
+    address: formData.get(`${prefix}-address-${row.rowId}`),
+    coordinates: coordinates.every(value => Number.isFinite(value)) ? coordinates : null
+  };
+});
+
+const PatientRegistryPanel = ({
+  isOpen,
+  onClose,
+  patients,
+  onPatientsChange,
+  courses = []
+}) => {
+  const [query, setQuery] = useState('');
+  const [editingPatient, setEditingPatient] = useState(null);
+  const [addressRows, setAddressRows] = useState([]);
+  const [destinationRows, setDestinationRows] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setEditingPatient(null);
+      setQuery('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const listedPatients = query.trim()
+    ? searchPatients(patients, query, patients.length)
+    : [...patients].sort((a, b) => a.name.localeCompare(b.name));
+
+  const startEditing = (patient) => {
+    setEditingPatient(patient);
+    setAddressRows(withRowIds(patient.addresses));
+    setDestinationRows(withRowIds(patient.usualDestinations));
+    setError(null);
+  };
+
+  const handleAddPatient = () => {
+    startEditing(normalizePatient({ id: null, name: query }));
+    setAddressRows(withRowIds([{ kind: 'home', label: '', address: '', coordinates: null }]));
+  };
+
+  const handleDeletePatient = (patient) => {
+    const courseCount = countPatientCourses(courses, patient.id);
+    if (courseCount > 0) {
+      setError(`${patient.name} a ${courseCount} course${courseCount > 1 ? 's' : ''} planifiée${courseCount > 1 ? 's' : ''} : supprimez-les avant le patient`);
+      return;
+    }
+    if (window.confirm(`Supprimer ${patient.name} du registre ?`)) {
+      onPatientsChange(patients.filter(other => other.id !== patient.id));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const patient = normalizePatient({
+      id: editingPatient.id ?? getNextPatientId(patients),
+      name: formData.get('name'),
+      phone: formData.get('phone'),
+      mobility: formData.get('mobility'),
+      defaultVehicleType: formData.get('defaultVehicleType') || null,
+      addresses: readAddressRows(formData, 'address', addressRows),
+      usualDestinations: readAddressRows(formData, 'destination', destinationRows),
+      notes: formData.get('notes')
+    });
+
+    if (editingPatient.id === null) {
+      onPatientsChange([...patients, patient]);
+    } else {
+      onPatientsChange(patients.map(other => (other.id === patient.id ? patient : other)));
+    }
+    setEditingPatient(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center gap-3">
+            <Users className="w-6 h-6 text-blue-600" />
+            <h2 className="text-xl font-semibold">
+              {editingPatient ? (editingPatient.id === null ? 'Nouveau patient' : editingPatient.name) : 'Registre des patients'}
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ✕
+          </button>
+        </div>
+
+        {editingPatient ? (
+          <form key={editingPatient.id ?? 'new'} onSubmit={handleSubmit}>
+            <div className="p-6 space-y-4">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Nom</label>
+                  <input
+                    type="text"
+                    name="name"
+                    defaultValue={editingPatient.name}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Téléphone</label>
+                  <input
+                    type="tel"
+                    name="phone"
+                    defaultValue={editingPatient.phone}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Mobilité</label>
+                  <select
+                    name="mobility"
+                    defaultValue={editingPatient.mobility}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {MOBILITY_PROFILES.map(profile => (
+                      <option key={profile.value} value={profile.value}>
+                        {profile.label} ({getVehicleTypeLabel(profile.vehicleType)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Véhicule par défaut</label>
+                  <select
+                    name="defaultVehicleType"
+                    defaultValue={editingPatient.defaultVehicleType || ''}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Selon la mobilité</option>
+                    {VEHICLE_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <AddressRows
+                prefix="address"
+                title="Adresses de prise en charge"
+                rows={addressRows}
+                setRows={setAddressRows}
+                icon={pickupIcon}
+                defaultKind="home"
+              />
+              <AddressRows
+                prefix="destination"
+                title="Destinations habituelles"
+                rows={destinationRows}
+                setRows={setDestinationRows}
+                icon={destinationIcon}
+                defaultKind="other"
+              />
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  name="notes"
+                  rows={3}
+                  defaultValue={editingPatient.notes}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  placeholder="Code d'accès, étage, accompagnant..."
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between p-6 border-t bg-gray-50">
+              <button
+                type="button"
+                onClick={() => setEditingPatient(null)}
+                className="flex items-center gap-2 px-4 py-2 text-gray-600 hover:text-gray-800"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Retour à la liste
+              </button>
+              <button
+                type="submit"
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Enregistrer
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-6 space-y-4">
+            <div className="flex gap-2">
+              <div className="relative flex-1">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-3" />
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm"
+                  placeholder="Rechercher un patient"
+                />
+              </div>
+              <button
+                onClick={handleAddPatient}
+                className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
+              >
+                <Plus className="w-4 h-4" />
+                Nouveau patient
+              </button>
+            </div>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">{error}</div>
+            )}
+
+            <div className="space-y-2">
+              {listedPatients.map(patient => {
+                const requirements = getPatientRequirements(patient);
+                const home = patient.addresses.find(address => address.kind === 'home') || patient.addresses[0];
+                return (
+                  <div key={patient.id} className="flex items-start justify-between p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                    <div className="text-sm">
+                      <div className="font-medium text-gray-900">{patient.name}</div>
+                      <div className="text-xs text-gray-600 mt-1 flex flex-wrap gap-x-3 gap-y-1">
+                        <span>{getMobilityLabel(patient.mobility)} · {getVehicleTypeLabel(requirements.vehicleType)}</span>
+                        {patient.phone && (
+                          <span className="flex items-center gap-1">
+                            <Phone className="w-3 h-3" />
+                            {patient.phone}
+                          </span>
+                        )}
+                        {home && <span>{getAddressKindLabel(home.kind)} : {home.address}</span>}
+                        <span>{countPatientCourses(courses, patient.id)} course(s)</span>
+                      </div>
+                      {patient.notes && <div className="text-xs text-gray-500 mt-1 italic">{patient.notes}</div>}
+                    </div>
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => startEditing(patient)}
+                        className="p-1 text-gray-600 hover:text-blue-600"
+                        title="Modifier"
+                      >
+                        <Edit2 className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeletePatient(patient)}
+                        className="p-1 text-red-500 hover:text-red-700"
+                        title="Supprimer"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+              {listedPatients.length === 0 && (
+                <p className="text-sm text-gray-500">Aucun patient{query ? ' ne correspond à la recherche' : ''}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PatientRegistryPanel;
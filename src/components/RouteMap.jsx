@@ -1,7 +1,7 @@
 import React, { useEffect, useRef } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
-import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import { MAP_CENTER, MAP_ZOOM, TILE_LAYER, vehicleIcon, selectedVehicleIcon, pickupIcon, destinationIcon } from '../utils/mapSetup';
 
 // Add CSS for selected vehicle animation
 const selectedVehicleStyle = `
@@ -24,44 +24,7 @@ if (typeof document !== 'undefined') {
   document.head.appendChild(styleSheet);
 }
 
-// Fix for default markers
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-});
-
-// Custom icons
-const vehicleIcon = new L.Icon({
-  iconUrl: 'https://cdn-icons-png.flaticon.com/512/3202/3202003.png',
-  iconSize: [30, 30],
-  iconAnchor: [15, 15],
-});
-
-const selectedVehicleIcon = new L.Icon({
-  iconUrl: 'https://cdn-icons-png.flaticon.com/512/3202/3202003.png',
-  iconSize: [40, 40], // Larger for selected vehicle
-  iconAnchor: [20, 20],
-  className: 'selected-vehicle-icon'
-});
-
-const pickupIcon = new L.Icon({
-  iconUrl: 'https://cdn-icons-png.flaticon.com/512/447/447031.png',
-  iconSize: [25, 25],
-  iconAnchor: [12, 25],
-});
-
-const destinationIcon = new L.Icon({
-  iconUrl: 'https://cdn-icons-png.flaticon.com/512/684/684908.png',
-  iconSize: [25, 25],
-  iconAnchor: [12, 25],
-});
-
-const RouteMap = ({ trips, vehicles, optimizationResult, selectedVehicle, visibleRoutes = new Set() }) => {
-  // Carpentras/Avignon area center coordinates
-  const center = [44.1, 4.95];
-  const zoom = 10;
+const RouteMap = ({ trips, vehicles, optimizationResult, selectedVehicle, visibleRoutes = new Set(), routeGeometries = {} }) => {
 
   // Color palette for different routes
   const routeColors = ['#ff0000', '#00ff00', '#0000ff', '#ff8000', '#8000ff', '#00ffff'];
@@ -99,7 +62,9 @@ const RouteMap = ({ trips, vehicles, optimizationResult, selectedVehicle, visibl
         {optimizationResult && optimizationResult.routes && (
           <div className="flex items-center gap-2">
             <div className="w-8 h-1 bg-blue-600"></div>
-            <span>Routes optimisées (trajets complets)</span>
+            <span>
+              Routes optimisées (trajets complets{Object.values(routeGeometries).some(geometry => geometry.roadSnapped) ? ', tracé routier' : ''})
+            </span>
           </div>
         )}
         {selectedVehicle && (
@@ -111,11 +76,8 @@ const RouteMap = ({ trips, vehicles, optimizationResult, selectedVehicle, visibl
       
       {/* Map */}
       <div className="h-96 w-full border rounded-lg overflow-hidden relative z-0">
-      <MapContainer center={center} zoom={zoom} style={{ height: '100%', width: '100%', zIndex: 0 }}>
-        <TileLayer
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        />
+      <MapContainer center={MAP_CENTER} zoom={MAP_ZOOM} style={{ height: '100%', width: '100%', zIndex: 0 }}>
+        <TileLayer url={TILE_LAYER.url} attribution={TILE_LAYER.attribution} />
         
         {/* Vehicle markers */}
         {vehicles.map(vehicle => {
@@ -259,10 +221,14 @@ const RouteMap = ({ trips, vehicles, optimizationResult, selectedVehicle, visibl
           // Add return to vehicle base
           routePath.push(vehicle.coordinates);
 
+          // Road path from OSRM once computed, straight lines between the stops until then
+          const geometry = routeGeometries[route.vehicle];
+          const positions = geometry?.roadSnapped ? geometry.coordinates : routePath;
+
           return (
             <Polyline
               key={`route-${index}`}
-              positions={routePath.map(coord => [coord[1], coord[0]])}
+              positions={positions.map(coord => [coord[1], coord[0]])}
               color={isSelectedVehicle ? '#0066ff' : color}
               weight={isSelectedVehicle ? 6 : 4}
               opacity={isSelectedVehicle ? 1 : 0.8}
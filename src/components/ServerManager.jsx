@@ -103,7 +103,7 @@ const ServerManager = () => {
                 {getStatusIcon(osrmStatus.local.available, osrmStatus.local.error)}
               </div>
               <p className="text-sm text-gray-600 mb-1">
-                URL: <code className="bg-gray-200 px-1 rounded">http://localhost:5000</code>
+                URL: <code className="bg-gray-200 px-1 rounded">{osrmStatus.local.url || '—'}</code>
               </p>
               {osrmStatus.local.responseTime && (
                 <p className="text-sm text-gray-600 mb-1">
@@ -122,7 +122,7 @@ const ServerManager = () => {
                 {getStatusIcon(osrmStatus.fallback.available, osrmStatus.fallback.error)}
               </div>
               <p className="text-sm text-gray-600 mb-1">
-                URL: <code className="bg-gray-200 px-1 rounded">router.project-osrm.org</code>
+                URL: <code className="bg-gray-200 px-1 rounded">{osrmStatus.fallback.url || '—'}</code>
               </p>
               {osrmStatus.fallback.responseTime && (
                 <p className="text-sm text-gray-600 mb-1">
@@ -153,10 +153,6 @@ const ServerManager = () => {
                 <p className="text-xs text-blue-700 mb-2">Docker Command:</p>
                 <code className="text-xs text-blue-900 break-all">{osrmInstructions.dockerCommand}</code>
               </div>
-              <div className="mt-3 p-3 bg-blue-100 rounded border">
-                <p className="text-xs text-blue-700 mb-1">Data Path:</p>
-                <code className="text-xs text-blue-900">{osrmInstructions.dataPath}</code>
-              </div>
             </div>
           )}
         </div>
@@ -191,7 +187,7 @@ const ServerManager = () => {
                 {getStatusIcon(vroomStatus.local.available, vroomStatus.local.error)}
               </div>
               <p className="text-sm text-gray-600 mb-1">
-                URL: <code className="bg-gray-200 px-1 rounded">http://localhost:3000</code>
+                URL: <code className="bg-gray-200 px-1 rounded">{vroomStatus.local.url || '—'}</code>
               </p>
               {vroomStatus.local.responseTime && (
                 <p className="text-sm text-gray-600 mb-1">
@@ -0,0 +1,70 @@
+import React from 'react';
+import { AlertTriangle, Clock, Car, Plus, Lightbulb } from 'lucide-react';
+
+const REMEDY_ICONS = {
+  'widen-window': Clock,
+  'vehicle-type': Car,
+  'temporary-vehicle': Plus,
+  'resolve-conflicts': Lightbulb
+};
+
+/**
+ * Courses left out of the optimized day, with the binding reason and one-click remedies.
+ * Remedies change the course or the fleet; the next optimization takes them into account.
+ */
+const UnassignedPanel = ({ entries, formatCourseTime, onRemedy }) => {
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <h3 className="flex items-center gap-2 font-medium text-gray-900 mb-3">
+        <AlertTriangle className="w-4 h-4 text-red-600" />
+        Courses non assignées ({entries.length})
+      </h3>
+      <div className="space-y-2">
+        {entries.map(entry => (
+          <div key={entry.trip.id} className="border border-red-200 rounded-lg p-4 bg-red-50">
+            <div className="flex justify-between items-start">
+              <div>
+                <div className="font-medium text-gray-900">
+                  {entry.trip.patient}
+                  {entry.trip.isReturnTrip && <span className="ml-2 text-xs text-indigo-700">(retour)</span>}
+                </div>
+                <div className="text-sm text-gray-600">
+                  {entry.trip.pickup} → {entry.trip.destination}
+                </div>
+              </div>
+              <div className="text-right text-sm">
+                <div className="text-gray-500">{entry.trip.isReturnTrip ? 'Fin RDV' : 'RDV'}: {formatCourseTime(entry.trip)}</div>
+                <span className={`inline-block mt-1 px-2 py-0.5 rounded text-xs font-medium ${entry.reason.className}`}>
+                  {entry.reason.label}
+                </span>
+              </div>
+            </div>
+            <div className="text-sm text-red-700 mt-2">{entry.detail}</div>
+
+            {entry.remedies.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {entry.remedies.map((remedy, index) => {
+                  const RemedyIcon = REMEDY_ICONS[remedy.type];
+                  return (
+                    <button
+                      key={index}
+                      onClick={() => onRemedy(entry, remedy)}
+                      className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 border border-gray-300 rounded"
+                    >
+                      <RemedyIcon className="w-3 h-3" />
+                      {remedy.label}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default UnassignedPanel;
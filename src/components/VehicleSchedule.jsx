@@ -1,178 +1,131 @@
 import React from 'react';
-import { Clock, MapPin, User, AlertCircle } from 'lucide-react';
+import { Car, Coffee } from 'lucide-react';
+import { formatTimestamp } from '../utils/planningCalendar';
+import { getVehicleTypeLabel } from '../utils/vehicleSkills';
 
-const VehicleSchedule = ({ vehicle, onTripClick, onAddTrip }) => {
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'available': return 'bg-green-500';
-      case 'busy': return 'bg-yellow-500';
-      case 'conflict': return 'bg-red-500';
-      case 'maintenance': return 'bg-gray-500';
-      default: return 'bg-gray-300';
-    }
-  };
+const SEGMENT_COLORS = {
+  drive: 'bg-blue-300',
+  wait: 'bg-gray-300',
+  service: 'bg-green-400',
+  break: 'bg-yellow-400'
+};
 
-  const getTripColor = (type, status) => {
-    if (type === 'conflict') return 'bg-red-500 hover:bg-red-600';
-    if (status === 'completed') return 'bg-green-500 hover:bg-green-600';
-    if (status === 'in-progress') return 'bg-blue-500 hover:bg-blue-600';
-    return 'bg-blue-400 hover:bg-blue-500';
-  };
+const SEGMENT_LABELS = {
+  drive: 'Conduite',
+  wait: 'Attente',
+  service: 'Prise en charge / dépose',
+  break: 'Pause équipage'
+};
 
-  const formatTime = (time) => {
-    return time;
-  };
+/**
+ * One vehicle lane of the fleet timeline: activity segments from the optimized steps,
+ * and the course bars that can be dragged to another lane or time.
+ */
+const VehicleSchedule = ({
+  vehicle,
+  segments = [],
+  bars = [],
+  range,
+  date,
+  dropState = null, // { notBefore, status: 'pending' | 'ok' | 'refused' } while a course is dragged over this lane
+  onBarDragStart,
+  onBarDragEnd,
+  onLaneDragOver,
+  onLaneDrop
+}) => {
+  const span = range.end - range.start;
+  const getLeft = (timestamp) => `${Math.max(0, Math.min(100, ((timestamp - range.start) / span) * 100))}%`;
+  const getWidth = (start, end) => `${Math.max(0, ((Math.min(end, range.end) - Math.max(start, range.start)) / span) * 100)}%`;
 
-  const calculatePosition = (time) => {
-    if (!time || typeof time !== 'string') {
-      return 0; // Default position if time is invalid
-    }
-    
-    const timeParts = time.split(':');
-    if (timeParts.length !== 2) {
-      return 0; // Default position if time format is invalid
-    }
-    
-    const hours = parseInt(timeParts[0]);
-    const minutes = parseInt(timeParts[1]);
-    
-    if (isNaN(hours) || isNaN(minutes)) {
-      return 0; // Default position if time is invalid
-    }
-    
-    const totalMinutes = (hours - 6) * 60 + minutes; // Start from 6 AM
-    const dayMinutes = 14 * 60; // 6 AM to 8 PM = 14 hours
-    return Math.max(0, Math.min(100, (totalMinutes / dayMinutes) * 100));
+  // Time under the pointer, from its position on the lane
+  const getPointerTime = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return range.start + ((e.clientX - rect.left) / rect.width) * span;
   };
 
-  const calculateWidth = (duration) => {
-    const dayMinutes = 14 * 60;
-    return Math.min(100, (duration * 60 / dayMinutes) * 100);
-  };
+  const laneStyle = !dropState
+    ? 'bg-gray-50 border-gray-200'
+    : dropState.status === 'ok'
+      ? 'bg-green-50 border-green-400'
+      : dropState.status === 'refused'
+        ? 'bg-red-50 border-red-400'
+        : 'bg-blue-50 border-blue-300';
 
   return (
-    <div className="border rounded-lg p-4 bg-white hover:shadow-md transition-shadow">
+    <div className="flex items-stretch gap-3">
       {/* Vehicle Header */}
-      <div className="flex items-center justify-between mb-4">
-        <div className="flex items-center space-x-3">
-          <div className={`w-3 h-3 rounded-full ${getStatusColor(vehicle.status)}`}></div>
-          <div>
-            <h3 className="font-semibold text-gray-900">{vehicle.name}</h3>
-            <div className="flex items-center space-x-2 text-sm text-gray-500">
-              <span>{vehicle.type}</span>
-              {vehicle.currentLocation && (
-                <>
-                  <span>•</span>
-                  <MapPin className="h-3 w-3" />
-                  <span>{vehicle.currentLocation}</span>
-                </>
-              )}
-            </div>
-          </div>
+      <div className="w-40 flex-shrink-0 py-1">
+        <div className="flex items-center gap-1 font-medium text-sm text-gray-900">
+          <Car className="w-4 h-4 text-gray-500" />
+          <span className="truncate">{vehicle.name}</span>
         </div>
-        
-        <div className="flex items-center space-x-2">
-          {vehicle.status === 'conflict' && (
-            <AlertCircle className="h-5 w-5 text-red-500" />
-          )}
-          <span className="text-sm font-medium text-gray-600 capitalize">
-            {vehicle.status}
-          </span>
+        <div className="text-xs text-gray-500">
+          {getVehicleTypeLabel(vehicle.type)} · {bars.length} course{bars.length > 1 ? 's' : ''}
         </div>
       </div>
 
-      {/* Time Scale */}
-      <div className="mb-2">
-        <div className="flex justify-between text-xs text-gray-400 mb-1">
-          <span>6h</span>
-          <span>9h</span>
-          <span>12h</span>
-          <span>15h</span>
-          <span>18h</span>
-          <span>20h</span>
-        </div>
-        
-        {/* Schedule Timeline */}
-        <div className="relative h-12 bg-gray-50 rounded-lg border">
-          {/* Current time indicator */}
-          <div 
-            className="absolute top-0 bottom-0 w-0.5 bg-red-400 z-10"
-            style={{ left: `${calculatePosition(new Date().toTimeString().slice(0, 5))}%` }}
+      {/* Schedule Timeline */}
+      <div
+        className={`relative flex-1 h-14 rounded border-2 transition-colors ${laneStyle}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          onLaneDragOver(vehicle, getPointerTime(e));
+        }}
+        onDrop={(e) => {
+          e.preventDefault();
+          onLaneDrop(vehicle);
+        }}
+      >
+        {/* Hour marks */}
+        {range.hours.map(hour => (
+          <div key={hour} className="absolute top-0 bottom-0 border-l border-gray-200" style={{ left: getLeft(hour) }} />
+        ))}
+
+        {/* Activity segments */}
+        {segments.map((segment, index) => (
+          <div
+            key={index}
+            className={`absolute bottom-1 h-2 ${SEGMENT_COLORS[segment.kind]}`}
+            style={{ left: getLeft(segment.start), width: getWidth(segment.start, segment.end) }}
+            title={`${SEGMENT_LABELS[segment.kind]} ${formatTimestamp(segment.start, date)}–${formatTimestamp(segment.end, date)}`}
           >
-            <div className="absolute -top-1 -left-1 w-2 h-2 bg-red-400 rounded-full"></div>
+            {segment.kind === 'break' && <Coffee className="w-2 h-2 mx-auto text-yellow-800" />}
           </div>
+        ))}
 
-          {/* Trips */}
-          {vehicle.trips?.map((trip, index) => {
-            const leftPosition = calculatePosition(trip.time);
-            const width = calculateWidth(trip.duration);
-            
-            return (
-              <div
-                key={index}
-                className={`absolute top-1 bottom-1 rounded text-xs text-white flex items-center justify-center font-medium cursor-pointer transition-all ${getTripColor(trip.type, trip.status)}`}
-                style={{
-                  left: `${leftPosition}%`,
-                  width: `${width}%`,
-                  minWidth: '60px'
-                }}
-                onClick={() => onTripClick && onTripClick(trip)}
-                title={`${trip.patient} - ${trip.time} (${trip.duration}h)`}
-              >
-                <div className="truncate px-1">
-                  {trip.patient}
-                </div>
-              </div>
-            );
-          })}
+        {/* Courses */}
+        {bars.map(bar => (
+          <div
+            key={bar.trip.id}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData('text/plain', String(bar.trip.id));
+              e.dataTransfer.effectAllowed = 'move';
+              onBarDragStart(bar, getPointerTime({ clientX: e.clientX, currentTarget: e.currentTarget.parentElement }));
+            }}
+            onDragEnd={onBarDragEnd}
+            className={`absolute top-1 h-8 rounded text-xs text-white flex items-center px-1 cursor-grab active:cursor-grabbing opacity-90 hover:opacity-100 ${
+              bar.trip.isReturnTrip ? 'bg-indigo-500' : 'bg-blue-600'
+            } ${bar.moved ? 'ring-2 ring-amber-400' : ''}`}
+            style={{ left: getLeft(bar.start), width: getWidth(bar.start, bar.end), minWidth: '24px' }}
+            title={`${bar.trip.patient}${bar.trip.isReturnTrip ? ' (retour)' : ''} : ${formatTimestamp(bar.start, date)}–${formatTimestamp(bar.end, date)}\n${bar.trip.pickup} → ${bar.trip.destination}`}
+          >
+            <span className="truncate">{bar.trip.patient}</span>
+          </div>
+        ))}
 
-          {/* Available slots for new trips */}
-          {vehicle.status === 'available' && (
-            <button
-              onClick={() => onAddTrip && onAddTrip(vehicle)}
-              className="absolute top-2 bottom-2 right-2 bg-dashed bg-gray-200 hover:bg-gray-300 border-2 border-dashed border-gray-400 rounded text-xs text-gray-600 flex items-center justify-center transition-colors"
-              style={{ width: '40px' }}
-            >
-              +
-            </button>
-          )}
-        </div>
+        {/* Where the dragged course would be picked up */}
+        {dropState && (
+          <div
+            className={`absolute top-0 bottom-0 w-0.5 ${dropState.status === 'refused' ? 'bg-red-500' : 'bg-green-600'}`}
+            style={{ left: getLeft(dropState.notBefore) }}
+          >
+            <span className="absolute -top-4 -left-4 text-[10px] font-medium text-gray-700 bg-white px-1 rounded">
+              {formatTimestamp(dropState.notBefore, date)}
+            </span>
+          </div>
+        )}
       </div>
-
-      {/* Trip Details */}
-      {vehicle.trips && vehicle.trips.length > 0 && (
-        <div className="mt-3 space-y-1">
-          {vehicle.trips.slice(0, 2).map((trip, index) => (
-            <div key={index} className="flex items-center justify-between text-sm">
-              <div className="flex items-center space-x-2">
-                <Clock className="h-3 w-3 text-gray-400" />
-                <span className="font-medium">{trip.time}</span>
-                <User className="h-3 w-3 text-gray-400" />
-                <span>{trip.patient}</span>
-              </div>
-              <div className="flex items-center space-x-1">
-                {trip.pickup && (
-                  <span className="text-gray-500 text-xs">{trip.pickup}</span>
-                )}
-                {trip.status && (
-                  <span className={`px-2 py-0.5 rounded-full text-xs ${
-                    trip.status === 'completed' ? 'bg-green-100 text-green-800' :
-                    trip.status === 'in-progress' ? 'bg-blue-100 text-blue-800' :
-                    'bg-gray-100 text-gray-800'
-                  }`}>
-                    {trip.status}
-                  </span>
-                )}
-              </div>
-            </div>
-          ))}
-          {vehicle.trips.length > 2 && (
-            <div className="text-xs text-gray-500 text-center">
-              +{vehicle.trips.length - 2} autres courses
-            </div>
-          )}
-        </div>
-      )}
     </div>
   );
 };
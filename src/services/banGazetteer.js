@@ -0,0 +1,463 @@
+// Offline Address Gazetteer for AmbuSched
+// Imports Base Adresse Nationale (BAN) CSV extracts of our départements into IndexedDB
+// and geocodes typed addresses against them, without sending anything over the network
+
+import { loadGazetteerStreets, replaceGazetteerDepartements } from './storageService';
+
+/**
+ * Gazetteer Configuration
+ */
+const GAZETTEER_CONFIG = {
+  tokenMatch: 0.75,        // Minimum similarity for two words to be considered the same (typos, plurals)
+  missingNumberScore: 0.5, // House number given but not in the BAN: nearest number on the street is used
+  progressEvery: 20000     // Lines between two progress callbacks while importing
+};
+
+// Street-type abbreviations found in typed addresses and old files
+const ABBREVIATIONS = {
+  av: 'avenue', ave: 'avenue', bd: 'boulevard', bld: 'boulevard', boul: 'boulevard',
+  ch: 'chemin', chem: 'chemin', che: 'chemin', rte: 'route', r: 'rue', pl: 'place',
+  imp: 'impasse', all: 'allee', crs: 'cours', fg: 'faubourg', qu: 'quai', sq: 'square',
+  res: 'residence', lot: 'lotissement', hameau: 'hameau', ham: 'hameau', qua: 'quartier', qrt: 'quartier',
+  st: 'saint', ste: 'sainte', gal: 'general', mal: 'marechal', pdt: 'president', dr: 'docteur'
+};
+
+const STOP_WORDS = new Set(['de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'a', 'au', 'aux', 'et', 'en', 'sur', 'sous']);
+
+const HOUSE_NUMBER_SUFFIXES = ['bis', 'ter', 'quater', 'quinquies', 'a', 'b', 'c', 'd', 'e', 'f'];
+
+// Streets of every imported département, and an index by commune
+let streets = [];
+let communes = new Map();
+let loadPromise = null;
+
+/**
+ * Lowercase, strip accents and punctuation: "Allée de l'Étang" → "allee de l etang"
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Significant words of a name, abbreviations expanded
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token)
+    .filter(token => !STOP_WORDS.has(token));
+}
+
+/**
+ * Similarity of two words between 0 and 1 (Levenshtein distance over the longest word)
+ */
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * How well the words of a name are found in the query (0 to 1), and which query words were used
+ */
+function matchTokens(nameTokens, queryTokens) {
+  if (nameTokens.length === 0) return { score: 0, used: new Set() };
+
+  const used = new Set();
+  let total = 0;
+  nameTokens.forEach(nameToken => {
+    let best = 0;
+    let bestIndex = -1;
+    queryTokens.forEach((queryToken, index) => {
+      const similarity = wordSimilarity(nameToken, queryToken);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (best >= GAZETTEER_CONFIG.tokenMatch) {
+      total += best;
+      used.add(bestIndex);
+    }
+  });
+
+  return { score: total / nameTokens.length, used };
+}
+
+/**
+ * House number key: "12", "12 bis"
+ */
+function getNumberKey(number, suffix) {
+  const cleanSuffix = normalizeText(suffix);
+  return cleanSuffix ? `${parseInt(number, 10)} ${cleanSuffix}` : String(parseInt(number, 10));
+}
+
+/**
+ * Split a typed address into house number, postcode and words
+ * "12 bis av. Jean Jaurès 84200 Carpentras" → { number: '12 bis', postcode: '84200', tokens: [...] }
+ */
+export function parseAddressQuery(query) {
+  let text = normalizeText(query);
+
+  const postcodeMatch = text.match(/\b(\d{5})\b/);
+  const postcode = postcodeMatch ? postcodeMatch[1] : null;
+  if (postcode) text = text.replace(postcodeMatch[0], ' ');
+
+  let number = null;
+  const numberMatch = text.match(new RegExp(`^\\s*(\\d{1,4})\\s*(${HOUSE_NUMBER_SUFFIXES.join('|')})?\\b`));
+  if (numberMatch) {
+    number = getNumberKey(numberMatch[1], numberMatch[2]);
+    text = text.slice(numberMatch[0].length);
+  }
+
+  return { number, postcode, tokens: tokenize(text) };
+}
+
+/**
+ * Département code of an INSEE commune code (2A/2B for Corsica, 3 digits overseas)
+ */
+function getDepartement(inseeCode) {
+  return inseeCode.startsWith('97') ? inseeCode.slice(0, 3) : inseeCode.slice(0, 2);
+}
+
+function averageCoordinates(coordinates) {
+  const sum = coordinates.reduce((acc, [lon, lat]) => [acc[0] + lon, acc[1] + lat], [0, 0]);
+  return [
+    Number((sum[0] / coordinates.length).toFixed(6)),
+    Number((sum[1] / coordinates.length).toFixed(6))
+  ];
+}
+
+/**
+ * Parse a BAN CSV extract ("adresses-84.csv", semicolon separated) into street records
+ * @param {string} csvContent - CSV text
+ * @param {Function} onProgress - Called with the number of lines read
+ * @returns {Object} { streets, departements, addressCount, skippedLines }
+ */
+export function parseBanCsv(csvContent, onProgress = null) {
+  const lines = csvContent.split(/\r?\n/);
+  const headers = lines[0].replace(/^\uFEFF/, '').split(';').map(header => header.trim().toLowerCase());
+  const column = name => headers.indexOf(name);
+
+  const columns = {
+    numero: column('numero'),
+    rep: column('rep'),
+    street: column('nom_voie'),
+    place: column('nom_ld'),
+    postcode: column('code_postal'),
+    insee: column('code_insee'),
+    city: column('nom_commune'),
+    lon: column('lon'),
+    lat: column('lat')
+  };
+  const missing = ['numero', 'street', 'insee', 'city', 'lon', 'lat'].filter(key => columns[key] === -1);
+  if (missing.length > 0) {
+    throw new Error(`Fichier BAN non reconnu : colonnes manquantes (${missing.join(', ')})`);
+  }
+
+  const streetMap = new Map();
+  let addressCount = 0;
+  let skippedLines = 0;
+
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    if (onProgress && i % GAZETTEER_CONFIG.progressEvery === 0) onProgress(i);
+
+    const values = lines[i].split(';');
+    const lon = parseFloat(values[columns.lon]);
+    const lat = parseFloat(values[columns.lat]);
+    const streetName = values[columns.street] || (columns.place !== -1 ? values[columns.place] : '');
+    const insee = values[columns.insee];
+    if (!streetName || !insee || Number.isNaN(lon) || Number.isNaN(lat)) {
+      skippedLines++;
+      continue;
+    }
+
+    const key = `${insee}|${normalizeText(streetName)}`;
+    if (!streetMap.has(key)) {
+      streetMap.set(key, {
+        key,
+        departement: getDepartement(insee),
+        insee,
+        street: streetName,
+        city: values[columns.city],
+        postcode: columns.postcode !== -1 ? values[columns.postcode] : '',
+        numbers: {}
+      });
+    }
+
+    // Number 99999 is the BAN placeholder for a street without numbering
+    const numero = parseInt(values[columns.numero], 10);
+    if (!Number.isNaN(numero) && numero !== 99999) {
+      const rep = columns.rep !== -1 ? values[columns.rep] : '';
+      streetMap.get(key).numbers[getNumberKey(numero, rep)] = [lon, lat];
+    } else {
+      streetMap.get(key).numbers[''] = [lon, lat];
+    }
+    addressCount++;
+  }
+
+  const parsedStreets = Array.from(streetMap.values()).map(street => {
+    const { '': unnumbered, ...numbers } = street.numbers;
+    const points = Object.values(numbers);
+    return {
+      ...street,
+      numbers,
+      centroid: averageCoordinates(points.length > 0 ? points : [unnumbered])
+    };
+  });
+
+  return {
+    streets: parsedStreets,
+    departements: [...new Set(parsedStreets.map(street => street.departement))],
+    addressCount,
+    skippedLines
+  };
+}
+
+/**
+ * Build the in-memory search index from street records
+ */
+function buildIndex(records) {
+  streets = records.map(record => ({
+    ...record,
+    streetTokens: tokenize(record.street)
+  }));
+
+  communes = new Map();
+  streets.forEach(street => {
+    if (!communes.has(street.insee)) {
+      communes.set(street.insee, {
+        insee: street.insee,
+        city: street.city,
+        postcodes: new Set(),
+        cityTokens: tokenize(street.city),
+        streets: [],
+        centroids: []
+      });
+    }
+    const commune = communes.get(street.insee);
+    if (street.postcode) commune.postcodes.add(street.postcode);
+    commune.streets.push(street);
+    commune.centroids.push(street.centroid);
+  });
+  communes.forEach(commune => {
+    commune.centroid = averageCoordinates(commune.centroids);
+    delete commune.centroids;
+  });
+}
+
+/**
+ * Load the stored gazetteer in memory (once per session)
+ * @returns {Promise<number>} Number of streets available
+ */
+export function loadGazetteer() {
+  if (!loadPromise) {
+    loadPromise = loadGazetteerStreets().then(records => {
+      buildIndex(records);
+      console.log(`📖 Gazetteer loaded: ${streets.length} streets in ${communes.size} communes`);
+      return streets.length;
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * Import a BAN CSV extract, replacing the départements it contains
+ * @param {string} csvContent - CSV text
+ * @param {Function} onProgress - Called with the number of lines read
+ * @returns {Promise<Object>} { success, departements, streetCount, addressCount, skippedLines, error }
+ */
+export async function importBanCsv(csvContent, onProgress = null) {
+  try {
+    const parsed = parseBanCsv(csvContent, onProgress);
+    if (parsed.streets.length === 0) {
+      return { success: false, error: 'Aucune adresse lisible dans le fichier' };
+    }
+
+    const saved = await replaceGazetteerDepartements(parsed.departements, parsed.streets);
+    if (!saved) {
+      return { success: false, error: 'Enregistrement impossible (stockage du navigateur plein ?)' };
+    }
+
+    await loadGazetteer();
+    buildIndex([
+      ...streets.filter(street => !parsed.departements.includes(street.departement)),
+      ...parsed.streets
+    ]);
+
+    console.log(`📖 BAN import: ${parsed.addressCount} addresses, ${parsed.streets.length} streets (${parsed.departements.join(', ')})`);
+    return {
+      success: true,
+      departements: parsed.departements,
+      streetCount: parsed.streets.length,
+      addressCount: parsed.addressCount,
+      skippedLines: parsed.skippedLines
+    };
+  } catch (error) {
+    console.warn('⚠️ BAN import failed:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remove a département from the gazetteer
+ * @param {string} departement - Département code
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function removeGazetteerDepartement(departement) {
+  const removed = await replaceGazetteerDepartements([departement], []);
+  if (removed) {
+    await loadGazetteer();
+    buildIndex(streets.filter(street => street.departement !== departement));
+  }
+  return removed;
+}
+
+/**
+ * Imported départements with their size
+ * @returns {Promise<Array>} [{ departement, communes, streets, addresses }]
+ */
+export async function getGazetteerSummary() {
+  await loadGazetteer();
+  const summary = new Map();
+  streets.forEach(street => {
+    if (!summary.has(street.departement)) {
+      summary.set(street.departement, { departement: street.departement, communes: new Set(), streets: 0, addresses: 0 });
+    }
+    const entry = summary.get(street.departement);
+    entry.communes.add(street.insee);
+    entry.streets += 1;
+    entry.addresses += Object.keys(street.numbers).length;
+  });
+  return Array.from(summary.values())
+    .map(entry => ({ ...entry, communes: entry.communes.size }))
+    .sort((a, b) => a.departement.localeCompare(b.departement));
+}
+
+/**
+ * Position of a house number on a street: exact number, else the closest number, else the street centre
+ */
+function locateNumber(street, number) {
+  if (!number) return { coordinates: street.centroid, numberScore: 1, housenumber: null };
+  if (street.numbers[number]) return { coordinates: street.numbers[number], numberScore: 1, housenumber: number };
+
+  const wanted = parseInt(number, 10);
+  let closest = null;
+  Object.entries(street.numbers).forEach(([key, coordinates]) => {
+    const distance = Math.abs(parseInt(key, 10) - wanted);
+    if (!closest || distance < closest.distance) closest = { key, coordinates, distance };
+  });
+
+  return closest
+    ? { coordinates: closest.coordinates, numberScore: GAZETTEER_CONFIG.missingNumberScore, housenumber: closest.key }
+    : { coordinates: street.centroid, numberScore: GAZETTEER_CONFIG.missingNumberScore, housenumber: null };
+}
+
+/**
+ * Search the gazetteer
+ * @param {string} query - Typed address
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} [{ label, coordinates, confidence, type, housenumber, street, postcode, city }]
+ */
+export async function searchGazetteer(query, options = {}) {
+  const { limit = 5 } = options;
+  await loadGazetteer();
+
+  const { number, postcode, tokens } = parseAddressQuery(query);
+  if (tokens.length === 0 && !postcode) return [];
+
+  // Communes named in the query (or matching its postcode) narrow the street search
+  const communeMatches = [];
+  communes.forEach(commune => {
+    const match = matchTokens(commune.cityTokens, tokens);
+    const postcodeMatch = postcode !== null && commune.postcodes.has(postcode);
+    if (match.score >= GAZETTEER_CONFIG.tokenMatch || postcodeMatch) {
+      communeMatches.push({ commune, score: Math.max(match.score, postcodeMatch ? 1 : 0), used: match.used, postcodeMatch });
+    }
+  });
+  const candidateCommunes = communeMatches.length > 0
+    ? communeMatches
+    : Array.from(communes.values()).map(commune => ({ commune, score: 0, used: new Set(), postcodeMatch: false }));
+
+  const results = [];
+  candidateCommunes.forEach(({ commune, score: cityScore, used: cityUsed, postcodeMatch }) => {
+    const streetTokensOfQuery = tokens.filter((_, index) => !cityUsed.has(index));
+
+    commune.streets.forEach(street => {
+      const streetMatch = matchTokens(street.streetTokens, streetTokensOfQuery);
+      if (streetMatch.score < GAZETTEER_CONFIG.tokenMatch) return;
+
+      // Words of the query found nowhere lower the confidence ("rue X" typed in the wrong commune)
+      const coverage = streetTokensOfQuery.length > 0 ? streetMatch.used.size / streetTokensOfQuery.length : 1;
+      const location = locateNumber(street, number);
+      const confidence = 0.5 * streetMatch.score + 0.25 * cityScore + 0.1 * coverage + 0.15 * location.numberScore;
+
+      results.push({
+        label: `${location.housenumber ? `${location.housenumber} ` : ''}${street.street}, ${street.postcode} ${street.city}`.trim(),
+        coordinates: location.coordinates,
+        confidence: Number(confidence.toFixed(2)),
+        type: location.housenumber ? 'housenumber' : 'street',
+        housenumber: location.housenumber,
+        street: street.street,
+        postcode: street.postcode,
+        city: street.city,
+        ...(postcodeMatch && { postcodeMatch })
+      });
+    });
+  });
+
+  // A commune alone ("Carpentras", "84200") is located at the centre of its streets
+  communeMatches.forEach(({ commune, score, used }) => {
+    const extraWords = tokens.length - used.size;
+    if (extraWords > 0 && results.length > 0) return;
+    results.push({
+      label: `${[...commune.postcodes][0] || ''} ${commune.city}`.trim(),
+      coordinates: commune.centroid,
+      confidence: Number((0.7 * Math.max(score, postcode ? 1 : 0) / (1 + extraWords)).toFixed(2)),
+      type: 'municipality',
+      housenumber: null,
+      street: null,
+      postcode: [...commune.postcodes][0] || null,
+      city: commune.city
+    });
+  });
+
+  return results
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+/**
+ * Geocoder backend (see geocoder.js)
+ */
+export const banGeocoderBackend = {
+  id: 'ban',
+  label: 'Base Adresse Nationale (hors ligne)',
+  isReady: async () => {
+    await loadGazetteer();
+    return streets.length > 0;
+  },
+  search: searchGazetteer
+};
+
+export { GAZETTEER_CONFIG };
@@ -0,0 +1,201 @@
+// Routing/Solver Endpoint Registry for AmbuSched
+// Single place holding the OSRM and VROOM servers of the dispatch centre: URLs, profile,
+// timeouts, the order they are tried in, and whether public servers may be used at all.
+// In strict privacy mode, patient coordinates are only ever sent to allow-listed hosts.
+
+/**
+ * Default endpoints: local Docker servers first, then the public demo servers
+ */
+const DEFAULT_ENDPOINTS = {
+  // Public servers receive patient addresses, a centre can forbid them
+  allowPublicFallbacks: true,
+
+  // Strict privacy: only these hosts may receive coordinates; when none answers,
+  // times are estimated locally (haversine) and the local fallback solver is used
+  strictPrivacy: false,
+  allowedHosts: ['localhost', '127.0.0.1'],
+
+  osrm: {
+    profile: 'driving', // driving, walking, cycling
+    servers: [
+      { id: 'osrm-local', label: 'OSRM local', url: 'http://localhost:5000', timeout: 10000, isPublic: false },
+      { id: 'osrm-public', label: 'OSRM public (project-osrm.org)', url: 'https://router.project-osrm.org', timeout: 30000, isPublic: true }
+    ]
+  },
+
+  vroom: {
+    servers: [
+      { id: 'vroom-local', label: 'VROOM local', url: 'http://localhost:3000', timeout: 15000, isPublic: false },
+      { id: 'vroom-public', label: 'VROOM démo publique', url: 'http://solver.vroom-project.org', timeout: 30000, isPublic: true },
+      { id: 'vroom-osrm-org', label: 'VROOM alternatif (project-osrm.org)', url: 'https://router.project-osrm.org/vroom/v1', timeout: 30000, isPublic: true }
+    ]
+  }
+};
+
+export const ENDPOINT_SERVICES = ['osrm', 'vroom'];
+
+let currentEndpoints = normalizeEndpoints(DEFAULT_ENDPOINTS);
+
+function normalizeServer(server, index, service) {
+  return {
+    id: server.id || `${service}-${index + 1}`,
+    label: server.label || server.url || `Serveur ${index + 1}`,
+    url: String(server.url || '').trim().replace(/\/+$/, ''),
+    timeout: Number(server.timeout) > 0 ? Number(server.timeout) : 10000,
+    isPublic: Boolean(server.isPublic)
+  };
+}
+
+/**
+ * Fill missing fields from the defaults and clean URLs (no trailing slash)
+ * @param {Object} config - Endpoint configuration, possibly partial or from an older version
+ * @returns {Object} Complete endpoint configuration
+ */
+export function normalizeEndpoints(config = {}) {
+  return {
+    allowPublicFallbacks: config.allowPublicFallbacks ?? DEFAULT_ENDPOINTS.allowPublicFallbacks,
+    strictPrivacy: Boolean(config.strictPrivacy),
+    allowedHosts: (config.allowedHosts || DEFAULT_ENDPOINTS.allowedHosts)
+      .map(host => String(host).trim().toLowerCase())
+      .filter(Boolean),
+    osrm: {
+      profile: config.osrm?.profile || DEFAULT_ENDPOINTS.osrm.profile,
+      servers: (config.osrm?.servers || DEFAULT_ENDPOINTS.osrm.servers).map((server, index) => normalizeServer(server, index, 'osrm'))
+    },
+    vroom: {
+      servers: (config.vroom?.servers || DEFAULT_ENDPOINTS.vroom.servers).map((server, index) => normalizeServer(server, index, 'vroom'))
+    }
+  };
+}
+
+/**
+ * Check an endpoint configuration before it is applied
+ * @param {Object} config - Endpoint configuration
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validateEndpoints(config) {
+  const errors = [];
+
+  ENDPOINT_SERVICES.forEach(service => {
+    const name = service.toUpperCase();
+    const servers = config[service]?.servers || [];
+
+    servers.forEach((server, index) => {
+      try {
+        const { protocol } = new URL(server.url);
+        if (protocol !== 'http:' && protocol !== 'https:') {
+          errors.push(`${name} serveur ${index + 1} : l'URL doit commencer par http:// ou https://`);
+        }
+      } catch {
+        errors.push(`${name} serveur ${index + 1} : URL invalide "${server.url}"`);
+      }
+      if (!(Number(server.timeout) > 0)) {
+        errors.push(`${name} serveur ${index + 1} : le délai d'attente doit être positif`);
+      }
+    });
+
+    // Strict privacy may leave no server at all: the app then works offline on estimates
+    const usable = servers.filter(server => config.allowPublicFallbacks || !server.isPublic);
+    if (usable.length === 0 && !config.strictPrivacy) {
+      errors.push(`${name} : aucun serveur utilisable${config.allowPublicFallbacks ? '' : ' sans serveur public'}`);
+    }
+  });
+
+  if (config.strictPrivacy) {
+    (config.allowedHosts || []).filter(host => String(host).trim()).forEach(host => {
+      if (!/^(\*\.)?[a-z0-9.-]+$|^\[[0-9a-f:]+\]$/i.test(String(host).trim())) {
+        errors.push(`Hôte autorisé invalide "${host}" (nom d'hôte sans protocole ni port, ex. osrm.centre.local ou *.centre.local)`);
+      }
+    });
+  }
+
+  if (!config.osrm?.profile) {
+    errors.push('OSRM : profil de routage manquant');
+  }
+
+  return errors;
+}
+
+/**
+ * Current endpoint configuration
+ * @returns {Object} Endpoint configuration
+ */
+export function getEndpoints() {
+  return currentEndpoints;
+}
+
+/**
+ * Replace the endpoint configuration used by every routing and solver call
+ * @param {Object} config - Endpoint configuration (e.g. restored from storage)
+ * @returns {Object} Applied configuration
+ */
+export function setEndpoints(config) {
+  currentEndpoints = normalizeEndpoints(config);
+  console.log('🔌 Endpoints updated:', {
+    osrm: getServerChain('osrm').map(server => server.url),
+    vroom: getServerChain('vroom').map(server => server.url),
+    allowPublicFallbacks: currentEndpoints.allowPublicFallbacks,
+    strictPrivacy: currentEndpoints.strictPrivacy
+  });
+  return currentEndpoints;
+}
+
+function matchesHost(hostname, pattern) {
+  return pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+}
+
+/**
+ * Whether a server may receive patient coordinates (always true outside strict privacy mode)
+ * @param {string} url - Server URL
+ * @param {Object} config - Endpoint configuration (defaults to the applied one)
+ * @returns {boolean} True if allowed
+ */
+export function isHostAllowed(url, config = currentEndpoints) {
+  if (!config.strictPrivacy) return true;
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return config.allowedHosts.some(pattern => matchesHost(hostname, pattern));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Last check before a request carrying coordinates leaves the app
+ * @param {string} url - Request URL
+ * @throws {Error} When strict privacy mode forbids the host
+ */
+export function assertHostAllowed(url) {
+  if (!isHostAllowed(url)) {
+    throw new Error(`Strict privacy mode: ${new URL(url).hostname} is not an allowed host`);
+  }
+}
+
+/**
+ * Whether strict privacy mode is on
+ */
+export function isStrictPrivacy() {
+  return currentEndpoints.strictPrivacy;
+}
+
+/**
+ * Servers of a service in the order they must be tried, public ones removed when not allowed
+ * and, in strict privacy mode, every host that is not allow-listed
+ * @param {string} service - 'osrm' or 'vroom'
+ * @returns {Array} [{ id, label, url, timeout, isPublic }]
+ */
+export function getServerChain(service) {
+  const servers = currentEndpoints[service]?.servers || [];
+  return servers.filter(server =>
+    (currentEndpoints.allowPublicFallbacks || !server.isPublic) && isHostAllowed(server.url)
+  );
+}
+
+/**
+ * OSRM routing profile (driving, walking, cycling)
+ */
+export function getRoutingProfile() {
+  return currentEndpoints.osrm.profile;
+}
+
+export { DEFAULT_ENDPOINTS };
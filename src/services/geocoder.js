@@ -0,0 +1,103 @@
+// Geocoding Service for AmbuSched
+// Turns typed addresses into [longitude, latitude] through pluggable backends, tried in order.
+// A backend is { id, label, isReady(): Promise<boolean>, search(query, { limit }): Promise<Array> },
+// each result being { label, coordinates: [lng, lat], confidence (0-1), type, housenumber, street, postcode, city }.
+
+import { banGeocoderBackend } from './banGazetteer';
+
+/**
+ * Geocoder Configuration
+ */
+const GEOCODER_CONFIG = {
+  minConfidence: 0.6, // Below this, a match is only a suggestion and must be checked by the dispatcher
+  limit: 5
+};
+
+const backends = [banGeocoderBackend];
+
+/**
+ * Add a geocoding backend (tried after the ones already registered, or first with { prepend: true })
+ * @param {Object} backend - { id, label, isReady, search }
+ * @param {Object} options - { prepend }
+ */
+export function registerGeocoderBackend(backend, options = {}) {
+  const existing = backends.findIndex(registered => registered.id === backend.id);
+  if (existing !== -1) backends.splice(existing, 1);
+  if (options.prepend) {
+    backends.unshift(backend);
+  } else {
+    backends.push(backend);
+  }
+}
+
+/**
+ * Registered backends, in the order they are tried
+ */
+export function getGeocoderBackends() {
+  return backends.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Geocode an address with the first ready backend that finds something
+ * @param {string} query - Typed address
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { success, results, backend, error }
+ */
+export async function geocode(query, options = {}) {
+  const { limit = GEOCODER_CONFIG.limit } = options;
+  if (!query || !String(query).trim()) {
+    return { success: false, results: [], error: 'Adresse vide' };
+  }
+
+  let readyBackends = 0;
+  for (const backend of backends) {
+    try {
+      if (!(await backend.isReady())) continue;
+      readyBackends++;
+
+      const results = await backend.search(query, { limit });
+      if (results.length > 0) {
+        return {
+          success: true,
+          results: results.map(result => ({ ...result, backend: backend.id })),
+          backend: backend.id
+        };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Geocoder ${backend.id} failed:`, error.message);
+    }
+  }
+
+  return {
+    success: false,
+    results: [],
+    error: readyBackends === 0
+      ? 'Aucune base d\'adresses importée (Adresses → importer un fichier BAN)'
+      : `Adresse introuvable : ${query}`
+  };
+}
+
+/**
+ * Best match for an address, if confident enough
+ * @param {string} query - Typed address
+ * @returns {Promise<Object|null>} Best result, or null when nothing reaches minConfidence
+ */
+export async function geocodeBest(query) {
+  const { results } = await geocode(query, { limit: 1 });
+  const best = results[0];
+  return best && best.confidence >= GEOCODER_CONFIG.minConfidence ? best : null;
+}
+
+/**
+ * Short French description of a match, for the course form and import warnings
+ */
+export function describeGeocodeResult(result) {
+  const precision = {
+    housenumber: 'numéro',
+    street: 'rue',
+    municipality: 'commune'
+  }[result.type] || result.type;
+  return `${result.label} (${precision}, confiance ${Math.round(result.confidence * 100)} %)`;
+}
+
+export { GEOCODER_CONFIG };
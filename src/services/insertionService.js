@@ -0,0 +1,711 @@
+// Incremental Insertion Service for AmbuSched
+// Inserts a late-arriving course (and its return) into an existing plan by cheapest insertion,
+// using the real OSRM matrix and leaving every other route untouched.
+// Also checks and applies the moves dispatchers make on the fleet timeline.
+
+import { getCachedMatrix } from './matrixCache';
+import { getEarliestPickupTimestamp, getVehicleCapacity, getTripAmount, getTripServiceTime } from './vroomService';
+import { getCourseTimestamp, getTodayKey } from '../utils/planningCalendar';
+import { getVehicleShiftWindows, getVehicleBreakWindows } from '../utils/vehicleShifts';
+import { isShareable, getMaxDetour } from '../utils/sharedRides';
+import { checkVehicleForCourse, explainSkillMismatch } from '../utils/vehicleSkills';
+
+// Number of options proposed to the dispatcher
+const DEFAULT_TOP_OPTIONS = 3;
+
+// Outbound placements kept when looking for the best place of the return trip
+const OUTBOUND_CANDIDATES_FACTOR = 3;
+
+// Weight of the delay imposed on other patients, against the added driving time
+const IMPACT_WEIGHT = 0.5;
+
+// Delays below this are not reported to the dispatcher (seconds)
+const MIN_REPORTED_DELAY = 60;
+
+const DEFAULT_BASE = [6.1286, 43.1205];
+
+const OPEN_WINDOW = [-Infinity, Infinity];
+
+// Why a move on the timeline is refused (reasons of simulateRoute)
+const MOVE_REFUSALS = {
+  late: 'hors de la fenêtre horaire du patient',
+  'delays-others': 'retarderait d\'autres patients au-delà de leur fenêtre',
+  'outside-shift': 'en dehors des horaires de service du véhicule',
+  capacity: 'capacité du véhicule dépassée'
+};
+
+function coordinateKey(coordinate) {
+  return `${coordinate[0]},${coordinate[1]}`;
+}
+
+function getVehicleBase(vehicle) {
+  return vehicle.coordinates || DEFAULT_BASE;
+}
+
+/**
+ * Time windows [earliest, latest] of the service start at a trip's pickup and delivery,
+ * following the constraints sent to VROOM (appointment buffers, return wait, shared ride detour)
+ */
+function getStopWindows(trip, directSeconds, config) {
+  const service = getTripServiceTime(trip, 'pickup');
+
+  if (trip.isReturnTrip) {
+    const earliest = getEarliestPickupTimestamp(trip);
+    if (earliest === null) return { pickup: OPEN_WINDOW, delivery: OPEN_WINDOW };
+
+    const latest = earliest + (trip.maxWaitTime || 240) * 60;
+    return {
+      pickup: [earliest, latest],
+      delivery: isShareable(trip)
+        ? [earliest, latest + directSeconds + service + getMaxDetour(trip) * 60]
+        : OPEN_WINDOW
+    };
+  }
+
+  if (!trip.appointmentTime) return { pickup: OPEN_WINDOW, delivery: OPEN_WINDOW };
+
+  // Picked up just in time for the appointment, earlier only for the detour a shared ride accepts
+  const appointment = getCourseTimestamp(trip);
+  const deliveryStart = appointment - config.appointmentBufferBefore * 60;
+  const detour = isShareable(trip) ? getMaxDetour(trip) * 60 : 0;
+  const extension = (trip.windowExtension || 0) * 60;
+  return {
+    pickup: [deliveryStart - directSeconds - service - detour, deliveryStart],
+    delivery: [deliveryStart, appointment + config.appointmentBufferAfter * 60 + extension]
+  };
+}
+
+/**
+ * Stops (pickups, deliveries, breaks) of an existing route, in driving order.
+ * Breaks listed after the trips (fallback solver) are moved back to their place in time.
+ */
+function getRouteStops(route, vehicle, tripsById, context) {
+  const stops = [];
+  const breaks = [];
+  const breakWindows = getVehicleBreakWindows(vehicle, context.planningDate);
+
+  (route?.steps || []).forEach(step => {
+    if (step.type === 'break') {
+      const breakWindow = breakWindows.find(({ breakIndex }) => breakIndex === step.id - 1);
+      breaks.push({ kind: 'break', step, service: step.service || 0, window: breakWindow ? breakWindow.window : OPEN_WINDOW });
+      return;
+    }
+    if (step.type !== 'pickup' && step.type !== 'delivery') return;
+
+    const trip = tripsById.get(Math.floor(step.id / 10));
+    if (trip) {
+      stops.push(createTripStop(trip, step.type, context, step));
+    } else if (Array.isArray(step.location)) {
+      // Course deleted since the optimization: the vehicle still drives there
+      stops.push({ kind: step.type, step, trip: null, locationIndex: context.indexOf(step.location), service: step.service || 0, window: OPEN_WINDOW });
+    }
+  });
+
+  breaks.forEach(breakStop => {
+    const index = stops.findIndex(stop => typeof stop.step?.arrival === 'number' && stop.step.arrival > breakStop.step.arrival);
+    stops.splice(index === -1 ? stops.length : index, 0, breakStop);
+  });
+
+  return stops;
+}
+
+function createTripStop(trip, kind, context, step = null) {
+  const pickupIndex = context.indexOf(trip.coordinates);
+  const deliveryIndex = context.indexOf(trip.destinationCoords);
+  const directSeconds = context.durations[pickupIndex]?.[deliveryIndex] || 0;
+  const windows = getStopWindows(trip, directSeconds, context.config);
+
+  return {
+    kind,
+    step,
+    trip,
+    locationIndex: kind === 'pickup' ? pickupIndex : deliveryIndex,
+    service: getTripServiceTime(trip, kind),
+    window: windows[kind],
+    isNew: !step
+  };
+}
+
+/**
+ * Drive a vehicle through a sequence of stops, waiting for each time window to open.
+ * Existing stops may keep the lateness they already had (baseline); new stops must be on time,
+ * inside a shift, and never overload the vehicle.
+ * @returns {Object} { feasible, reason, distance, duration, times: [{ arrival, start }] }
+ */
+function simulateRoute(vehicle, stops, context, baseline = null) {
+  const base = context.indexOf(getVehicleBase(vehicle));
+  const shiftWindows = getVehicleShiftWindows(vehicle, context.planningDate);
+  const capacity = getVehicleCapacity(vehicle);
+  const load = capacity.map(() => 0);
+  const onBoardNew = new Set();
+
+  let location = base;
+  let time = shiftWindows[0][0];
+  let distance = 0;
+  let duration = 0;
+  const times = [];
+
+  for (let index = 0; index < stops.length; index++) {
+    const stop = stops[index];
+    const target = stop.kind === 'break' ? location : stop.locationIndex;
+    const travel = context.durations[location]?.[target] || 0;
+
+    distance += context.distances[location]?.[target] || 0;
+    duration += travel;
+    const arrival = time + travel;
+    const start = Math.max(arrival, stop.window[0]);
+    const latest = stop.kind === 'break' ? stop.window[1] - stop.service : stop.window[1];
+    const allowedLatest = stop.isNew || !baseline ? latest : Math.max(latest, baseline.times[stop.baselineIndex].start);
+
+    if (baseline && start > allowedLatest) {
+      return { feasible: false, reason: stop.isNew ? 'late' : 'delays-others' };
+    }
+    if (stop.isNew && !shiftWindows.some(([shiftStart, shiftEnd]) => start >= shiftStart && start + stop.service <= shiftEnd)) {
+      return { feasible: false, reason: 'outside-shift' };
+    }
+
+    if (stop.trip) {
+      const amount = getTripAmount(stop.trip);
+      const sign = stop.kind === 'pickup' ? 1 : -1;
+      amount.forEach((value, dimension) => { load[dimension] += sign * value; });
+      if (stop.isNew) {
+        if (stop.kind === 'pickup') onBoardNew.add(stop.trip.id);
+        else onBoardNew.delete(stop.trip.id);
+      }
+      if (baseline && (stop.isNew || onBoardNew.size > 0) && load.some((value, dimension) => value > capacity[dimension])) {
+        return { feasible: false, reason: 'capacity' };
+      }
+    }
+
+    times.push({ arrival, start });
+    time = start + stop.service;
+    location = target;
+  }
+
+  distance += context.distances[location]?.[base] || 0;
+  duration += context.durations[location]?.[base] || 0;
+  const end = time + (context.durations[location]?.[base] || 0);
+  const shiftEnd = shiftWindows[shiftWindows.length - 1][1];
+  if (baseline && end > Math.max(shiftEnd, baseline.end)) {
+    return { feasible: false, reason: 'outside-shift' };
+  }
+
+  return { feasible: true, distance, duration, times, end };
+}
+
+/**
+ * Delay imposed on the patients already on the route, one entry per course
+ */
+function getImpacts(stops, times, baseline) {
+  const delays = new Map();
+
+  stops.forEach((stop, index) => {
+    if (stop.isNew || !stop.trip) return;
+    const delay = times[index].start - baseline.times[stop.baselineIndex].start;
+    if (delay > (delays.get(stop.trip.id)?.delay || 0)) {
+      delays.set(stop.trip.id, { tripId: stop.trip.id, patient: stop.trip.patient, delay });
+    }
+  });
+
+  return Array.from(delays.values())
+    .filter(({ delay }) => delay >= MIN_REPORTED_DELAY)
+    .map(({ tripId, patient, delay }) => ({ tripId, patient, delayMin: Math.round(delay / 60) }));
+}
+
+/**
+ * Every feasible place of a new trip in a vehicle's stops (pickup before delivery)
+ * @param {Object} constraint - { notBefore: earliest pickup, pickupIndex: only this place for the pickup,
+ *   refusals: array collecting why candidates were not feasible }
+ */
+function findPlacements(trip, vehicleRoute, context, { notBefore = null, pickupIndex: fixedPickupIndex = null, refusals = null } = {}) {
+  const { vehicle, stops, baseline } = vehicleRoute;
+  const pickup = createTripStop(trip, 'pickup', context);
+  const delivery = createTripStop(trip, 'delivery', context);
+  if (notBefore !== null) {
+    pickup.window = [Math.max(pickup.window[0], notBefore), pickup.window[1]];
+  }
+  const placements = [];
+
+  for (let pickupIndex = fixedPickupIndex ?? 0; pickupIndex <= (fixedPickupIndex ?? stops.length); pickupIndex++) {
+    for (let deliveryIndex = pickupIndex; deliveryIndex <= stops.length; deliveryIndex++) {
+      const candidate = [
+        ...stops.slice(0, pickupIndex),
+        pickup,
+        ...stops.slice(pickupIndex, deliveryIndex),
+        delivery,
+        ...stops.slice(deliveryIndex)
+      ];
+      const simulation = simulateRoute(vehicle, candidate, context, baseline);
+      if (!simulation.feasible) {
+        refusals?.push(simulation.reason);
+        continue;
+      }
+
+      const impacts = getImpacts(candidate, simulation.times, baseline);
+      const addedDuration = simulation.duration - baseline.duration;
+      const totalDelay = impacts.reduce((sum, impact) => sum + impact.delayMin * 60, 0);
+
+      placements.push({
+        vehicleId: vehicle.id,
+        position: candidate.filter(stop => stop.kind === 'pickup').indexOf(pickup) + 1,
+        stops: candidate,
+        simulation,
+        addedDistance: simulation.distance - baseline.distance,
+        addedDuration,
+        impacts,
+        cost: addedDuration + totalDelay * IMPACT_WEIGHT
+      });
+    }
+  }
+
+  return placements;
+}
+
+/**
+ * Cheapest placements of a trip over all vehicles able to serve it
+ */
+function findTripPlacements(trip, vehicleRoutes, context) {
+  return vehicleRoutes
+    .filter(vehicleRoute => checkVehicleForCourse(trip, vehicleRoute.vehicle).compatible)
+    .flatMap(vehicleRoute => findPlacements(trip, vehicleRoute, context))
+    .sort((a, b) => a.cost - b.cost);
+}
+
+/**
+ * Vehicle route after a placement, as the new baseline for the next trip to insert
+ */
+function applyPlacement(vehicleRoutes, placement) {
+  return vehicleRoutes.map(vehicleRoute => {
+    if (vehicleRoute.vehicle.id !== placement.vehicleId) return vehicleRoute;
+    return { ...vehicleRoute, stops: placement.stops, placed: true };
+  });
+}
+
+/**
+ * Merge the placements of the course and its return into one option for the dispatcher
+ */
+function buildOption(placements, vehicleRoutes, newTrips) {
+  const byVehicle = new Map();
+  placements.forEach(placement => byVehicle.set(placement.vehicleId, placement));
+
+  // Impacts of the last placement on a vehicle include those of the previous ones
+  const impacts = Array.from(byVehicle.values())
+    .flatMap(placement => placement.impacts)
+    .filter(impact => !newTrips.some(trip => trip.id === impact.tripId));
+
+  const routes = Array.from(byVehicle.values()).map(placement => {
+    const original = vehicleRoutes.find(vehicleRoute => vehicleRoute.vehicle.id === placement.vehicleId);
+    return {
+      vehicle: original.vehicle,
+      route: original.route,
+      stops: placement.stops,
+      times: placement.simulation.times,
+      addedDistance: placement.simulation.distance - original.baseline.distance,
+      addedDuration: placement.simulation.duration - original.baseline.duration
+    };
+  });
+
+  const addedDistance = routes.reduce((sum, route) => sum + route.addedDistance, 0);
+  const addedDuration = routes.reduce((sum, route) => sum + route.addedDuration, 0);
+  const totalDelay = impacts.reduce((sum, impact) => sum + impact.delayMin * 60, 0);
+
+  return {
+    key: routes.map(route => `${route.vehicle.id}:${route.stops.map((stop, index) => stop.isNew ? index : '').join('')}`).join('|'),
+    assignments: newTrips.map((trip, index) => ({
+      tripId: trip.id,
+      patient: trip.patient,
+      isReturnTrip: Boolean(trip.isReturnTrip),
+      vehicle: vehicleRoutes.find(vehicleRoute => vehicleRoute.vehicle.id === placements[index].vehicleId).vehicle,
+      position: placements[index].position,
+      pickupTimestamp: getNewStopStart(routes, trip, 'pickup')
+    })),
+    addedKm: Math.round(addedDistance / 100) / 10,
+    addedMinutes: Math.round(addedDuration / 60),
+    impacts,
+    cost: addedDuration + totalDelay * IMPACT_WEIGHT,
+    routes
+  };
+}
+
+function getNewStopStart(routes, trip, kind) {
+  for (const route of routes) {
+    const index = route.stops.findIndex(stop => stop.isNew && stop.trip.id === trip.id && stop.kind === kind);
+    if (index !== -1) return route.times[index].start;
+  }
+  return null;
+}
+
+/**
+ * French explanation when a course cannot be inserted anywhere
+ */
+function explainNoPlacement(trip, vehicles) {
+  const skillIssue = explainSkillMismatch(trip, vehicles);
+  if (skillIssue) return skillIssue;
+  return `Aucun véhicule ne peut prendre ${trip.patient}${trip.isReturnTrip ? ' (retour)' : ''} sans retarder d'autres patients ou sortir de ses horaires`;
+}
+
+/**
+ * Matrix and vehicle baselines of a plan: every place involved (bases, stops of the plan,
+ * new trips) in one cached OSRM matrix, and each vehicle's current stops driven with the
+ * same model as the candidates
+ * @returns {Promise<Object>} { context, vehicleRoutes, activeVehicles, tripsById, matrix }
+ */
+async function buildPlanModel(plan, newTrips, planTrips, vehicles, config, planningDate) {
+  const activeVehicles = vehicles.filter(vehicle => vehicle.status !== 'maintenance');
+  const tripsById = new Map(planTrips.map(trip => [trip.id, trip]));
+
+  const coordinates = [];
+  const coordinateIndex = new Map();
+  const addCoordinate = coordinate => {
+    if (!Array.isArray(coordinate) || coordinateIndex.has(coordinateKey(coordinate))) return;
+    coordinateIndex.set(coordinateKey(coordinate), coordinates.length);
+    coordinates.push(coordinate);
+  };
+  activeVehicles.forEach(vehicle => addCoordinate(getVehicleBase(vehicle)));
+  plan.routes.forEach(route => (route.steps || []).forEach(step => {
+    const trip = tripsById.get(Math.floor(step.id / 10));
+    if (step.type === 'pickup') addCoordinate(trip ? trip.coordinates : step.location);
+    if (step.type === 'delivery') addCoordinate(trip ? trip.destinationCoords : step.location);
+  }));
+  newTrips.forEach(trip => {
+    addCoordinate(trip.coordinates);
+    addCoordinate(trip.destinationCoords);
+  });
+
+  const matrix = await getCachedMatrix(coordinates);
+  if (matrix.fallback) {
+    console.warn('⚠️ OSRM matrix unavailable, insertion costs are estimated');
+  }
+
+  const context = {
+    config,
+    planningDate,
+    durations: matrix.durations,
+    distances: matrix.distances,
+    indexOf: coordinate => coordinateIndex.get(coordinateKey(coordinate)) ?? 0
+  };
+
+  const vehicleRoutes = activeVehicles.map(vehicle => {
+    const route = plan.routes.find(r => r.vehicle === vehicle.id) || null;
+    const stops = getRouteStops(route, vehicle, tripsById, context).map((stop, index) => ({ ...stop, baselineIndex: index }));
+    return { vehicle, route, stops, baseline: simulateRoute(vehicle, stops, context) };
+  });
+
+  return { context, vehicleRoutes, activeVehicles, tripsById, matrix };
+}
+
+/**
+ * Find the cheapest ways to insert a new course (and its auto-generated return) into the live plan
+ * @param {Object} plan - Optimization result of the day (routes from VROOM or the fallback solver)
+ * @param {Array} newTrips - The new course followed by its return trip, if any
+ * @param {Array} planTrips - Trips of the day the plan was built from
+ * @param {Array} vehicles - AmbuSched vehicles
+ * @param {Object} options - { topN, timeWindowConfig }
+ * @returns {Promise<Object>} { success, options: [{ assignments, addedKm, addedMinutes, impacts, routes }], message }
+ */
+export async function findInsertionOptions(plan, newTrips, planTrips, vehicles, options = {}) {
+  const { topN = DEFAULT_TOP_OPTIONS, timeWindowConfig = null } = options;
+  const config = timeWindowConfig || { appointmentBufferBefore: 30, appointmentBufferAfter: 30 };
+
+  if (!plan?.routes) {
+    return { success: false, options: [], message: 'Aucun planning optimisé pour ce jour' };
+  }
+
+  try {
+    console.log('➕ Cheapest insertion of', newTrips.map(trip => `${trip.id} ${trip.patient}`));
+
+    const { context, vehicleRoutes, activeVehicles, matrix } = await buildPlanModel(
+      plan, newTrips, planTrips, vehicles, config, newTrips[0]?.date || getTodayKey()
+    );
+
+    const [outboundTrip, ...otherTrips] = newTrips;
+    const outboundPlacements = findTripPlacements(outboundTrip, vehicleRoutes, context);
+    if (outboundPlacements.length === 0) {
+      return { success: false, options: [], message: explainNoPlacement(outboundTrip, activeVehicles), osrmUsed: !matrix.fallback };
+    }
+
+    // The return goes on the cheapest vehicle given where the outbound trip was placed
+    const proposals = [];
+    let missingTrip = null;
+    outboundPlacements.slice(0, topN * OUTBOUND_CANDIDATES_FACTOR).forEach(outboundPlacement => {
+      let currentRoutes = applyPlacement(vehicleRoutes, outboundPlacement);
+      const placements = [outboundPlacement];
+
+      for (const trip of otherTrips) {
+        const placement = findTripPlacements(trip, currentRoutes, context)[0];
+        if (!placement) {
+          missingTrip = trip;
+          return;
+        }
+        currentRoutes = applyPlacement(currentRoutes, placement);
+        placements.push(placement);
+      }
+
+      proposals.push(buildOption(placements, vehicleRoutes, newTrips));
+    });
+
+    const insertionOptions = proposals
+      .filter((option, index) => proposals.findIndex(other => other.key === option.key) === index)
+      .sort((a, b) => a.cost - b.cost)
+      .slice(0, topN);
+
+    if (insertionOptions.length === 0) {
+      return { success: false, options: [], message: explainNoPlacement(missingTrip || outboundTrip, activeVehicles), osrmUsed: !matrix.fallback };
+    }
+
+    console.log('✅ Insertion options:', insertionOptions.map(option => ({
+      vehicles: option.assignments.map(assignment => assignment.vehicle.name),
+      addedKm: option.addedKm,
+      addedMinutes: option.addedMinutes,
+      impacts: option.impacts.length
+    })));
+
+    return { success: true, options: insertionOptions, osrmUsed: !matrix.fallback };
+
+  } catch (error) {
+    console.error('Insertion error:', error);
+    return { success: false, options: [], message: error.message };
+  }
+}
+
+/**
+ * Route steps after an insertion or a move; only the stops of the changed vehicle get new times
+ * @param {string} flag - Marker of the placed steps ('inserted' or 'moved')
+ */
+function buildInsertedSteps(optionRoute, planningDate, flag = 'inserted') {
+  const { vehicle, route, stops, times } = optionRoute;
+  const shiftWindows = getVehicleShiftWindows(vehicle, planningDate);
+  const startStep = route?.steps?.find(step => step.type === 'start') || { type: 'start', location: getVehicleBase(vehicle) };
+  const endStep = route?.steps?.find(step => step.type === 'end') || { type: 'end', location: getVehicleBase(vehicle) };
+
+  const steps = stops.map((stop, index) => {
+    const { arrival, start } = times[index];
+    if (!stop.isNew) {
+      return { ...stop.step, arrival, waiting_time: start - arrival };
+    }
+
+    const shift = shiftWindows.findIndex(([shiftStart, shiftEnd]) => start >= shiftStart && start <= shiftEnd);
+    return {
+      type: stop.kind,
+      id: stop.trip.id * 10 + (stop.kind === 'pickup' ? 1 : 2), // UI expects this format: course.id * 10 + 1 / + 2
+      job: stop.trip.id,
+      location: stop.kind === 'pickup' ? stop.trip.coordinates : stop.trip.destinationCoords,
+      arrival,
+      waiting_time: start - arrival,
+      service: stop.service,
+      shift: Math.max(shift, 0),
+      [flag]: true
+    };
+  });
+
+  return [startStep, ...steps, endStep];
+}
+
+/**
+ * Plan routes with the changed vehicles replaced (added when the vehicle had no route)
+ */
+function applyOptionRoutes(planRoutes, optionRoutes, planningDate, flag) {
+  const routes = [...planRoutes];
+
+  optionRoutes.forEach(optionRoute => {
+    const vehicleId = optionRoute.vehicle.id;
+    const existing = routes.findIndex(route => route.vehicle === vehicleId);
+    const previous = existing === -1 ? { vehicle: vehicleId, distance: 0, duration: 0, cost: 0 } : routes[existing];
+    const updated = {
+      ...previous,
+      steps: buildInsertedSteps(optionRoute, planningDate, flag),
+      distance: Math.round((previous.distance || 0) + optionRoute.addedDistance),
+      duration: Math.round((previous.duration || 0) + optionRoute.addedDuration)
+    };
+
+    if (existing === -1) {
+      routes.push(updated);
+    } else {
+      routes[existing] = updated;
+    }
+  });
+
+  return routes;
+}
+
+/**
+ * Commit an insertion option: the vehicles it uses get their new route, every other route is kept as is
+ * @param {Object} plan - Optimization result of the day
+ * @param {Object} option - One of the options returned by findInsertionOptions
+ * @param {Array} newTrips - The inserted course and its return
+ * @returns {Object} Updated optimization result
+ */
+export function commitInsertion(plan, option, newTrips) {
+  const planningDate = newTrips[0]?.date || getTodayKey();
+  const routes = applyOptionRoutes(plan.routes, option.routes, planningDate, 'inserted');
+
+  const insertedResults = newTrips.map(trip => {
+    const assignment = option.assignments.find(a => a.tripId === trip.id);
+    return {
+      trip,
+      assignment: {
+        vehicle: assignment.vehicle,
+        optimization: {
+          score: null,
+          details: {
+            totalDistance: option.addedKm,
+            totalTime: option.addedMinutes,
+            estimatedArrival: assignment.pickupTimestamp ? new Date(assignment.pickupTimestamp * 1000) : null,
+            conflicts: [],
+            fuelCost: option.addedKm * 0.15
+          }
+        }
+      },
+      status: 'assigned',
+      inserted: true
+    };
+  });
+
+  const summary = plan.summary ? {
+    ...plan.summary,
+    totalTrips: (plan.summary.totalTrips || 0) + newTrips.length,
+    assignedTrips: (plan.summary.assignedTrips || 0) + newTrips.length,
+    totalDistance: Math.round(((plan.summary.totalDistance || 0) + option.addedKm) * 10) / 10,
+    totalDuration: Math.round((plan.summary.totalDuration || 0) + option.addedMinutes)
+  } : plan.summary;
+  if (summary?.totalTrips) {
+    summary.assignmentRate = Math.round((summary.assignedTrips / summary.totalTrips) * 100);
+  }
+
+  console.log(`✅ Inserted ${newTrips.length} trip(s): +${option.addedKm} km, +${option.addedMinutes} min`);
+
+  return {
+    ...plan,
+    routes,
+    results: [...(plan.results || []), ...insertedResults],
+    summary,
+    insertedTripIds: [...(plan.insertedTripIds || []), ...newTrips.map(trip => trip.id)]
+  };
+}
+
+/**
+ * Check a move of a planned trip on the fleet timeline: to another vehicle and/or later in the day.
+ * The trip must stay in its time window, inside the vehicle's shifts and capacity, on a vehicle
+ * with the right type and equipment, without pushing other patients out of their windows.
+ * @param {Object} plan - Optimization result of the day
+ * @param {Object} move - { tripId, vehicleId, notBefore } (pickup not before this timestamp, null: as early as allowed)
+ * @param {Array} planTrips - Trips of the day the plan was built from
+ * @param {Array} vehicles - AmbuSched vehicles
+ * @param {Object} options - { timeWindowConfig, planningDate }
+ * @returns {Promise<Object>} { feasible, message, routes, pickupTimestamp, addedKm, addedMinutes, impacts }
+ */
+export async function previewTripMove(plan, move, planTrips, vehicles, options = {}) {
+  const { timeWindowConfig = null, planningDate = getTodayKey() } = options;
+  const config = timeWindowConfig || { appointmentBufferBefore: 30, appointmentBufferAfter: 30 };
+  const trip = planTrips.find(t => t.id === move.tripId);
+  const vehicle = vehicles.find(v => v.id === move.vehicleId);
+  const refuse = message => ({ feasible: false, message, routes: [] });
+
+  if (!plan?.routes || !trip || !vehicle) {
+    return refuse('Course ou véhicule absent du planning');
+  }
+  if (vehicle.status === 'maintenance') {
+    return refuse(`${vehicle.name} est en maintenance`);
+  }
+  const skills = checkVehicleForCourse(trip, vehicle);
+  if (!skills.compatible) {
+    return refuse(`${vehicle.name} : ${skills.reason}`);
+  }
+
+  try {
+    const { context, vehicleRoutes } = await buildPlanModel(plan, [], planTrips, vehicles, config, planningDate);
+    const isMovedStop = stop => stop.trip?.id === trip.id;
+    const source = vehicleRoutes.find(vehicleRoute => vehicleRoute.stops.some(isMovedStop));
+    const target = vehicleRoutes.find(vehicleRoute => vehicleRoute.vehicle.id === vehicle.id);
+    if (!source) {
+      return refuse(`${trip.patient} n'est sur aucune tournée`);
+    }
+
+    // The other stops of the target keep their baseline times for the delay check;
+    // the pickup goes after the stops starting before the dropped time
+    const targetRoute = { ...target, stops: target.stops.filter(stop => !isMovedStop(stop)) };
+    const pickupIndex = move.notBefore === null
+      ? null
+      : targetRoute.stops.filter(stop => target.baseline.times[stop.baselineIndex].start < move.notBefore).length;
+    const refusals = [];
+    const placement = findPlacements(trip, targetRoute, context, { notBefore: move.notBefore, pickupIndex, refusals })
+      .sort((a, b) => a.cost - b.cost)[0];
+    if (!placement) {
+      return refuse(`Impossible sur ${vehicle.name} : ${MOVE_REFUSALS[refusals[0]] || 'aucune place dans la tournée'}`);
+    }
+
+    const routes = [{
+      vehicle,
+      route: target.route,
+      stops: placement.stops,
+      times: placement.simulation.times,
+      addedDistance: placement.simulation.distance - target.baseline.distance,
+      addedDuration: placement.simulation.duration - target.baseline.duration
+    }];
+    if (source !== target) {
+      const sourceStops = source.stops.filter(stop => !isMovedStop(stop));
+      const simulation = simulateRoute(source.vehicle, sourceStops, context);
+      routes.push({
+        vehicle: source.vehicle,
+        route: source.route,
+        stops: sourceStops,
+        times: simulation.times,
+        addedDistance: simulation.distance - source.baseline.distance,
+        addedDuration: simulation.duration - source.baseline.duration
+      });
+    }
+
+    const addedDistance = routes.reduce((sum, route) => sum + route.addedDistance, 0);
+    const addedDuration = routes.reduce((sum, route) => sum + route.addedDuration, 0);
+    return {
+      feasible: true,
+      tripId: trip.id,
+      message: null,
+      routes,
+      pickupTimestamp: getNewStopStart(routes, trip, 'pickup'),
+      addedKm: Math.round(addedDistance / 100) / 10,
+      addedMinutes: Math.round(addedDuration / 60),
+      impacts: placement.impacts
+    };
+  } catch (error) {
+    console.error('Move check error:', error);
+    return refuse(error.message);
+  }
+}
+
+/**
+ * Commit a checked timeline move: the vehicles it changes get their new route
+ * @param {Object} plan - Optimization result of the day
+ * @param {Object} move - Feasible result of previewTripMove
+ * @param {string} planningDate - Day of the plan
+ * @returns {Object} Updated optimization result
+ */
+export function commitTripMove(plan, move, planningDate) {
+  const routes = applyOptionRoutes(plan.routes, move.routes, planningDate, 'moved');
+  const vehicle = move.routes[0].vehicle;
+
+  const summary = plan.summary ? {
+    ...plan.summary,
+    totalDistance: Math.round(((plan.summary.totalDistance || 0) + move.addedKm) * 10) / 10,
+    totalDuration: Math.round((plan.summary.totalDuration || 0) + move.addedMinutes)
+  } : plan.summary;
+
+  console.log(`↔️ Trip ${move.tripId} moved to ${vehicle.name}: ${move.addedKm >= 0 ? '+' : ''}${move.addedKm} km`);
+
+  return {
+    ...plan,
+    routes,
+    results: (plan.results || []).map(result => (result.trip?.id === move.tripId && result.assignment
+      ? { ...result, assignment: { ...result.assignment, vehicle } }
+      : result)),
+    summary,
+    movedTripIds: [...new Set([...(plan.movedTripIds || []), move.tripId])]
+  };
+}
+
+export default {
+  findInsertionOptions,
+  commitInsertion,
+  previewTripMove,
+  commitTripMove
+};
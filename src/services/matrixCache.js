@@ -0,0 +1,255 @@
+// OSRM Matrix Cache for AmbuSched
+// Keeps every distance/duration cell ever fetched (memory + IndexedDB), keyed by snapped coordinate pairs,
+// so an optimization only asks OSRM for the cells it has never seen
+
+import { getOSRMMatrix } from './osrmService';
+import { loadMatrixCells, saveMatrixCells, pruneMatrixCache } from './storageService';
+
+/**
+ * Matrix Cache Configuration
+ */
+const MATRIX_CACHE_CONFIG = {
+  precision: 5,                      // Decimals kept when snapping coordinates (~1 m)
+  ttl: 30 * 24 * 3600 * 1000         // Cells older than 30 days are fetched again (road works, new roads)
+};
+
+// Cells already read or fetched during this session
+const memoryCache = new Map();
+
+let expiredCellsPruned = false;
+
+/**
+ * Snap a [longitude, latitude] coordinate, so that the same address always gives the same key
+ */
+export function snapCoordinate(coordinate) {
+  return coordinate.map(value => Number(Number(value).toFixed(MATRIX_CACHE_CONFIG.precision)));
+}
+
+function pointKey(coordinate) {
+  return snapCoordinate(coordinate).join(',');
+}
+
+function cellKey(fromKey, toKey) {
+  return `${fromKey};${toKey}`;
+}
+
+function isFresh(cell) {
+  return Date.now() - cell.fetchedAt < MATRIX_CACHE_CONFIG.ttl;
+}
+
+/**
+ * Look up cells in memory, then in IndexedDB; expired cells count as missing
+ */
+async function readCells(keys) {
+  const found = new Map();
+  const notInMemory = [];
+
+  keys.forEach(key => {
+    const cell = memoryCache.get(key);
+    if (cell && isFresh(cell)) {
+      found.set(key, cell);
+    } else {
+      notInMemory.push(key);
+    }
+  });
+
+  if (notInMemory.length > 0) {
+    const stored = await loadMatrixCells(notInMemory);
+    stored.forEach((cell, key) => {
+      if (!isFresh(cell)) return;
+      memoryCache.set(key, cell);
+      found.set(key, cell);
+    });
+  }
+
+  return found;
+}
+
+async function writeCells(cells) {
+  cells.forEach(cell => memoryCache.set(cell.key, cell));
+  await saveMatrixCells(cells);
+
+  // Drop expired cells once per session, so the store doesn't grow forever
+  if (!expiredCellsPruned) {
+    expiredCellsPruned = true;
+    await pruneMatrixCache(Date.now() - MATRIX_CACHE_CONFIG.ttl);
+  }
+}
+
+/**
+ * Fetch an OSRM sub-table and cache its cells. Cells of blocks OSRM could not serve
+ * are estimated: returned flagged `estimated`, but never cached.
+ * @returns {Promise<Array>} Fetched cells
+ */
+async function fetchSubTable(points, sources, destinations) {
+  if (sources.length === 0 || destinations.length === 0) return [];
+
+  const coordinates = points.map(point => point.coordinate);
+  console.log(`🧮 OSRM sub-table ${sources.length}×${destinations.length} (${points.length} points)`);
+  const matrix = await getOSRMMatrix(coordinates, { sources, destinations });
+
+  const estimatedPairs = new Set(matrix.estimatedBlocks.flatMap(block =>
+    block.sources.flatMap(source => block.destinations.map(destination => `${source}:${destination}`))
+  ));
+  if (estimatedPairs.size > 0) {
+    console.warn(`⚠️ ${estimatedPairs.size} matrix cells estimated, not cached:`, matrix.error);
+  }
+
+  const fetchedAt = Date.now();
+  const cells = [];
+  sources.forEach((source, row) => {
+    destinations.forEach((destination, column) => {
+      const duration = matrix.durations?.[row]?.[column];
+      const distance = matrix.distances?.[row]?.[column];
+      // Unroutable pairs come back as null and are asked again next time
+      if (typeof duration !== 'number' || typeof distance !== 'number') return;
+      cells.push({
+        key: cellKey(points[source].key, points[destination].key),
+        distance,
+        duration,
+        fetchedAt,
+        ...(estimatedPairs.has(`${source}:${destination}`) && { estimated: true })
+      });
+    });
+  });
+
+  await writeCells(cells.filter(cell => !cell.estimated));
+  return cells;
+}
+
+/**
+ * Ask OSRM for the missing cells only: new points against everything, then the few old pairs
+ * that expired, instead of the full N×N table
+ */
+async function fetchMissingCells(points, missing) {
+  const missingBySource = new Map();
+  missing.forEach(([from, to]) => {
+    if (!missingBySource.has(from)) missingBySource.set(from, new Set());
+    missingBySource.get(from).add(to);
+  });
+
+  // A point is new when none of its cells is known: its whole row and column are requested
+  const isNew = points.map((_, index) => missingBySource.get(index)?.size === points.length - 1);
+  const newIndexes = points.map((_, index) => index).filter(index => isNew[index]);
+  const oldIndexes = points.map((_, index) => index).filter(index => !isNew[index]);
+
+  const requests = [
+    [newIndexes, points.map((_, index) => index)],
+    [oldIndexes, newIndexes]
+  ];
+
+  // Remaining holes between known points (expired or unroutable cells)
+  const oldMissing = missing.filter(([from, to]) => !isNew[from] && !isNew[to]);
+  if (oldMissing.length > 0) {
+    requests.push([
+      [...new Set(oldMissing.map(([from]) => from))],
+      [...new Set(oldMissing.map(([, to]) => to))]
+    ]);
+  }
+
+  const fetched = [];
+  for (const [sources, destinations] of requests) {
+    fetched.push(...await fetchSubTable(points, sources, destinations));
+  }
+  return fetched;
+}
+
+/**
+ * Distance/duration matrix between coordinates, served from the cache where possible
+ * @param {Array} coordinates - Array of [longitude, latitude] coordinates
+ * @returns {Promise<Object>} { success, distances, durations, cachedCells, requestedCells, estimatedCells, fallback }
+ */
+export async function getCachedMatrix(coordinates) {
+  const points = [];
+  const pointIndex = new Map();
+  coordinates.forEach(coordinate => {
+    const key = pointKey(coordinate);
+    if (!pointIndex.has(key)) {
+      pointIndex.set(key, points.length);
+      points.push({ key, coordinate: snapCoordinate(coordinate) });
+    }
+  });
+
+  const keys = points.flatMap(from => points.map(to => cellKey(from.key, to.key)));
+  const cells = await readCells(keys);
+
+  const missing = [];
+  points.forEach((from, i) => points.forEach((to, j) => {
+    if (i !== j && !cells.has(cellKey(from.key, to.key))) missing.push([i, j]);
+  }));
+
+  let estimatedCells = 0;
+  if (missing.length > 0) {
+    const fetched = await fetchMissingCells(points, missing);
+    fetched.forEach(cell => cells.set(cell.key, cell));
+    estimatedCells = fetched.filter(cell => cell.estimated).length;
+  }
+
+  const indexes = coordinates.map(coordinate => pointIndex.get(pointKey(coordinate)));
+  const buildMatrix = (field) => indexes.map(i => indexes.map(j => {
+    if (i === j) return 0;
+    return cells.get(cellKey(points[i].key, points[j].key))?.[field] ?? null;
+  }));
+
+  console.log(`🧮 Matrix ${coordinates.length}×${coordinates.length}: ${points.length * (points.length - 1) - missing.length} cells cached, ${missing.length} requested, ${estimatedCells} estimated`);
+
+  // Fallback only when OSRM gave nothing at all; a few estimated blocks still leave real road times elsewhere
+  const fallback = missing.length > 0 && estimatedCells >= missing.length;
+  return {
+    success: estimatedCells === 0,
+    fallback,
+    distances: buildMatrix('distance'),
+    durations: buildMatrix('duration'),
+    cachedCells: points.length * (points.length - 1) - missing.length,
+    requestedCells: missing.length,
+    estimatedCells
+  };
+}
+
+/**
+ * Distance (meters) and duration (seconds) of direct legs, e.g. pickup → destination of each course,
+ * fetched in one sub-table for the legs not cached yet
+ * @param {Array} legs - [[from, to], ...] coordinates
+ * @returns {Promise<Array>} { distance, duration } per leg, or null when OSRM could not give it
+ */
+export async function getCachedLegs(legs) {
+  const legPoints = legs.map(([from, to]) => [pointKey(from), pointKey(to)]);
+  const legKeys = legPoints.map(([from, to]) => cellKey(from, to));
+  const cells = await readCells([...new Set(legKeys)]);
+
+  const missingLegs = legs.filter((_, index) => !cells.has(legKeys[index]) && legPoints[index][0] !== legPoints[index][1]);
+  if (missingLegs.length > 0) {
+    const points = [];
+    const pointIndex = new Map();
+    const addPoint = coordinate => {
+      const key = pointKey(coordinate);
+      if (!pointIndex.has(key)) {
+        pointIndex.set(key, points.length);
+        points.push({ key, coordinate: snapCoordinate(coordinate) });
+      }
+      return pointIndex.get(key);
+    };
+    const sources = [...new Set(missingLegs.map(([from]) => addPoint(from)))];
+    const destinations = [...new Set(missingLegs.map(([, to]) => addPoint(to)))];
+
+    const fetched = await fetchSubTable(points, sources, destinations);
+    fetched.forEach(cell => cells.set(cell.key, cell));
+  }
+
+  return legPoints.map(([from, to], index) => {
+    if (from === to) return { distance: 0, duration: 0 };
+    const cell = cells.get(legKeys[index]);
+    return cell && !cell.estimated ? { distance: cell.distance, duration: cell.duration } : null;
+  });
+}
+
+/**
+ * Forget every cached cell (e.g. after switching to another OSRM server or map extract)
+ */
+export async function invalidateMatrixCache() {
+  memoryCache.clear();
+  console.log('🧮 Matrix cache cleared');
+  return pruneMatrixCache(null);
+}
+
+export { MATRIX_CACHE_CONFIG };
@@ -1,87 +1,88 @@
 // OSRM (Open Source Routing Machine) Service Integration
 // Provides real-world routing data for AmbuSched optimization
 
+import { getServerChain, getRoutingProfile, assertHostAllowed } from './endpointRegistry';
+import { geocodeBest } from './geocoder';
+
 /**
  * OSRM Service Configuration
- * Using local Docker OSRM instance with France dataset
+ * Server URLs, profile and timeouts come from the endpoint registry
  */
 const OSRM_CONFIG = {
-  // Local OSRM Docker instance
-  baseUrl: 'http://localhost:5000',
-  
-  // Docker command to start OSRM server:
-  // Run from: C:\Users\bapti\Documents\Programation\Logiciels_de_dev\Geograph\osrm-data
-  // Command: docker run -t -i -p 5000:5000 -v "%CD%:/data" ghcr.io/project-osrm/osrm-backend osrm-routed --algorithm mld /data/france-latest.osrm
-  
-  // Fallback to public server if local is not available
-  fallbackUrl: 'https://router.project-osrm.org',
-  
-  profile: 'driving', // driving, walking, cycling
-  timeout: 10000, // 10 seconds timeout for local server
-  fallbackTimeout: 30000, // 30 seconds for public server
-  
   // Coordinates format: [longitude, latitude] (OSRM uses lon,lat not lat,lon!)
   coordinateFormat: 'lon,lat',
+
+  // Table requests: coordinates per request (OSRM --max-table-size, 100 on the public server)
+  // and number of blocks fetched at the same time
+  maxTableSize: 100,
+  tableConcurrency: 2,
+
+  // Average speed of the straight-line estimates used when a leg can't be routed
+  estimatedSpeedKmh: 50,
   
-  // Local server configuration
+  // Local server configuration (the map extract is mounted from the current directory)
   dockerConfig: {
-    dataPath: 'C:\\Users\\bapti\\Documents\\Programation\\Logiciels_de_dev\\Geograph\\osrm-data',
-    dockerCommand: 'docker run -t -i -p 5000:5000 -v "%CD%:/data" ghcr.io/project-osrm/osrm-backend osrm-routed --algorithm mld /data/france-latest.osrm',
+    dockerCommand: 'docker run -t -i -p 5000:5000 -v "${PWD}:/data" ghcr.io/project-osrm/osrm-backend osrm-routed --algorithm mld /data/france-latest.osrm',
     port: 5000
   }
 };
 
+// Short route used to check that a server answers
+const PROBE_ROUTE = '6.1286,43.1205;6.1400,43.1300';
+
 /**
- * Check if local OSRM server is running
- * @returns {Promise<boolean>} True if local server is accessible
+ * Check if an OSRM server is running
+ * @param {Object} server - Registry server { url, label }
+ * @returns {Promise<boolean>} True if the server is accessible
  */
-async function isLocalOSRMRunning() {
+async function isOSRMServerRunning(server) {
   try {
-    const response = await fetch(`${OSRM_CONFIG.baseUrl}/route/v1/driving/6.1286,43.1205;6.1400,43.1300?overview=false`, {
+    const response = await fetch(`${server.url}/route/v1/${getRoutingProfile()}/${PROBE_ROUTE}?overview=false`, {
       method: 'GET',
-      timeout: 3000
+      signal: AbortSignal.timeout(3000)
     });
     return response.ok;
   } catch (error) {
-    console.warn('🔄 Local OSRM server not accessible, will use fallback');
+    console.warn(`🔄 OSRM server ${server.label} not accessible, will try the next one`);
     return false;
   }
 }
 
 /**
- * Get the appropriate OSRM base URL (local or fallback)
- * @returns {Promise<string>} Base URL to use
+ * Get the OSRM server to use: the first one of the registry chain that answers,
+ * the last one being used without check
+ * @returns {Promise<Object|null>} Registry server { url, timeout, ... }, or null if none is allowed
  */
-async function getOSRMBaseUrl() {
-  const isLocalRunning = await isLocalOSRMRunning();
-  if (isLocalRunning) {
-    console.log('✅ Using local OSRM server at localhost:5000');
-    return OSRM_CONFIG.baseUrl;
+async function getOSRMServer() {
+  const chain = getServerChain('osrm');
+  for (const server of chain.slice(0, -1)) {
+    if (await isOSRMServerRunning(server)) {
+      console.log(`✅ Using OSRM server ${server.label} (${server.url})`);
+      return server;
+    }
+  }
+
+  const lastServer = chain[chain.length - 1] || null;
+  if (lastServer) {
+    console.log(`🌐 Using OSRM server ${lastServer.label} (${lastServer.url})`);
   } else {
-    console.log('🌐 Using fallback OSRM server (public)');
-    return OSRM_CONFIG.fallbackUrl;
+    console.warn('🚫 No OSRM server allowed by the endpoint settings');
   }
+  return lastServer;
 }
 
 /**
- * Convert address to coordinates using geocoding
- * In production, you might want to use a dedicated geocoding service
+ * Convert address to coordinates using the geocoder (offline BAN gazetteer by default)
  * @param {string} address - Address to geocode
  * @returns {Promise<Array>} [longitude, latitude]
+ * @throws {Error} When the address cannot be found: no more silent default position
  */
 export async function geocodeForOSRM(address) {
-  // Use your existing geocoding function but convert to OSRM format
-  const { calculateDistance, geocodeAddress } = await import('../utils/routeOptimization.js');
-  
-  try {
-    const coords = await geocodeAddress(address);
-    // Convert from [lat, lng] to [lng, lat] for OSRM
-    return [coords.lng, coords.lat];
-  } catch (error) {
-    console.error('Geocoding error:', error);
-    // Fallback to Hyères coordinates
-    return [6.1286, 43.1205];
+  const result = await geocodeBest(address);
+  if (!result) {
+    throw new Error(`Geocoding failed for "${address}"`);
   }
+  return result.coordinates;
 }
 
 /**
@@ -109,9 +110,12 @@ export async function getOSRMRoute(coordinates, options = {}) {
       .map(coord => `${coord[0]},${coord[1]}`)
       .join(';');
 
-    // Get appropriate OSRM server URL
-    const baseUrl = await getOSRMBaseUrl();
-    const url = `${baseUrl}/route/v1/${OSRM_CONFIG.profile}/${coordString}`;
+    // Get appropriate OSRM server
+    const server = await getOSRMServer();
+    if (!server) {
+      throw new Error('No OSRM server allowed by the endpoint settings');
+    }
+    const url = `${server.url}/route/v1/${getRoutingProfile()}/${coordString}`;
     
     const params = {
       overview,
@@ -122,17 +126,16 @@ export async function getOSRMRoute(coordinates, options = {}) {
     };
 
     console.log('🗺️  OSRM Route request:', url);
+    assertHostAllowed(url);
     
     const urlWithParams = `${url}?${new URLSearchParams(params)}`;
     
-    const timeout = baseUrl === OSRM_CONFIG.baseUrl ? OSRM_CONFIG.timeout : OSRM_CONFIG.fallbackTimeout;
-    
     const response = await fetch(urlWithParams, {
       method: 'GET',
       headers: {
         'Accept': 'application/json'
       },
-      signal: AbortSignal.timeout(timeout)
+      signal: AbortSignal.timeout(server.timeout)
     });
 
     if (!response.ok) {
@@ -163,7 +166,7 @@ export async function getOSRMRoute(coordinates, options = {}) {
     // Fallback to Haversine distance calculation
     if (coordinates.length === 2) {
       const distance = calculateHaversineDistance(coordinates[0], coordinates[1]);
-      const estimatedDuration = (distance / 1000) * 60; // Rough estimate: 1 km/min
+      const estimatedDuration = (distance / 1000) / OSRM_CONFIG.estimatedSpeedKmh * 3600;
       
       return {
         success: false,
@@ -180,87 +183,174 @@ export async function getOSRMRoute(coordinates, options = {}) {
 }
 
 /**
- * Get distance and duration matrix between multiple points
- * Essential for VROOM optimization
- * @param {Array} coordinates - Array of [longitude, latitude] coordinates
- * @param {Object} options - Matrix options
- * @returns {Promise<Object>} Distance and duration matrices
+ * Request one OSRM table (throws on any failure)
+ * @param {Object} server - Registry server { url, timeout }
+ * @param {Array} coordinates - Coordinates of the block only
+ * @param {Array} sources - Indexes (in the block) used as sources
+ * @param {Array} destinations - Indexes (in the block) used as destinations
+ * @returns {Promise<Object>} OSRM table response
  */
-export async function getOSRMMatrix(coordinates, options = {}) {
-  try {
-    if (coordinates.length < 2) {
-      throw new Error('At least 2 coordinates are required for matrix calculation');
-    }
+async function requestOSRMTable(server, coordinates, sources, destinations, annotations) {
+  if (!server) {
+    throw new Error('No OSRM server allowed by the endpoint settings');
+  }
 
-    const {
-      sources = null, // Use all points as sources by default
-      destinations = null, // Use all points as destinations by default
-      annotations = ['duration', 'distance']
-    } = options;
+  const coordString = coordinates
+    .map(coord => `${coord[0]},${coord[1]}`)
+    .join(';');
 
-    // Format coordinates for OSRM
-    const coordString = coordinates
-      .map(coord => `${coord[0]},${coord[1]}`)
-      .join(';');
+  const params = {
+    annotations: annotations.join(','),
+    sources: sources.join(';'),
+    destinations: destinations.join(';')
+  };
 
-    // Get appropriate OSRM server URL
-    const baseUrl = await getOSRMBaseUrl();
-    const url = `${baseUrl}/table/v1/${OSRM_CONFIG.profile}/${coordString}`;
-    
-    const params = {
-      annotations: annotations.join(',')
-    };
+  const url = `${server.url}/table/v1/${getRoutingProfile()}/${coordString}?${new URLSearchParams(params)}`;
+  assertHostAllowed(url);
 
-    if (sources) params.sources = sources.join(';');
-    if (destinations) params.destinations = destinations.join(';');
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json'
+    },
+    signal: AbortSignal.timeout(server.timeout)
+  });
 
-    console.log('🏁 OSRM Matrix request:', url);
-    
-    const urlWithParams = `${url}?${new URLSearchParams(params)}`;
-    
-    const timeout = baseUrl === OSRM_CONFIG.baseUrl ? OSRM_CONFIG.timeout : OSRM_CONFIG.fallbackTimeout;
-    
-    const response = await fetch(urlWithParams, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json'
-      },
-      signal: AbortSignal.timeout(timeout)
-    });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+  const data = await response.json();
 
-    const data = await response.json();
+  if (data.code !== 'Ok') {
+    throw new Error(`OSRM matrix calculation failed: ${data.message}`);
+  }
 
-    if (data.code !== 'Ok') {
-      throw new Error(`OSRM matrix calculation failed: ${data.message}`);
+  return data;
+}
+
+/**
+ * Split sources × destinations into blocks that fit the server's max-table-size
+ * (each block sends at most maxTableSize coordinates)
+ */
+function splitTableBlocks(sources, destinations) {
+  const uniqueCount = new Set([...sources, ...destinations]).size;
+  if (uniqueCount <= OSRM_CONFIG.maxTableSize) {
+    return [{ sources, destinations }];
+  }
+
+  const chunkSize = Math.floor(OSRM_CONFIG.maxTableSize / 2);
+  const chunk = (list) => Array.from({ length: Math.ceil(list.length / chunkSize) }, (_, i) => list.slice(i * chunkSize, (i + 1) * chunkSize));
+
+  return chunk(sources).flatMap(sourceChunk =>
+    chunk(destinations).map(destinationChunk => ({ sources: sourceChunk, destinations: destinationChunk }))
+  );
+}
+
+/**
+ * Run async tasks with at most `limit` of them in flight
+ */
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
     }
+  };
 
-    return {
-      success: true,
-      durations: data.durations, // 2D array of durations in seconds
-      distances: data.distances, // 2D array of distances in meters
-      sources: data.sources,
-      destinations: data.destinations,
-      raw: data
-    };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
 
-  } catch (error) {
-    console.error('OSRM matrix error:', error);
-    
-    // Fallback to simplified distance matrix
+/**
+ * Get distance and duration matrix between multiple points
+ * Essential for VROOM optimization. Large tables are split into source/destination blocks,
+ * fetched with bounded concurrency and stitched back together; blocks that fail are estimated.
+ * @param {Array} coordinates - Array of [longitude, latitude] coordinates
+ * @param {Object} options - Matrix options
+ * @returns {Promise<Object>} Distance and duration matrices (sources × destinations),
+ *   with the blocks that had to fall back to estimates in estimatedBlocks
+ */
+export async function getOSRMMatrix(coordinates, options = {}) {
+  if (coordinates.length < 2) {
+    console.error('OSRM matrix error: at least 2 coordinates are required for matrix calculation');
     const matrix = await createFallbackMatrix(coordinates);
-    
-    return {
-      success: false,
-      fallback: true,
-      durations: matrix.durations,
-      distances: matrix.distances,
-      error: error.message
-    };
+    return { success: false, fallback: true, ...matrix, estimatedBlocks: [], error: 'At least 2 coordinates are required for matrix calculation' };
   }
+
+  const allIndexes = coordinates.map((_, index) => index);
+  const {
+    sources = allIndexes, // Use all points as sources by default
+    destinations = allIndexes, // Use all points as destinations by default
+    annotations = ['duration', 'distance']
+  } = options;
+
+  // Get appropriate OSRM server once for all blocks
+  const server = await getOSRMServer();
+  const blocks = splitTableBlocks(sources, destinations);
+
+  const durations = sources.map(() => new Array(destinations.length).fill(null));
+  const distances = sources.map(() => new Array(destinations.length).fill(null));
+  const sourceRow = new Map(sources.map((source, row) => [source, row]));
+  const destinationColumn = new Map(destinations.map((destination, column) => [destination, column]));
+
+  console.log(`🏁 OSRM Matrix request: ${sources.length}×${destinations.length} in ${blocks.length} block(s)`);
+
+  const estimatedBlocks = [];
+  await runWithConcurrency(blocks.map(block => async () => {
+    // Send only the coordinates this block needs
+    const blockIndexes = [...new Set([...block.sources, ...block.destinations])];
+    const position = new Map(blockIndexes.map((index, i) => [index, i]));
+
+    try {
+      const data = await requestOSRMTable(
+        server,
+        blockIndexes.map(index => coordinates[index]),
+        block.sources.map(index => position.get(index)),
+        block.destinations.map(index => position.get(index)),
+        annotations
+      );
+
+      block.sources.forEach((source, i) => {
+        block.destinations.forEach((destination, j) => {
+          durations[sourceRow.get(source)][destinationColumn.get(destination)] = data.durations?.[i]?.[j] ?? null;
+          distances[sourceRow.get(source)][destinationColumn.get(destination)] = data.distances?.[i]?.[j] ?? null;
+        });
+      });
+    } catch (error) {
+      console.warn(`⚠️ OSRM matrix block ${block.sources.length}×${block.destinations.length} failed, using estimates:`, error.message);
+      estimatedBlocks.push({ sources: block.sources, destinations: block.destinations, error: error.message });
+
+      block.sources.forEach(source => {
+        block.destinations.forEach(destination => {
+          const estimate = estimateLeg(coordinates[source], coordinates[destination]);
+          durations[sourceRow.get(source)][destinationColumn.get(destination)] = estimate.duration;
+          distances[sourceRow.get(source)][destinationColumn.get(destination)] = estimate.distance;
+        });
+      });
+    }
+  }), OSRM_CONFIG.tableConcurrency);
+
+  const fallback = estimatedBlocks.length === blocks.length;
+  if (estimatedBlocks.length > 0) {
+    console.warn(`⚠️ ${estimatedBlocks.length}/${blocks.length} OSRM matrix block(s) estimated`);
+  }
+
+  return {
+    success: estimatedBlocks.length === 0,
+    ...(fallback && { fallback: true }),
+    partial: estimatedBlocks.length > 0 && !fallback,
+    durations, // 2D array of durations in seconds
+    distances, // 2D array of distances in meters
+    sources,
+    destinations,
+    blocks: blocks.length,
+    estimatedBlocks,
+    ...(estimatedBlocks.length > 0 && { error: estimatedBlocks[0].error })
+  };
 }
 
 /**
@@ -274,8 +364,14 @@ export async function getOSRMNearest(coordinate, options = {}) {
   try {
     const { number = 1 } = options;
     
+    const server = await getOSRMServer();
+    if (!server) {
+      throw new Error('No OSRM server allowed by the endpoint settings');
+    }
+
     const coordString = `${coordinate[0]},${coordinate[1]}`;
-    const url = `${OSRM_CONFIG.baseUrl}/nearest/v1/${OSRM_CONFIG.profile}/${coordString}`;
+    const url = `${server.url}/nearest/v1/${getRoutingProfile()}/${coordString}`;
+    assertHostAllowed(url);
     
     const params = { number };
 
@@ -285,7 +381,8 @@ export async function getOSRMNearest(coordinate, options = {}) {
       method: 'GET',
       headers: {
         'Accept': 'application/json'
-      }
+      },
+      signal: AbortSignal.timeout(server.timeout)
     });
 
     if (!response.ok) {
@@ -390,11 +487,9 @@ async function createFallbackMatrix(coordinates) {
   for (let i = 0; i < size; i++) {
     for (let j = 0; j < size; j++) {
       if (i !== j) {
-        const distance = calculateHaversineDistance(coordinates[i], coordinates[j]);
-        const duration = (distance / 1000) * 60; // Rough estimate: 1 km/min
-        
-        distances[i][j] = distance;
-        durations[i][j] = duration;
+        const estimate = estimateLeg(coordinates[i], coordinates[j]);
+        distances[i][j] = estimate.distance;
+        durations[i][j] = estimate.duration;
       }
     }
   }
@@ -402,6 +497,18 @@ async function createFallbackMatrix(coordinates) {
   return { distances, durations };
 }
 
+/**
+ * Estimate a leg when OSRM can't give it
+ * @returns {Object} { distance (meters), duration (seconds) }
+ */
+function estimateLeg(from, to) {
+  const distance = calculateHaversineDistance(from, to);
+  return {
+    distance,
+    duration: (distance / 1000) / OSRM_CONFIG.estimatedSpeedKmh * 3600
+  };
+}
+
 /**
  * Validate OSRM server availability
  * @returns {Promise<boolean>} True if OSRM server is available
@@ -432,9 +539,10 @@ export function getOSRMServiceInfo() {
   return {
     service: 'OSRM (Open Source Routing Machine)',
     version: 'v1',
-    baseUrl: OSRM_CONFIG.baseUrl,
-    profile: OSRM_CONFIG.profile,
-    timeout: OSRM_CONFIG.timeout,
+    baseUrl: getServerChain('osrm')[0]?.url || null,
+    profile: getRoutingProfile(),
+    timeout: getServerChain('osrm')[0]?.timeout || null,
+    servers: getServerChain('osrm'),
     coordinateFormat: OSRM_CONFIG.coordinateFormat,
     features: [
       'Real-world routing data',
@@ -461,65 +569,64 @@ export function getOSRMServiceInfo() {
  */
 export function getOSRMStartInstructions() {
   return {
-    dataPath: OSRM_CONFIG.dockerConfig.dataPath,
     instructions: [
-      '1. Open PowerShell as Administrator',
-      '2. Navigate to OSRM data directory:',
-      `   cd "${OSRM_CONFIG.dockerConfig.dataPath}"`,
-      '3. Start OSRM Docker container:',
+      '1. Open a terminal in the directory holding the .osrm map extract',
+      '2. Start OSRM Docker container:',
       `   ${OSRM_CONFIG.dockerConfig.dockerCommand}`,
-      '4. Wait for server to start (should see "running and waiting for requests")',
-      '5. Server will be available at http://localhost:5000'
+      '3. Wait for server to start (should see "running and waiting for requests")',
+      `4. Server will be available at http://localhost:${OSRM_CONFIG.dockerConfig.port}`,
+      '5. Add or reorder its URL in the endpoint settings if it runs elsewhere'
     ],
     dockerCommand: OSRM_CONFIG.dockerConfig.dockerCommand,
-    testUrl: `${OSRM_CONFIG.baseUrl}/health`,
+    testUrl: `${getServerChain('osrm')[0]?.url || `http://localhost:${OSRM_CONFIG.dockerConfig.port}`}/health`,
     port: OSRM_CONFIG.dockerConfig.port
   };
 }
 
 /**
- * Test OSRM server connectivity
- * @returns {Promise<Object>} Server status information
+ * Test one OSRM server
+ * @param {Object} server - Registry server { url, label, isPublic }
+ * @returns {Promise<Object>} { url, label, isPublic, available, responseTime, error }
  */
-export async function testOSRMConnection() {
-  const results = {
-    local: { available: false, responseTime: null, error: null },
-    fallback: { available: false, responseTime: null, error: null }
-  };
+async function testOSRMServer(server) {
+  const result = { url: server.url, label: server.label, isPublic: server.isPublic, available: false, responseTime: null, error: null };
 
-  // Test local server
   try {
     const start = Date.now();
-    const response = await fetch(`${OSRM_CONFIG.baseUrl}/route/v1/driving/6.1286,43.1205;6.1400,43.1300?overview=false`, {
+    const response = await fetch(`${server.url}/route/v1/${getRoutingProfile()}/${PROBE_ROUTE}?overview=false`, {
       method: 'GET',
-      signal: AbortSignal.timeout(5000)
+      signal: AbortSignal.timeout(server.timeout)
     });
-    results.local.responseTime = Date.now() - start;
-    results.local.available = response.ok;
+    result.responseTime = Date.now() - start;
+    result.available = response.ok;
     if (!response.ok) {
-      results.local.error = `HTTP ${response.status}`;
+      result.error = `HTTP ${response.status}`;
     }
   } catch (error) {
-    results.local.error = error.message;
+    result.error = error.message;
   }
 
-  // Test fallback server
-  try {
-    const start = Date.now();
-    const response = await fetch(`${OSRM_CONFIG.fallbackUrl}/route/v1/driving/6.1286,43.1205;6.1400,43.1300?overview=false`, {
-      method: 'GET',
-      signal: AbortSignal.timeout(10000)
-    });
-    results.fallback.responseTime = Date.now() - start;
-    results.fallback.available = response.ok;
-    if (!response.ok) {
-      results.fallback.error = `HTTP ${response.status}`;
-    }
-  } catch (error) {
-    results.fallback.error = error.message;
+  return result;
+}
+
+/**
+ * Test OSRM server connectivity, for every server of the registry chain
+ * @returns {Promise<Object>} Server status information: local is the first server of the chain,
+ *   fallback the first other one that answers
+ */
+export async function testOSRMConnection() {
+  const notConfigured = { url: null, available: false, responseTime: null, error: 'No server configured' };
+  const servers = [];
+  for (const server of getServerChain('osrm')) {
+    servers.push(await testOSRMServer(server));
   }
 
-  return results;
+  const fallbacks = servers.slice(1);
+  return {
+    local: servers[0] || notConfigured,
+    fallback: fallbacks.find(result => result.available) || fallbacks[0] || notConfigured,
+    servers
+  };
 }
 
 /**
@@ -527,16 +634,15 @@ export async function testOSRMConnection() {
  * @returns {Object} Complete server configuration and status
  */
 export function getOSRMStatus() {
+  const [primaryServer, ...fallbackServers] = getServerChain('osrm');
   return {
     config: OSRM_CONFIG,
+    profile: getRoutingProfile(),
     localServer: {
-      url: OSRM_CONFIG.baseUrl,
-      dockerPath: OSRM_CONFIG.dockerConfig.dataPath,
+      url: primaryServer?.url || null,
       dockerCommand: OSRM_CONFIG.dockerConfig.dockerCommand
     },
-    fallbackServer: {
-      url: OSRM_CONFIG.fallbackUrl
-    },
+    fallbackServers: fallbackServers.map(server => ({ url: server.url, label: server.label })),
     instructions: getOSRMStartInstructions()
   };
 }
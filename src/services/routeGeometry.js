@@ -0,0 +1,78 @@
+// Route Geometry Builder for AmbuSched
+// Asks OSRM for the road path of each optimized route (vehicle base, stops in driving order,
+// back to base), for the map and the GeoJSON/GPX exports. VROOM runs without geometry,
+// so the stop order comes from the solution and the path from one OSRM route request per vehicle.
+
+import { getOSRMRoute } from './osrmService';
+
+/**
+ * Stops of a route in driving order, from the vehicle base back to it
+ * @param {Object} route - Optimized route
+ * @param {Object} vehicle - Vehicle of the route
+ * @param {Array} trips - The day's trips
+ * @returns {Array} [{ coords, kind: 'base' | 'pickup' | 'delivery', trip, arrival }]
+ */
+export function getRouteStops(route, vehicle, trips) {
+  const stops = [];
+  if (vehicle?.coordinates) stops.push({ coords: vehicle.coordinates, kind: 'base' });
+
+  (route.steps || []).forEach(step => {
+    if (step.type !== 'pickup' && step.type !== 'delivery') return;
+    // Shipment steps: pickup = trip.id * 10 + 1, delivery = trip.id * 10 + 2
+    const trip = trips.find(t => t.id * 10 + (step.type === 'pickup' ? 1 : 2) === step.id);
+    const coords = trip && (step.type === 'pickup' ? trip.coordinates : trip.destinationCoords);
+    if (coords) stops.push({ coords, kind: step.type, trip, arrival: step.arrival });
+  });
+
+  if (vehicle?.coordinates) stops.push({ coords: vehicle.coordinates, kind: 'base' });
+  return stops;
+}
+
+/**
+ * Road geometry of one route; straight lines between the stops when OSRM does not answer
+ * @returns {Promise<Object>} { vehicleId, coordinates: [[lng, lat]], stops, distanceKm, durationMin, roadSnapped }
+ */
+export async function fetchRouteGeometry(route, vehicle, trips) {
+  const stops = getRouteStops(route, vehicle, trips);
+  // Consecutive stops at the same place (shared pickups) are one waypoint for OSRM
+  const waypoints = stops
+    .map(stop => stop.coords)
+    .filter((coords, index, all) => index === 0 || coords[0] !== all[index - 1][0] || coords[1] !== all[index - 1][1]);
+  const straight = { vehicleId: route.vehicle, coordinates: waypoints, stops, distanceKm: null, durationMin: null, roadSnapped: false };
+
+  if (waypoints.length < 2) return straight;
+
+  try {
+    const result = await getOSRMRoute(waypoints, { overview: 'full', geometries: 'geojson', annotations: false });
+    if (!result.success || !result.geometry) return straight;
+    return {
+      ...straight,
+      coordinates: result.geometry.coordinates,
+      distanceKm: result.distance,
+      durationMin: result.duration,
+      roadSnapped: true
+    };
+  } catch (error) {
+    console.warn(`🛣️ No road geometry for vehicle ${route.vehicle}, straight lines kept:`, error.message);
+    return straight;
+  }
+}
+
+/**
+ * Road geometries of every route of a result (one OSRM request per vehicle, one at a time)
+ * @param {Object} optimizationResult - Result of the day
+ * @param {Array} vehicles - Vehicles
+ * @param {Array} trips - The day's trips
+ * @returns {Promise<Object>} { [vehicleId]: geometry }
+ */
+export async function buildRouteGeometries(optimizationResult, vehicles, trips) {
+  const geometries = {};
+  for (const route of optimizationResult?.routes || []) {
+    const vehicle = vehicles.find(v => v.id === route.vehicle);
+    geometries[route.vehicle] = await fetchRouteGeometry(route, vehicle, trips);
+  }
+
+  const snappedCount = Object.values(geometries).filter(geometry => geometry.roadSnapped).length;
+  console.log(`🛣️ Route geometries: ${snappedCount}/${Object.keys(geometries).length} routes on the road network`);
+  return geometries;
+}
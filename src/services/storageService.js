@@ -0,0 +1,618 @@
+// Local Storage Service for AmbuSched
+// Persists the planning (vehicles, courses, settings, results) in IndexedDB
+
+import { getTodayKey } from '../utils/planningCalendar';
+import { migrateLegacyOccurrenceId } from '../utils/recurringCourses';
+import { DEFAULT_FACILITY_SEED } from '../utils/defaultFacilities';
+
+/**
+ * Storage Service Configuration
+ * Bump schemaVersion and add an entry to MIGRATIONS whenever the stored shape changes
+ */
+const STORAGE_CONFIG = {
+  dbName: 'ambusched',
+  schemaVersion: 7,
+
+  stores: {
+    vehicles: 'vehicles',   // One record per vehicle, keyed by vehicle.id
+    courses: 'courses',     // One record per course (returns included), keyed by course.id
+    patients: 'patients',   // Patient registry, keyed by patient.id
+    facilities: 'facilities', // Medical facility registry, keyed by facility.id
+    settings: 'settings',   // Key/value: timeWindowConfig, selectedDate, endpoints, columnMappingProfiles...
+    planning: 'planning',   // Key/value: tripDetails, optimizationResults (per day), savedAt
+    matrixCache: 'matrixCache', // One record per OSRM cell (origin → destination), keyed by snapped coordinates
+    gazetteer: 'gazetteer'      // One record per street of the imported BAN extracts, keyed by "insee|street"
+  }
+};
+
+/**
+ * Schema migrations, indexed by the version they upgrade TO.
+ * Each migration receives the database and the upgrade transaction,
+ * so it can both change the structure and rewrite existing records.
+ */
+const MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore(STORAGE_CONFIG.stores.vehicles, { keyPath: 'id' });
+    db.createObjectStore(STORAGE_CONFIG.stores.courses, { keyPath: 'id' });
+    db.createObjectStore(STORAGE_CONFIG.stores.settings);
+    db.createObjectStore(STORAGE_CONFIG.stores.planning);
+  },
+
+  // v2: multi-day planning. Undated courses and the single stored result move to today.
+  2: (db, transaction) => {
+    const today = getTodayKey();
+
+    const courses = transaction.objectStore(STORAGE_CONFIG.stores.courses);
+    courses.createIndex('date', 'date');
+    courses.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (!cursor.value.date) {
+        cursor.update({ ...cursor.value, date: today });
+      }
+      cursor.continue();
+    };
+
+    const planning = transaction.objectStore(STORAGE_CONFIG.stores.planning);
+    planning.get('optimizationResult').onsuccess = (event) => {
+      const result = event.target.result;
+      if (result) {
+        planning.put({ [today]: result }, 'optimizationResults');
+      }
+      planning.delete('optimizationResult');
+    };
+  },
+
+  // v3: persistent OSRM distance/duration cache, pruned by age
+  3: (db) => {
+    const matrixCache = db.createObjectStore(STORAGE_CONFIG.stores.matrixCache, { keyPath: 'key' });
+    matrixCache.createIndex('fetchedAt', 'fetchedAt');
+  },
+
+  // v4: offline address gazetteer (Base Adresse Nationale extracts), replaceable per département
+  4: (db) => {
+    const gazetteer = db.createObjectStore(STORAGE_CONFIG.stores.gazetteer, { keyPath: 'key' });
+    gazetteer.createIndex('departement', 'departement');
+  },
+
+  // v5: patient registry (existing courses are linked to it when the planning is restored)
+  5: (db) => {
+    db.createObjectStore(STORAGE_CONFIG.stores.patients, { keyPath: 'id' });
+  },
+
+  // v6: medical facility registry, seeded once with the default facilities
+  6: (db) => {
+    const facilities = db.createObjectStore(STORAGE_CONFIG.stores.facilities, { keyPath: 'id' });
+    DEFAULT_FACILITY_SEED.forEach(facility => facilities.put(facility));
+  },
+
+  // v7: collision-free series occurrence ids. Pins and optimized days are renumbered.
+  7: (db, transaction) => {
+    const planning = transaction.objectStore(STORAGE_CONFIG.stores.planning);
+
+    planning.get('assignmentPins').onsuccess = (event) => {
+      const pins = event.target.result;
+      if (!pins) return;
+      planning.put(Object.fromEntries(Object.entries(pins).map(([dateKey, dayPins]) => [
+        dateKey,
+        Object.fromEntries(Object.entries(dayPins).map(([courseId, pin]) => [migrateLegacyOccurrenceId(Number(courseId), dateKey), pin]))
+      ])), 'assignmentPins');
+    };
+
+    planning.get('optimizationResults').onsuccess = (event) => {
+      const results = event.target.result;
+      if (!results) return;
+      planning.put(Object.fromEntries(Object.entries(results).map(([dateKey, result]) => [
+        dateKey,
+        renumberOccurrences(result, dateKey)
+      ])), 'optimizationResults');
+    };
+  }
+};
+
+/**
+ * Copy of a stored optimization result with the occurrence ids of the first scheme renumbered:
+ * courses of a series (and their returns), and pickup/delivery steps (course id * 10 + 1|2)
+ */
+function renumberOccurrences(value, dateKey) {
+  if (Array.isArray(value)) {
+    return value.map(item => renumberOccurrences(item, dateKey));
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  const copy = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renumberOccurrences(item, dateKey)]));
+  if (typeof copy.seriesId === 'number') {
+    copy.id = migrateLegacyOccurrenceId(copy.id, dateKey);
+    copy.originalCourseId = migrateLegacyOccurrenceId(copy.originalCourseId, dateKey);
+  }
+  if ((copy.type === 'pickup' || copy.type === 'delivery') && typeof copy.id === 'number') {
+    copy.id = migrateLegacyOccurrenceId(Math.floor(copy.id / 10), dateKey) * 10 + (copy.id % 10);
+  }
+  return copy;
+}
+
+let databasePromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction has been committed
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Apply every migration between the stored version and the current schema version
+ */
+function runMigrations(db, transaction, oldVersion, newVersion) {
+  for (let version = oldVersion + 1; version <= newVersion; version++) {
+    const migration = MIGRATIONS[version];
+    if (migration) {
+      console.log(`🗄️ Applying storage migration v${version}`);
+      migration(db, transaction);
+    }
+  }
+}
+
+/**
+ * Open (and upgrade if needed) the AmbuSched database
+ * @returns {Promise<IDBDatabase>} Opened database
+ */
+export function openDatabase() {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this environment'));
+      return;
+    }
+
+    const request = indexedDB.open(STORAGE_CONFIG.dbName, STORAGE_CONFIG.schemaVersion);
+
+    request.onupgradeneeded = (event) => {
+      runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema: release our connection so it can proceed
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('⚠️ Storage upgrade blocked by another open AmbuSched tab');
+  });
+
+  // Allow a retry on the next call if opening failed
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Read every record of an object store
+ */
+async function getAllRecords(storeName) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readonly');
+  return requestToPromise(transaction.objectStore(storeName).getAll());
+}
+
+/**
+ * Replace the whole content of an object store in a single transaction
+ */
+async function replaceAllRecords(storeName, records) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+
+  store.clear();
+  records.forEach(record => store.put(record));
+
+  return transactionDone(transaction);
+}
+
+/**
+ * Read a single value from a key/value store
+ */
+async function getValue(storeName, key) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readonly');
+  return requestToPromise(transaction.objectStore(storeName).get(key));
+}
+
+/**
+ * Write several key/value pairs in a single transaction
+ */
+async function putValues(storeName, values) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) {
+      store.delete(key);
+    } else {
+      store.put(value, key);
+    }
+  });
+
+  return transactionDone(transaction);
+}
+
+/**
+ * Record the moment of the last save, used to tell a fresh install from an empty day
+ */
+function touchPlanning() {
+  return putValues(STORAGE_CONFIG.stores.planning, { savedAt: new Date().toISOString() });
+}
+
+/**
+ * Load the persisted planning state
+ * @returns {Promise<Object|null>} Stored state, or null if nothing was ever saved
+ */
+export async function loadPlanningState() {
+  try {
+    const savedAt = await getValue(STORAGE_CONFIG.stores.planning, 'savedAt');
+    if (!savedAt) {
+      console.log('🗄️ No stored planning found, starting with default data');
+      return null;
+    }
+
+    const [vehicles, courses, patients, facilities, timeWindowConfig, selectedDate, endpoints, columnMappingProfiles, tripDetails, optimizationResults, assignmentPins] = await Promise.all([
+      getAllRecords(STORAGE_CONFIG.stores.vehicles),
+      getAllRecords(STORAGE_CONFIG.stores.courses),
+      getAllRecords(STORAGE_CONFIG.stores.patients),
+      getAllRecords(STORAGE_CONFIG.stores.facilities),
+      getValue(STORAGE_CONFIG.stores.settings, 'timeWindowConfig'),
+      getValue(STORAGE_CONFIG.stores.settings, 'selectedDate'),
+      getValue(STORAGE_CONFIG.stores.settings, 'endpoints'),
+      getValue(STORAGE_CONFIG.stores.settings, 'columnMappingProfiles'),
+      getValue(STORAGE_CONFIG.stores.planning, 'tripDetails'),
+      getValue(STORAGE_CONFIG.stores.planning, 'optimizationResults'),
+      getValue(STORAGE_CONFIG.stores.planning, 'assignmentPins')
+    ]);
+
+    console.log('✅ Planning restored from storage:', {
+      savedAt,
+      vehicles: vehicles.length,
+      courses: courses.length,
+      patients: patients.length,
+      facilities: facilities.length,
+      optimizedDays: Object.keys(optimizationResults || {}).length
+    });
+
+    return {
+      savedAt,
+      vehicles,
+      courses,
+      patients,
+      facilities,
+      timeWindowConfig: timeWindowConfig || null,
+      selectedDate: selectedDate || null,
+      endpoints: endpoints || null,
+      columnMappingProfiles: columnMappingProfiles || [],
+      tripDetails: tripDetails || {},
+      optimizationResults: optimizationResults || {},
+      assignmentPins: assignmentPins || {}
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not load planning from storage:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist the vehicle fleet
+ * @param {Array} vehicles - AmbuSched vehicles
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveVehicles(vehicles) {
+  try {
+    await replaceAllRecords(STORAGE_CONFIG.stores.vehicles, vehicles);
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save vehicles:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the course list (including generated return courses)
+ * @param {Array} courses - AmbuSched courses
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveCourses(courses) {
+  try {
+    await replaceAllRecords(STORAGE_CONFIG.stores.courses, courses);
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save courses:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the patient registry
+ * @param {Array} patients - Registry patients
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function savePatients(patients) {
+  try {
+    await replaceAllRecords(STORAGE_CONFIG.stores.patients, patients);
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save patients:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the medical facility registry
+ * @param {Array} facilities - Registry facilities
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveFacilities(facilities) {
+  try {
+    await replaceAllRecords(STORAGE_CONFIG.stores.facilities, facilities);
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save facilities:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the time window configuration
+ * @param {Object} timeWindowConfig - Configuration from TimeWindowConfigPanel
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveTimeWindowConfig(timeWindowConfig) {
+  try {
+    await putValues(STORAGE_CONFIG.stores.settings, { timeWindowConfig });
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save time window configuration:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the routing/solver endpoint registry
+ * @param {Object} endpoints - Configuration from EndpointSettingsPanel
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveEndpoints(endpoints) {
+  try {
+    await putValues(STORAGE_CONFIG.stores.settings, { endpoints });
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save endpoints:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the saved column mappings of import files
+ * @param {Array} columnMappingProfiles - Profiles from columnMapping.js
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveColumnMappingProfiles(columnMappingProfiles) {
+  try {
+    await putValues(STORAGE_CONFIG.stores.settings, { columnMappingProfiles });
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save column mapping profiles:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the day currently shown in the planning calendar
+ * @param {string} selectedDate - Date key (YYYY-MM-DD)
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveSelectedDate(selectedDate) {
+  try {
+    await putValues(STORAGE_CONFIG.stores.settings, { selectedDate });
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save selected date:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist computed trip details and the optimization results of every day
+ * @param {Object} planning - { tripDetails, optimizationResults } (results keyed by date)
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function savePlanningResults({ tripDetails, optimizationResults }) {
+  try {
+    await putValues(STORAGE_CONFIG.stores.planning, {
+      tripDetails,
+      optimizationResults,
+      savedAt: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save planning results:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Persist the courses pinned to vehicles, per day
+ * @param {Object} assignmentPins - { [date]: { [courseId]: pin } }
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveAssignmentPins(assignmentPins) {
+  try {
+    await putValues(STORAGE_CONFIG.stores.planning, { assignmentPins });
+    await touchPlanning();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save assignment pins:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Read cached OSRM matrix cells
+ * @param {Array} keys - Cell keys ("origin;destination" snapped coordinates)
+ * @returns {Promise<Map>} key → { key, distance, duration, fetchedAt } for the cells found
+ */
+export async function loadMatrixCells(keys) {
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORAGE_CONFIG.stores.matrixCache, 'readonly').objectStore(STORAGE_CONFIG.stores.matrixCache);
+    const records = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+    return new Map(records.filter(Boolean).map(record => [record.key, record]));
+  } catch (error) {
+    console.warn('⚠️ Could not read the matrix cache:', error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Store OSRM matrix cells
+ * @param {Array} cells - [{ key, distance, duration, fetchedAt }]
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveMatrixCells(cells) {
+  if (cells.length === 0) return true;
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORAGE_CONFIG.stores.matrixCache, 'readwrite');
+    const store = transaction.objectStore(STORAGE_CONFIG.stores.matrixCache);
+    cells.forEach(cell => store.put(cell));
+    await transactionDone(transaction);
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save the matrix cache:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete cached matrix cells fetched before a given time, or all of them
+ * @param {number|null} fetchedBefore - Epoch milliseconds, null to clear the whole cache
+ * @returns {Promise<boolean>} True if pruned
+ */
+export async function pruneMatrixCache(fetchedBefore = null) {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORAGE_CONFIG.stores.matrixCache, 'readwrite');
+    const store = transaction.objectStore(STORAGE_CONFIG.stores.matrixCache);
+
+    if (fetchedBefore === null) {
+      store.clear();
+    } else {
+      store.index('fetchedAt').openCursor(IDBKeyRange.upperBound(fetchedBefore, true)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    }
+
+    await transactionDone(transaction);
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not prune the matrix cache:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Read every street of the imported gazetteer
+ * @returns {Promise<Array>} [{ key, departement, insee, street, city, postcode, numbers, centroid }]
+ */
+export async function loadGazetteerStreets() {
+  try {
+    return await getAllRecords(STORAGE_CONFIG.stores.gazetteer);
+  } catch (error) {
+    console.warn('⚠️ Could not read the gazetteer:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Replace the streets of some départements in the gazetteer
+ * @param {Array} departements - Département codes being (re)imported
+ * @param {Array} streets - Street records of those départements
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function replaceGazetteerDepartements(departements, streets) {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORAGE_CONFIG.stores.gazetteer, 'readwrite');
+    const store = transaction.objectStore(STORAGE_CONFIG.stores.gazetteer);
+
+    // Old streets are deleted first, once all their keys are known, then the new ones written
+    const writeStreets = () => streets.forEach(street => store.put(street));
+    let pendingDepartements = departements.length;
+    if (pendingDepartements === 0) writeStreets();
+    departements.forEach(departement => {
+      const request = store.index('departement').getAllKeys(IDBKeyRange.only(departement));
+      request.onsuccess = () => {
+        request.result.forEach(key => store.delete(key));
+        pendingDepartements -= 1;
+        if (pendingDepartements === 0) writeStreets();
+      };
+    });
+
+    await transactionDone(transaction);
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not save the gazetteer:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete every stored record (vehicles, courses, settings and results)
+ * @returns {Promise<boolean>} True if cleared
+ */
+export async function clearStorage() {
+  try {
+    const db = await openDatabase();
+    const storeNames = Array.from(db.objectStoreNames);
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => transaction.objectStore(name).clear());
+    await transactionDone(transaction);
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not clear storage:', error.message);
+    return false;
+  }
+}
+
+// Export configuration for debugging
+export { STORAGE_CONFIG };
@@ -2,26 +2,20 @@
 // Provides state-of-the-art VRP solving for AmbuSched
 
 import axios from 'axios';
+import { getCourseTimestamp, getDayStart, getTodayKey, formatTimestamp } from '../utils/planningCalendar';
+import { getVehicleDayShifts, findFittingShift, formatShift, getVehicleBreakWindows, formatBreak, findBreakSlot } from '../utils/vehicleShifts';
+import { isShareable, getMaxDetour } from '../utils/sharedRides';
+import { getVehicleSkillIds, getCourseSkillIds, getTypeCompatibilityScore, checkVehicleForCourse, explainSkillMismatch } from '../utils/vehicleSkills';
+import { getPinnedTimestamp, PIN_TIME_TOLERANCE } from '../utils/assignmentPins';
+import { getCachedMatrix } from './matrixCache';
+import { OSRM_CONFIG } from './osrmService';
+import { getServerChain, assertHostAllowed, isStrictPrivacy } from './endpointRegistry';
 
 /**
  * VROOM Service Configuration
- * Configured for local Docker VROOM instance
+ * Server URLs, order and timeouts come from the endpoint registry
  */
 const VROOM_CONFIG = {
-  // Local VROOM Docker instance
-  baseUrl: 'http://localhost:3000',
-  
-  // Docker command to start VROOM server:
-  // Command: docker run -it --rm -p 3000:3000 ghcr.io/vroom-project/vroom-docker
-  
-  // Fallback servers (try these if local is down)
-  fallbackUrls: [
-    'http://solver.vroom-project.org', // Public demo server (often offline)
-    'https://router.project-osrm.org/vroom/v1' // Alternative if available
-  ],
-  
-  timeout: 15000, // 15 seconds timeout for local server
-  fallbackTimeout: 30000, // 30 seconds for public servers
   maxJobs: 100,   // Maximum number of jobs per request
   maxVehicles: 20, // Maximum number of vehicles per request
   
@@ -40,14 +34,15 @@ const VROOM_CONFIG = {
 };
 
 /**
- * Check if local VROOM server is running
- * @returns {Promise<boolean>} True if local server is accessible
+ * Check if a VROOM server is running
+ * @param {Object} server - Registry server { url }
+ * @returns {Promise<boolean>} True if the server is accessible
  */
-async function isLocalVROOMRunning() {
+async function isVROOMServerRunning(server) {
   try {
     // Try a simple GET request to the base URL
     // VROOM servers typically return 404 on GET / but this means they're running
-    const response = await axios.get(`${VROOM_CONFIG.baseUrl}`, {
+    const response = await axios.get(`${server.url}`, {
       timeout: 3000,
       validateStatus: function (status) {
         // Accept any status code (including 404) as long as the server responds
@@ -61,36 +56,42 @@ async function isLocalVROOMRunning() {
     
   } catch (error) {
     if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      console.warn('❌ Local VROOM server not accessible (connection refused)');
+      console.warn(`❌ VROOM server ${server.url} not accessible (connection refused)`);
     } else {
-      console.warn('⚠️ Local VROOM server health check failed:', error.message);
+      console.warn(`⚠️ VROOM server ${server.url} health check failed:`, error.message);
     }
     return false;
   }
 }
 
 /**
- * Get the appropriate VROOM server URLs in order of preference
- * @returns {Promise<Array>} Array of server URLs to try
+ * Get the VROOM servers to try, in the registry order; the primary server is dropped
+ * when it does not answer, so that a dead local server doesn't cost its whole timeout
+ * @returns {Promise<Array>} Registry servers { url, timeout, ... } to try
  */
-async function getVROOMServerUrls() {
+async function getVROOMServers() {
   console.log('🔍 Checking VROOM server availability...');
+  const [primaryServer, ...fallbackServers] = getServerChain('vroom');
+  if (!primaryServer) {
+    console.warn('🚫 No VROOM server allowed by the endpoint settings');
+    return [];
+  }
   
   // Try the enhanced connectivity test first
-  const isLocalOptimizationWorking = await testVROOMServerConnectivity();
+  const isPrimaryOptimizationWorking = await testVROOMServerConnectivity(primaryServer);
   
-  if (isLocalOptimizationWorking) {
-    console.log('✅ Local VROOM server fully operational - using as primary');
-    return [VROOM_CONFIG.baseUrl, ...VROOM_CONFIG.fallbackUrls];
+  if (isPrimaryOptimizationWorking) {
+    console.log(`✅ VROOM server ${primaryServer.label} fully operational - using as primary`);
+    return [primaryServer, ...fallbackServers];
   } else {
     // Fall back to basic health check
-    const basicCheck = await isLocalVROOMRunning();
+    const basicCheck = await isVROOMServerRunning(primaryServer);
     if (basicCheck) {
-      console.log('🟡 Local VROOM server responding but optimization may have issues, including in chain');
-      return [VROOM_CONFIG.baseUrl, ...VROOM_CONFIG.fallbackUrls];
+      console.log(`🟡 VROOM server ${primaryServer.label} responding but optimization may have issues, including in chain`);
+      return [primaryServer, ...fallbackServers];
     } else {
-      console.log('❌ Local VROOM server not available, using fallback servers only');
-      return VROOM_CONFIG.fallbackUrls;
+      console.log(`❌ VROOM server ${primaryServer.label} not available, using fallback servers only`);
+      return fallbackServers;
     }
   }
 }
@@ -129,19 +130,20 @@ export async function solveVRP(vrpData, options = {}) {
     validateVRPData(requestData);
 
     // Get servers to try (local first if available, then fallbacks)
-    const serversToTry = await getVROOMServerUrls();
+    const serversToTry = await getVROOMServers();
 
     let lastError = null;
     
-    for (const serverUrl of serversToTry) {
+    for (const { url: serverUrl, timeout } of serversToTry) {
       try {
         console.log(`🔄 Trying VROOM server: ${serverUrl}`);
+        assertHostAllowed(serverUrl);
         
         const response = await axios.post(
           serverUrl,
           requestData,
           {
-            timeout: VROOM_CONFIG.timeout,
+            timeout,
             headers: {
               'Content-Type': 'application/json',
               'User-Agent': 'AmbuSched/1.0'
@@ -216,6 +218,97 @@ function timeToMinutes(timeStr) {
   return hours * 60 + minutes;
 }
 
+/**
+ * Timestamp (seconds) of midnight on the trip's planning day
+ */
+function getTripDayStart(trip) {
+  return getDayStart(trip.date || getTodayKey());
+}
+
+/**
+ * Earliest planning day (YYYY-MM-DD) of a set of trips
+ */
+function getPlanningDate(trips) {
+  const dates = trips.map(trip => trip.date).filter(Boolean).sort();
+  return dates[0] || getTodayKey();
+}
+
+// VROOM vehicle ids encode the shift: vehicleId * 100 + shiftIndex
+const SHIFT_ID_FACTOR = 100;
+
+function getShiftVehicleId(vehicleId, shiftIndex) {
+  return vehicleId * SHIFT_ID_FACTOR + shiftIndex;
+}
+
+function parseShiftVehicleId(shiftVehicleId) {
+  return {
+    vehicleId: Math.floor(shiftVehicleId / SHIFT_ID_FACTOR),
+    shiftIndex: shiftVehicleId % SHIFT_ID_FACTOR
+  };
+}
+
+// Pinned shipments: dedicated skill per vehicle and top priority so they are never dropped
+const PIN_SKILL_BASE = 10000;
+const PINNED_PRIORITY = 100;
+
+function getPinSkill(vehicleId) {
+  return PIN_SKILL_BASE + vehicleId;
+}
+
+/**
+ * Ordered pickup/delivery steps of the courses pinned to one VROOM vehicle (shift),
+ * by pinned position then pinned time; null when nothing is pinned to it
+ */
+function getPinnedSteps(shiftVehicleId, trips, vehicles) {
+  const { vehicleId, shiftIndex } = parseShiftVehicleId(shiftVehicleId);
+  const vehicle = vehicles.find(v => v.id === vehicleId);
+  if (!vehicle) return null;
+
+  const pinnedTrips = trips
+    .filter(trip => trip.pin?.vehicleId === vehicleId && findFittingShift(trip, vehicle) === shiftIndex)
+    .sort((a, b) =>
+      (a.pin.position || Infinity) - (b.pin.position || Infinity) ||
+      (getPinnedTimestamp(a) ?? getCourseTimestamp(a)) - (getPinnedTimestamp(b) ?? getCourseTimestamp(b))
+    );
+  if (pinnedTrips.length === 0) return null;
+
+  return [
+    { type: 'start' },
+    ...pinnedTrips.flatMap(trip => {
+      const pinnedTimestamp = getPinnedTimestamp(trip);
+      return [
+        { type: 'pickup', id: trip.id * 10 + 1, ...(pinnedTimestamp !== null && { service_at: pinnedTimestamp }) },
+        { type: 'delivery', id: trip.id * 10 + 2 }
+      ];
+    }),
+    { type: 'end' }
+  ];
+}
+
+/**
+ * VROOM breaks of one vehicle shift (VROOM time windows bound the break start)
+ */
+function getShiftBreaks(vehicle, shiftIndex, planningDate) {
+  return getVehicleBreakWindows(vehicle, planningDate)
+    .filter(entry => entry.shiftIndex === shiftIndex)
+    .map(({ crewBreak, breakIndex, window }) => ({
+      id: breakIndex + 1,
+      time_windows: [[window[0], window[1] - crewBreak.duration * 60]],
+      service: crewBreak.duration * 60,
+      description: `Pause ${formatBreak(crewBreak)}`
+    }));
+}
+
+/**
+ * Earliest absolute pickup timestamp of a return trip
+ */
+export function getEarliestPickupTimestamp(trip) {
+  if (typeof trip.earliestPickupTimestamp === 'number') {
+    return trip.earliestPickupTimestamp;
+  }
+  return trip.earliestPickupTime ? getTripDayStart(trip) + timeToMinutes(trip.earliestPickupTime) * 60 : null;
+}
+
 export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMatrix, coordinates, routingData = null, timeWindowConfig = null) {
   try {
     console.log('🔄 Converting to VROOM format...');
@@ -267,23 +360,32 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
     console.log('  - Address mapping:', addressToIndex.size, 'unique addresses');
     console.log('  - Address list:', Array.from(addressToIndex.entries()).map(([addr, idx]) => `${idx}: ${addr}`));
 
-    // Convert vehicles to VROOM format
+    // All time windows are absolute timestamps, anchored on the planning day
+    const planningDate = getPlanningDate(trips);
+
+    // Convert vehicles to VROOM format: one VROOM vehicle per shift of the day (night shift of the eve included)
     const vroomVehicles = vehicles
       .filter(vehicle => vehicle.status !== 'maintenance')
-      .map((vehicle, index) => {
+      .flatMap((vehicle, index) => {
         const vehicleAddress = vehicle.currentLocation || 'Base Hyères';
         const startIndex = addressToIndex.get(vehicleAddress) || 0;
-
-        return {
-          id: vehicle.id || index + 1,
-          start: startIndex,
-          end: startIndex, // Return to same location
-          capacity: getVehicleCapacity(vehicle),
-          skills: getVehicleSkills(vehicle),
-          time_window: getVehicleTimeWindow(vehicle),
-          profile: 'driving',
-          description: `${vehicle.name} (${vehicle.type})`
-        };
+        const vehicleId = vehicle.id || index + 1;
+
+        return getVehicleDayShifts(vehicle, planningDate).map(({ shift, window: shiftWindow, overnight }, shiftIndex) => {
+          const breaks = getShiftBreaks(vehicle, shiftIndex, planningDate);
+
+          return {
+            id: getShiftVehicleId(vehicleId, shiftIndex),
+            start: startIndex,
+            end: startIndex, // Return to same location
+            capacity: getVehicleCapacity(vehicle),
+            skills: [...getVehicleSkills(vehicle), getPinSkill(vehicleId)],
+            time_window: shiftWindow,
+            ...(breaks.length > 0 && { breaks }),
+            profile: 'driving',
+            description: `${vehicle.name} (${vehicle.type}) ${formatShift(shift)}${overnight ? ' (veille)' : ''}`
+          };
+        });
       });
 
     // Convert trips to VROOM shipments (pickup → delivery model)
@@ -300,6 +402,7 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
       }
 
       const timeWindow = getTripTimeWindow(trip);
+      const tripDayStart = getTripDayStart(trip);
       
       // Debug logging for all trips
       console.log(`� Processing trip ${trip.id} (${trip.isReturnTrip ? 'RETURN' : 'REGULAR'}):`, {
@@ -321,7 +424,7 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
       // IMPORTANT: Return trips and appointment trips have VERY different constraints
       let pickupTimeWindow = null;
       let deliveryTimeWindow = null;
-      let shipmentPriority = 100; // Default priority
+      let shipmentPriority = 10; // Default priority (VROOM priorities range from 0 to 100)
       
       if (isReturnTrip) {
         // RETURN TRIP LOGIC:
@@ -329,33 +432,43 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
         // - Delivery: NO TIME CONSTRAINT (flexible arrival at home)
         // - Priority: MANDATORY but flexible timing
         
-        if (trip.exitTime && trip.earliestPickupTime) {
-          const earliestPickupMinutes = timeToMinutes(trip.earliestPickupTime);
+        const earliestPickupTimestamp = getEarliestPickupTimestamp(trip);
+
+        if (trip.exitTime && earliestPickupTimestamp !== null) {
           const maxWaitMinutes = trip.maxWaitTime || 240; // 4 hours max wait
           
-          // Pickup window: starts after appointment + buffer, ends after max wait
-          const startSeconds = earliestPickupMinutes * 60;
-          const endSeconds = (earliestPickupMinutes + maxWaitMinutes) * 60;
+          // Pickup window: starts after appointment + buffer, ends after max wait.
+          // Absolute timestamps, so a late return may run past midnight.
+          const startSeconds = earliestPickupTimestamp;
+          const endSeconds = earliestPickupTimestamp + maxWaitMinutes * 60;
           
-          if (startSeconds >= 0 && endSeconds > startSeconds && endSeconds <= 24 * 3600) {
+          if (endSeconds > startSeconds) {
             pickupTimeWindow = [startSeconds, endSeconds];
-            console.log(`� Return trip ${trip.id}: pickup window [${Math.floor(startSeconds/3600)}:${Math.floor((startSeconds%3600)/60).toString().padStart(2,'0')} - ${Math.floor(endSeconds/3600)}:${Math.floor((endSeconds%3600)/60).toString().padStart(2,'0')}]`);
+
+            // Shared ride: arrive home at most maxDetour after the direct ride from the latest pickup
+            if (isShareable(trip)) {
+              const directSeconds = getDirectRideSeconds(durationMatrix, pickupIndex, deliveryIndex);
+              if (directSeconds !== null) {
+                deliveryTimeWindow = [[startSeconds, endSeconds + directSeconds + getTripServiceTime(trip, 'pickup') + getMaxDetour(trip) * 60]];
+              }
+            }
+            console.log(`� Return trip ${trip.id}: pickup window [${formatTimestamp(startSeconds, trip.date)} - ${formatTimestamp(endSeconds, trip.date)}]`);
           } else {
-            pickupTimeWindow = [8 * 3600, 20 * 3600]; // Default: 8 AM to 8 PM
+            pickupTimeWindow = [tripDayStart + 8 * 3600, tripDayStart + 20 * 3600]; // Default: 8 AM to 8 PM
             console.warn(`⚠️ Return trip ${trip.id}: using default pickup window [8:00 - 20:00]`);
           }
           
-          // Delivery: NO TIME CONSTRAINT - patient can arrive home anytime
-          deliveryTimeWindow = undefined; // No constraint on arrival time at home
+          // Delivery: NO TIME CONSTRAINT - patient can arrive home anytime (except detour limit of shared rides)
+          deliveryTimeWindow = deliveryTimeWindow || undefined;
           
           // Priority: HIGH (mandatory) but not extreme
-          shipmentPriority = 500; // High priority for mandatory return trips
+          shipmentPriority = 50; // High priority for mandatory return trips
           
         } else {
           console.warn(`⚠️ Return trip ${trip.id} missing time data, using default windows`);
-          pickupTimeWindow = [8 * 3600, 20 * 3600];
+          pickupTimeWindow = [tripDayStart + 8 * 3600, tripDayStart + 20 * 3600];
           deliveryTimeWindow = undefined;
-          shipmentPriority = 500;
+          shipmentPriority = 50;
         }
         
       } else {
@@ -365,39 +478,47 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
         // - Priority: Based on medical urgency
         
         if (trip.appointmentTime) {
-          const appointmentMinutes = timeToMinutes(trip.appointmentTime);
-          const appointmentSeconds = appointmentMinutes * 60;
+          const appointmentSeconds = getCourseTimestamp(trip);
           
           // Pickup window: flexible, but should be before appointment
           const bufferBeforeSeconds = config.appointmentBufferBefore * 60;
           const bufferAfterSeconds = config.appointmentBufferAfter * 60;
           const maxPickupAdvanceHours = Math.max(2, config.appointmentBufferBefore / 30) * 3600; // At least 2 hours or proportional to buffer
+          const extensionSeconds = (trip.windowExtension || 0) * 60; // Widened for this course from the unassigned panel
           
-          const pickupStart = Math.max(config.workingHours.start * 3600, appointmentSeconds - maxPickupAdvanceHours);
+          let pickupStart = Math.max(tripDayStart + config.workingHours.start * 3600, appointmentSeconds - maxPickupAdvanceHours - extensionSeconds);
           const pickupEnd = appointmentSeconds - bufferBeforeSeconds;
+
+          // Shared ride: don't pick up earlier than the direct ride plus the accepted detour
+          if (isShareable(trip)) {
+            const directSeconds = getDirectRideSeconds(durationMatrix, pickupIndex, deliveryIndex);
+            if (directSeconds !== null) {
+              pickupStart = Math.max(pickupStart, pickupEnd - directSeconds - getMaxDetour(trip) * 60);
+            }
+          }
           pickupTimeWindow = [pickupStart, pickupEnd];
           
           // Delivery window: STRICT - must arrive by appointment time
           const deliveryStart = appointmentSeconds - bufferBeforeSeconds;
-          const deliveryEnd = appointmentSeconds + bufferAfterSeconds; // Allow small buffer after appointment
+          const deliveryEnd = appointmentSeconds + bufferAfterSeconds + extensionSeconds; // Allow small buffer after appointment
           deliveryTimeWindow = [[deliveryStart, deliveryEnd]];
           
-          console.log(`🏥 Appointment trip ${trip.id}: delivery window [${Math.floor(deliveryStart/3600)}:${Math.floor((deliveryStart%3600)/60).toString().padStart(2,'0')} - ${Math.floor(deliveryEnd/3600)}:${Math.floor((deliveryEnd%3600)/60).toString().padStart(2,'0')}] (buffer: ${config.appointmentBufferBefore}min/${config.appointmentBufferAfter}min)`);
+          console.log(`🏥 Appointment trip ${trip.id}: delivery window [${formatTimestamp(deliveryStart, trip.date)} - ${formatTimestamp(deliveryEnd, trip.date)}] (buffer: ${config.appointmentBufferBefore}min/${config.appointmentBufferAfter}min)`);
           
           // Priority: Based on medical urgency
           const urgencyPriority = {
-            'urgent': 1000,   // Highest priority
-            'high': 800,      // High priority
-            'normal': 600,    // Normal priority  
-            'low': 400        // Lower priority
+            'urgent': 100,    // Highest priority
+            'high': 80,       // High priority
+            'normal': 60,     // Normal priority  
+            'low': 40         // Lower priority
           };
-          shipmentPriority = urgencyPriority[trip.priority] || 600;
+          shipmentPriority = urgencyPriority[trip.priority] || 60;
           
         } else {
           console.warn(`⚠️ Appointment trip ${trip.id} missing appointment time`);
           pickupTimeWindow = timeWindow;
           deliveryTimeWindow = timeWindow ? [[timeWindow[0] + 1800, timeWindow[1]]] : undefined;
-          shipmentPriority = 600;
+          shipmentPriority = 60;
         }
       }
 
@@ -409,7 +530,7 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
           id: (trip.id || index + 1) * 10 + 1, // Pickup ID: tripId * 10 + 1
           location_index: pickupIndex,
           time_windows: pickupTimeWindow ? [pickupTimeWindow] : undefined,
-          service: getTripServiceTime(trip),
+          service: getTripServiceTime(trip, 'pickup'),
           description: `${isReturnTrip ? 'Return ' : ''}Pickup: ${trip.patient} at ${trip.pickup}`
           // Removed problematic 'flexible' attribute
         },
@@ -417,10 +538,10 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
           id: (trip.id || index + 1) * 10 + 2, // Delivery ID: tripId * 10 + 2
           location_index: deliveryIndex,
           time_windows: deliveryTimeWindow, // Use calculated delivery time window (undefined for returns)
-          service: getTripServiceTime(trip),
+          service: getTripServiceTime(trip, 'delivery'),
           description: `${isReturnTrip ? 'Return ' : ''}Delivery: ${trip.patient} to ${trip.destination}`
         },
-        amount: [1], // One patient per shipment
+        amount: getTripAmount(trip), // One seat, and the whole vehicle for non-shareable patients
         skills: getTripRequiredSkills(trip),
         description: `${isReturnTrip ? '🔄 RETOUR - ' : '🏥 RDV - '}${trip.patient} - ${trip.pickup} → ${trip.destination}`,
         ...(isReturnTrip && {
@@ -428,9 +549,24 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
           originalCourseId: trip.originalCourseId,
           exitTime: trip.exitTime,
           maxWaitTime: trip.maxWaitTime || 240
+        }),
+        ...(isShareable(trip) && {
+          shareable: true,
+          maxDetour: getMaxDetour(trip)
         })
       };
 
+      // Pinned course: only its vehicle may take it, at the fixed time if any
+      if (trip.pin) {
+        const pinnedTimestamp = getPinnedTimestamp(trip);
+        shipment.skills = [...shipment.skills, getPinSkill(trip.pin.vehicleId)];
+        shipment.priority = PINNED_PRIORITY;
+        if (pinnedTimestamp !== null) {
+          shipment.pickup.time_windows = [[pinnedTimestamp - PIN_TIME_TOLERANCE, pinnedTimestamp + PIN_TIME_TOLERANCE]];
+        }
+        console.log(`📌 Trip ${trip.id} pinned to vehicle ${trip.pin.vehicleId}`, trip.pin);
+      }
+
       // Debug log for all shipments
       if (isReturnTrip) {
         console.log(`� RETURN SHIPMENT ${shipment.id}:`, {
@@ -492,8 +628,14 @@ export function convertToVROOMFormat(trips, vehicles, distanceMatrix, durationMa
       return shipment;
     });
 
+    // Pinned courses become the initial route of their vehicle shift (vehicles[].steps)
+    vroomVehicles.forEach(vroomVehicle => {
+      const steps = getPinnedSteps(vroomVehicle.id, trips, vehicles);
+      if (steps) vroomVehicle.steps = steps;
+    });
+
     // Ensure matrices are properly sized
-    const matrixSize = Math.max(coordinates.length, uniqueAddresses.length);
+    const matrixSize = Math.max(coordinates.length, addressToIndex.size);
     
     // Pad matrices if necessary
     const paddedDistanceMatrix = ensureMatrixSize(distanceMatrix, matrixSize);
@@ -539,9 +681,10 @@ export function convertFromVROOMSolution(vroomSolution, originalTrips, originalV
 
     const results = [];
     const vehicleAssignments = new Map();
+    const vehicleRoutes = mergeShiftRoutes(vroomSolution.routes);
 
     // Process each route in the VROOM solution
-    vroomSolution.routes.forEach(route => {
+    vehicleRoutes.forEach(route => {
       const vehicle = originalVehicles.find(v => v.id === route.vehicle);
       if (!vehicle) return;
 
@@ -601,9 +744,9 @@ export function convertFromVROOMSolution(vroomSolution, originalTrips, originalV
       });
     });
 
-    // Handle unassigned trips
-    vroomSolution.unassigned.forEach(unassignedJob => {
-      const trip = originalTrips.find(t => t.id === unassignedJob.id);
+    // Handle unassigned trips (one entry per shipment: its pickup, trip.id * 10 + 1)
+    vroomSolution.unassigned.filter(unassignedJob => unassignedJob.id % 10 === 1).forEach(unassignedJob => {
+      const trip = originalTrips.find(t => t.id * 10 + 1 === unassignedJob.id);
       if (trip) {
         results.push({
           trip,
@@ -637,8 +780,8 @@ export function convertFromVROOMSolution(vroomSolution, originalTrips, originalV
       summary,
       vroomSummary: vroomSolution.summary,
       algorithm: 'VROOM VRP Solver',
-      // Keep original VROOM routes for UI compatibility
-      routes: vroomSolution.routes,
+      // VROOM routes (one per vehicle, shifts merged) for UI compatibility
+      routes: vehicleRoutes,
       unassigned: vroomSolution.unassigned
     };
 
@@ -648,6 +791,37 @@ export function convertFromVROOMSolution(vroomSolution, originalTrips, originalV
   }
 }
 
+/**
+ * Merge the per-shift VROOM routes into one route per AmbuSched vehicle.
+ * Steps keep their order and are tagged with the shift they belong to.
+ */
+function mergeShiftRoutes(routes) {
+  const merged = new Map();
+
+  [...routes]
+    .sort((a, b) => a.vehicle - b.vehicle)
+    .forEach(route => {
+      const { vehicleId, shiftIndex } = parseShiftVehicleId(route.vehicle);
+      const steps = (route.steps || []).map(step => ({ ...step, shift: shiftIndex }));
+
+      if (!merged.has(vehicleId)) {
+        merged.set(vehicleId, { ...route, vehicle: vehicleId, shifts: [shiftIndex], steps });
+        return;
+      }
+
+      const existing = merged.get(vehicleId);
+      existing.steps = [...existing.steps, ...steps];
+      existing.shifts = [...existing.shifts, shiftIndex];
+      ['cost', 'distance', 'duration', 'service', 'waiting_time', 'delivery', 'pickup'].forEach(field => {
+        if (typeof route[field] === 'number') {
+          existing[field] = (existing[field] || 0) + route[field];
+        }
+      });
+    });
+
+  return Array.from(merged.values());
+}
+
 /**
  * Advanced VROOM optimization with custom constraints
  * @param {Array} trips - AmbuSched trips
@@ -736,17 +910,11 @@ export async function optimizeWithVRoomAdvanced(trips, vehicles, constraints = {
         sampleCoordinates: uniqueCoordinates.slice(0, 3)
       });
       
-      // Use direct coordinates with OSRM for distance matrix
+      // Use direct coordinates with OSRM for distance matrix (only cells missing from the cache are requested)
       try {
-        const coordinateString = uniqueCoordinates.map(coord => `${coord[0]},${coord[1]}`).join(';');
-        const matrixUrl = `http://localhost:5000/table/v1/driving/${coordinateString}`;
-        
-        console.log('🌐 OSRM Matrix request:', matrixUrl);
-        const matrixResponse = await fetch(matrixUrl);
+        const matrixData = await getCachedMatrix(uniqueCoordinates);
         
-        if (matrixResponse.ok) {
-          const matrixData = await matrixResponse.json();
-          
+        if (!matrixData.fallback) {
           routingData = {
             success: true,
             coordinates: uniqueCoordinates,
@@ -754,15 +922,20 @@ export async function optimizeWithVRoomAdvanced(trips, vehicles, constraints = {
             distanceMatrix: matrixData.distances || [],
             durationMatrix: matrixData.durations || [],
             osrmUsed: true,
-            coordinatesProvided: true
+            coordinatesProvided: true,
+            matrixCache: { cachedCells: matrixData.cachedCells, requestedCells: matrixData.requestedCells },
+            // Cells of OSRM blocks that failed and were estimated (the rest are real road times)
+            estimatedCells: matrixData.estimatedCells
           };
           
           console.log('✅ OSRM matrix successful:', {
             matrixSize: matrixData.distances?.length || 0,
-            sampleDistances: matrixData.distances?.[0]?.slice(0, 3) || []
+            cachedCells: matrixData.cachedCells,
+            requestedCells: matrixData.requestedCells,
+            estimatedCells: matrixData.estimatedCells
           });
         } else {
-          throw new Error(`OSRM matrix request failed with status ${matrixResponse.status}`);
+          throw new Error('OSRM matrix request failed');
         }
       } catch (osrmError) {
         console.warn('⚠️ OSRM direct matrix failed:', osrmError.message);
@@ -804,9 +977,10 @@ export async function optimizeWithVRoomAdvanced(trips, vehicles, constraints = {
         );
 
       // Apply additional constraints
+      // Shift windows stay as they are; maxRouteTime caps the driving time of each shift
       if (constraints.maxRouteTime) {
         vroomData.vehicles.forEach(vehicle => {
-          vehicle.time_window = [0, constraints.maxRouteTime];
+          vehicle.max_travel_time = constraints.maxRouteTime;
         });
       }
 
@@ -830,9 +1004,10 @@ export async function optimizeWithVRoomAdvanced(trips, vehicles, constraints = {
 
         return {
           ...solution,
-          optimizationMethod: 'OSRM + VROOM',
+          optimizationMethod: routingData.osrmUsed ? 'OSRM + VROOM' : 'VROOM',
           routingData,
           vroomResult,
+          strictPrivacy: isStrictPrivacy(),
           constraints
         };
       } else {
@@ -860,6 +1035,7 @@ export async function optimizeWithVRoomAdvanced(trips, vehicles, constraints = {
       optimizationMethod: routingData.osrmUsed ? 'OSRM + Fallback VRP' : 'Fallback VRP',
       routingData,
       vroomOffline: true,
+      strictPrivacy: isStrictPrivacy(),
       constraints
     };
 
@@ -885,7 +1061,7 @@ function createFallbackRoutingData(addresses) {
       if (i !== j) {
         // Simple distance estimation based on address similarity
         const distance = estimateDistanceBetweenAddresses(addresses[i], addresses[j]);
-        const duration = distance / 40 * 60; // Assume 40 km/h average speed
+        const duration = distance / OSRM_CONFIG.estimatedSpeedKmh * 60;
         
         distanceMatrix[i][j] = distance * 1000; // Convert to meters
         durationMatrix[i][j] = duration * 60; // Convert to seconds
@@ -919,7 +1095,7 @@ function createFallbackRoutingDataFromCoordinates(coordinates, addresses) {
     for (let j = 0; j < size; j++) {
       if (i !== j) {
         const distance = calculateHaversineDistance(coordinates[i], coordinates[j]);
-        const duration = distance / 50 * 60; // Assume 50 km/h average speed
+        const duration = distance / OSRM_CONFIG.estimatedSpeedKmh * 60;
         
         distanceMatrix[i][j] = distance * 1000; // Convert to meters
         durationMatrix[i][j] = duration * 60; // Convert to seconds
@@ -1025,7 +1201,11 @@ export async function fallbackVRPSolver(trips, vehicles, distanceMatrix, duratio
 
     // Sort trips by priority and time for optimal assignment
     const sortedTrips = [...trips].sort((a, b) => {
-      // First, prioritize by medical urgency
+      // Pinned courses are placed first, everything else is optimized around them
+      const pinDiff = Number(Boolean(b.pin)) - Number(Boolean(a.pin));
+      if (pinDiff !== 0) return pinDiff;
+
+      // Then prioritize by medical urgency
       const priorityOrder = { urgent: 4, high: 3, normal: 2, low: 1 };
       const priorityDiff = (priorityOrder[b.priority] || 2) - (priorityOrder[a.priority] || 2);
       
@@ -1036,10 +1216,8 @@ export async function fallbackVRPSolver(trips, vehicles, distanceMatrix, duratio
       const typeScoreB = b.isReturnTrip ? 1 : 2;
       if (typeScoreA !== typeScoreB) return typeScoreB - typeScoreA;
       
-      // Finally by time: earlier appointments first
-      const timeA = a.appointmentTime || a.pickupTime || a.time || '09:00';
-      const timeB = b.appointmentTime || b.pickupTime || b.time || '09:00';
-      return timeA.localeCompare(timeB);
+      // Finally by time: earlier appointments first (absolute, so after-midnight returns sort last)
+      return getCourseTimestamp(a) - getCourseTimestamp(b);
     });
 
     console.log('📋 Trip assignment order:', sortedTrips.map(trip => ({
@@ -1054,13 +1232,15 @@ export async function fallbackVRPSolver(trips, vehicles, distanceMatrix, duratio
     for (const trip of sortedTrips) {
       console.log(`🚗 Assigning trip ${trip.id} (${trip.isReturnTrip ? 'RETURN' : 'APPOINTMENT'}) - ${trip.patient}`);
       
-      const bestAssignment = findBestVehicleForTrip(
-        trip, 
-        vehicleAssignments, 
-        distanceMatrix, 
-        durationMatrix,
-        config  // Pass the time window configuration
-      );
+      const bestAssignment = trip.pin && vehicleAssignments.has(trip.pin.vehicleId)
+        ? assignPinnedTrip(trip, vehicleAssignments.get(trip.pin.vehicleId), distanceMatrix, durationMatrix)
+        : findBestVehicleForTrip(
+          trip, 
+          vehicleAssignments, 
+          distanceMatrix, 
+          durationMatrix,
+          config  // Pass the time window configuration
+        );
 
       if (bestAssignment.success) {
         const assignment = vehicleAssignments.get(bestAssignment.vehicleId);
@@ -1107,7 +1287,10 @@ export async function fallbackVRPSolver(trips, vehicles, distanceMatrix, duratio
           trip,
           assignment: null,
           status: 'unassigned',
-          reason: bestAssignment.reason
+          reason: bestAssignment.reason,
+          outsideShifts: Boolean(bestAssignment.outsideShifts),
+          skillMismatch: Boolean(bestAssignment.skillMismatch),
+          belowThreshold: Boolean(bestAssignment.belowThreshold)
         });
       }
     }
@@ -1165,28 +1348,13 @@ export async function fallbackVRPSolver(trips, vehicles, distanceMatrix, duratio
     }
 
     // Create VROOM-compatible routes structure for UI compatibility
+    const planningDate = getPlanningDate(trips);
     const vroomCompatibleRoutes = Array.from(vehicleAssignments.values()).map(assignment => ({
       vehicle: assignment.vehicle.id,
       steps: [
         { type: 'start', location: assignment.vehicle.coordinates || [6.1286, 43.1205] },
-        ...assignment.trips.flatMap(trip => [
-          {
-            type: 'pickup',
-            id: trip.id * 10 + 1, // UI expects this format: course.id * 10 + 1
-            job: trip.id,
-            location: trip.coordinates || [6.1286, 43.1205],
-            arrival: 0, // Simplified for fallback
-            duration: 600
-          },
-          {
-            type: 'delivery', 
-            id: trip.id * 10 + 2, // UI expects this format: course.id * 10 + 2
-            job: trip.id,
-            location: trip.destinationCoords || [6.1286, 43.1205],
-            arrival: 1800, // Simplified for fallback
-            duration: 600
-          }
-        ]),
+        ...buildFallbackTripSteps(assignment.trips),
+        ...scheduleVehicleBreaks(assignment.vehicle, assignment.trips, planningDate),
         { type: 'end', location: assignment.vehicle.coordinates || [6.1286, 43.1205] }
       ],
       distance: Math.round(assignment.totalDistance * 1000), // Convert to meters
@@ -1204,9 +1372,12 @@ export async function fallbackVRPSolver(trips, vehicles, distanceMatrix, duratio
       // Add VROOM-compatible routes for UI
       routes: vroomCompatibleRoutes,
       unassigned: results.filter(r => r.status === 'unassigned').map(r => ({
-        id: r.trip.id,
+        id: r.trip.id * 10 + 1, // Same as VROOM unassigned pickups: course.id * 10 + 1
+        type: 'pickup',
         code: 1, // Generic unassigned code for fallback
-        description: r.reason
+        description: r.reason,
+        // Binding reason for the unassigned panel (see unassignedCourses)
+        reasonCode: r.outsideShifts ? 'outside-shifts' : r.skillMismatch ? 'skills' : r.belowThreshold ? 'score' : 'capacity'
       }))
     };
 
@@ -1216,6 +1387,82 @@ export async function fallbackVRPSolver(trips, vehicles, distanceMatrix, duratio
   }
 }
 
+/**
+ * Pickup and delivery steps of a vehicle's trips in chronological order, so that
+ * shared rides show up as interleaved pickups and drops (patients on board together)
+ */
+function buildFallbackTripSteps(trips) {
+  const orderedTrips = orderTripsByPinnedPosition(trips);
+  const steps = orderedTrips
+    .flatMap(trip => {
+      const interval = getBusyInterval(trip);
+      const pickupArrival = interval ? interval[0] : getCourseTimestamp(trip);
+      const deliveryArrival = trip.isReturnTrip || !trip.appointmentTime
+        ? (interval ? interval[1] : pickupArrival + 1800)
+        : getCourseTimestamp(trip);
+
+      return [
+        {
+          type: 'pickup',
+          id: trip.id * 10 + 1, // UI expects this format: course.id * 10 + 1
+          job: trip.id,
+          location: trip.coordinates || [6.1286, 43.1205],
+          arrival: pickupArrival, // Estimated from the trip's time bounds
+          duration: 600
+        },
+        {
+          type: 'delivery', 
+          id: trip.id * 10 + 2, // UI expects this format: course.id * 10 + 2
+          job: trip.id,
+          location: trip.destinationCoords || [6.1286, 43.1205],
+          arrival: deliveryArrival,
+          duration: 600
+        }
+      ];
+    });
+
+  // Pinned positions impose the trip order
+  if (orderedTrips !== trips) return steps;
+
+  // Drops before pickups at the same time, so back-to-back trips don't look shared
+  return steps.sort((a, b) => a.arrival - b.arrival || (a.type === 'delivery' ? -1 : 1) - (b.type === 'delivery' ? -1 : 1));
+}
+
+/**
+ * Chronological trip order with pinned positions enforced (1 = first course of the vehicle).
+ * Returns the input array untouched when no trip has a pinned position.
+ */
+function orderTripsByPinnedPosition(trips) {
+  const positioned = trips.filter(trip => trip.pin?.position).sort((a, b) => a.pin.position - b.pin.position);
+  if (positioned.length === 0) return trips;
+
+  const ordered = trips
+    .filter(trip => !trip.pin?.position)
+    .sort((a, b) => (getBusyInterval(a)?.[0] ?? getCourseTimestamp(a)) - (getBusyInterval(b)?.[0] ?? getCourseTimestamp(b)));
+  positioned.forEach(trip => {
+    ordered.splice(Math.min(trip.pin.position - 1, ordered.length), 0, trip);
+  });
+
+  return ordered;
+}
+
+/**
+ * Assign a pinned trip to its vehicle without scoring (the planner's choice wins)
+ */
+function assignPinnedTrip(trip, assignment, distanceMatrix, durationMatrix) {
+  console.log(`📌 Trip ${trip.id} pinned to ${assignment.vehicle.name}`);
+  const routeMetrics = calculateRouteMetrics(trip, assignment, distanceMatrix, durationMatrix);
+
+  return {
+    success: true,
+    vehicleId: assignment.vehicle.id,
+    score: 100,
+    additionalDistance: routeMetrics.additionalDistance,
+    additionalDuration: routeMetrics.additionalDuration,
+    estimatedArrival: routeMetrics.estimatedArrival
+  };
+}
+
 /**
  * Find the best vehicle for a trip using enhanced scoring with time conflict checking
  */
@@ -1223,21 +1470,29 @@ function findBestVehicleForTrip(trip, vehicleAssignments, distanceMatrix, durati
   let bestVehicle = null;
   let bestScore = -1;
   let bestMetrics = null;
+  let fitsAnyShift = false;
+  let fitsAnySkills = false;
 
   for (const [vehicleId, assignment] of vehicleAssignments.entries()) {
     try {
-      // Check vehicle compatibility
-      const vehicleTypeScore = getVehicleTypeCompatibility(trip.vehicleType, assignment.vehicle.type);
-      if (vehicleTypeScore < 50) continue; // Skip incompatible vehicles
+      // Check the trip falls within one of the vehicle's shifts
+      if (findFittingShift(trip, assignment.vehicle) === -1) {
+        console.log(`🕐 Trip ${trip.id} is outside every shift of ${assignment.vehicle.name}`);
+        continue;
+      }
+      fitsAnyShift = true;
 
-      // Check skills compatibility
-      const vehicleSkills = getVehicleSkills(assignment.vehicle);
-      const requiredSkills = getTripRequiredSkills(trip);
-      const skillsMatch = requiredSkills.some(skill => vehicleSkills.includes(skill));
-      if (!skillsMatch) continue;
+      // Check vehicle type and equipment compatibility
+      const skillCheck = checkVehicleForCourse(trip, assignment.vehicle);
+      if (!skillCheck.compatible) {
+        console.log(`🧰 ${assignment.vehicle.name} cannot serve trip ${trip.id}: ${skillCheck.reason}`);
+        continue;
+      }
+      fitsAnySkills = true;
+      const vehicleTypeScore = skillCheck.score;
 
       // CRITICAL: Check for time conflicts - pass the config
-      const timeConflict = checkTimeConflicts(trip, assignment.trips, timeWindowConfig);
+      const timeConflict = checkTimeConflicts(trip, assignment.trips, timeWindowConfig, assignment.vehicle);
       if (timeConflict.hasConflict) {
         console.log(`⚠️ Time conflict for vehicle ${assignment.vehicle.name} with trip ${trip.id}:`, timeConflict.reason);
         
@@ -1286,7 +1541,8 @@ function findBestVehicleForTrip(trip, vehicleAssignments, distanceMatrix, durati
     }
   }
 
-  if (bestVehicle && bestScore > 15) { // Reduced threshold from 30 to 15 for more assignments
+  const minScore = timeWindowConfig?.minAssignmentScore ?? 15;
+  if (bestVehicle && bestScore > minScore) {
     return {
       success: true,
       vehicleId: bestVehicle,
@@ -1297,16 +1553,46 @@ function findBestVehicleForTrip(trip, vehicleAssignments, distanceMatrix, durati
     };
   }
 
+  if (!fitsAnyShift) {
+    return {
+      success: false,
+      outsideShifts: true,
+      reason: 'Outside every vehicle shift'
+    };
+  }
+
+  if (!fitsAnySkills) {
+    const vehicles = Array.from(vehicleAssignments.values()).map(assignment => assignment.vehicle);
+    return {
+      success: false,
+      skillMismatch: true,
+      reason: explainSkillMismatch(trip, vehicles) || 'No vehicle in service has the required type or equipment'
+    };
+  }
+
+  // A vehicle was free but scored too low; otherwise every compatible vehicle was busy or full
   return {
     success: false,
-    reason: `No compatible vehicle found with acceptable score (best score: ${Math.round(bestScore)}, threshold: 15)`
+    belowThreshold: Boolean(bestVehicle),
+    reason: bestVehicle
+      ? `No compatible vehicle found with acceptable score (best score: ${Math.round(bestScore)}, threshold: ${minScore})`
+      : 'Every compatible vehicle is busy or full at that time'
   };
 }
 
 /**
- * Check for time conflicts between a new trip and existing trips assigned to a vehicle
+ * Check for time conflicts between a new trip and existing trips assigned to a vehicle,
+ * including the vehicle's crew breaks when given
  */
-function checkTimeConflicts(newTrip, existingTrips, timeWindowConfig = null) {
+function checkTimeConflicts(newTrip, existingTrips, timeWindowConfig = null, vehicle = null) {
+  if (vehicle) {
+    const breakConflict = checkBreakConflicts(newTrip, existingTrips, vehicle);
+    if (breakConflict.hasConflict) {
+      console.log(`  ❌ BREAK CONFLICT: ${breakConflict.reason}`);
+      return breakConflict;
+    }
+  }
+
   if (existingTrips.length === 0) {
     return { hasConflict: false };
   }
@@ -1325,6 +1611,9 @@ function checkTimeConflicts(newTrip, existingTrips, timeWindowConfig = null) {
     existingTripsCount: existingTrips.length
   });
 
+  // Overlapping trips that can ride together with the new one
+  const sharedWith = [];
+
   // Check against all existing trips
   for (const existingTrip of existingTrips) {
     const existingTripTime = getTimeBounds(existingTrip);
@@ -1334,7 +1623,10 @@ function checkTimeConflicts(newTrip, existingTrips, timeWindowConfig = null) {
 
     // Check for overlap - pass the config
     const overlap = checkTimeOverlap(newTripTime, existingTripTime, timeWindowConfig);
-    if (overlap.hasOverlap) {
+    if (overlap.hasOverlap && canShareRide(newTrip, existingTrip)) {
+      console.log(`  🤝 Shared ride with trip ${existingTrip.id}`);
+      sharedWith.push(existingTrip);
+    } else if (overlap.hasOverlap) {
       console.log(`  ❌ CONFLICT DETECTED: ${overlap.details}`);
       return {
         hasConflict: true,
@@ -1346,32 +1638,133 @@ function checkTimeConflicts(newTrip, existingTrips, timeWindowConfig = null) {
     }
   }
 
+  const seats = vehicle ? getVehicleSeats(vehicle) : 1;
+  if (sharedWith.length + 1 > seats) {
+    return {
+      hasConflict: true,
+      reason: `Vehicle full: ${sharedWith.length + 1} patients on board for ${seats} seats`,
+      conflictingTrip: sharedWith[0]
+    };
+  }
+
   console.log(`  ✅ No conflicts found for trip ${newTrip.id}`);
+  return { hasConflict: false, sharedWith };
+}
+
+/**
+ * Check if two trips can be chained in one vehicle with overlapping occupancy:
+ * both shareable, same direction, and close enough in time and space for each patient's detour tolerance
+ */
+function canShareRide(tripA, tripB) {
+  if (!isShareable(tripA) || !isShareable(tripB)) return false;
+  if (Boolean(tripA.isReturnTrip) !== Boolean(tripB.isReturnTrip)) return false;
+
+  const tolerance = Math.min(getMaxDetour(tripA), getMaxDetour(tripB));
+  const gapMinutes = Math.abs(getRideReferenceTimestamp(tripA) - getRideReferenceTimestamp(tripB)) / 60;
+
+  return gapMinutes <= tolerance && estimateSharedDetourMinutes(tripA, tripB) <= tolerance;
+}
+
+/**
+ * Time a shared ride is organised around: appointment for outbound trips, earliest pickup for returns
+ */
+function getRideReferenceTimestamp(trip) {
+  return trip.isReturnTrip ? getEarliestPickupTimestamp(trip) ?? getCourseTimestamp(trip) : getCourseTimestamp(trip);
+}
+
+/**
+ * Rough extra driving (minutes) to serve two trips together: hop between both pickups and both drops
+ */
+function estimateSharedDetourMinutes(tripA, tripB) {
+  if (!tripA.coordinates || !tripB.coordinates || !tripA.destinationCoords || !tripB.destinationCoords) {
+    return Infinity; // Detour can't be estimated without coordinates
+  }
+
+  const extraKm = calculateHaversineDistance(tripA.coordinates, tripB.coordinates) +
+    calculateHaversineDistance(tripA.destinationCoords, tripB.destinationCoords);
+  return extraKm / OSRM_CONFIG.estimatedSpeedKmh * 60;
+}
+
+/**
+ * Check that every crew break of a vehicle still fits once a new trip is added
+ */
+function checkBreakConflicts(newTrip, existingTrips, vehicle) {
+  const planningDate = newTrip.date || getTodayKey();
+  const busyIntervals = [...existingTrips, newTrip].map(getBusyInterval).filter(Boolean);
+
+  for (const { crewBreak, window } of getVehicleBreakWindows(vehicle, planningDate)) {
+    if (findBreakSlot(window, crewBreak.duration * 60, busyIntervals) === null) {
+      return {
+        hasConflict: true,
+        reason: `No room left for break (${formatBreak(crewBreak)})`
+      };
+    }
+  }
+
   return { hasConflict: false };
 }
 
+/**
+ * Place the crew breaks of a vehicle around its assigned trips (fallback solver).
+ * Breaks that cannot fit (conflict-penalty assignments) start at the opening of their window.
+ */
+function scheduleVehicleBreaks(vehicle, assignedTrips, planningDate) {
+  const busyIntervals = assignedTrips.map(getBusyInterval).filter(Boolean);
+
+  return getVehicleBreakWindows(vehicle, planningDate).map(({ crewBreak, breakIndex, shiftIndex, window }) => {
+    const service = crewBreak.duration * 60;
+    const slot = findBreakSlot(window, service, busyIntervals);
+
+    return {
+      type: 'break',
+      id: breakIndex + 1,
+      shift: shiftIndex,
+      arrival: slot ?? window[0],
+      service,
+      description: `Pause ${formatBreak(crewBreak)}`,
+      conflict: slot === null
+    };
+  });
+}
+
+/**
+ * Absolute interval [start, end] (seconds) during which a vehicle is busy with a trip
+ */
+function getBusyInterval(trip) {
+  const bounds = getTimeBounds(trip);
+  if (!bounds) return null;
+
+  const dayStart = getTripDayStart(trip);
+  return [dayStart + bounds.startTime * 60, dayStart + bounds.endTime * 60];
+}
+
 /**
  * Format minutes to HH:MM string
  */
 function formatMinutes(minutes) {
   if (minutes < 0) minutes = 0;
-  if (minutes >= 1440) minutes = 1439; // Cap at 23:59
-  const hours = Math.floor(minutes / 60);
+  const dayOffset = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
   const mins = minutes % 60;
-  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+  const time = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+  return dayOffset > 0 ? `${time} (J+${dayOffset})` : time;
 }
 
 /**
  * Get time bounds for a trip (start and end times) - OPTIMIZED FOR REALISTIC SCHEDULING
+ * Times are minutes from midnight of the trip's planning day (over 1440 after midnight)
  */
 function getTimeBounds(trip) {
   // Determine the time based on trip type
   let startTime, endTime;
+  const dayStart = getTripDayStart(trip);
+  const pinnedTimestamp = getPinnedTimestamp(trip);
   
   if (trip.isReturnTrip) {
     // Return trips: more precise timing based on actual pickup window
-    if (trip.earliestPickupTime) {
-      startTime = timeToMinutes(trip.earliestPickupTime);
+    const earliestPickupTimestamp = pinnedTimestamp ?? getEarliestPickupTimestamp(trip);
+    if (earliestPickupTimestamp !== null) {
+      startTime = Math.round((earliestPickupTimestamp - dayStart) / 60);
       // Return trips are typically 30-60 minutes (pickup + travel home)
       endTime = startTime + 60; // 1 hour for return trip completion
     } else {
@@ -1380,12 +1773,12 @@ function getTimeBounds(trip) {
   } else {
     // Regular appointment trips: more realistic time windows
     if (trip.appointmentTime) {
-      const appointmentMinutes = timeToMinutes(trip.appointmentTime);
+      const appointmentMinutes = Math.round((getCourseTimestamp(trip) - dayStart) / 60);
       const duration = trip.duration || 60; // Default 1 hour if not specified
       
       // Start: 30 minutes before appointment (for pickup and travel)
       // End: appointment + duration + 30 minutes travel back
-      startTime = appointmentMinutes - 30; 
+      startTime = pinnedTimestamp !== null ? Math.round((pinnedTimestamp - dayStart) / 60) : appointmentMinutes - 30;
       endTime = appointmentMinutes + duration + 30;
     } else if (trip.pickupTime || trip.time) {
       const pickupMinutes = timeToMinutes(trip.pickupTime || trip.time);
@@ -1397,9 +1790,8 @@ function getTimeBounds(trip) {
     }
   }
 
-  // Ensure times are within valid range (6 AM to 10 PM)
-  startTime = Math.max(6 * 60, startTime); // Not before 6 AM
-  endTime = Math.min(22 * 60, endTime);    // Not after 10 PM
+  // Working hours are enforced by vehicle shifts; late returns may legitimately run past midnight
+  endTime = Math.max(startTime, endTime);
 
   return {
     startTime,
@@ -1487,13 +1879,7 @@ function calculateTripAssignmentScore(trip, vehicle, routeMetrics, currentTripCo
  * Get vehicle type compatibility score
  */
 function getVehicleTypeCompatibility(requiredType, vehicleType) {
-  const compatibility = {
-    'Ambulance': { 'Ambulance': 100, 'VSL': 30, 'Taxi': 10 },
-    'VSL': { 'Ambulance': 80, 'VSL': 100, 'Taxi': 50 },
-    'Taxi': { 'Ambulance': 90, 'VSL': 80, 'Taxi': 100 }
-  };
-  
-  return compatibility[requiredType]?.[vehicleType] || 50;
+  return getTypeCompatibilityScore(requiredType, vehicleType);
 }
 
 /**
@@ -1606,7 +1992,15 @@ function findTripCoordinate(address, coordinates) {
   return coordinates[0] || [6.1286, 43.1205];
 }
 
-function getVehicleCapacity(vehicle) {
+// Second capacity dimension: a non-shareable patient fills it, so they ride alone
+const EXCLUSIVE_RIDE_LOAD = 100;
+
+function getVehicleSeats(vehicle) {
+  // Capacity set in the vehicle modal wins over the type defaults
+  if (Number.isInteger(vehicle.capacity) && vehicle.capacity > 0) {
+    return vehicle.capacity;
+  }
+
   // Define capacity based on vehicle type
   const capacities = {
     'Ambulance': 2,    // 2 patients max
@@ -1618,28 +2012,25 @@ function getVehicleCapacity(vehicle) {
   return capacities[vehicle.type] || 1;
 }
 
-function getVehicleSkills(vehicle) {
-  // Vehicle skills determine which jobs it can handle
-  const skills = [];
-  
-  switch (vehicle.type) {
-    case 'Ambulance':
-      skills.push(1, 2, 3); // Can handle all emergency levels
-      break;
-    case 'VSL':
-      skills.push(2, 3); // Can handle medium and low priority
-      break;
-    case 'Taxi':
-      skills.push(3); // Only low priority/regular transport
-      break;
-  }
-  
-  return skills;
+export function getVehicleCapacity(vehicle) {
+  return [getVehicleSeats(vehicle), EXCLUSIVE_RIDE_LOAD];
 }
 
-function getVehicleTimeWindow(vehicle) {
-  // Extended working hours to cover all trip times: 6:00 AM to 9:00 PM
-  return [6 * 3600, 21 * 3600]; // In seconds from midnight
+export function getTripAmount(trip) {
+  return [1, isShareable(trip) ? 1 : EXCLUSIVE_RIDE_LOAD];
+}
+
+/**
+ * Direct ride duration (seconds) between two matrix indexes, or null when unknown
+ */
+function getDirectRideSeconds(durationMatrix, fromIndex, toIndex) {
+  const duration = durationMatrix?.[fromIndex]?.[toIndex];
+  return typeof duration === 'number' && Number.isFinite(duration) ? duration : null;
+}
+
+function getVehicleSkills(vehicle) {
+  // Vehicle skills: course types it may serve and equipment it carries (see vehicleSkills)
+  return getVehicleSkillIds(vehicle);
 }
 
 function getTripTimeWindow(trip) {
@@ -1649,25 +2040,26 @@ function getTripTimeWindow(trip) {
   
   if (!timeStr) return null;
   
-  const [hours, minutes] = timeStr.split(':').map(Number);
-  const timeInSeconds = hours * 3600 + minutes * 60;
+  const timeInSeconds = (trip.pickupTime || trip.time)
+    ? getTripDayStart(trip) + timeToMinutes(timeStr) * 60
+    : getCourseTimestamp(trip);
   
   // Allow ±30 minutes window for better optimization
   return [timeInSeconds - 1800, timeInSeconds + 1800];
 }
 
 function getTripRequiredSkills(trip) {
-  // Required skills based on trip type
-  const skillRequirements = {
-    'Ambulance': [1], // Requires ambulance
-    'VSL': [1, 2], // Requires ambulance or VSL
-    'Taxi': [1, 2, 3] // Any vehicle type
-  };
-  
-  return skillRequirements[trip.vehicleType] || [1, 2, 3];
+  // Required skills: transport type and equipment the course needs (VROOM requires all of them)
+  return getCourseSkillIds(trip);
 }
 
-function getTripServiceTime(trip) {
+export function getTripServiceTime(trip, stop = null) {
+  // Handover at a registered facility (appointment delivery, return pickup) takes its typical time
+  const facilityStop = trip.isReturnTrip ? 'pickup' : 'delivery';
+  if (stop === facilityStop && typeof trip.handoverMinutes === 'number') {
+    return trip.handoverMinutes * 60;
+  }
+
   // Service time in seconds (time spent at pickup/delivery)
   const serviceTimes = {
     'urgent': 300,  // 5 minutes
@@ -1738,8 +2130,9 @@ export function getVROOMServiceInfo() {
   return {
     service: 'VROOM (Vehicle Routing Open-source Optimization Machine)',
     version: 'v1.13+',
-    baseUrl: VROOM_CONFIG.baseUrl,
-    timeout: VROOM_CONFIG.timeout,
+    baseUrl: getServerChain('vroom')[0]?.url || null,
+    timeout: getServerChain('vroom')[0]?.timeout || null,
+    servers: getServerChain('vroom'),
     maxJobs: VROOM_CONFIG.maxJobs,
     maxVehicles: VROOM_CONFIG.maxVehicles,
     features: [
@@ -1829,69 +2222,60 @@ export function getVROOMStartInstructions() {
       '4. Start VROOM Docker container:',
       `   ${VROOM_CONFIG.dockerConfig.dockerCommand}`,
       '5. Wait for server to start (should see "VROOM v1.13.0 listening on port 3000")',
-      '6. Server will be available at http://localhost:3000',
+      `6. Server will be available at http://localhost:${VROOM_CONFIG.dockerConfig.port}`,
+      '7. Add or reorder its URL in the endpoint settings if it runs elsewhere',
       '',
       'Note: VROOM requires OSRM server to be running for routing data!'
     ],
     dockerCommand: VROOM_CONFIG.dockerConfig.dockerCommand,
     dockerImage: VROOM_CONFIG.dockerConfig.image,
-    testUrl: `${VROOM_CONFIG.baseUrl}`,
+    testUrl: getServerChain('vroom')[0]?.url || `http://localhost:${VROOM_CONFIG.dockerConfig.port}`,
     port: VROOM_CONFIG.dockerConfig.port,
     prerequisites: [
       'Docker Desktop installed and running',
-      'OSRM server running at localhost:5000',
+      `OSRM server running at ${getServerChain('osrm')[0]?.url || 'the URL set in the endpoint settings'}`,
       'At least 2GB RAM available for VROOM container'
     ]
   };
 }
 
 /**
- * Test VROOM server connectivity
- * @returns {Promise<Object>} Server status information
+ * Test one VROOM server; any HTTP answer (200, 404...) means it is running
+ * @param {Object} server - Registry server { url, label, isPublic }
+ * @returns {Promise<Object>} { url, label, isPublic, available, responseTime, error }
  */
-export async function testVROOMConnection() {
-  const results = {
-    local: { available: false, responseTime: null, error: null },
-    fallbacks: []
-  };
+async function testVROOMServer(server) {
+  const result = { url: server.url, label: server.label, isPublic: server.isPublic, available: false, responseTime: null, error: null };
 
-  // Test local server with simple connection test
   try {
     const start = Date.now();
-    // Try to connect to the port - if VROOM is running it should respond
-    const response = await fetch(`${VROOM_CONFIG.baseUrl}`, {
-      method: 'GET',
-      timeout: 5000
+    await axios.get(server.url, {
+      timeout: Math.min(server.timeout, 10000),
+      validateStatus: () => true
     });
-    results.local.responseTime = Date.now() - start;
-    // Accept any response (200, 404, etc) as long as server responds
-    results.local.available = true;
+    result.responseTime = Date.now() - start;
+    result.available = true;
   } catch (error) {
-    results.local.error = error.message;
-    // If connection refused, server is not running
-    results.local.available = false;
+    result.error = error.message;
   }
 
-  // Test fallback servers
-  for (const url of VROOM_CONFIG.fallbackUrls) {
-    const fallbackResult = { url, available: false, responseTime: null, error: null };
-    
-    try {
-      const start = Date.now();
-      const response = await axios.get(url, { timeout: 10000 });
-      fallbackResult.responseTime = Date.now() - start;
-      fallbackResult.available = response.status === 200;
-      if (response.status !== 200) {
-        fallbackResult.error = `HTTP ${response.status}`;
-      }
-    } catch (error) {
-      fallbackResult.error = error.message;
-    }
-    
-    results.fallbacks.push(fallbackResult);
+  return result;
+}
+
+/**
+ * Test VROOM server connectivity, for every server of the registry chain
+ * @returns {Promise<Object>} Server status information: local is the first server of the chain
+ */
+export async function testVROOMConnection() {
+  const results = [];
+  for (const server of getServerChain('vroom')) {
+    results.push(await testVROOMServer(server));
   }
 
-  return results;
+  return {
+    local: results[0] || { url: null, available: false, responseTime: null, error: 'No server configured' },
+    fallbacks: results.slice(1)
+  };
 }
 
 /**
@@ -1899,18 +2283,19 @@ export async function testVROOMConnection() {
  * @returns {Object} Complete server configuration and status
  */
 export function getVROOMStatus() {
+  const [primaryServer, ...fallbackServers] = getServerChain('vroom');
   return {
     config: VROOM_CONFIG,
     localServer: {
-      url: VROOM_CONFIG.baseUrl,
+      url: primaryServer?.url || null,
       dockerCommand: VROOM_CONFIG.dockerConfig.dockerCommand,
       dockerImage: VROOM_CONFIG.dockerConfig.image
     },
-    fallbackServers: VROOM_CONFIG.fallbackUrls.map(url => ({ url })),
+    fallbackServers: fallbackServers.map(server => ({ url: server.url, label: server.label })),
     instructions: getVROOMStartInstructions(),
     integration: {
       osrmRequired: true,
-      osrmUrl: 'http://localhost:5000',
+      osrmUrl: getServerChain('osrm')[0]?.url || null,
       note: 'VROOM needs OSRM server for routing calculations'
     }
   };
@@ -1967,9 +2352,10 @@ export async function testVROOMOptimization() {
 
 /**
  * Enhanced VROOM server connectivity test with actual optimization request
+ * @param {Object} server - Registry server { url }
  * @returns {Promise<boolean>} True if VROOM server can handle optimization requests
  */
-async function testVROOMServerConnectivity() {
+async function testVROOMServerConnectivity(server) {
   try {
     // Create a minimal test VRP problem
     const testVRP = {
@@ -1992,7 +2378,7 @@ async function testVROOMServerConnectivity() {
       }
     };
 
-    const response = await axios.post(`${VROOM_CONFIG.baseUrl}`, testVRP, {
+    const response = await axios.post(`${server.url}`, testVRP, {
       timeout: 5000,
       headers: {
         'Content-Type': 'application/json'
@@ -2032,10 +2418,11 @@ export async function diagnosticVROOMTest() {
   console.log('🔍 VROOM Server Diagnostic Test');
   console.log('===============================');
   
+  const server = getServerChain('vroom')[0];
   const results = {
     timestamp: new Date().toISOString(),
     localServer: {
-      url: VROOM_CONFIG.baseUrl,
+      url: server?.url || null,
       basicHealthCheck: false,
       optimizationTest: false,
       responseTime: null,
@@ -2045,11 +2432,17 @@ export async function diagnosticVROOMTest() {
     recommendations: []
   };
 
+  if (!server) {
+    results.localServer.error = 'No VROOM server allowed by the endpoint settings';
+    results.recommendations.push('Add a VROOM server or allow public servers in the endpoint settings');
+    return results;
+  }
+
   // Test 1: Basic connectivity
-  console.log('🔍 Test 1: Basic server connectivity...');
+  console.log(`🔍 Test 1: Basic server connectivity (${server.url})...`);
   try {
     const start = Date.now();
-    const response = await axios.get(`${VROOM_CONFIG.baseUrl}`, {
+    const response = await axios.get(`${server.url}`, {
       timeout: 5000,
       validateStatus: () => true // Accept any status
     });
@@ -2081,7 +2474,7 @@ export async function diagnosticVROOMTest() {
       };
 
       const start = Date.now();
-      const response = await axios.post(`${VROOM_CONFIG.baseUrl}`, testData, {
+      const response = await axios.post(`${server.url}`, testData, {
         timeout: 10000,
         headers: { 'Content-Type': 'application/json' }
       });
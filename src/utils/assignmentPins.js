@@ -0,0 +1,92 @@
+/**
+ * Assignment Pins for AmbuSched
+ * A pin locks a course to a vehicle on a planning day, optionally at a position in the
+ * vehicle's route and/or at a fixed pickup time. Re-optimization only moves unpinned courses.
+ *
+ * pins: { '2026-10-19': { [courseId]: { vehicleId: 2, position: 1 | null, time: '08:15' | null } } }
+ */
+
+import { toTimestamp, getTodayKey, getCourseTimestamp } from './planningCalendar';
+
+// Tolerance around a fixed pickup time (seconds)
+export const PIN_TIME_TOLERANCE = 5 * 60;
+
+/**
+ * Pins of one planning day
+ */
+export function getDayPins(pins, dateKey) {
+  return pins?.[dateKey] || {};
+}
+
+/**
+ * Return a copy of the pins with a course pinned (or unpinned when pin is null)
+ */
+export function setPin(pins, dateKey, courseId, pin) {
+  const dayPins = { ...getDayPins(pins, dateKey) };
+  if (pin) {
+    dayPins[courseId] = {
+      vehicleId: pin.vehicleId,
+      position: Number.isInteger(pin.position) && pin.position > 0 ? pin.position : null,
+      time: pin.time || null
+    };
+  } else {
+    delete dayPins[courseId];
+  }
+
+  const nextPins = { ...pins, [dateKey]: dayPins };
+  if (Object.keys(dayPins).length === 0) delete nextPins[dateKey];
+  return nextPins;
+}
+
+/**
+ * Drop pins whose course or vehicle no longer exists on that day
+ */
+export function prunePins(dayPins, courses, vehicles) {
+  return Object.fromEntries(
+    Object.entries(dayPins).filter(([courseId, pin]) =>
+      courses.some(course => course.id === Number(courseId)) &&
+      vehicles.some(vehicle => vehicle.id === pin.vehicleId && vehicle.status !== 'maintenance')
+    )
+  );
+}
+
+/**
+ * Attach the day's pins to the trips sent to the solvers (trip.pin)
+ */
+export function applyPinsToTrips(trips, dayPins) {
+  return trips.map(trip => {
+    const pin = dayPins[trip.id];
+    return pin ? { ...trip, pin } : trip;
+  });
+}
+
+/**
+ * Absolute fixed pickup timestamp of a pinned trip, or null.
+ * A time long before the course (e.g. 00:30 for a late return) falls on the next day.
+ */
+export function getPinnedTimestamp(trip) {
+  if (!trip.pin?.time) return null;
+  const timestamp = toTimestamp(trip.date || getTodayKey(), trip.pin.time);
+  return timestamp < getCourseTimestamp(trip) - 12 * 3600 ? timestamp + 24 * 3600 : timestamp;
+}
+
+/**
+ * Short French description of a pin (e.g. "VSL 2 • 1re position • 08:15")
+ */
+export function describePin(pin, vehicles) {
+  const vehicle = vehicles.find(v => v.id === pin.vehicleId);
+  const parts = [vehicle?.name || `Véhicule ${pin.vehicleId}`];
+  if (pin.position) parts.push(pin.position === 1 ? '1re position' : `${pin.position}e position`);
+  if (pin.time) parts.push(pin.time);
+  return parts.join(' • ');
+}
+
+export default {
+  PIN_TIME_TOLERANCE,
+  getDayPins,
+  setPin,
+  prunePins,
+  applyPinsToTrips,
+  getPinnedTimestamp,
+  describePin
+};
@@ -0,0 +1,171 @@
+/**
+ * Column Mapping Utilities for AmbuSched
+ * Assigns the columns of an imported spreadsheet to course fields.
+ * A mapping is { [field]: columnIndex }; a saved profile keeps the column names instead,
+ * so it still applies when the sender reorders its columns.
+ */
+
+import { normalizeText } from '../services/banGazetteer';
+
+// Course fields a column can feed; the patient is either one full-name column or first + last name
+export const COURSE_FIELDS = [
+  { value: 'patient', label: 'Patient (nom complet)' },
+  { value: 'firstName', label: 'Prénom' },
+  { value: 'lastName', label: 'Nom' },
+  { value: 'pickup', label: 'Lieu de départ', required: true },
+  { value: 'destination', label: 'Destination', required: true },
+  { value: 'date', label: 'Date du RDV' },
+  { value: 'appointmentTime', label: 'Heure du RDV', required: true },
+  { value: 'duration', label: 'Durée du RDV (min)' },
+  { value: 'returnTime', label: 'Heure de fin / retour' },
+  { value: 'vehicleType', label: 'Type de transport' },
+  { value: 'requiredEquipment', label: 'Équipement requis' },
+  { value: 'phone', label: 'Téléphone' },
+  { value: 'mobility', label: 'Mobilité' },
+  { value: 'pickupLng', label: 'Longitude départ' },
+  { value: 'pickupLat', label: 'Latitude départ' },
+  { value: 'destLng', label: 'Longitude destination' },
+  { value: 'destLat', label: 'Latitude destination' },
+  { value: 'id', label: 'N° de course' }
+];
+
+// Usual column names of each field, guessed before the user checks the mapping
+const HEADER_ALIASES = {
+  id: ['id', 'course_id', 'numero'],
+  patient: ['patient', 'nom_patient', 'patient_name', 'nom_complet'],
+  firstName: ['prenom', 'first_name', 'firstname'],
+  lastName: ['nom', 'last_name', 'lastname', 'nom_famille'],
+  pickup: ['pickup', 'depart', 'lieu_depart', 'pickup_location'],
+  destination: ['destination', 'arrivee', 'lieu_arrivee', 'hopital', 'hospital'],
+  pickupLng: ['pickup_lng', 'depart_lng', 'longitude_depart', 'lng_depart'],
+  pickupLat: ['pickup_lat', 'depart_lat', 'latitude_depart', 'lat_depart'],
+  destLng: ['dest_lng', 'destination_lng', 'longitude_arrivee', 'lng_arrivee'],
+  destLat: ['dest_lat', 'destination_lat', 'latitude_arrivee', 'lat_arrivee'],
+  date: ['date', 'date_rdv', 'jour', 'appointment_date'],
+  appointmentTime: ['appointment_time', 'heure_rdv', 'time', 'heure'],
+  duration: ['duration', 'duree', 'duree_rdv', 'appointment_duration'],
+  returnTime: ['return_time', 'heure_retour', 'fin_rdv', 'appointment_end'],
+  vehicleType: ['veh_type', 'vehicle_type', 'type_vehicule', 'vehicule_type', 'type'],
+  requiredEquipment: ['equipement', 'equipment', 'materiel', 'required_equipment'],
+  phone: ['telephone', 'tel', 'phone', 'telephone_patient'],
+  mobility: ['mobilite', 'mobility', 'profil_mobilite']
+};
+
+/**
+ * Column name compared without case, accents or spacing ("Durée RDV" = "duree_rdv")
+ */
+export function normalizeHeader(header) {
+  return normalizeText(header).replace(/ /g, '_');
+}
+
+/**
+ * Identity of a header set (same columns in any order)
+ */
+export function getHeadersKey(headers) {
+  return headers.map(normalizeHeader).filter(Boolean).sort().join('|');
+}
+
+/**
+ * French label of a course field
+ */
+export function getCourseFieldLabel(field) {
+  return COURSE_FIELDS.find(courseField => courseField.value === field)?.label || field;
+}
+
+/**
+ * Mapping guessed from the usual column names
+ * @returns {Object} { [field]: columnIndex }, unmatched fields are left out
+ */
+export function guessColumnMapping(headers) {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const mapping = {};
+  Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+    const index = aliases.map(alias => normalizedHeaders.indexOf(alias)).find(found => found !== -1);
+    if (index !== undefined && !Object.values(mapping).includes(index)) {
+      mapping[field] = index;
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Give a column to a field: a column feeds one field at most, a field reads one column
+ * @param {string|null} field - Field, or null to ignore the column
+ */
+export function assignColumn(mapping, columnIndex, field) {
+  const updated = Object.fromEntries(
+    Object.entries(mapping).filter(([mappedField, index]) => index !== columnIndex && mappedField !== field)
+  );
+  if (field) updated[field] = columnIndex;
+  return updated;
+}
+
+/**
+ * Field a column feeds in a mapping (null when ignored)
+ */
+export function getColumnField(mapping, columnIndex) {
+  return Object.keys(mapping).find(field => mapping[field] === columnIndex) || null;
+}
+
+/**
+ * Labels of the fields still missing before the file can be read
+ */
+export function getMissingFields(mapping) {
+  const missing = COURSE_FIELDS
+    .filter(field => field.required && mapping[field.value] === undefined)
+    .map(field => field.label);
+  if (mapping.patient === undefined && mapping.firstName === undefined && mapping.lastName === undefined) {
+    missing.unshift('Patient (nom complet, ou prénom et nom)');
+  }
+  return missing;
+}
+
+/**
+ * Saved profile of a mapping, applied again to files with the same columns
+ */
+export function createMappingProfile(name, headers, mapping, id) {
+  return {
+    id,
+    name: name.trim(),
+    headersKey: getHeadersKey(headers),
+    columns: Object.fromEntries(
+      Object.entries(mapping).map(([field, index]) => [field, normalizeHeader(headers[index])])
+    ),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Profile saved for this header set, if any
+ */
+export function findMappingProfile(profiles, headers) {
+  const headersKey = getHeadersKey(headers);
+  return profiles.find(profile => profile.headersKey === headersKey) || null;
+}
+
+/**
+ * Mapping of a saved profile for the columns of a file
+ */
+export function applyMappingProfile(profile, headers) {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const mapping = {};
+  Object.entries(profile.columns).forEach(([field, header]) => {
+    const index = normalizedHeaders.indexOf(header);
+    if (index !== -1) mapping[field] = index;
+  });
+  return mapping;
+}
+
+export default {
+  COURSE_FIELDS,
+  normalizeHeader,
+  getHeadersKey,
+  getCourseFieldLabel,
+  guessColumnMapping,
+  assignColumn,
+  getColumnField,
+  getMissingFields,
+  createMappingProfile,
+  findMappingProfile,
+  applyMappingProfile
+};
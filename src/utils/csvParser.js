@@ -0,0 +1,152 @@
+/**
+ * CSV Parser Utilities for AmbuSched
+ * RFC 4180 reader for course import files: quoted fields (with delimiters, line breaks
+ * and "" escapes inside), CRLF/LF line endings, UTF-8 BOM, and the `;` delimiter and
+ * Windows-1252 encoding of French Excel exports. A quote inside an unquoted field is kept as text.
+ */
+
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'virgule' },
+  { value: ';', label: 'point-virgule' },
+  { value: '\t', label: 'tabulation' }
+];
+
+/**
+ * Decode the bytes of an import file: UTF-8 (BOM removed), or Windows-1252 when the
+ * bytes are not valid UTF-8 (Excel "CSV (séparateur : point-virgule)" exports)
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {Object} { text, encoding }
+ */
+export function decodeText(buffer) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { text: text.replace(/^\uFEFF/, ''), encoding: 'UTF-8' };
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'Windows-1252' };
+  }
+}
+
+/**
+ * Delimiter of a CSV text: the candidate found most often in the header line (outside quotes)
+ * @returns {string|null} Delimiter, or null when the first line has none
+ */
+export function detectDelimiter(text) {
+  const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter.value, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  const [delimiter, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? delimiter : null;
+}
+
+/**
+ * French name of a delimiter (for the import summary)
+ */
+export function getDelimiterLabel(delimiter) {
+  return CSV_DELIMITERS.find(candidate => candidate.value === delimiter)?.label || delimiter;
+}
+
+/**
+ * Split a CSV text into records. A malformed record (text after a closing quote,
+ * quote never closed) is reported and skipped; parsing goes on at the next line.
+ * @param {string} text - Decoded file content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Object} { records: [{ row, fields }], errors: [{ row, message }] }, row = line number in the file
+ */
+export function parseCSVRecords(text, delimiter) {
+  const records = [];
+  const errors = [];
+  let line = 1;
+  let index = 0;
+
+  while (index < text.length) {
+    const row = line;
+    const fields = [];
+    let field = '';
+    let error = null;
+    let endOfRecord = false;
+
+    while (index < text.length && !endOfRecord && !error) {
+      const char = text[index];
+
+      if (char === '"' && field.trim() === '') {
+        // Quoted field: runs until a quote not followed by another quote
+        index++;
+        field = '';
+        let closed = false;
+        while (index < text.length) {
+          if (text[index] === '"') {
+            if (text[index + 1] === '"') {
+              field += '"';
+              index += 2;
+              continue;
+            }
+            index++;
+            closed = true;
+            break;
+          }
+          if (text[index] === '\n') line++;
+          field += text[index++];
+        }
+        if (!closed) {
+          error = 'guillemet ouvert jamais refermé';
+          break;
+        }
+        // Only spaces may follow the closing quote before the delimiter or the line end
+        while (text[index] === ' ') index++;
+        if (index < text.length && text[index] !== delimiter && text[index] !== '\r' && text[index] !== '\n') {
+          error = `texte après un guillemet fermant (« ${field.slice(0, 30)} »)`;
+        }
+        continue;
+      }
+
+      if (char === delimiter) {
+        fields.push(field);
+        field = '';
+        index++;
+      } else if (char === '\r' || char === '\n') {
+        index += char === '\r' && text[index + 1] === '\n' ? 2 : 1;
+        line++;
+        endOfRecord = true;
+      } else {
+        field += char;
+        index++;
+      }
+    }
+
+    if (error) {
+      errors.push({ row, message: error });
+      // Resume at the next line
+      while (index < text.length && text[index] !== '\n') index++;
+      if (index < text.length) {
+        index++;
+        line++;
+      }
+      continue;
+    }
+
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      records.push({ row, fields: fields.map(value => value.trim()) });
+    }
+  }
+
+  return { records, errors };
+}
+
+export default {
+  CSV_DELIMITERS,
+  decodeText,
+  detectDelimiter,
+  getDelimiterLabel,
+  parseCSVRecords
+};
@@ -0,0 +1,52 @@
+/**
+ * Default Medical Facilities for AmbuSched
+ * Facilities of the Carpentras/Avignon/Marseille area the registry starts with. The storage
+ * seeds them once (schema v6); opening hours and handover times come from the facility type
+ * when the records are normalized (see facilityRegistry).
+ */
+
+function mainEntrance(coordinates) {
+  return [{ id: 'main', label: 'Entrée principale', coordinates }];
+}
+
+export const DEFAULT_FACILITY_SEED = [
+  {
+    id: 1,
+    name: 'CHU Avignon',
+    type: 'hospital',
+    entrances: [
+      ...mainEntrance([4.8050, 43.9320]),
+      { id: 'cardiologie', label: 'Cardiologie', coordinates: [4.8050, 43.9320] },
+      { id: 'neurologie', label: 'Neurologie', coordinates: [4.8050, 43.9320] }
+    ]
+  },
+  { id: 2, name: 'Clinique Rhône-Durance Avignon', type: 'clinic', entrances: mainEntrance([4.8200, 43.9400]) },
+  { id: 3, name: 'CHU Marseille La Timone', type: 'hospital', entrances: mainEntrance([5.3950, 43.2784]) },
+  { id: 4, name: 'Hôpital Carpentras', type: 'hospital', entrances: mainEntrance([5.0520, 44.2580]) },
+  { id: 5, name: 'Centre de dialyse Avignon', type: 'dialysis', entrances: mainEntrance([4.8100, 43.9350]) },
+  { id: 6, name: 'CHU Marseille Nord', type: 'hospital', entrances: mainEntrance([5.4200, 43.3400]) },
+  { id: 7, name: 'Clinique Bouchard Marseille', type: 'clinic', entrances: mainEntrance([5.3800, 43.2900]) },
+  { id: 8, name: 'CHU Marseille La Conception', type: 'hospital', entrances: mainEntrance([5.3850, 43.2950]) },
+  { id: 9, name: 'Clinique Avignon', type: 'clinic', entrances: mainEntrance([4.8150, 43.9300]) },
+  { id: 10, name: 'Hôpital Européen Marseille', type: 'hospital', entrances: mainEntrance([5.3700, 43.2800]) },
+  { id: 11, name: 'Cabinet cardiologie Avignon', type: 'cardiology', entrances: mainEntrance([4.8200, 43.9450]) },
+  { id: 12, name: 'Laboratoire Carpentras', type: 'laboratory', entrances: mainEntrance([5.0500, 44.2600]) },
+  { id: 13, name: 'CHU Marseille Urgences', type: 'emergency', entrances: mainEntrance([5.3950, 43.2784]) },
+  { id: 14, name: 'Clinique privée Avignon', type: 'clinic', entrances: mainEntrance([4.8300, 43.9500]) },
+  { id: 15, name: 'Centre médical Carpentras', type: 'medical_center', entrances: mainEntrance([5.0550, 44.2650]) },
+  { id: 16, name: 'Cabinet gynéco Avignon', type: 'gynecology', entrances: mainEntrance([4.8250, 43.9400]) },
+  { id: 17, name: 'CHU Marseille Pédiatrie', type: 'pediatric', entrances: mainEntrance([5.3900, 43.2850]) },
+  { id: 18, name: 'Polyclinique Avignon', type: 'clinic', entrances: mainEntrance([4.8350, 43.9550]) },
+  { id: 19, name: 'Cabinet médical Carpentras', type: 'medical_center', entrances: mainEntrance([5.0480, 44.2570]) },
+  { id: 20, name: 'Laboratoire Avignon', type: 'laboratory', entrances: mainEntrance([4.8180, 43.9380]) },
+  { id: 21, name: 'CHU Marseille Oncologie', type: 'oncology', entrances: mainEntrance([5.3850, 43.2900]) },
+  { id: 22, name: 'Centre médical Avignon', type: 'medical_center', entrances: mainEntrance([4.8200, 43.9400]) },
+  { id: 23, name: 'Cabinet dentaire Carpentras', type: 'dental', entrances: mainEntrance([5.0520, 44.2590]) },
+  { id: 24, name: 'Pharmacie Avignon', type: 'pharmacy', entrances: mainEntrance([4.8150, 43.9350]) },
+  { id: 25, name: 'Centre de soins Carpentras', type: 'care_center', entrances: mainEntrance([5.0500, 44.2580]) },
+  { id: 26, name: 'Polyclinique Marseille', type: 'clinic', entrances: mainEntrance([5.3900, 43.2950]) }
+];
+
+export default {
+  DEFAULT_FACILITY_SEED
+};
@@ -0,0 +1,284 @@
+/**
+ * Driver Roadmap Utilities for AmbuSched
+ * Builds the printed day of each vehicle from the optimized routes: stops in driving order
+ * with times, patient contact, addresses, mobility needs, waiting at the facility and the
+ * kilometres between stops, rendered to PDF (one document per vehicle, or all of them).
+ * jsPDF is loaded on first print, so it stays out of the main bundle.
+ */
+
+import { formatTimestamp, formatDateLabel, getCourseTimestamp } from './planningCalendar';
+import { calculateWaitingTime, formatWaitingTime } from './returnCourses';
+import { getMobilityLabel, mobilityFromVehicleType } from './patientRegistry';
+import { getVehicleTypeLabel, getEquipmentLabel } from './vehicleSkills';
+import { calculateDistance } from './routeOptimization';
+
+const PAGE = { width: 210, height: 297, margin: 15 }; // A4 portrait, mm
+const MAP_HEIGHT = 70;
+const LINE = 4.5;
+
+// Straight-line km between two [lng, lat] points, when the route has no road distances
+function getStraightKm(from, to) {
+  if (!from || !to) return null;
+  return calculateDistance({ lng: from[0], lat: from[1] }, { lng: to[0], lat: to[1] });
+}
+
+// What the patient waits at the facility: before the appointment (outbound), after the exit (return)
+function describeFacilityWait(course, step) {
+  if (typeof step.arrival !== 'number') return null;
+  if (course.isReturnTrip) {
+    return step.type === 'pickup' ? `Sortie ${course.exitTime} – ${formatWaitingTime(calculateWaitingTime(course, step.arrival))}` : null;
+  }
+  if (step.type !== 'delivery') return null;
+  const margin = Math.round((getCourseTimestamp(course) - step.arrival - (step.service || 0)) / 60);
+  return margin >= 0 ? `Arrivée ${margin} min avant le RDV` : `Retard prévu de ${-margin} min sur le RDV`;
+}
+
+/**
+ * Roadmap of one route: the vehicle's stops in driving order
+ * @param {Object} route - Optimized route (steps with arrival, service and cumulative distance)
+ * @param {Object} context - { vehicles, courses (the day's trips), patients, tripDetails, routeGeometries, date }
+ * @returns {Object} { vehicle, stops, path, courseCount, totalKm, estimatedKm, start, end }: path is the OSRM road path, or null
+ */
+export function buildRoadmap(route, { vehicles, courses, patients = [], tripDetails = {}, routeGeometries = {}, date }) {
+  const vehicle = vehicles.find(v => v.id === route.vehicle) || { name: `Véhicule ${route.vehicle}` };
+  const stops = [];
+  let previous = { coords: vehicle.coordinates, distance: 0 };
+  let estimatedKm = false;
+
+  (route.steps || []).forEach(step => {
+    const time = typeof step.arrival === 'number' ? formatTimestamp(step.arrival, date) : null;
+
+    // Each shift of the route leaves the base again
+    if (step.type === 'start') {
+      previous = { coords: vehicle.coordinates, distance: typeof step.distance === 'number' ? step.distance : 0 };
+      return;
+    }
+    if (step.type === 'break') {
+      stops.push({ kind: 'break', time, durationMin: Math.round((step.service || 0) / 60) });
+      return;
+    }
+    if (step.type !== 'pickup' && step.type !== 'delivery') return;
+
+    // Shipment steps: pickup = course.id * 10 + 1, delivery = course.id * 10 + 2
+    const course = courses.find(c => c.id * 10 + (step.type === 'pickup' ? 1 : 2) === step.id);
+    if (!course) return;
+
+    const patient = patients.find(p => p.id === course.patientId);
+    const coords = step.type === 'pickup' ? course.coordinates : course.destinationCoords;
+
+    // Road distance from the cumulative step distances, else the OSRM leg of the course, else straight line
+    let km = null;
+    if (typeof step.distance === 'number') {
+      km = (step.distance - previous.distance) / 1000;
+    } else if (step.type === 'delivery' && previous.courseId === course.id && tripDetails[course.id]) {
+      km = tripDetails[course.id].distance / 1000;
+    } else {
+      km = getStraightKm(previous.coords, coords);
+      estimatedKm = estimatedKm || km !== null;
+    }
+
+    stops.push({
+      kind: step.type,
+      number: stops.filter(stop => stop.kind !== 'break').length + 1,
+      time,
+      course,
+      patient: course.patient,
+      phone: patient?.phone || course.phone || '',
+      address: step.type === 'pickup' ? course.pickup : course.destination,
+      coords,
+      mobility: getMobilityLabel(patient?.mobility || course.mobility || mobilityFromVehicleType(course.vehicleType)),
+      equipment: (course.requiredEquipment || []).map(getEquipmentLabel),
+      appointment: course.isReturnTrip ? null : formatTimestamp(getCourseTimestamp(course), course.date),
+      facilityWait: describeFacilityWait(course, step),
+      shareable: Boolean(course.shareable),
+      km
+    });
+    previous = { coords, distance: typeof step.distance === 'number' ? step.distance : previous.distance, courseId: course.id };
+  });
+
+  const timedSteps = (route.steps || []).filter(step => typeof step.arrival === 'number');
+  const geometry = routeGeometries[route.vehicle];
+  return {
+    vehicle,
+    stops,
+    path: geometry?.roadSnapped ? geometry.coordinates : null,
+    courseCount: stops.filter(stop => stop.kind === 'pickup').length,
+    totalKm: typeof route.distance === 'number'
+      ? route.distance / 1000
+      : stops.reduce((total, stop) => total + (stop.km || 0), 0),
+    estimatedKm: typeof route.distance !== 'number' && estimatedKm,
+    start: timedSteps.length ? formatTimestamp(timedSteps[0].arrival, date) : null,
+    end: timedSteps.length ? formatTimestamp(timedSteps[timedSteps.length - 1].arrival, date) : null
+  };
+}
+
+// Map of the stops (vehicle base, pickups, drops) along the road path, or joined by straight lines without one
+function drawRouteSketch(doc, roadmap, top) {
+  const { margin, width } = PAGE;
+  const boxWidth = width - margin * 2;
+  doc.setDrawColor(200);
+  doc.setFillColor(248, 250, 252);
+  doc.rect(margin, top, boxWidth, MAP_HEIGHT, 'FD');
+
+  const points = [
+    roadmap.vehicle.coordinates && { coords: roadmap.vehicle.coordinates, label: 'B' },
+    ...roadmap.stops
+      .filter(stop => stop.coords)
+      .map(stop => ({ coords: stop.coords, label: String(stop.number), kind: stop.kind }))
+  ].filter(Boolean);
+  if (points.length === 0) {
+    doc.setFontSize(8);
+    doc.text('Pas de coordonnées pour tracer le plan', margin + 4, top + 8);
+    return;
+  }
+
+  // Equirectangular projection fitted in the box, same scale on both axes
+  const line = roadmap.path || points.map(point => point.coords);
+  const lngs = [...points.map(point => point.coords[0]), ...line.map(coords => coords[0])];
+  const lats = [...points.map(point => point.coords[1]), ...line.map(coords => coords[1])];
+  const [minLng, maxLng] = [Math.min(...lngs), Math.max(...lngs)];
+  const [minLat, maxLat] = [Math.min(...lats), Math.max(...lats)];
+  const xScale = Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+  const spanX = Math.max((maxLng - minLng) * xScale, 0.001);
+  const spanY = Math.max(maxLat - minLat, 0.001);
+  const padding = 8;
+  const scale = Math.min((boxWidth - padding * 2) / spanX, (MAP_HEIGHT - padding * 2) / spanY);
+  const offsetX = margin + (boxWidth - spanX * scale) / 2;
+  const offsetY = top + (MAP_HEIGHT - spanY * scale) / 2;
+  const project = ([lng, lat]) => [
+    offsetX + (lng - minLng) * xScale * scale,
+    offsetY + (maxLat - lat) * scale
+  ];
+
+  doc.setDrawColor(37, 99, 235);
+  doc.setLineWidth(0.6);
+  line.slice(1).forEach((coords, index) => {
+    const [x1, y1] = project(line[index]);
+    const [x2, y2] = project(coords);
+    doc.line(x1, y1, x2, y2);
+  });
+  doc.setLineWidth(0.2);
+
+  doc.setFontSize(6);
+  points.forEach(point => {
+    const [x, y] = project(point.coords);
+    if (point.kind === 'pickup') doc.setFillColor(22, 163, 74);
+    else if (point.kind === 'delivery') doc.setFillColor(220, 38, 38);
+    else doc.setFillColor(75, 85, 99);
+    doc.circle(x, y, 2.2, 'F');
+    doc.setTextColor(255);
+    doc.text(point.label, x, y + 0.8, { align: 'center' });
+  });
+  doc.setTextColor(0);
+
+  doc.setFontSize(7);
+  doc.setTextColor(100);
+  doc.text(roadmap.path
+    ? 'Plan : B base, vert prise en charge, rouge dépose (itinéraire routier)'
+    : 'Plan schématique : B base, vert prise en charge, rouge dépose (lignes droites entre les arrêts)', margin + 2, top + MAP_HEIGHT - 2);
+  doc.setTextColor(0);
+}
+
+// One vehicle from a fresh page: header, sketch, then the stops (continued on next pages)
+function drawRoadmap(doc, roadmap, date) {
+  const { margin, width, height } = PAGE;
+  const textWidth = width - margin * 2 - 30;
+  let y = margin + 5;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(`Feuille de route – ${roadmap.vehicle.name}`, margin, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  y += 6;
+  doc.text(formatDateLabel(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }), margin, y);
+  y += 5;
+  doc.text([
+    roadmap.vehicle.type && getVehicleTypeLabel(roadmap.vehicle.type),
+    roadmap.vehicle.location && `départ ${roadmap.vehicle.location}`,
+    `${roadmap.courseCount} course${roadmap.courseCount > 1 ? 's' : ''}`,
+    `${roadmap.estimatedKm ? 'env. ' : ''}${roadmap.totalKm.toFixed(1)} km`,
+    roadmap.start && `${roadmap.start} – ${roadmap.end}`
+  ].filter(Boolean).join(' · '), margin, y);
+  y += 4;
+
+  drawRouteSketch(doc, roadmap, y);
+  y += MAP_HEIGHT + 6;
+
+  roadmap.stops.forEach(stop => {
+    const lines = stop.kind === 'break'
+      ? []
+      : [
+          `${stop.patient}${stop.phone ? ` – Tél. ${stop.phone}` : ''}`,
+          ...doc.splitTextToSize(stop.address || '', textWidth),
+          [stop.mobility, ...stop.equipment].join(', '),
+          stop.appointment && `RDV ${stop.appointment}`,
+          stop.facilityWait,
+          stop.shareable && 'Transport partagé'
+        ].filter(Boolean);
+    const blockHeight = (lines.length + 1) * LINE + 3;
+
+    if (y + blockHeight > height - margin) {
+      doc.addPage();
+      y = margin + 5;
+      doc.setFontSize(9);
+      doc.setTextColor(100);
+      doc.text(`${roadmap.vehicle.name} (suite)`, margin, y);
+      doc.setTextColor(0);
+      y += 7;
+    }
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    const title = stop.kind === 'break'
+      ? `Pause équipage (${stop.durationMin} min)`
+      : `${stop.number}. ${stop.kind === 'pickup' ? 'Prise en charge' : 'Dépose'}`;
+    doc.text(`${stop.time || '--:--'}   ${title}`, margin, y);
+    if (typeof stop.km === 'number') {
+      doc.setFont('helvetica', 'normal');
+      doc.text(`+${stop.km.toFixed(1)} km`, width - margin, y, { align: 'right' });
+    }
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    lines.forEach(line => {
+      y += LINE;
+      doc.text(line, margin + 14, y);
+    });
+    y += LINE;
+    doc.setDrawColor(220);
+    doc.line(margin, y - 2, width - margin, y - 2);
+    y += 3;
+  });
+}
+
+/**
+ * Render driver roadmaps to PDF and download it
+ * @param {Object} optimizationResult - Result of the day (routes)
+ * @param {Object} context - { vehicles, courses, patients, tripDetails, routeGeometries, date }
+ * @param {number|null} vehicleId - Only this vehicle, or null for all routes in one document
+ */
+export async function exportRoadmapsToPdf(optimizationResult, context, vehicleId = null) {
+  const routes = (optimizationResult?.routes || [])
+    .filter(route => vehicleId === null || route.vehicle === vehicleId);
+  if (routes.length === 0) {
+    throw new Error('Aucune tournée à imprimer');
+  }
+
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  routes.forEach((route, index) => {
+    if (index > 0) doc.addPage();
+    drawRoadmap(doc, buildRoadmap(route, context), context.date);
+  });
+
+  const name = vehicleId === null
+    ? 'feuilles_de_route'
+    : `feuille_de_route_${(context.vehicles.find(v => v.id === vehicleId)?.name || vehicleId).toString().replace(/[^\w-]+/g, '_')}`;
+  doc.save(`${name}_${context.date}.pdf`);
+  console.log(`🖨️ ${routes.length} roadmap(s) of ${formatDateLabel(context.date)} exported`);
+}
+
+export default {
+  buildRoadmap,
+  exportRoadmapsToPdf
+};
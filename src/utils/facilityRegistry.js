@@ -0,0 +1,329 @@
+/**
+ * Medical Facility Registry Utilities for AmbuSched
+ * A facility has a type, one entrance per service (main hall, dialysis, emergencies...),
+ * weekly opening hours and a typical patient handover time.
+ * Courses reference it by facilityId/entranceId: the facility is the destination of an
+ * appointment trip and the pickup of its return.
+ * Opening hours: { [weekday 0-6, Sunday = 0]: [{ start: '07:00', end: '19:00' }, ...] }, no entry = closed.
+ */
+
+import { DEFAULT_FACILITY_SEED } from './defaultFacilities';
+import { WEEKDAYS } from './recurringCourses';
+import { normalizeText } from '../services/banGazetteer';
+import { getCourseTimestamp, timestampToTime, formatTimestamp } from './planningCalendar';
+
+const ALL_WEEK = [0, 1, 2, 3, 4, 5, 6];
+const MONDAY_TO_FRIDAY = [1, 2, 3, 4, 5];
+const MONDAY_TO_SATURDAY = [1, 2, 3, 4, 5, 6];
+
+function weeklyHours(days, start, end, extra = {}) {
+  const hours = {};
+  days.forEach(day => {
+    hours[day] = [{ start, end }];
+  });
+  return { ...hours, ...extra };
+}
+
+// Facility types with their usual opening hours and handover time (minutes)
+export const FACILITY_TYPES = [
+  { value: 'hospital', label: 'Hôpital', handoverMinutes: 8, openingHours: weeklyHours(ALL_WEEK, '00:00', '24:00') },
+  { value: 'emergency', label: 'Urgences', handoverMinutes: 10, openingHours: weeklyHours(ALL_WEEK, '00:00', '24:00') },
+  { value: 'clinic', label: 'Clinique', handoverMinutes: 6, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '07:00', '20:00', { 6: [{ start: '08:00', end: '12:00' }] }) },
+  { value: 'dialysis', label: 'Centre de dialyse', handoverMinutes: 5, openingHours: weeklyHours(MONDAY_TO_SATURDAY, '06:00', '21:00') },
+  { value: 'cardiology', label: 'Cardiologie', handoverMinutes: 5, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:00', '18:00') },
+  { value: 'neurology', label: 'Neurologie', handoverMinutes: 5, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:00', '18:00') },
+  { value: 'oncology', label: 'Oncologie', handoverMinutes: 6, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:00', '18:00') },
+  { value: 'pediatric', label: 'Pédiatrie', handoverMinutes: 6, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:00', '18:00') },
+  { value: 'gynecology', label: 'Gynécologie', handoverMinutes: 4, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:30', '18:30') },
+  { value: 'laboratory', label: 'Laboratoire', handoverMinutes: 3, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '07:00', '18:00', { 6: [{ start: '07:30', end: '12:00' }] }) },
+  { value: 'medical_center', label: 'Centre médical', handoverMinutes: 4, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:00', '19:00') },
+  { value: 'care_center', label: 'Centre de soins', handoverMinutes: 4, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:00', '19:00') },
+  { value: 'dental', label: 'Cabinet dentaire', handoverMinutes: 3, openingHours: weeklyHours(MONDAY_TO_FRIDAY, '08:30', '19:00') },
+  { value: 'pharmacy', label: 'Pharmacie', handoverMinutes: 2, openingHours: weeklyHours(MONDAY_TO_SATURDAY, '08:30', '19:30') }
+];
+
+const DEFAULT_TYPE = 'medical_center';
+
+/**
+ * Facility type definition (medical centre when unknown)
+ */
+export function getFacilityType(value) {
+  return FACILITY_TYPES.find(type => type.value === value) ||
+    FACILITY_TYPES.find(type => type.value === DEFAULT_TYPE);
+}
+
+/**
+ * French label of a facility type
+ */
+export function getFacilityTypeLabel(value) {
+  return getFacilityType(value).label;
+}
+
+/**
+ * Clean a facility record: missing fields from its type, at least one entrance
+ */
+export function normalizeFacility(facility) {
+  const type = getFacilityType(facility.type);
+  const entrances = (facility.entrances || [])
+    .filter(entrance => Array.isArray(entrance.coordinates))
+    .map((entrance, index) => ({
+      id: entrance.id || `entrance-${index + 1}`,
+      label: (entrance.label || '').trim() || 'Entrée principale',
+      coordinates: entrance.coordinates
+    }));
+
+  return {
+    id: facility.id,
+    name: (facility.name || '').trim(),
+    type: type.value,
+    entrances,
+    openingHours: facility.openingHours || type.openingHours,
+    handoverMinutes: Number.isFinite(Number(facility.handoverMinutes)) && facility.handoverMinutes !== ''
+      ? Math.max(0, Number(facility.handoverMinutes))
+      : type.handoverMinutes
+  };
+}
+
+// Registry of the first run (and of storage upgraded to the registry)
+export const DEFAULT_FACILITIES = DEFAULT_FACILITY_SEED.map(normalizeFacility);
+
+/**
+ * Next free facility id
+ */
+export function getNextFacilityId(facilities) {
+  return Math.max(...facilities.map(facility => facility.id), 0) + 1;
+}
+
+/**
+ * Entrance of a facility (the first one when the id is unknown)
+ */
+export function getEntrance(facility, entranceId) {
+  return facility.entrances.find(entrance => entrance.id === entranceId) || facility.entrances[0] || null;
+}
+
+/**
+ * Destination label of a course going to a facility entrance ("CHU Avignon – Cardiologie")
+ */
+export function getFacilityDestinationLabel(facility, entrance) {
+  return !entrance || entrance === facility.entrances[0]
+    ? facility.name
+    : `${facility.name} – ${entrance.label}`;
+}
+
+/**
+ * Facility and entrance named by a destination text (facility name, with or without the service)
+ * @returns {Object|null} { facility, entrance }
+ */
+export function findFacilityByName(facilities, text) {
+  const typed = normalizeText(text || '');
+  if (!typed) return null;
+
+  for (const facility of facilities) {
+    const name = normalizeText(facility.name);
+    if (typed === name) return { facility, entrance: facility.entrances[0] || null };
+    if (!typed.startsWith(`${name} `)) continue;
+    const service = typed.slice(name.length + 1);
+    const entrance = facility.entrances.find(other => normalizeText(other.label) === service);
+    if (entrance) return { facility, entrance };
+  }
+  return null;
+}
+
+/**
+ * Link a course to a facility entrance: id, handover time and, when missing, the entrance
+ * coordinates (on the destination of an appointment trip, on the pickup of a return)
+ */
+export function applyFacilityToCourse(course, facility, entrance = getEntrance(facility, null)) {
+  const coordinatesField = course.isReturnTrip ? 'coordinates' : 'destinationCoords';
+  return {
+    ...course,
+    facilityId: facility.id,
+    entranceId: entrance ? entrance.id : null,
+    handoverMinutes: facility.handoverMinutes,
+    [coordinatesField]: course[coordinatesField] || entrance?.coordinates || null
+  };
+}
+
+/**
+ * Link courses that name a registered facility (destination, or pickup of a return trip)
+ * @returns {Object} { courses, linkedCount }
+ */
+export function linkCoursesToFacilities(facilities, courses) {
+  let linkedCount = 0;
+  const linkedCourses = courses.map(course => {
+    if (course.facilityId) return course;
+    const match = findFacilityByName(facilities, course.isReturnTrip ? course.pickup : course.destination);
+    if (!match) return course;
+    linkedCount++;
+    return applyFacilityToCourse(course, match.facility, match.entrance);
+  });
+  return { courses: linkedCount > 0 ? linkedCourses : courses, linkedCount };
+}
+
+function isSamePoint(a, b) {
+  return Array.isArray(a) && Array.isArray(b) && a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Bring linked courses in line with an edited registry: handover time of their facility, and
+ * the coordinates of their entrance when they were at that entrance (a point typed on the course
+ * is kept). A course whose entrance was deleted moves to the facility's first entrance;
+ * a deleted facility unlinks its courses.
+ * @returns {Array} The courses, or the same array when nothing changed
+ */
+export function refreshFacilityCourses(courses, previousFacilities, facilities) {
+  let changed = false;
+
+  const refreshedCourses = courses.map(course => {
+    if (!course.facilityId) return course;
+
+    const facility = facilities.find(other => other.id === course.facilityId);
+    const coordinatesField = course.isReturnTrip ? 'coordinates' : 'destinationCoords';
+    let update;
+    if (!facility) {
+      update = { facilityId: null, entranceId: null, handoverMinutes: null };
+    } else {
+      const previousEntrance = previousFacilities
+        .find(other => other.id === course.facilityId)?.entrances
+        .find(entrance => entrance.id === course.entranceId);
+      const entrance = getEntrance(facility, course.entranceId);
+      update = {
+        entranceId: entrance ? entrance.id : null,
+        handoverMinutes: facility.handoverMinutes,
+        [coordinatesField]: entrance && previousEntrance && isSamePoint(course[coordinatesField], previousEntrance.coordinates)
+          ? entrance.coordinates
+          : course[coordinatesField]
+      };
+    }
+
+    if (Object.keys(update).every(field => isSamePoint(update[field], course[field]) || update[field] === course[field])) {
+      return course;
+    }
+    changed = true;
+    return { ...course, ...update };
+  });
+
+  return changed ? refreshedCourses : courses;
+}
+
+/**
+ * Number of courses going to a facility
+ */
+export function countFacilityCourses(courses, facilityId) {
+  return courses.filter(course => course.facilityId === facilityId).length;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse the hours of one day: "07:00-12:00, 14:00-19:00" (empty = closed)
+ * @returns {Array|null} [{ start, end }], or null when the text is not valid
+ */
+export function parseDayHours(text) {
+  const parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+  const intervals = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d{1,2})[:h](\d{2})\s*-\s*(\d{1,2})[:h](\d{2})$/);
+    if (!match) return null;
+    const start = `${match[1].padStart(2, '0')}:${match[2]}`;
+    const end = `${match[3].padStart(2, '0')}:${match[4]}`;
+    if (toMinutes(start) >= toMinutes(end) || toMinutes(end) > 24 * 60) return null;
+    intervals.push({ start, end });
+  }
+  return intervals;
+}
+
+/**
+ * Hours of one day as edited in the registry panel
+ */
+export function formatDayHours(intervals = []) {
+  return intervals.map(interval => `${interval.start}-${interval.end}`).join(', ');
+}
+
+/**
+ * Compact weekly hours: "Lun–Ven 07:00-20:00 · Sam 08:00-12:00"
+ */
+export function formatOpeningHours(facility) {
+  const groups = [];
+  WEEKDAYS.forEach(day => {
+    const hours = formatDayHours(facility.openingHours[day.value]);
+    const last = groups[groups.length - 1];
+    if (last && last.hours === hours) {
+      last.to = day.label;
+    } else {
+      groups.push({ from: day.label, to: null, hours });
+    }
+  });
+
+  const open = groups.filter(group => group.hours);
+  if (open.length === 1 && open[0].from === WEEKDAYS[0].label && open[0].to === WEEKDAYS[6].label && open[0].hours === '00:00-24:00') {
+    return '24h/24, 7j/7';
+  }
+  return open.map(group => `${group.to ? `${group.from}–${group.to}` : group.from} ${group.hours}`).join(' · ') || 'Fermé';
+}
+
+/**
+ * Whether a facility is open at a timestamp
+ */
+export function isFacilityOpenAt(facility, timestamp) {
+  const weekday = new Date(timestamp * 1000).getDay();
+  const minutes = toMinutes(timestampToTime(timestamp));
+  return (facility.openingHours[weekday] || []).some(interval =>
+    toMinutes(interval.start) <= minutes && minutes < toMinutes(interval.end)
+  );
+}
+
+/**
+ * Opening hours problem of a course: appointment while its facility is closed,
+ * or a return pickup after the facility has closed
+ * @returns {string|null} French message
+ */
+export function getOpeningHoursIssue(course, facilities) {
+  const facility = facilities.find(other => other.id === course.facilityId);
+  if (!facility) return null;
+
+  const timestamp = course.isReturnTrip
+    ? (typeof course.exitTimestamp === 'number' ? course.exitTimestamp : getCourseTimestamp(course))
+    : getCourseTimestamp(course);
+  if (isFacilityOpenAt(facility, timestamp)) return null;
+
+  const time = formatTimestamp(timestamp, course.date);
+  return course.isReturnTrip
+    ? `Sortie à ${time} : ${facility.name} est fermé (${formatOpeningHours(facility)})`
+    : `RDV à ${time} : ${facility.name} est fermé (${formatOpeningHours(facility)})`;
+}
+
+/**
+ * Courses whose appointment or return falls outside the opening hours of their facility
+ * @returns {Array} [{ course, message }]
+ */
+export function getCoursesOutsideOpeningHours(courses, facilities) {
+  return courses
+    .map(course => ({ course, message: getOpeningHoursIssue(course, facilities) }))
+    .filter(issue => issue.message);
+}
+
+export default {
+  FACILITY_TYPES,
+  DEFAULT_FACILITIES,
+  getFacilityType,
+  getFacilityTypeLabel,
+  normalizeFacility,
+  getNextFacilityId,
+  getEntrance,
+  getFacilityDestinationLabel,
+  findFacilityByName,
+  applyFacilityToCourse,
+  linkCoursesToFacilities,
+  refreshFacilityCourses,
+  countFacilityCourses,
+  parseDayHours,
+  formatDayHours,
+  formatOpeningHours,
+  isFacilityOpenAt,
+  getOpeningHoursIssue,
+  getCoursesOutsideOpeningHours
+};
@@ -3,97 +3,98 @@
  * Supports multiple file formats: JSON, CSV, and custom structured data
  */
 
+import { parseEquipmentList } from './vehicleSkills';
+import { parseMobility, findPatient, applyPatientToCourse } from './patientRegistry';
+import { findFacilityByName, applyFacilityToCourse, getOpeningHoursIssue } from './facilityRegistry';
+import { geocode, describeGeocodeResult, GEOCODER_CONFIG } from '../services/geocoder';
+import { decodeText, detectDelimiter, getDelimiterLabel, parseCSVRecords } from './csvParser';
+import { guessColumnMapping } from './columnMapping';
+import { parseICS } from './icalendar';
+import { isSpreadsheetFile, readWorkbook, excelSerialToDateKey, excelSerialToTime } from './spreadsheet';
+
+/**
+ * [longitude, latitude] from two raw values, or null when missing (the address is geocoded instead)
+ */
+function parseCoordinatePair(lng, lat) {
+  const coordinate = [parseFloat(lng), parseFloat(lat)];
+  return coordinate.every(value => Number.isFinite(value)) ? coordinate : null;
+}
+
 /**
- * Parse CSV content into course objects
+ * Split CSV content into its header and data records, shown by the column mapping step
+ * @param {string} csvContent - Decoded file content
+ * @param {string} delimiter - Field delimiter (`,`, `;` or tab)
+ * @returns {Object} { headers, records: [{ row, fields }], rowErrors }: rows that could not be read, with their line number
  */
-function parseCSV(csvContent) {
-  const lines = csvContent.trim().split('\n');
-  if (lines.length < 2) {
+export function readCSVTable(csvContent, delimiter) {
+  const { records, errors: rowErrors } = parseCSVRecords(csvContent, delimiter);
+  if (records.length < 2) {
     throw new Error('Le fichier CSV doit contenir au moins un en-tête et une ligne de données');
   }
 
-  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-  const courses = [];
-
-  // Define header mappings (flexible to handle different column names)
-  const headerMappings = {
-    id: ['id', 'course_id', 'numero'],
-    patient: ['patient', 'nom_patient', 'patient_name', 'nom_complet'],
-    firstName: ['prenom', 'first_name', 'firstname'],
-    lastName: ['nom', 'last_name', 'lastname', 'nom_famille'],
-    pickup: ['pickup', 'depart', 'lieu_depart', 'pickup_location'],
-    destination: ['destination', 'arrivee', 'lieu_arrivee', 'hopital', 'hospital'],
-    pickupLng: ['pickup_lng', 'depart_lng', 'longitude_depart', 'lng_depart'],
-    pickupLat: ['pickup_lat', 'depart_lat', 'latitude_depart', 'lat_depart'],
-    destLng: ['dest_lng', 'destination_lng', 'longitude_arrivee', 'lng_arrivee'],
-    destLat: ['dest_lat', 'destination_lat', 'latitude_arrivee', 'lat_arrivee'],
-    appointmentTime: ['appointment_time', 'heure_rdv', 'time', 'heure'],
-    duration: ['duration', 'duree', 'duree_rdv', 'appointment_duration'],
-    returnTime: ['return_time', 'heure_retour', 'fin_rdv', 'appointment_end'],
-    vehicleType: ['veh_type', 'vehicle_type', 'type_vehicule', 'type']
-  };
-
-  // Find column indices
-  const columnIndices = {};
-  Object.keys(headerMappings).forEach(field => {
-    columnIndices[field] = -1;
-    for (const possibleHeader of headerMappings[field]) {
-      const index = headers.findIndex(h => h === possibleHeader);
-      if (index !== -1) {
-        columnIndices[field] = index;
-        break;
-      }
+  const headers = records[0].fields;
+  const dataRecords = [];
+  records.slice(1).forEach(record => {
+    // A delimiter inside an unquoted address shifts every following column
+    const extraValues = record.fields.slice(headers.length);
+    if (record.fields.length < headers.length || extraValues.some(value => value !== '')) {
+      const hint = record.fields.length > headers.length
+        ? ` : un champ contenant « ${getDelimiterLabel(delimiter)} » doit être entre guillemets`
+        : '';
+      rowErrors.push({ row: record.row, message: `${record.fields.length} colonnes au lieu de ${headers.length}${hint}` });
+      return;
     }
+    dataRecords.push(record);
   });
 
-  // Parse each data line
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',').map(v => v.trim().replace(/['"]/g, ''));
-    
-    if (values.length < 2) continue; // Skip empty lines
+  return { headers, records: dataRecords, rowErrors: rowErrors.sort((a, b) => a.row - b.row) };
+}
 
-    try {
-      // Build patient name from separate fields or use combined field
-      let patientName = '';
-      if (columnIndices.patient !== -1 && values[columnIndices.patient]) {
-        patientName = values[columnIndices.patient];
-      } else {
-        const firstName = columnIndices.firstName !== -1 ? values[columnIndices.firstName] : '';
-        const lastName = columnIndices.lastName !== -1 ? values[columnIndices.lastName] : '';
-        // Correct order: firstName lastName (not lastName lastName)
-        patientName = [firstName, lastName].filter(n => n && n.trim()).join(' ') || `Patient ${i}`;
-      }
+/**
+ * Courses of a CSV table read through a column mapping. Unmapped fields stay empty
+ * (validation reports them); a row without a readable appointment time is rejected.
+ * @param {Object} table - From readCSVTable
+ * @param {Object} mapping - { [field]: columnIndex } (see columnMapping.js)
+ * @returns {Object} { courses, rowErrors }
+ */
+export function mapCSVRecords(table, mapping) {
+  const courses = [];
+  const rowErrors = [...table.rowErrors];
 
-      const course = {
-        id: columnIndices.id !== -1 ? parseInt(values[columnIndices.id]) || i : i,
-        patient: patientName,
-        pickup: columnIndices.pickup !== -1 ? values[columnIndices.pickup] : 'Lieu non spécifié',
-        destination: columnIndices.destination !== -1 ? values[columnIndices.destination] : 'Destination non spécifiée',
-        coordinates: [
-          columnIndices.pickupLng !== -1 ? parseFloat(values[columnIndices.pickupLng]) : 4.9072,
-          columnIndices.pickupLat !== -1 ? parseFloat(values[columnIndices.pickupLat]) : 44.1142
-        ],
-        destinationCoords: [
-          columnIndices.destLng !== -1 ? parseFloat(values[columnIndices.destLng]) : 4.8050,
-          columnIndices.destLat !== -1 ? parseFloat(values[columnIndices.destLat]) : 43.9320
-        ],
-        appointmentTime: columnIndices.appointmentTime !== -1 ? 
-          formatTime(values[columnIndices.appointmentTime]) : '08:00',
-        duration: columnIndices.duration !== -1 ? parseInt(values[columnIndices.duration]) || 0 : 0, // 0 means no return needed
-        returnTime: columnIndices.returnTime !== -1 ? 
-          formatTime(values[columnIndices.returnTime]) : null, // for future return trip support
-        isReturnTrip: false, // Mark if this is a return course
-        originalCourseId: null, // Reference to original course if this is a return
-        vehicleType: columnIndices.vehicleType !== -1 ? values[columnIndices.vehicleType] : 'VSL' // Vehicle type requirement
-      };
+  table.records.forEach(({ row, fields: values }, index) => {
+    const read = (field) => (mapping[field] !== undefined ? values[mapping[field]] || '' : '');
 
-      courses.push(course);
-    } catch (error) {
-      console.warn(`Erreur lors du parsing de la ligne ${i + 1}:`, error.message);
+    const appointmentTime = parseTime(read('appointmentTime'));
+    if (!appointmentTime) {
+      rowErrors.push({
+        row,
+        message: read('appointmentTime') ? `heure de RDV illisible (« ${read('appointmentTime')} »)` : 'heure de RDV manquante'
+      });
+      return;
     }
-  }
 
-  return courses;
+    courses.push({
+      id: parseInt(read('id')) || index + 1,
+      // Full name column, or first name + last name columns
+      patient: read('patient') || [read('firstName'), read('lastName')].filter(Boolean).join(' '),
+      pickup: read('pickup'),
+      destination: read('destination'),
+      coordinates: parseCoordinatePair(read('pickupLng'), read('pickupLat')),
+      destinationCoords: parseCoordinatePair(read('destLng'), read('destLat')),
+      date: formatDate(read('date')), // null: planned on the displayed day
+      appointmentTime,
+      duration: parseInt(read('duration')) || 0, // 0 means no return needed
+      returnTime: parseTime(read('returnTime')),
+      isReturnTrip: false, // Mark if this is a return course
+      originalCourseId: null, // Reference to original course if this is a return
+      vehicleType: read('vehicleType') || null, // Vehicle type requirement (patient profile otherwise)
+      requiredEquipment: parseEquipmentList(read('requiredEquipment')), // e.g. "brancard;oxygène"
+      phone: read('phone'), // Tells homonyms apart in the patient registry
+      mobility: parseMobility(read('mobility'))
+    });
+  });
+
+  return { courses, rowErrors: rowErrors.sort((a, b) => a.row - b.row) };
 }
 
 /**
@@ -136,20 +137,21 @@ function parseJSON(jsonContent) {
         patient: patientName,
         pickup: course.pickup || course.depart || course.lieu_depart || 'Lieu non spécifié',
         destination: course.destination || course.arrivee || course.hopital || 'Destination non spécifiée',
-        coordinates: course.coordinates || [
-          course.pickup_lng || course.lng_depart || 4.9072,
-          course.pickup_lat || course.lat_depart || 44.1142
-        ],
-        destinationCoords: course.destinationCoords || [
-          course.dest_lng || course.lng_arrivee || 4.8050,
-          course.dest_lat || course.lat_arrivee || 43.9320
-        ],
+        coordinates: course.coordinates ||
+          parseCoordinatePair(course.pickup_lng ?? course.lng_depart, course.pickup_lat ?? course.lat_depart),
+        destinationCoords: course.destinationCoords ||
+          parseCoordinatePair(course.dest_lng ?? course.lng_arrivee, course.dest_lat ?? course.lat_arrivee),
+        date: formatDate(course.date || course.date_rdv || course.jour),
         appointmentTime: formatTime(course.appointmentTime || course.heure_rdv || course.time || '08:00'),
         duration: course.duration !== undefined ? course.duration : (course.duree !== undefined ? course.duree : 0),
         returnTime: course.returnTime || course.heure_retour || course.fin_rdv || null,
         isReturnTrip: course.isReturnTrip || false,
         originalCourseId: course.originalCourseId || null,
-        vehicleType: course.vehicleType || course.type_vehicule || 'VSL'
+        vehicleType: course.vehicleType || course.type_vehicule || null,
+        requiredEquipment: parseEquipmentList(course.requiredEquipment || course.equipement),
+        patientId: course.patientId || null,
+        phone: course.phone || course.telephone || '',
+        mobility: parseMobility(course.mobility || course.mobilite)
       };
     });
   } catch (error) {
@@ -196,6 +198,7 @@ function parseCustomText(textContent) {
         'destination': ['destination', 'arrivee', 'arrival', 'hopital'],
         'pickup_coords': ['pickup_coords', 'coords_depart', 'depart_coordinates'],
         'dest_coords': ['dest_coords', 'coords_arrivee', 'destination_coordinates'],
+        'date': ['date', 'jour'],
         'appointment_time': ['appointment_time', 'heure', 'time', 'rdv'],
         'duration': ['duration', 'duree', 'duree_rdv']
       };
@@ -229,10 +232,10 @@ function normalizeCourse(rawCourse, id) {
   // Parse coordinates
   const parseCoords = (coordsStr) => {
     if (typeof coordsStr === 'string') {
-      const coords = coordsStr.split(',').map(c => parseFloat(c.trim()));
-      return coords.length === 2 ? coords : [4.9072, 44.1142];
+      const coords = coordsStr.split(',');
+      return coords.length === 2 ? parseCoordinatePair(coords[0], coords[1]) : null;
     }
-    return [4.9072, 44.1142];
+    return null;
   };
 
   return {
@@ -240,22 +243,32 @@ function normalizeCourse(rawCourse, id) {
     patient: rawCourse.patient || `Patient ${id}`,
     pickup: rawCourse.pickup || 'Lieu non spécifié',
     destination: rawCourse.destination || 'Destination non spécifiée',
-    coordinates: rawCourse.pickup_coords ? parseCoords(rawCourse.pickup_coords) : [4.9072, 44.1142],
-    destinationCoords: rawCourse.dest_coords ? parseCoords(rawCourse.dest_coords) : [4.8050, 43.9320],
+    coordinates: parseCoords(rawCourse.pickup_coords),
+    destinationCoords: parseCoords(rawCourse.dest_coords),
+    date: formatDate(rawCourse.date),
     appointmentTime: formatTime(rawCourse.appointment_time || '08:00'),
     duration: parseInt(rawCourse.duration) || 0
   };
 }
 
 /**
- * Format time string to HH:MM format
+ * Parse a time string to HH:MM format ("8h30", "08:30:00", "0830", Excel serial "0.354166")
+ * @returns {string|null} Time, or null when not readable
  */
-function formatTime(timeStr) {
-  if (!timeStr) return '08:00';
+function parseTime(timeStr) {
+  if (timeStr === null || timeStr === undefined || timeStr === '') return null;
+  // Date and time spreadsheet cell ("2026-10-21 08:30"): only the time is read here
+  const value = String(timeStr).trim().replace(/^\d{4}-\d{2}-\d{2}[ T]/, '');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  // Time cell left as a day fraction
+  if (/^0?\.\d+$/.test(value)) {
+    return excelSerialToTime(parseFloat(value));
+  }
   
   // Handle various time formats
-  const timeRegex = /(\d{1,2})[:\-\.](\d{2})/;
-  const match = timeStr.match(timeRegex);
+  const timeRegex = /(\d{1,2})[:\-\.hH](\d{2})/;
+  const match = value.match(timeRegex);
   
   if (match) {
     const hours = parseInt(match[1]).toString().padStart(2, '0');
@@ -264,14 +277,48 @@ function formatTime(timeStr) {
   }
   
   // Handle time without separator (e.g., "0800")
-  if (/^\d{3,4}$/.test(timeStr)) {
-    const timeNum = timeStr.padStart(4, '0');
+  if (/^\d{3,4}$/.test(value)) {
+    const timeNum = value.padStart(4, '0');
     const hours = timeNum.substring(0, 2);
     const minutes = timeNum.substring(2, 4);
     return `${hours}:${minutes}`;
   }
   
-  return '08:00';
+  return null;
+}
+
+/**
+ * Format time string to HH:MM format (08:00 when not readable)
+ */
+function formatTime(timeStr) {
+  return parseTime(timeStr) || '08:00';
+}
+
+/**
+ * Format date string to YYYY-MM-DD (accepts YYYY-MM-DD, DD/MM/YYYY and Excel serial days)
+ * Returns null when the date is missing or unreadable
+ */
+function formatDate(dateStr) {
+  if (!dateStr) return null;
+  const value = String(dateStr).trim();
+
+  const isoMatch = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (isoMatch) {
+    return `${isoMatch[1]}-${isoMatch[2].padStart(2, '0')}-${isoMatch[3].padStart(2, '0')}`;
+  }
+
+  // Date cell left as its Excel serial number
+  if (/^\d{5}(\.\d+)?$/.test(value)) {
+    return excelSerialToDateKey(parseFloat(value));
+  }
+
+  const frenchMatch = value.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{2,4})$/);
+  if (frenchMatch) {
+    const year = frenchMatch[3].length === 2 ? `20${frenchMatch[3]}` : frenchMatch[3];
+    return `${year}-${frenchMatch[2].padStart(2, '0')}-${frenchMatch[1].padStart(2, '0')}`;
+  }
+
+  return null;
 }
 
 /**
@@ -279,6 +326,11 @@ function formatTime(timeStr) {
  */
 function detectFileFormat(content) {
   const trimmedContent = content.trim();
+
+  // Check for iCalendar (appointment lists of hospital systems)
+  if (/^BEGIN:VCALENDAR/i.test(trimmedContent)) {
+    return 'ics';
+  }
   
   // Check for JSON
   if ((trimmedContent.startsWith('{') && trimmedContent.endsWith('}')) ||
@@ -286,9 +338,10 @@ function detectFileFormat(content) {
     return 'json';
   }
   
-  // Check for CSV (commas in first line)
-  const firstLine = trimmedContent.split('\n')[0];
-  if (firstLine && firstLine.includes(',') && firstLine.split(',').length > 2) {
+  // Check for CSV (a delimiter repeated in the first line)
+  const delimiter = detectDelimiter(trimmedContent);
+  const firstLine = trimmedContent.split(/\r?\n/)[0];
+  if (delimiter && firstLine.split(delimiter).length > 2) {
     return 'csv';
   }
   
@@ -297,39 +350,95 @@ function detectFileFormat(content) {
 }
 
 /**
- * Main function to read and parse course file
+ * Geocode the pickup/destination of courses imported without coordinates.
+ * Matches are kept with their label and confidence (course.geocoding) so that validation
+ * can flag the doubtful ones; addresses not found keep null coordinates.
+ * @param {Array} courses - Parsed courses
+ * @returns {Promise<Object>} { courses, geocodedCount }
+ */
+export async function geocodeCourses(courses) {
+  const matches = new Map(); // Same address in several courses: geocoded once
+  const locate = async (address) => {
+    if (!matches.has(address)) {
+      const { results } = await geocode(address, { limit: 1 });
+      matches.set(address, results[0] || null);
+    }
+    return matches.get(address);
+  };
+
+  let geocodedCount = 0;
+  const geocodedCourses = [];
+  for (const course of courses) {
+    const geocodedCourse = { ...course };
+    for (const [addressField, coordinatesField] of [['pickup', 'coordinates'], ['destination', 'destinationCoords']]) {
+      if (geocodedCourse[coordinatesField] || !geocodedCourse[addressField]) continue;
+
+      const match = await locate(geocodedCourse[addressField]);
+      if (!match) continue;
+      geocodedCourse[coordinatesField] = match.coordinates;
+      geocodedCourse.geocoding = {
+        ...geocodedCourse.geocoding,
+        [addressField]: { label: match.label, confidence: match.confidence, type: match.type }
+      };
+      geocodedCount++;
+    }
+    geocodedCourses.push(geocodedCourse);
+  }
+
+  return { courses: geocodedCourses, geocodedCount };
+}
+
+/**
+ * Read an import file. JSON, iCalendar and text files give their courses; CSV files give their table,
+ * spreadsheets one table per sheet (the first one selected), whose columns are assigned
+ * to course fields before completeImport
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} { format, encoding, delimiter, filename, courses | table (+ sheets, sheetName) }
  */
-export async function readCourseFile(file) {
+export async function readImportFile(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
       try {
-        const content = event.target.result;
+        if (isSpreadsheetFile(file, event.target.result)) {
+          const sheets = await readWorkbook(event.target.result);
+          resolve({
+            format: file.name.split('.').pop().toLowerCase(),
+            encoding: null,
+            delimiter: null,
+            filename: file.name,
+            sheets,
+            sheetName: sheets[0].name,
+            table: sheets[0].table
+          });
+          return;
+        }
+
+        // UTF-8, or Windows-1252 for files saved by Excel
+        const { text: content, encoding } = decodeText(event.target.result);
         const format = detectFileFormat(content);
-        
-        let courses = [];
+        const imported = { format, encoding, delimiter: null, filename: file.name };
         
         switch (format) {
           case 'json':
-            courses = parseJSON(content);
+            imported.courses = parseJSON(content);
             break;
           case 'csv':
-            courses = parseCSV(content);
+            imported.delimiter = detectDelimiter(content);
+            imported.table = readCSVTable(content, imported.delimiter);
+            break;
+          case 'ics':
+            ({ courses: imported.courses, warnings: imported.warnings } = parseICS(content));
             break;
           case 'text':
-            courses = parseCustomText(content);
+            imported.courses = parseCustomText(content);
             break;
           default:
             throw new Error('Format de fichier non supporté');
         }
-        
-        resolve({
-          courses,
-          format,
-          filename: file.name,
-          count: courses.length
-        });
+
+        resolve(imported);
       } catch (error) {
         reject(new Error(`Erreur lors de la lecture du fichier: ${error.message}`));
       }
@@ -339,14 +448,61 @@ export async function readCourseFile(file) {
       reject(new Error('Erreur lors de la lecture du fichier'));
     };
     
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
   });
 }
 
+/**
+ * Build the courses of a read file: CSV rows through the column mapping, then the registries
+ * (known patients bring their saved addresses and transport needs, known facilities their
+ * entrance and handover time) and the offline gazetteer for the remaining addresses
+ * @param {Object} imported - From readImportFile
+ * @param {Object} options - { mapping (CSV, guessed from the column names when missing), patients, facilities }
+ * @returns {Promise<Object>} { courses, format, encoding, delimiter, rowErrors, warnings (reading), filename, count, geocodedCount, patientMatchCount, facilityMatchCount }
+ */
+export async function completeImport(imported, { mapping = null, patients = [], facilities = [] } = {}) {
+  let courses = imported.courses || [];
+  let rowErrors = [];
+  if (imported.table) {
+    ({ courses, rowErrors } = mapCSVRecords(imported.table, mapping || guessColumnMapping(imported.table.headers)));
+  }
+
+  let patientMatchCount = 0;
+  let facilityMatchCount = 0;
+  courses = courses.map(course => {
+    const patient = findPatient(patients, { patientId: course.patientId, name: course.patient, phone: course.phone, address: course.pickup });
+    if (!patient) return course;
+    patientMatchCount++;
+    return applyPatientToCourse(course, patient);
+  }).map(course => {
+    const match = findFacilityByName(facilities, course.destination);
+    if (!match) return course;
+    facilityMatchCount++;
+    return applyFacilityToCourse(course, match.facility, match.entrance);
+  });
+  const geocoded = await geocodeCourses(courses);
+
+  return {
+    courses: geocoded.courses,
+    format: imported.format,
+    encoding: imported.encoding,
+    delimiter: imported.delimiter && getDelimiterLabel(imported.delimiter),
+    sheetName: imported.sheetName || null,
+    rowErrors,
+    warnings: imported.warnings || [],
+    filename: imported.filename,
+    count: geocoded.courses.length,
+    geocodedCount: geocoded.geocodedCount,
+    patientMatchCount,
+    facilityMatchCount
+  };
+}
+
 /**
  * Validate course data
+ * @param {Array} facilities - Facility registry, to warn about appointments outside opening hours
  */
-export function validateCourses(courses) {
+export function validateCourses(courses, facilities = []) {
   const errors = [];
   const warnings = [];
   
@@ -366,8 +522,10 @@ export function validateCourses(courses) {
       warnings.push(`Course ${courseNum}: Destination manquante`);
     }
     
-    // Coordinates validation
-    if (!Array.isArray(course.coordinates) || course.coordinates.length !== 2) {
+    // Coordinates validation: addresses neither given with coordinates nor found in the gazetteer
+    if (!course.coordinates) {
+      errors.push(`Course ${courseNum}: Adresse de départ introuvable (${course.pickup}) : ajoutez ses coordonnées ou importez la BAN du département`);
+    } else if (!Array.isArray(course.coordinates) || course.coordinates.length !== 2) {
       warnings.push(`Course ${courseNum}: Coordonnées de départ invalides`);
     } else {
       const [lng, lat] = course.coordinates;
@@ -376,9 +534,18 @@ export function validateCourses(courses) {
       }
     }
     
-    if (!Array.isArray(course.destinationCoords) || course.destinationCoords.length !== 2) {
+    if (!course.destinationCoords) {
+      errors.push(`Course ${courseNum}: Destination introuvable (${course.destination}) : ajoutez ses coordonnées ou importez la BAN du département`);
+    } else if (!Array.isArray(course.destinationCoords) || course.destinationCoords.length !== 2) {
       warnings.push(`Course ${courseNum}: Coordonnées de destination invalides`);
     }
+
+    // Doubtful geocoding matches must be checked before planning
+    Object.entries(course.geocoding || {}).forEach(([field, match]) => {
+      if (match.confidence < GEOCODER_CONFIG.minConfidence || match.type === 'municipality') {
+        warnings.push(`Course ${courseNum}: ${field === 'pickup' ? 'Départ' : 'Destination'} localisé approximativement : ${describeGeocodeResult(match)}`);
+      }
+    });
     
     // Time validation
     const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
@@ -390,6 +557,11 @@ export function validateCourses(courses) {
     if (course.duration && (course.duration < 5 || course.duration > 480)) {
       warnings.push(`Course ${courseNum}: Durée inhabituelle (${course.duration} minutes)`);
     }
+
+    const openingHoursIssue = timeRegex.test(course.appointmentTime) && getOpeningHoursIssue(course, facilities);
+    if (openingHoursIssue) {
+      warnings.push(`Course ${courseNum}: ${openingHoursIssue}`);
+    }
   });
   
   return { errors, warnings };
@@ -401,7 +573,7 @@ export function validateCourses(courses) {
 export const generateExampleFiles = {
   csv: () => {
     const csvContent = `id,prenom,nom,pickup,destination,pickup_lng,pickup_lat,dest_lng,dest_lat,appointment_time,duration,vehicule_type
-1,Jean,Dupont,Carpentras Centre,CHU Avignon,5.0481,44.2550,4.8050,43.9320,08:30,60,VSL
+1,Jean,Dupont,"12, rue de la République, Carpentras",CHU Avignon,5.0481,44.2550,4.8050,43.9320,08:30,60,VSL
 2,Marie,Martin,Monteux,Clinique Avignon,5.0089,44.0381,4.8150,43.9300,09:15,45,Ambulance
 3,Pierre,Leroy,Pernes-les-Fontaines,CHU Marseille,5.0589,44.0061,5.3950,43.2784,10:00,0,VSL
 4,Sophie,Blanc,L'Isle-sur-la-Sorgue,Hôpital Carpentras,5.0514,43.9189,5.0520,44.2580,14:30,30,Taxi`;
@@ -488,7 +660,7 @@ duration: 90`;
 };
 
 export default {
-  readCourseFile,
+  geocodeCourses,
   validateCourses,
   generateExampleFiles
 };
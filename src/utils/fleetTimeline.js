@@ -0,0 +1,90 @@
+/**
+ * Fleet Timeline Utilities for AmbuSched
+ * Turns the steps of optimized routes into the segments of the fleet timeline (driving,
+ * waiting, service at a stop, crew break) and the course bars dispatchers drag between lanes.
+ * Times are absolute timestamps (seconds); the visible range follows the shifts of the day.
+ */
+
+import { getVehicleShiftWindows } from './vehicleShifts';
+
+const HOUR = 3600;
+
+/**
+ * Visible range of the timeline: every shift of the vehicles and every step, whole hours
+ * @returns {Object} { start, end, hours: [timestamp of each hour mark] }
+ */
+export function getTimelineRange(routes, vehicles, dateKey) {
+  const bounds = vehicles.flatMap(vehicle => getVehicleShiftWindows(vehicle, dateKey).flat());
+  (routes || []).forEach(route => (route.steps || []).forEach(step => {
+    if (typeof step.arrival !== 'number') return;
+    bounds.push(step.arrival, step.arrival + (step.waiting_time || 0) + (step.service || 0));
+  }));
+
+  const start = Math.floor(Math.min(...bounds) / HOUR) * HOUR;
+  const end = Math.ceil(Math.max(...bounds) / HOUR) * HOUR;
+  const hours = [];
+  for (let hour = start; hour <= end; hour += HOUR) hours.push(hour);
+  return { start, end, hours };
+}
+
+/**
+ * Segments of a route in driving order: drive to each stop, wait for its window, then serve it
+ * (or take the break). Steps without time are left out.
+ * @returns {Array} [{ kind: 'drive' | 'wait' | 'service' | 'break', start, end, step }]
+ */
+export function getRouteSegments(route) {
+  const segments = [];
+  let departure = null;
+
+  (route.steps || []).forEach(step => {
+    if (typeof step.arrival !== 'number') return;
+    if (departure !== null && step.arrival > departure) {
+      segments.push({ kind: 'drive', start: departure, end: step.arrival, step });
+    }
+    if (step.type === 'start') {
+      departure = step.arrival;
+      return;
+    }
+
+    const serviceStart = step.arrival + (step.waiting_time || 0);
+    if (step.waiting_time > 0) {
+      segments.push({ kind: 'wait', start: step.arrival, end: serviceStart, step });
+    }
+    if (step.service > 0) {
+      segments.push({ kind: step.type === 'break' ? 'break' : 'service', start: serviceStart, end: serviceStart + step.service, step });
+    }
+    departure = serviceStart + (step.service || 0);
+  });
+
+  return segments;
+}
+
+/**
+ * Course bars of a route: from the service start at the pickup to the end of the drop
+ * @returns {Array} [{ trip, start, end, moved }]
+ */
+export function getTripBars(route, trips) {
+  const steps = (route.steps || []).filter(step => typeof step.arrival === 'number');
+
+  return steps
+    .filter(step => step.type === 'pickup')
+    .map(pickup => {
+      // Shipment steps: pickup = trip.id * 10 + 1, delivery = trip.id * 10 + 2
+      const trip = trips.find(t => t.id * 10 + 1 === pickup.id);
+      const delivery = steps.find(step => step.type === 'delivery' && step.id === pickup.id + 1);
+      if (!trip) return null;
+
+      const start = pickup.arrival + (pickup.waiting_time || 0);
+      const end = delivery
+        ? delivery.arrival + (delivery.waiting_time || 0) + (delivery.service || 0)
+        : start + (pickup.service || 0);
+      return { trip, start, end, moved: Boolean(pickup.moved) };
+    })
+    .filter(Boolean);
+}
+
+export default {
+  getTimelineRange,
+  getRouteSegments,
+  getTripBars
+};
@@ -0,0 +1,377 @@
+/**
+ * iCalendar Utilities for AmbuSched
+ * Exports an optimized day as .ics calendars (one per vehicle: its pickups; one per patient:
+ * outbound pickup and return window), and reads the appointment lists that hospital
+ * systems export as .ics into import courses.
+ * Event UIDs only depend on the course and the day, so a re-export updates the events
+ * already in a phone calendar instead of duplicating them.
+ */
+
+import { formatTimestamp, getCourseTimestamp, toDateKey } from './planningCalendar';
+import { getMobilityLabel, mobilityFromVehicleType } from './patientRegistry';
+
+const PRODID = '-//AmbuSched//Planning VSL//FR';
+const UID_DOMAIN = 'ambusched';
+const REMINDER_MINUTES = 60; // Patient calendars: alarm before the pickup
+
+// RFC 5545 text value: backslash, semicolon, comma and line breaks escaped
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// UTC date-time value ("20261021T063000Z") of a timestamp in seconds
+function formatUTC(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function buildEvent({ uid, sequence, start, end, summary, location, description, geo, alarmMinutes }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUTC(Math.floor(Date.now() / 1000))}`,
+    // Calendar apps keep the event with the highest sequence: the revision of the day's plan
+    `SEQUENCE:${sequence}`,
+    `DTSTART:${formatUTC(start)}`,
+    `DTEND:${formatUTC(Math.max(end, start + 60))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    geo && `GEO:${geo[1]};${geo[0]}`,
+    description && `DESCRIPTION:${escapeText(description)}`
+  ];
+  if (alarmMinutes) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(summary)}`, `TRIGGER:-PT${alarmMinutes}M`, 'END:VALARM');
+  }
+  lines.push('END:VEVENT');
+  return lines.filter(Boolean);
+}
+
+function buildCalendar(name, events) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+function getEventUid(course, kind) {
+  return `${kind}-${course.date}-${course.id}@${UID_DOMAIN}`;
+}
+
+// Revision counter of the day's plan (1 for the first optimization, +1 for each new plan)
+function getPlanRevision(optimizationResult) {
+  return optimizationResult?.revision || 0;
+}
+
+/**
+ * Planned pickups of a day: each assigned course with its vehicle and stop times
+ * @returns {Array} [{ course, vehicle, pickup, delivery }] (route steps)
+ */
+function getPlannedTrips(optimizationResult, { vehicles, courses }) {
+  const trips = [];
+  (optimizationResult?.routes || []).forEach(route => {
+    const vehicle = vehicles.find(v => v.id === route.vehicle);
+    (route.steps || [])
+      .filter(step => step.type === 'pickup' && typeof step.arrival === 'number')
+      .forEach(pickup => {
+        // Shipment steps: pickup = course.id * 10 + 1, delivery = course.id * 10 + 2
+        const course = courses.find(c => c.id * 10 + 1 === pickup.id);
+        const delivery = route.steps.find(step => step.type === 'delivery' && step.id === pickup.id + 1);
+        if (course) trips.push({ course, vehicle, pickup, delivery });
+      });
+  });
+  return trips;
+}
+
+/**
+ * Calendar of a vehicle: one event per pickup, from the pickup to the drop
+ * @param {Object} optimizationResult - Result of the day
+ * @param {Object} context - { vehicles, courses (the day's trips), patients, date }
+ * @param {number} vehicleId - Vehicle
+ * @returns {string} .ics content
+ */
+export function buildVehicleCalendar(optimizationResult, context, vehicleId) {
+  const { patients = [] } = context;
+  const vehicle = context.vehicles.find(v => v.id === vehicleId);
+  const events = getPlannedTrips(optimizationResult, context)
+    .filter(trip => trip.vehicle?.id === vehicleId)
+    .map(({ course, pickup, delivery }) => {
+      const patient = patients.find(p => p.id === course.patientId);
+      return buildEvent({
+        uid: getEventUid(course, 'vehicule'),
+        sequence: getPlanRevision(optimizationResult),
+        start: pickup.arrival,
+        end: delivery ? delivery.arrival + (delivery.service || 0) : pickup.arrival + (pickup.service || 0),
+        summary: `${course.isReturnTrip ? 'Retour' : 'Prise en charge'} – ${course.patient}`,
+        location: course.pickup,
+        geo: course.coordinates,
+        description: [
+          `Destination : ${course.destination}`,
+          course.isReturnTrip ? `Sortie du patient : ${course.exitTime}` : `RDV : ${formatTimestamp(getCourseTimestamp(course), course.date)}`,
+          (patient?.phone || course.phone) && `Téléphone : ${patient?.phone || course.phone}`,
+          `Mobilité : ${getMobilityLabel(patient?.mobility || course.mobility || mobilityFromVehicleType(course.vehicleType))}`,
+          course.shareable && 'Transport partagé'
+        ].filter(Boolean).join('\n')
+      });
+    });
+
+  return buildCalendar(`AmbuSched – ${vehicle?.name || `Véhicule ${vehicleId}`}`, events);
+}
+
+/**
+ * Calendar of a patient: outbound pickup time, and the return window (from the end of the
+ * appointment to the planned pickup) of the return course
+ * @param {Object} optimizationResult - Result of the day
+ * @param {Object} context - { vehicles, courses (the day's trips), date }
+ * @param {Object} patientKey - { patientId, name } (registry id, or name for unlinked courses)
+ * @returns {string} .ics content
+ */
+export function buildPatientCalendar(optimizationResult, context, { patientId = null, name }) {
+  const isPatientCourse = course => (patientId ? course.patientId === patientId : course.patient === name);
+  const events = getPlannedTrips(optimizationResult, context)
+    .filter(trip => isPatientCourse(trip.course))
+    .map(({ course, vehicle, pickup }) => {
+      if (course.isReturnTrip) {
+        return buildEvent({
+          uid: getEventUid(course, 'patient'),
+          sequence: getPlanRevision(optimizationResult),
+          start: course.exitTimestamp,
+          end: pickup.arrival,
+          summary: `Retour de ${course.pickup}`,
+          location: course.pickup,
+          description: [
+            `Fin du rendez-vous : ${course.exitTime}`,
+            `Passage du véhicule prévu à ${formatTimestamp(pickup.arrival, course.date)}`,
+            vehicle && `Véhicule : ${vehicle.name}`,
+            `Retour vers : ${course.destination}`
+          ].filter(Boolean).join('\n')
+        });
+      }
+      return buildEvent({
+        uid: getEventUid(course, 'patient'),
+        sequence: getPlanRevision(optimizationResult),
+        start: pickup.arrival,
+        end: getCourseTimestamp(course),
+        summary: `Transport vers ${course.destination}`,
+        location: course.pickup,
+        description: [
+          `Prise en charge à ${formatTimestamp(pickup.arrival, course.date)}`,
+          `Rendez-vous à ${formatTimestamp(getCourseTimestamp(course), course.date)}`,
+          vehicle && `Véhicule : ${vehicle.name}`
+        ].filter(Boolean).join('\n'),
+        alarmMinutes: REMINDER_MINUTES
+      });
+    });
+
+  return buildCalendar(`AmbuSched – ${name}`, events);
+}
+
+/**
+ * Patients with at least one planned trip on the day
+ * @returns {Array} [{ patientId, name }]
+ */
+export function getPlannedPatients(optimizationResult, context) {
+  const patients = new Map();
+  getPlannedTrips(optimizationResult, context).forEach(({ course }) => {
+    const key = course.patientId ? `id:${course.patientId}` : `name:${course.patient}`;
+    if (!patients.has(key)) patients.set(key, { patientId: course.patientId || null, name: course.patient });
+  });
+  return [...patients.values()].sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+}
+
+/**
+ * Download a calendar as an .ics file
+ */
+export function downloadCalendar(content, filename) {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${filename.replace(/[^\w-]+/g, '_')}.ics`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Content lines of a calendar, folded lines joined back
+function unfoldLines(content) {
+  return content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([\\;,])/g, '$1');
+}
+
+// "DTSTART;TZID=Europe/Paris:20261021T083000" → { name, params, value }
+function parseContentLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, value = ''] = param.split('=');
+      return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+}
+
+// Whether the browser knows a TZID ("Europe/Paris"; Windows names like "Romance Standard Time" are not)
+function isKnownTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds a time zone is ahead of UTC at an instant
+function getTimeZoneOffset(timeZone, instant) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(instant / 60000) * 60000;
+}
+
+/**
+ * Local Date of a DATE-TIME property: UTC values ("Z") and values with a known TZID are
+ * converted, floating values (and unknown TZIDs, reported by the caller) are taken as local time
+ */
+function parseDateTime({ value, params }) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, , utc] = match;
+  if (hours === undefined) return null; // All-day event: no appointment time
+  if (utc) return new Date(Date.UTC(year, month - 1, day, hours, minutes));
+
+  if (params.TZID && isKnownTimeZone(params.TZID)) {
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    // Offset at the wall-clock time, corrected once for a DST change in between
+    const firstGuess = wallClock - getTimeZoneOffset(params.TZID, wallClock);
+    return new Date(wallClock - getTimeZoneOffset(params.TZID, firstGuess));
+  }
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+// "PT1H30M" → 90
+function parseDurationMinutes(value) {
+  const match = value.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?/);
+  if (!match) return null;
+  return (Number(match[1] || 0) * 24 + Number(match[2] || 0)) * 60 + Number(match[3] || 0);
+}
+
+// "Patient : Jean Dupont" style lines of a description
+function findDescriptionValue(description, labels) {
+  const line = description.split('\n').find(candidate =>
+    labels.some(label => new RegExp(`^\\s*${label}\\s*:`, 'i').test(candidate)));
+  return line ? line.slice(line.indexOf(':') + 1).trim() : '';
+}
+
+/**
+ * Courses of an appointment calendar exported by a hospital system: one per timed VEVENT.
+ * Times with a TZID are converted to local time. The location is the destination; the patient
+ * comes from a "Patient :" line of the description, else the summary, else the attendee (often
+ * the practitioner, so only as a last resort); the pickup from an "Adresse :" line, else the
+ * patient's home ("Domicile", resolved by the patient registry).
+ * @param {string} content - .ics text
+ * @returns {Object} { courses (import format), warnings }: warnings name the events whose time zone is unknown
+ */
+export function parseICS(content) {
+  const courses = [];
+  const warnings = [];
+  let event = null;
+
+  unfoldLines(content).forEach(line => {
+    const { name, params, value } = parseContentLine(line);
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = {};
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && event) {
+      const course = eventToCourse(event, courses.length + 1);
+      if (course) {
+        courses.push(course);
+        const timeZone = event.DTSTART.params.TZID;
+        if (timeZone && !isKnownTimeZone(timeZone)) {
+          warnings.push(`Course ${course.id}: Fuseau horaire inconnu (${timeZone}), heure du RDV lue comme heure locale`);
+        }
+      }
+      event = null;
+    } else if (event && !event[name]) {
+      event[name] = { params, value };
+    }
+  });
+
+  return { courses, warnings };
+}
+
+function eventToCourse(event, id) {
+  const start = event.DTSTART && parseDateTime(event.DTSTART);
+  if (!start || (event.STATUS && event.STATUS.value.toUpperCase() === 'CANCELLED')) return null;
+
+  const end = event.DTEND && parseDateTime(event.DTEND);
+  const duration = end
+    ? Math.round((end - start) / 60000)
+    : event.DURATION ? parseDurationMinutes(event.DURATION.value) : null;
+
+  const description = event.DESCRIPTION ? unescapeText(event.DESCRIPTION.value) : '';
+  const summary = event.SUMMARY ? unescapeText(event.SUMMARY.value) : '';
+  const attendee = event.ATTENDEE?.params.CN || '';
+
+  return {
+    id,
+    patient: findDescriptionValue(description, ['patient', 'nom']) || summary || attendee,
+    pickup: findDescriptionValue(description, ['adresse', 'domicile', 'depart', 'départ']) || 'Domicile',
+    destination: event.LOCATION ? unescapeText(event.LOCATION.value) : '',
+    date: toDateKey(start),
+    appointmentTime: `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`,
+    duration: duration > 0 ? duration : 60,
+    returnTime: null,
+    vehicleType: null,
+    requiredEquipment: [],
+    patientId: null,
+    phone: findDescriptionValue(description, ['telephone', 'téléphone', 'tel', 'tél']),
+    coordinates: null,
+    destinationCoords: null
+  };
+}
+
+export default {
+  buildVehicleCalendar,
+  buildPatientCalendar,
+  getPlannedPatients,
+  downloadCalendar,
+  parseICS
+};
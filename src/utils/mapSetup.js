@@ -0,0 +1,59 @@
+/**
+ * Leaflet Map Setup for AmbuSched
+ * Shared by the planning map and the address pickers: default area, tiles and marker icons.
+ */
+
+import L from 'leaflet';
+
+// Carpentras/Avignon area center coordinates
+export const MAP_CENTER = [44.1, 4.95];
+export const MAP_ZOOM = 10;
+
+export const TILE_LAYER = {
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+};
+
+// Fix for default markers
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
+  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+});
+
+// Custom icons
+export const vehicleIcon = new L.Icon({
+  iconUrl: 'https://cdn-icons-png.flaticon.com/512/3202/3202003.png',
+  iconSize: [30, 30],
+  iconAnchor: [15, 15],
+});
+
+export const selectedVehicleIcon = new L.Icon({
+  iconUrl: 'https://cdn-icons-png.flaticon.com/512/3202/3202003.png',
+  iconSize: [40, 40], // Larger for selected vehicle
+  iconAnchor: [20, 20],
+  className: 'selected-vehicle-icon'
+});
+
+export const pickupIcon = new L.Icon({
+  iconUrl: 'https://cdn-icons-png.flaticon.com/512/447/447031.png',
+  iconSize: [25, 25],
+  iconAnchor: [12, 25],
+});
+
+export const destinationIcon = new L.Icon({
+  iconUrl: 'https://cdn-icons-png.flaticon.com/512/684/684908.png',
+  iconSize: [25, 25],
+  iconAnchor: [12, 25],
+});
+
+export default {
+  MAP_CENTER,
+  MAP_ZOOM,
+  TILE_LAYER,
+  vehicleIcon,
+  selectedVehicleIcon,
+  pickupIcon,
+  destinationIcon
+};
@@ -0,0 +1,293 @@
+/**
+ * Patient Registry Utilities for AmbuSched
+ * A patient has an id, named addresses (home, EHPAD, family...), a phone number, a mobility profile,
+ * an optional default vehicle type, usual destinations and notes. Courses reference it by patientId;
+ * the free-text `patient` name is kept on the course for display.
+ * The mobility profile decides the transport type and the equipment a course needs.
+ */
+
+import { normalizeText } from '../services/banGazetteer';
+
+export const MOBILITY_PROFILES = [
+  { value: 'seated', label: 'Assis', vehicleType: 'VSL', equipment: [] },
+  { value: 'wheelchair', label: 'Fauteuil roulant', vehicleType: 'Minibus', equipment: ['wheelchair_ramp'] },
+  { value: 'stretcher', label: 'Allongé (brancard)', vehicleType: 'Ambulance', equipment: ['stretcher'] }
+];
+
+export const ADDRESS_KINDS = [
+  { value: 'home', label: 'Domicile' },
+  { value: 'ehpad', label: 'EHPAD' },
+  { value: 'family', label: 'Famille' },
+  { value: 'other', label: 'Autre' }
+];
+
+const DEFAULT_MOBILITY = 'seated';
+
+let nextAddressId = 1;
+
+// Words accepted in import files for each mobility profile
+const MOBILITY_ALIASES = {
+  seated: ['assis', 'seated', 'valide', 'autonome'],
+  wheelchair: ['fauteuil', 'fauteuil roulant', 'wheelchair', 'fr', 'tpmr'],
+  stretcher: ['allonge', 'brancard', 'couche', 'stretcher', 'lying']
+};
+
+/**
+ * Mobility profile definition (seated when unknown)
+ */
+export function getMobilityProfile(value) {
+  return MOBILITY_PROFILES.find(profile => profile.value === value) ||
+    MOBILITY_PROFILES.find(profile => profile.value === DEFAULT_MOBILITY);
+}
+
+/**
+ * French label of a mobility profile
+ */
+export function getMobilityLabel(value) {
+  return getMobilityProfile(value).label;
+}
+
+/**
+ * French label of an address kind
+ */
+export function getAddressKindLabel(kind) {
+  return ADDRESS_KINDS.find(addressKind => addressKind.value === kind)?.label || kind;
+}
+
+/**
+ * Mobility profile from an import file value ("fauteuil", "brancard"...), or null when not recognised
+ */
+export function parseMobility(value) {
+  const normalized = normalizeText(value || '');
+  if (!normalized) return null;
+  const match = Object.entries(MOBILITY_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+}
+
+/**
+ * Mobility profile implied by a course transport type (for patients created from courses)
+ */
+export function mobilityFromVehicleType(vehicleType) {
+  return MOBILITY_PROFILES.find(profile => profile.value !== DEFAULT_MOBILITY && profile.vehicleType === vehicleType)?.value ||
+    DEFAULT_MOBILITY;
+}
+
+/**
+ * Transport type and equipment a patient needs: the default vehicle type when set,
+ * otherwise the one of the mobility profile
+ * @returns {Object} { vehicleType, requiredEquipment }
+ */
+export function getPatientRequirements(patient) {
+  const profile = getMobilityProfile(patient.mobility);
+  return {
+    vehicleType: patient.defaultVehicleType || profile.vehicleType,
+    requiredEquipment: profile.equipment
+  };
+}
+
+// Same name whatever the case, accents and first/last name order
+function getNameKey(name) {
+  return normalizeText(name || '').split(' ').filter(Boolean).sort().join(' ');
+}
+
+function getPhoneKey(phone) {
+  return String(phone || '').replace(/\D/g, '').replace(/^33/, '0');
+}
+
+/**
+ * Clean a patient record (missing lists, trimmed fields)
+ */
+export function normalizePatient(patient) {
+  const normalizeAddress = (address) => ({
+    id: address.id || `${Date.now()}-${nextAddressId++}`,
+    kind: address.kind || 'other',
+    label: (address.label || '').trim(),
+    address: (address.address || '').trim(),
+    coordinates: Array.isArray(address.coordinates) ? address.coordinates : null
+  });
+
+  return {
+    id: patient.id,
+    name: (patient.name || '').trim(),
+    phone: (patient.phone || '').trim(),
+    mobility: getMobilityProfile(patient.mobility).value,
+    defaultVehicleType: patient.defaultVehicleType || null,
+    addresses: (patient.addresses || []).map(normalizeAddress).filter(address => address.address),
+    usualDestinations: (patient.usualDestinations || []).map(normalizeAddress).filter(address => address.address),
+    notes: (patient.notes || '').trim()
+  };
+}
+
+/**
+ * Next free patient id
+ */
+export function getNextPatientId(patients) {
+  return Math.max(...patients.map(patient => patient.id), 0) + 1;
+}
+
+/**
+ * Find the registry entry of a course patient: by id, then by name (with the phone number
+ * or a saved address to tell homonyms apart)
+ * @param {Array} patients - Registry
+ * @param {Object} query - { patientId, name, phone, address }
+ * @returns {Object|null} Patient
+ */
+export function findPatient(patients, query) {
+  if (query.patientId) {
+    const byId = patients.find(patient => patient.id === query.patientId);
+    if (byId) return byId;
+  }
+
+  const nameKey = getNameKey(query.name);
+  if (!nameKey) return null;
+  const homonyms = patients.filter(patient => getNameKey(patient.name) === nameKey);
+  if (homonyms.length <= 1) return homonyms[0] || null;
+
+  const phoneKey = getPhoneKey(query.phone);
+  const byPhone = phoneKey && homonyms.find(patient => getPhoneKey(patient.phone) === phoneKey);
+  if (byPhone) return byPhone;
+
+  return (query.address && homonyms.find(patient => findPatientAddress(patient, query.address))) || homonyms[0];
+}
+
+/**
+ * Patients whose name starts like the typed text (for the course form suggestions)
+ */
+export function searchPatients(patients, text, limit = 8) {
+  const typed = normalizeText(text || '');
+  if (!typed) return [];
+  return patients
+    .filter(patient => normalizeText(patient.name).split(' ').some(word => word.startsWith(typed)) ||
+      normalizeText(patient.name).startsWith(typed))
+    .slice(0, limit);
+}
+
+/**
+ * Saved address (home, EHPAD... or usual destination) matching a course address text or kind label
+ * @returns {Object|null} { kind, label, address, coordinates }
+ */
+export function findPatientAddress(patient, text) {
+  const typed = normalizeText(text || '');
+  if (!typed) return null;
+  return [...patient.addresses, ...patient.usualDestinations].find(address =>
+    normalizeText(address.address) === typed ||
+    (address.label && normalizeText(address.label) === typed) ||
+    normalizeText(getAddressKindLabel(address.kind)) === typed
+  ) || null;
+}
+
+/**
+ * Fill a course from its patient: id, display name, transport needs and the coordinates
+ * of saved addresses. A transport type given by the course itself (import column) is kept,
+ * the profile equipment is always added.
+ */
+export function applyPatientToCourse(course, patient) {
+  const requirements = getPatientRequirements(patient);
+  const pickup = findPatientAddress(patient, course.pickup);
+  const destination = findPatientAddress(patient, course.destination);
+
+  return {
+    ...course,
+    patientId: patient.id,
+    patient: patient.name,
+    pickup: pickup ? pickup.address : course.pickup, // "Domicile", "EHPAD"... become the saved address
+    destination: destination ? destination.address : course.destination,
+    vehicleType: course.vehicleType || requirements.vehicleType,
+    requiredEquipment: Array.from(new Set([...(course.requiredEquipment || []), ...requirements.requiredEquipment])),
+    coordinates: course.coordinates || pickup?.coordinates || null,
+    destinationCoords: course.destinationCoords || destination?.coordinates || null
+  };
+}
+
+/**
+ * Patient created from a course whose patient is not in the registry yet:
+ * the pickup becomes the home address and the transport type gives the mobility profile
+ */
+export function createPatientFromCourse(course, id) {
+  return normalizePatient({
+    id,
+    name: course.patient,
+    phone: course.phone,
+    mobility: course.mobility || mobilityFromVehicleType(course.vehicleType),
+    addresses: course.pickup ? [{ kind: 'home', address: course.pickup, coordinates: course.coordinates }] : [],
+    usualDestinations: course.destination ? [{ kind: 'other', address: course.destination, coordinates: course.destinationCoords }] : []
+  });
+}
+
+/**
+ * Link courses to the registry, creating the patients not found
+ * @param {Array} patients - Registry
+ * @param {Array} courses - Courses (imported or restored from a version without registry)
+ * @returns {Object} { patients, courses, createdCount, matchedCount }
+ */
+export function linkCoursesToPatients(patients, courses) {
+  const registry = [...patients];
+  let createdCount = 0;
+  let matchedCount = 0;
+
+  const linkedCourses = courses.map(course => {
+    if (!course.patient && !course.patientId) return course;
+
+    let patient = findPatient(registry, {
+      patientId: course.patientId,
+      name: course.patient,
+      phone: course.phone,
+      address: course.pickup
+    });
+    if (patient) {
+      matchedCount++;
+    } else {
+      patient = createPatientFromCourse(course, getNextPatientId(registry));
+      registry.push(patient);
+      createdCount++;
+    }
+
+    // The registry decides the transport needs, except for what the file states explicitly
+    const { phone, mobility, ...linkedCourse } = applyPatientToCourse(course, patient);
+    return linkedCourse;
+  });
+
+  return { patients: registry, courses: linkedCourses, createdCount, matchedCount };
+}
+
+/**
+ * Whether an imported course is already planned: same day, time, patient (by id when both
+ * are linked to the registry, by name otherwise) and pickup
+ */
+export function isDuplicateCourse(existing, candidate) {
+  const samePatient = existing.patientId && candidate.patientId
+    ? existing.patientId === candidate.patientId
+    : getNameKey(existing.patient) === getNameKey(candidate.patient);
+  return existing.date === candidate.date &&
+    existing.appointmentTime === candidate.appointmentTime &&
+    samePatient &&
+    normalizeText(existing.pickup) === normalizeText(candidate.pickup);
+}
+
+/**
+ * Number of courses referencing a patient
+ */
+export function countPatientCourses(courses, patientId) {
+  return courses.filter(course => course.patientId === patientId).length;
+}
+
+export default {
+  MOBILITY_PROFILES,
+  ADDRESS_KINDS,
+  getMobilityProfile,
+  getMobilityLabel,
+  getAddressKindLabel,
+  parseMobility,
+  mobilityFromVehicleType,
+  getPatientRequirements,
+  normalizePatient,
+  getNextPatientId,
+  findPatient,
+  searchPatients,
+  findPatientAddress,
+  applyPatientToCourse,
+  createPatientFromCourse,
+  linkCoursesToPatients,
+  isDuplicateCourse,
+  countPatientCourses
+};
@@ -0,0 +1,155 @@
+/**
+ * Planning Calendar Utilities for AmbuSched
+ * Dates are handled as local "YYYY-MM-DD" keys, times as absolute timestamps (seconds since epoch)
+ */
+
+/**
+ * Convert a Date to a "YYYY-MM-DD" key (local time)
+ */
+export function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get today's date key
+ */
+export function getTodayKey() {
+  return toDateKey(new Date());
+}
+
+/**
+ * Convert a "YYYY-MM-DD" key to a Date at local midnight
+ */
+export function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Check that a value is a valid "YYYY-MM-DD" key
+ */
+export function isValidDateKey(dateKey) {
+  if (typeof dateKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return false;
+  return toDateKey(parseDateKey(dateKey)) === dateKey;
+}
+
+/**
+ * Shift a date key by a number of days
+ */
+export function addDays(dateKey, days) {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * Get the 7 date keys of the week (Monday to Sunday) containing a date
+ */
+export function getWeekKeys(dateKey) {
+  const date = parseDateKey(dateKey);
+  const mondayOffset = (date.getDay() + 6) % 7;
+  const monday = addDays(dateKey, -mondayOffset);
+  return Array.from({ length: 7 }, (_, index) => addDays(monday, index));
+}
+
+/**
+ * Timestamp (seconds) of local midnight for a date key
+ */
+export function getDayStart(dateKey) {
+  return Math.floor(parseDateKey(dateKey).getTime() / 1000);
+}
+
+/**
+ * Convert a date key and a "HH:MM" time to an absolute timestamp (seconds).
+ * Hours above 23 roll over to the following day(s).
+ */
+export function toTimestamp(dateKey, timeStr) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = (timeStr || '00:00').split(':').map(Number);
+  return Math.floor(new Date(year, month - 1, day, hours, minutes).getTime() / 1000);
+}
+
+/**
+ * Get the date key of a timestamp
+ */
+export function timestampToDateKey(timestamp) {
+  return toDateKey(new Date(timestamp * 1000));
+}
+
+/**
+ * Get the "HH:MM" time of a timestamp (local time)
+ */
+export function timestampToTime(timestamp) {
+  const date = new Date(timestamp * 1000);
+  return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Number of calendar days between a reference date key and a timestamp
+ */
+export function getDayOffset(timestamp, referenceDateKey) {
+  const msPerDay = 24 * 3600 * 1000;
+  const target = parseDateKey(timestampToDateKey(timestamp));
+  return Math.round((target - parseDateKey(referenceDateKey)) / msPerDay);
+}
+
+/**
+ * Format a timestamp as "HH:MM", suffixed with the day shift when it falls
+ * outside the reference planning day (e.g. "00:30 (J+1)")
+ */
+export function formatTimestamp(timestamp, referenceDateKey = null) {
+  if (timestamp === null || timestamp === undefined || Number.isNaN(timestamp)) return 'N/A';
+
+  const time = timestampToTime(timestamp);
+  if (!referenceDateKey) return time;
+
+  const offset = getDayOffset(timestamp, referenceDateKey);
+  if (offset === 0) return time;
+  return `${time} (J${offset > 0 ? '+' : ''}${offset})`;
+}
+
+/**
+ * Human readable French label for a date key (e.g. "lun. 19 oct.")
+ */
+export function formatDateLabel(dateKey, options = { weekday: 'short', day: 'numeric', month: 'short' }) {
+  return parseDateKey(dateKey).toLocaleDateString('fr-FR', options);
+}
+
+/**
+ * Absolute appointment timestamp of a course.
+ * Return courses carry their own timestamp (exit time), which may fall after midnight.
+ */
+export function getCourseTimestamp(course) {
+  if (typeof course.appointmentTimestamp === 'number') {
+    return course.appointmentTimestamp;
+  }
+  return toTimestamp(course.date || getTodayKey(), course.appointmentTime);
+}
+
+/**
+ * Keep only the courses planned on a given day
+ */
+export function filterCoursesByDate(courses, dateKey) {
+  return courses.filter(course => course.date === dateKey);
+}
+
+export default {
+  toDateKey,
+  getTodayKey,
+  parseDateKey,
+  isValidDateKey,
+  addDays,
+  getWeekKeys,
+  getDayStart,
+  toTimestamp,
+  timestampToDateKey,
+  timestampToTime,
+  getDayOffset,
+  formatTimestamp,
+  formatDateLabel,
+  getCourseTimestamp,
+  filterCoursesByDate
+};
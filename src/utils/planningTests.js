@@ -0,0 +1,920 @@
+// AmbuSched Planning Test Suite
+// Checks of the scheduling rules, run from the test panel like the optimization scenarios
+
+import { toTimestamp, getDayStart } from './planningCalendar.js';
+import { generateReturnCourse, generateReturnCourses } from './returnCourses.js';
+import {
+  occursOnDate,
+  getOccurrenceId,
+  getOccurrenceSeriesId,
+  migrateLegacyOccurrenceId,
+  materializeCoursesForDate,
+  getOccurrenceOverride,
+  setReturnOverride,
+  addSeriesException
+} from './recurringCourses.js';
+import {
+  DEFAULT_SHIFTS,
+  getVehicleShifts,
+  isNightShift,
+  getShiftWindow,
+  getVehicleDayShifts,
+  getVehicleShiftWindows,
+  validateShifts,
+  getTripServiceRequirement,
+  fitsTimeWindow,
+  findFittingShift,
+  getCoursesOutsideShifts,
+  getVehicleBreakWindows,
+  validateBreaks,
+  findBreakSlot
+} from './vehicleShifts.js';
+import { findInsertionOptions, commitInsertion, previewTripMove, commitTripMove } from '../services/insertionService.js';
+import { decodeText, detectDelimiter, getDelimiterLabel, parseCSVRecords } from './csvParser.js';
+import {
+  normalizeHeader,
+  getHeadersKey,
+  guessColumnMapping,
+  assignColumn,
+  getColumnField,
+  getMissingFields,
+  createMappingProfile,
+  findMappingProfile,
+  applyMappingProfile
+} from './columnMapping.js';
+import { buildVehicleCalendar, buildPatientCalendar, getPlannedPatients, parseICS } from './icalendar.js';
+import { getTimelineRange, getRouteSegments, getTripBars } from './fleetTimeline.js';
+import { explainUnassigned, getRemedies, getUnassignedEntries } from './unassignedCourses.js';
+
+/**
+ * Fixtures shared by the checks: a Wednesday around Avignon
+ */
+const TEST_DAY = '2026-10-21';
+const AVIGNON = [4.81, 43.94];
+const HOME = [4.8, 43.95];
+const CHU = [4.805, 43.932];
+const MARSEILLE = [5.37, 43.28];
+const TEST_CONFIG = { appointmentBufferBefore: 60, appointmentBufferAfter: 15 };
+
+// Timestamp of a time of the test day ("24:30" is half past midnight the next day)
+const at = (time, dateKey = TEST_DAY) => toTimestamp(dateKey, time);
+
+const testCourse = (id, fields = {}) => ({
+  id,
+  date: TEST_DAY,
+  patient: `Patient ${id}`,
+  pickup: 'Domicile',
+  destination: 'CHU Avignon',
+  coordinates: AVIGNON,
+  destinationCoords: CHU,
+  appointmentTime: '09:00',
+  vehicleType: 'VSL',
+  ...fields
+});
+
+const testVehicle = (id, fields = {}) => ({
+  id,
+  name: `VSL ${id}`,
+  type: 'VSL',
+  coordinates: AVIGNON,
+  location: 'Base Avignon',
+  shifts: [{ start: '06:00', end: '13:00' }],
+  ...fields
+});
+
+// Planned route of a vehicle serving trips one after the other (steps as VROOM returns them)
+const testRoute = (vehicleId, trips) => ({
+  vehicle: vehicleId,
+  steps: [
+    { type: 'start' },
+    ...trips.flatMap(trip => [{ type: 'pickup', id: trip.id * 10 + 1 }, { type: 'delivery', id: trip.id * 10 + 2 }]),
+    { type: 'end' }
+  ]
+});
+
+// Dialysis three times a week, moved to 10:00 on the test day
+function testSeries() {
+  return {
+    ...testCourse(40, { date: '2026-10-19', appointmentTime: '08:00', duration: 240 }),
+    recurrence: {
+      weekdays: [1, 3, 5],
+      endDate: '2026-11-30',
+      exceptions: ['2026-10-23'],
+      overrides: { [TEST_DAY]: { appointmentTime: '10:00' } }
+    }
+  };
+}
+
+const DAY_VEHICLE = testVehicle(1, { shifts: [{ start: '06:00', end: '13:00' }, { start: '14:00', end: '20:00' }] });
+const NIGHT_VEHICLE = testVehicle(2, { shifts: [{ start: '20:00', end: '04:00' }] });
+const LATE_RETURN = testCourse(11, { appointmentTime: '19:30', isReturnTrip: true, maxWaitTime: 60 });
+
+// VSL 1 drives a patient to the CHU at 09:30, VSL 2 one in Marseille at 09:00
+function insertionScenario() {
+  const planTrips = [
+    testCourse(1, { coordinates: HOME, appointmentTime: '09:30' }),
+    testCourse(2, { coordinates: [5.38, 43.3], destination: 'Hôpital Nord', destinationCoords: MARSEILLE })
+  ];
+  return {
+    plan: { routes: [testRoute(1, [planTrips[0]]), testRoute(2, [planTrips[1]])] },
+    planTrips,
+    vehicles: [testVehicle(1), testVehicle(2, { coordinates: MARSEILLE })]
+  };
+}
+
+const testCalendar = lines => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+// Content lines of a calendar, folded lines joined back
+const unfoldCalendar = content => content.replace(/\r\n /g, '').split('\r\n');
+
+const toUtcStamp = timestamp => new Date(timestamp * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const CALENDAR_PLAN = {
+  revision: 3,
+  routes: [
+    { vehicle: 1, steps: [{ type: 'start' }, { type: 'pickup', id: 51, arrival: at('08:15'), service: 300 }, { type: 'delivery', id: 52, arrival: at('08:50'), service: 300 }, { type: 'end' }] },
+    { vehicle: 2, steps: [{ type: 'pickup', id: 61, arrival: at('10:20') }, { type: 'delivery', id: 62, arrival: at('10:50') }] }
+  ]
+};
+
+const CALENDAR_CONTEXT = {
+  vehicles: [testVehicle(1), testVehicle(2)],
+  courses: [
+    testCourse(5, { patient: 'Jean Dupont', patientId: 3, pickup: '3 rue des Lilas', coordinates: [5.05, 44.05] }),
+    testCourse(6, { patient: 'Anne Roux', pickup: '1 place Pie', destination: 'Clinique', appointmentTime: '11:00', coordinates: [4.8, 43.9] })
+  ],
+  patients: [{ id: 3, phone: '06 00 00 00 00', mobility: 'walking' }],
+  date: TEST_DAY
+};
+
+const TIMELINE_ROUTE = {
+  vehicle: 1,
+  steps: [
+    { type: 'start', arrival: at('07:50') },
+    { type: 'pickup', id: 51, arrival: at('08:10'), waiting_time: 600, service: 300 },
+    { type: 'delivery', id: 52, arrival: at('08:45'), service: 300 },
+    { type: 'break', id: 1, arrival: at('08:50'), service: 1800 },
+    { type: 'pickup', id: 61, arrival: at('09:40'), service: 300, moved: true },
+    { type: 'delivery', id: 62, arrival: at('10:10'), service: 300 },
+    { type: 'end', arrival: at('10:40') },
+    { type: 'job', id: 99 } // No time: left out
+  ]
+};
+
+// Three courses of the day: one planned, one left unassigned, one added after the optimization
+function unassignedScenario() {
+  return {
+    trips: [testCourse(1), testCourse(2, { appointmentTime: '08:00' }), testCourse(3, { appointmentTime: '11:00' })],
+    plan: {
+      routes: [testRoute(1, [testCourse(1)])],
+      unassigned: [{ id: 21 }],
+      inputTripIds: [1, 2]
+    }
+  };
+}
+
+/**
+ * Assertions: each throws an Error describing the mismatch
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// JSON with sorted object keys, so equal values compare equal whatever the key order
+function toComparableJson(value) {
+  return JSON.stringify(value, (key, item) => (item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+    : item));
+}
+
+function assertEqual(actual, expected, label) {
+  const actualJson = toComparableJson(actual);
+  const expectedJson = toComparableJson(expected);
+  assert(actualJson === expectedJson, `${label}: expected ${expectedJson}, got ${actualJson}`);
+}
+
+// Only the fields listed in `expected` are compared
+function assertFields(actual, expected, label) {
+  const picked = Object.fromEntries(Object.keys(expected).map(field => [field, actual?.[field]]));
+  assertEqual(picked, expected, label);
+}
+
+function assertMatch(actual, pattern, label) {
+  assert(pattern.test(actual || ''), `${label}: "${actual}" does not match ${pattern}`);
+}
+
+/**
+ * Checks grouped by feature, each one a function throwing on failure (sync or async)
+ */
+const PLANNING_TESTS = {
+  returnCourses: {
+    name: 'Return Courses',
+    description: 'Exit time and pickup window of the ride home',
+    checks: {
+      'computes the exit from the appointment and its duration'() {
+        const back = generateReturnCourse(testCourse(1, { appointmentTime: '09:00', duration: 90 }), 2);
+        assertFields(back, {
+          id: 2,
+          isReturnTrip: true,
+          originalCourseId: 1,
+          pickup: 'CHU Avignon',
+          destination: 'Domicile',
+          exitTime: '10:30',
+          exitTimestamp: at('10:30'),
+          earliestPickupTime: '10:45'
+        }, 'return');
+      },
+
+      'rolls a return crossing midnight over to the next day'() {
+        const back = generateReturnCourse(testCourse(1, { appointmentTime: '22:30', duration: 120 }), 2);
+        assertFields(back, {
+          date: TEST_DAY,
+          exitTime: '00:30',
+          exitTimestamp: at('24:30'),
+          earliestPickupTimestamp: at('24:45')
+        }, 'return');
+      },
+
+      'reads a return time before the appointment as after midnight'() {
+        const back = generateReturnCourse(testCourse(1, { appointmentTime: '21:00', returnTime: '01:15' }), 2);
+        assertEqual(back.exitTimestamp, at('25:15'), 'exit');
+      },
+
+      'generates returns only for courses with a duration or a return time'() {
+        const returns = generateReturnCourses([testCourse(1, { duration: 0 }), testCourse(2, { duration: 30 })]);
+        assertEqual(returns.map(back => [back.id, back.originalCourseId]), [[3, 2]], 'returns');
+      }
+    }
+  },
+
+  recurringCourses: {
+    name: 'Recurring Series',
+    description: 'Occurrences of a series, their overrides and their ids',
+    checks: {
+      'occurs on its weekdays from its start to its end date, except on exceptions'() {
+        const series = testSeries();
+        assertEqual(
+          ['2026-10-12', '2026-10-19', '2026-10-20', TEST_DAY, '2026-10-23', '2026-11-30', '2026-12-02'].map(day => occursOnDate(series, day)),
+          [false, true, false, true, false, true, false],
+          'occurrences'
+        );
+      },
+
+      'materializes an occurrence with its override, and its return'() {
+        const single = testCourse(1);
+        const [course, occurrence, back] = materializeCoursesForDate([single, testCourse(2, { date: '2026-10-22' }), testSeries()], TEST_DAY);
+        assert(course === single, 'The course of the day is kept as is');
+        assertFields(occurrence, { seriesId: 40, occurrenceDate: TEST_DAY, appointmentTime: '10:00', isOverridden: true }, 'occurrence');
+        assertFields(back, { isReturnTrip: true, originalCourseId: occurrence.id, seriesId: 40, exitTime: '14:00' }, 'return');
+      },
+
+      'keeps only the fields an occurrence changes'() {
+        const series = testSeries();
+        assertEqual(getOccurrenceOverride(series, { ...series, appointmentTime: '11:00' }), { appointmentTime: '11:00' }, 'override');
+        assertEqual(getOccurrenceOverride(series, { ...series }), null, 'unchanged occurrence');
+        assertEqual(addSeriesException(series, TEST_DAY).recurrence.overrides, {}, 'overrides of a cancelled occurrence');
+      },
+
+      'gives each occurrence and its return a stable id of their own'() {
+        const ids = [
+          getOccurrenceId(40, TEST_DAY),
+          getOccurrenceId(40, TEST_DAY, true),
+          getOccurrenceId(40, '2026-10-23'),
+          getOccurrenceId(41, TEST_DAY)
+        ];
+        assertEqual(new Set(ids).size, ids.length, 'distinct ids');
+        assert(ids.every(id => id >= 1e9), 'Occurrence ids stay above stored course ids');
+        assertEqual(getOccurrenceId(40, TEST_DAY), ids[0], 'id after a reload');
+      },
+
+      'finds the series of an occurrence from its id'() {
+        assertEqual(getOccurrenceSeriesId(getOccurrenceId(40, '2026-10-23', true)), 40, 'series');
+        assertEqual(getOccurrenceSeriesId(12), null, 'stored course');
+      },
+
+      'renumbers occurrence ids of the first scheme (storage v7)'() {
+        const legacyDay = Math.round(getDayStart(TEST_DAY) / 86400) % 50000;
+        assertEqual(migrateLegacyOccurrenceId(40 * 100000 + legacyDay, TEST_DAY), getOccurrenceId(40, TEST_DAY), 'outbound');
+        assertEqual(migrateLegacyOccurrenceId(40 * 100000 + 50000 + legacyDay, TEST_DAY), getOccurrenceId(40, TEST_DAY, true), 'return');
+        assertEqual(migrateLegacyOccurrenceId(12, TEST_DAY), 12, 'stored course');
+        assertEqual(migrateLegacyOccurrenceId(getOccurrenceId(40, TEST_DAY), TEST_DAY), getOccurrenceId(40, TEST_DAY), 'current id');
+      },
+
+      'changes the return of one occurrence only'() {
+        const series = setReturnOverride(testSeries(), TEST_DAY, { vehicleType: 'Ambulance' });
+        const [outbound, back] = materializeCoursesForDate([series], TEST_DAY);
+        assertEqual([outbound.vehicleType, back.vehicleType], ['VSL', 'Ambulance'], 'vehicle types');
+        assertEqual(materializeCoursesForDate([series], '2026-10-26')[1].vehicleType, 'VSL', 'next return');
+        assertEqual(addSeriesException(series, TEST_DAY).recurrence.returnOverrides, {}, 'return overrides of a cancelled occurrence');
+      }
+    }
+  },
+
+  vehicleShifts: {
+    name: 'Vehicle Shifts and Breaks',
+    description: 'Shift windows, night shifts, trip windows and crew breaks',
+    checks: {
+      'gives vehicles without shifts the former fixed window'() {
+        assert(getVehicleShifts({ id: 3 }) === DEFAULT_SHIFTS, 'Default shifts expected');
+      },
+
+      'runs a night shift past midnight'() {
+        assert(isNightShift(NIGHT_VEHICLE.shifts[0]), 'Night shift expected');
+        assertEqual(getShiftWindow(NIGHT_VEHICLE.shifts[0], TEST_DAY), [at('20:00'), at('28:00')], 'window');
+      },
+
+      'counts the end of the previous night shift from midnight'() {
+        assertEqual(getVehicleDayShifts(NIGHT_VEHICLE, TEST_DAY), [
+          { shift: NIGHT_VEHICLE.shifts[0], window: [at('20:00'), at('28:00')], overnight: false },
+          { shift: NIGHT_VEHICLE.shifts[0], window: [at('00:00'), at('04:00')], overnight: true }
+        ], 'night vehicle');
+        assertEqual(getVehicleShiftWindows(DAY_VEHICLE, TEST_DAY), [[at('06:00'), at('13:00')], [at('14:00'), at('20:00')]], 'day vehicle');
+      },
+
+      'gives a back-up vehicle shifts on its own day only'() {
+        const backup = { ...NIGHT_VEHICLE, availableOn: TEST_DAY };
+        assertEqual(getVehicleDayShifts(backup, '2026-10-20'), [], 'day before');
+        assertEqual(getVehicleDayShifts(backup, TEST_DAY).map(entry => entry.overnight), [false], 'its day');
+        // The night that started on its day still ends the next morning
+        assertEqual(getVehicleDayShifts(backup, '2026-10-22').map(entry => entry.overnight), [true], 'day after');
+      },
+
+      'rejects malformed, empty and overlapping shifts'() {
+        assertEqual(validateShifts(DAY_VEHICLE.shifts, TEST_DAY), null, 'separate shifts');
+        assertMatch(validateShifts([], TEST_DAY), /Au moins un créneau/, 'no shift');
+        assertMatch(validateShifts([{ start: '6h', end: '13:00' }], TEST_DAY), /Format d'heure invalide/, 'malformed');
+        assertMatch(validateShifts([{ start: '08:00', end: '08:00' }], TEST_DAY), /même heure/, 'empty');
+        assertMatch(validateShifts([{ start: '06:00', end: '13:00' }, { start: '12:00', end: '18:00' }], TEST_DAY), /chevauchent/, 'overlap');
+        assertMatch(validateShifts([{ start: '05:00', end: '12:00' }, { start: '20:00', end: '06:00' }], TEST_DAY), /chevauchent/, 'night overlap');
+      },
+
+      'starts the outbound pickup 30 minutes before the appointment'() {
+        assertEqual(getTripServiceRequirement(testCourse(10)), { earliestStart: at('08:30'), latestStart: at('08:30'), duration: 1800 }, 'outbound');
+      },
+
+      'lets a return wait up to its maximum wait after the exit'() {
+        assertEqual(getTripServiceRequirement(LATE_RETURN), { earliestStart: at('19:45'), latestStart: at('20:45'), duration: 3600 }, 'return');
+      },
+
+      'finds the shift able to serve a trip'() {
+        const outbound = testCourse(10);
+        assert(fitsTimeWindow(outbound, [at('06:00'), at('13:00')]), 'Trip fits the morning shift');
+        assertEqual(findFittingShift(outbound, DAY_VEHICLE), 0, 'morning trip');
+        assertEqual(findFittingShift(testCourse(10, { appointmentTime: '16:00' }), DAY_VEHICLE), 1, 'afternoon trip');
+        assertEqual(findFittingShift(testCourse(10, { appointmentTime: '13:45' }), DAY_VEHICLE), -1, 'trip between shifts');
+        assertEqual(findFittingShift(testCourse(10, { appointmentTime: '03:00' }), NIGHT_VEHICLE), 1, 'trip at the end of the night');
+      },
+
+      'lists trips no active vehicle can serve'() {
+        const outbound = testCourse(10);
+        const early = testCourse(12, { appointmentTime: '05:00' });
+        assertEqual(getCoursesOutsideShifts([outbound, early, LATE_RETURN], [DAY_VEHICLE]).map(trip => trip.id), [12, 11], 'day vehicle');
+        assertEqual(getCoursesOutsideShifts([LATE_RETURN], [{ ...NIGHT_VEHICLE, status: 'maintenance' }]).length, 1, 'vehicle in maintenance');
+        assertEqual(getCoursesOutsideShifts([LATE_RETURN], [NIGHT_VEHICLE]).length, 0, 'night vehicle');
+      },
+
+      'puts a break in the first shift able to hold it, clipped to that shift'() {
+        const vehicle = { ...DAY_VEHICLE, breaks: [{ start: '12:30', end: '15:00', duration: 45 }] };
+        assertEqual(getVehicleBreakWindows(vehicle, TEST_DAY), [
+          { crewBreak: vehicle.breaks[0], breakIndex: 0, shiftIndex: 1, window: [at('14:00'), at('15:00')] }
+        ], 'break windows');
+        assertEqual(getVehicleBreakWindows({ ...DAY_VEHICLE, breaks: [{ start: '21:00', end: '22:00', duration: 30 }] }, TEST_DAY), [], 'break outside the shifts');
+      },
+
+      'rejects a break window shorter than the break'() {
+        assertMatch(validateBreaks([{ start: '12:00', end: '12:30', duration: 45 }], TEST_DAY), /trop courte/, 'short window');
+        assertMatch(validateBreaks([{ start: '12:00', end: '14:00', duration: 0 }], TEST_DAY), /positive/, 'no duration');
+        assertEqual(validateBreaks([{ start: '12:00', end: '14:00', duration: 45 }], TEST_DAY), null, 'valid break');
+      },
+
+      'finds the earliest free slot of a break'() {
+        const window = [at('11:30'), at('14:00')];
+        assertEqual(findBreakSlot(window, 2700, []), at('11:30'), 'free window');
+        assertEqual(findBreakSlot(window, 2700, [[at('11:00'), at('12:00')], [at('12:30'), at('13:00')]]), at('13:00'), 'after the trips');
+        assertEqual(findBreakSlot(window, 2700, [[at('11:30'), at('13:30')]]), null, 'no room');
+      }
+    }
+  },
+
+  insertion: {
+    name: 'Course Insertion and Moves',
+    description: 'Cheapest insertion into the live plan and checked timeline moves, on the OSRM matrix',
+    checks: {
+      async 'places a course and its return on the cheapest vehicle'() {
+        const { plan, planTrips, vehicles } = insertionScenario();
+        const course = testCourse(5, { coordinates: [4.82, 43.95], appointmentTime: '11:00', duration: 60 });
+        const newTrips = [course, generateReturnCourse(course, 6)];
+
+        const { success, options } = await findInsertionOptions(plan, newTrips, planTrips, vehicles, { timeWindowConfig: TEST_CONFIG });
+        assert(success, 'Insertion expected');
+        assertEqual(options[0].assignments.map(({ tripId, vehicle }) => [tripId, vehicle.id]), [[5, 1], [6, 1]], 'assignments');
+        assertEqual(options[0].routes.length, 1, 'changed routes');
+        assertEqual(options[0].impacts, [], 'delays');
+      },
+
+      async 'commits an insertion without touching the other routes'() {
+        const { plan, planTrips, vehicles } = insertionScenario();
+        const course = testCourse(5, { coordinates: [4.82, 43.95], appointmentTime: '11:00', duration: 60 });
+        const newTrips = [course, generateReturnCourse(course, 6)];
+        const { options } = await findInsertionOptions(plan, newTrips, planTrips, vehicles, { timeWindowConfig: TEST_CONFIG });
+
+        const updated = commitInsertion(plan, options[0], newTrips);
+        assertEqual(updated.routes[0].steps.filter(step => step.inserted).map(step => step.id).sort(), [51, 52, 61, 62], 'inserted steps');
+        assert(updated.routes[1] === plan.routes[1], 'The other vehicle keeps its route');
+        assertEqual(updated.insertedTripIds, [5, 6], 'inserted trips');
+      },
+
+      async 'refuses an insertion that would delay the patients already planned'() {
+        const { plan, planTrips } = insertionScenario();
+        const vehicles = [testVehicle(1)];
+        // Only a departure before the planned patient's pickup reaches Marseille in time
+        const newTrips = [testCourse(7, { destination: 'Hôpital Nord', destinationCoords: MARSEILLE })];
+
+        const refused = await findInsertionOptions(plan, newTrips, planTrips, vehicles, { timeWindowConfig: TEST_CONFIG });
+        assert(!refused.success, 'Insertion refused expected');
+        assertMatch(refused.message, /sans retarder d'autres patients/, 'message');
+        const emptyPlan = await findInsertionOptions({ routes: [] }, newTrips, [], vehicles, { timeWindowConfig: TEST_CONFIG });
+        assert(emptyPlan.success, 'Insertion into an empty plan expected');
+      },
+
+      async 'refuses courses outside the vehicles\' shifts'() {
+        const { plan, planTrips, vehicles } = insertionScenario();
+        const { success, message } = await findInsertionOptions(plan, [testCourse(5, { appointmentTime: '16:00' })], planTrips, vehicles, { timeWindowConfig: TEST_CONFIG });
+        assert(!success, 'Insertion refused expected');
+        assertMatch(message, /sortir de ses horaires/, 'message');
+      },
+
+      async 'seats two patients together only when both share rides'() {
+        const vehicles = [testVehicle(1)];
+        const planned = [testCourse(1, { coordinates: HOME, appointmentTime: '09:30' })];
+        const neighbour = testCourse(8, { coordinates: HOME, appointmentTime: '09:30' });
+        const plan = { routes: [testRoute(1, planned)] };
+
+        const alone = await findInsertionOptions(plan, [neighbour], planned, vehicles, { timeWindowConfig: TEST_CONFIG });
+        assert(!alone.success, 'Exclusive rides at the same time refused expected');
+        const shared = await findInsertionOptions(
+          plan, [{ ...neighbour, shareable: true }], [{ ...planned[0], shareable: true }], vehicles, { timeWindowConfig: TEST_CONFIG }
+        );
+        assert(shared.success, 'Shared ride expected');
+      },
+
+      async 'moves a course to another vehicle and frees its place'() {
+        const planned = testCourse(1, { coordinates: HOME, appointmentTime: '09:30' });
+        const plan = { routes: [testRoute(1, [planned])] };
+        const vehicles = [testVehicle(1), testVehicle(2)];
+        const move = await previewTripMove(plan, { tripId: 1, vehicleId: 2, notBefore: null }, [planned], vehicles, { timeWindowConfig: TEST_CONFIG, planningDate: TEST_DAY });
+        assert(move.feasible, `Move expected: ${move.message}`);
+
+        const updated = commitTripMove(plan, move, TEST_DAY);
+        assertEqual(updated.routes[0].steps.filter(step => step.type === 'pickup').length, 0, 'pickups left on VSL 1');
+        assertEqual(updated.routes[1].steps.filter(step => step.moved).map(step => step.id), [11, 12], 'moved steps');
+        assertEqual(updated.movedTripIds, [1], 'moved trips');
+      },
+
+      async 'refuses a move that would delay other patients or overload the vehicle'() {
+        const planned = testCourse(1, { coordinates: HOME, appointmentTime: '09:30' });
+        const neighbour = testCourse(8, { coordinates: HOME, appointmentTime: '09:30' });
+        const plan = { routes: [testRoute(1, [planned]), testRoute(2, [neighbour])] };
+        const vehicles = [testVehicle(1), testVehicle(2)];
+        const options = { timeWindowConfig: TEST_CONFIG, planningDate: TEST_DAY };
+
+        const first = await previewTripMove(plan, { tripId: 8, vehicleId: 1, notBefore: at('06:00') }, [planned, neighbour], vehicles, options);
+        assertEqual(first.message, 'Impossible sur VSL 1 : retarderait d\'autres patients au-delà de leur fenêtre', 'pickup first');
+        // Between the other patient's pickup (~08:25) and drop (08:30)
+        const together = await previewTripMove(plan, { tripId: 8, vehicleId: 1, notBefore: at('08:28') }, [planned, neighbour], vehicles, options);
+        assertEqual(together.message, 'Impossible sur VSL 1 : capacité du véhicule dépassée', 'pickup on board');
+      }
+    }
+  },
+
+  csvImport: {
+    name: 'CSV Reader',
+    description: 'Encoding, delimiter and RFC 4180 records of CSV imports',
+    checks: {
+      'decodes UTF-8 and drops the BOM'() {
+        const bytes = new TextEncoder().encode('\uFEFFpatient;rdv\nHélène;08:30');
+        assertEqual(decodeText(bytes.buffer), { text: 'patient;rdv\nHélène;08:30', encoding: 'UTF-8' }, 'decoded');
+      },
+
+      'falls back to Windows-1252 for Excel exports'() {
+        // "Hélène" with é = 0xE9, invalid as UTF-8
+        const bytes = new Uint8Array([0x48, 0xe9, 0x6c, 0xe8, 0x6e, 0x65]);
+        assertEqual(decodeText(bytes.buffer), { text: 'Hélène', encoding: 'Windows-1252' }, 'decoded');
+      },
+
+      'picks the delimiter found most often in the header line'() {
+        assertEqual(detectDelimiter('patient;adresse;rdv\nDupont, Jean;1 rue A;08:30'), ';', 'semicolon');
+        assertEqual(detectDelimiter('patient,adresse,rdv\n'), ',', 'comma');
+        assertEqual(detectDelimiter('patient\tadresse\n'), '\t', 'tab');
+        assertEqual(detectDelimiter('"Dupont, Jean";"1, rue A";rdv'), ';', 'quoted commas');
+        assertEqual(detectDelimiter('patient\nDupont'), null, 'single column');
+        assertEqual([getDelimiterLabel(';'), getDelimiterLabel('|')], ['point-virgule', '|'], 'labels');
+      },
+
+      'splits records with CRLF or LF line endings and trims fields'() {
+        const { records, errors } = parseCSVRecords('patient;rdv\r\n Dupont ;08:30\nMartin;09:00', ';');
+        assertEqual(errors, [], 'errors');
+        assertEqual(records, [
+          { row: 1, fields: ['patient', 'rdv'] },
+          { row: 2, fields: ['Dupont', '08:30'] },
+          { row: 3, fields: ['Martin', '09:00'] }
+        ], 'records');
+      },
+
+      'reads quoted fields with delimiters, escaped quotes and line breaks'() {
+        const { records } = parseCSVRecords('"Dupont; Jean","dit ""Jo""","1 rue A\nBât. B"\nnext,x,y', ',');
+        assertEqual(records[0], { row: 1, fields: ['Dupont; Jean', 'dit "Jo"', '1 rue A\nBât. B'] }, 'quoted record');
+        // The line break inside the quotes still counts for the row numbers
+        assertEqual(records[1].row, 3, 'next row');
+        assertEqual(parseCSVRecords('5" écran;ok', ';').records[0].fields, ['5" écran', 'ok'], 'quote inside a field');
+      },
+
+      'skips blank lines'() {
+        assertEqual(parseCSVRecords('a;b\n\n ; \nc;d\n', ';').records.map(record => record.row), [1, 4], 'rows');
+      },
+
+      'reports text after a closing quote and a quote never closed'() {
+        const afterQuote = parseCSVRecords('a;b\n"Dupont" Jean;x\nc;d', ';');
+        assertEqual(afterQuote.errors.map(error => error.row), [2], 'error rows');
+        assertMatch(afterQuote.errors[0].message, /texte après un guillemet fermant/, 'message');
+        assertEqual(afterQuote.records.map(record => record.fields), [['a', 'b'], ['c', 'd']], 'records read on');
+
+        const unclosed = parseCSVRecords('a;b\n"Dupont;x\nc;d', ';');
+        assertEqual(unclosed.errors, [{ row: 2, message: 'guillemet ouvert jamais refermé' }], 'errors');
+        assertEqual(unclosed.records, [{ row: 1, fields: ['a', 'b'] }], 'records');
+      }
+    }
+  },
+
+  columnMapping: {
+    name: 'Column Mapping',
+    description: 'Guessed columns and saved mapping profiles of imports',
+    checks: {
+      'compares column names without case, accents, spacing or order'() {
+        assertEqual([normalizeHeader('Durée RDV'), normalizeHeader('  Heure   RDV ')], ['duree_rdv', 'heure_rdv'], 'headers');
+        assertEqual(getHeadersKey(['Nom', 'Prénom', 'Heure']), getHeadersKey(['heure', 'prenom', 'NOM']), 'header set');
+      },
+
+      'maps the usual column names to course fields'() {
+        const headers = ['Prénom', 'Nom', 'Départ', 'Hôpital', 'Date RDV', 'Heure RDV', 'Durée', 'Téléphone'];
+        assertEqual(guessColumnMapping(headers), {
+          firstName: 0, lastName: 1, pickup: 2, destination: 3, date: 4, appointmentTime: 5, duration: 6, phone: 7
+        }, 'mapping');
+        // "type" is an alias of the vehicle type only; "remarque" matches nothing
+        assertEqual(guessColumnMapping(['patient', 'type', 'remarque']), { patient: 0, vehicleType: 1 }, 'unknown column');
+      },
+
+      'gives each column to one field at most'() {
+        assertEqual(assignColumn({ patient: 0, pickup: 1 }, 1, 'patient'), { patient: 1 }, 'moved field');
+        const mapping = assignColumn({ patient: 0, pickup: 1 }, 0, null);
+        assertEqual(mapping, { pickup: 1 }, 'ignored column');
+        assertEqual([getColumnField(mapping, 0), getColumnField(mapping, 1)], [null, 'pickup'], 'column fields');
+      },
+
+      'lists the required fields and the patient name'() {
+        assertEqual(getMissingFields({ pickup: 0 }), ['Patient (nom complet, ou prénom et nom)', 'Destination', 'Heure du RDV'], 'missing');
+        assertEqual(getMissingFields({ firstName: 0, lastName: 1, pickup: 2, destination: 3, appointmentTime: 4 }), [], 'first and last name');
+      },
+
+      'applies a saved profile to the same columns in another order only'() {
+        const profile = createMappingProfile(' Hôpital Nord ', ['Patient', 'Départ', 'Arrivée', 'Heure RDV'], { patient: 0, pickup: 1, destination: 2, appointmentTime: 3 }, 7);
+        assertFields(profile, {
+          id: 7,
+          name: 'Hôpital Nord',
+          columns: { patient: 'patient', pickup: 'depart', destination: 'arrivee', appointmentTime: 'heure_rdv' }
+        }, 'profile');
+
+        const reordered = ['heure rdv', 'ARRIVEE', 'patient', 'départ'];
+        assert(findMappingProfile([profile], reordered) === profile, 'Profile found for reordered columns');
+        assertEqual(applyMappingProfile(profile, reordered), { appointmentTime: 0, destination: 1, patient: 2, pickup: 3 }, 'mapping');
+        assertEqual(findMappingProfile([profile], ['Patient', 'Départ', 'Arrivée']), null, 'other header set');
+      }
+    }
+  },
+
+  calendars: {
+    name: 'iCalendar Import and Export',
+    description: 'Hospital appointment calendars in, vehicle and patient calendars out',
+    checks: {
+      'reads a timed event into an import course'() {
+        const { courses, warnings } = parseICS(testCalendar([
+          'BEGIN:VEVENT',
+          'DTSTART:20261021T083000',
+          'DTEND:20261021T100000',
+          'SUMMARY:Consultation',
+          'LOCATION:CHU Avignon\\, Cardiologie',
+          'DESCRIPTION:Patient : Jean Dupont\\nAdresse : 3 rue des Lilas\\, Carpentras\\nTél : 06 12 34 56 78',
+          'END:VEVENT'
+        ]));
+        assertEqual(warnings, [], 'warnings');
+        assertEqual(courses.length, 1, 'courses');
+        assertFields(courses[0], {
+          id: 1,
+          patient: 'Jean Dupont',
+          pickup: '3 rue des Lilas, Carpentras',
+          destination: 'CHU Avignon, Cardiologie',
+          date: TEST_DAY,
+          appointmentTime: '08:30',
+          duration: 90,
+          phone: '06 12 34 56 78'
+        }, 'course');
+      },
+
+      'joins folded lines and reads DURATION when there is no DTEND'() {
+        const [course] = parseICS(testCalendar([
+          'BEGIN:VEVENT', 'DTSTART:20261021T140000', 'DURATION:PT1H15M', 'SUMMARY:Marie', ' -Claire Martin', 'END:VEVENT'
+        ])).courses;
+        assertFields(course, { patient: 'Marie-Claire Martin', pickup: 'Domicile', duration: 75 }, 'course');
+      },
+
+      'skips all-day and cancelled events'() {
+        const { courses } = parseICS(testCalendar([
+          'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20261021', 'SUMMARY:Congés', 'END:VEVENT',
+          'BEGIN:VEVENT', 'DTSTART:20261021T090000', 'STATUS:CANCELLED', 'SUMMARY:Annulé', 'END:VEVENT',
+          'BEGIN:VEVENT', 'DTSTART:20261021T100000', 'SUMMARY:Paul', 'END:VEVENT'
+        ]));
+        assertEqual(courses.map(course => course.patient), ['Paul'], 'patients');
+      },
+
+      'converts UTC and TZID times to local time'() {
+        const { courses, warnings } = parseICS(testCalendar([
+          'BEGIN:VEVENT', 'DTSTART:20261021T063000Z', 'SUMMARY:A', 'END:VEVENT',
+          'BEGIN:VEVENT', 'DTSTART;TZID=America/New_York:20261021T083000', 'SUMMARY:B', 'END:VEVENT'
+        ]));
+        const localTime = date => new Date(date).toTimeString().slice(0, 5);
+        assertEqual(warnings, [], 'warnings');
+        // New York is UTC-4 in October
+        assertEqual(courses.map(course => course.appointmentTime), [localTime(Date.UTC(2026, 9, 21, 6, 30)), localTime(Date.UTC(2026, 9, 21, 12, 30))], 'times');
+      },
+
+      'warns about an unknown TZID and reads the time as local'() {
+        const { courses, warnings } = parseICS(testCalendar([
+          'BEGIN:VEVENT', 'DTSTART;TZID=Romance Standard Time:20261021T083000', 'SUMMARY:A', 'END:VEVENT'
+        ]));
+        assertEqual(courses[0].appointmentTime, '08:30', 'time');
+        assertEqual(warnings, ['Course 1: Fuseau horaire inconnu (Romance Standard Time), heure du RDV lue comme heure locale'], 'warnings');
+      },
+
+      'takes the attendee as the patient only as a last resort'() {
+        const { courses } = parseICS(testCalendar([
+          'BEGIN:VEVENT', 'DTSTART:20261021T090000', 'SUMMARY:Jean Dupont', 'ATTENDEE;CN="Dr Martin":mailto:martin@chu.fr', 'END:VEVENT',
+          'BEGIN:VEVENT', 'DTSTART:20261021T100000', 'ATTENDEE;CN=Paul Durand:mailto:paul@example.fr', 'END:VEVENT'
+        ]));
+        assertEqual(courses.map(course => course.patient), ['Jean Dupont', 'Paul Durand'], 'patients');
+      },
+
+      'exports one event per pickup of the vehicle, from the pickup to the drop'() {
+        const lines = unfoldCalendar(buildVehicleCalendar(CALENDAR_PLAN, CALENDAR_CONTEXT, 1));
+        assertEqual(lines[0], 'BEGIN:VCALENDAR', 'first line');
+        assertEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 1, 'events');
+        [
+          `UID:vehicule-${TEST_DAY}-5@ambusched`,
+          `DTSTART:${toUtcStamp(at('08:15'))}`,
+          `DTEND:${toUtcStamp(at('08:55'))}`,
+          'GEO:44.05;5.05',
+          'SEQUENCE:3'
+        ].forEach(line => assert(lines.includes(line), `Missing line ${line}`));
+        assertMatch(lines.find(line => line.startsWith('DESCRIPTION:')), /Téléphone : 06 00 00 00 00/, 'description');
+      },
+
+      'exports the patient\'s pickup with a reminder'() {
+        const lines = unfoldCalendar(buildPatientCalendar(CALENDAR_PLAN, CALENDAR_CONTEXT, { patientId: null, name: 'Anne Roux' }));
+        [`UID:patient-${TEST_DAY}-6@ambusched`, 'SUMMARY:Transport vers Clinique', 'TRIGGER:-PT60M']
+          .forEach(line => assert(lines.includes(line), `Missing line ${line}`));
+      },
+
+      'folds lines at 75 octets'() {
+        const courses = CALENDAR_CONTEXT.courses.map(course => ({ ...course, destination: 'Centre hospitalier universitaire, service de néphrologie et de dialyse, bâtiment C' }));
+        const content = buildVehicleCalendar(CALENDAR_PLAN, { ...CALENDAR_CONTEXT, courses }, 1);
+        content.split('\r\n').forEach(line => assert(new TextEncoder().encode(line).length <= 75, `Line longer than 75 octets: ${line}`));
+      },
+
+      'lists the planned patients by name'() {
+        assertEqual(getPlannedPatients(CALENDAR_PLAN, CALENDAR_CONTEXT), [
+          { patientId: null, name: 'Anne Roux' },
+          { patientId: 3, name: 'Jean Dupont' }
+        ], 'patients');
+      }
+    }
+  },
+
+  fleetTimeline: {
+    name: 'Fleet Timeline',
+    description: 'Hours, route segments and course bars of the timeline',
+    checks: {
+      'covers the shifts of the day in whole hours'() {
+        const range = getTimelineRange([], [testVehicle(1, { shifts: [{ start: '06:30', end: '13:15' }] })], TEST_DAY);
+        assertFields(range, { start: at('06:00'), end: at('14:00') }, 'range');
+        assertEqual(range.hours.length, 9, 'hours');
+      },
+
+      'widens to steps planned outside the shifts'() {
+        const lateRoute = { steps: [{ type: 'delivery', arrival: at('13:30'), waiting_time: 600, service: 1500 }] };
+        const range = getTimelineRange([lateRoute], [testVehicle(1, { shifts: [{ start: '08:00', end: '12:00' }] })], TEST_DAY);
+        assertFields(range, { start: at('08:00'), end: at('15:00') }, 'range');
+      },
+
+      'starts at midnight for the end of the previous night shift'() {
+        assertEqual(getTimelineRange([], [NIGHT_VEHICLE], TEST_DAY).start, at('00:00'), 'start');
+      },
+
+      'splits a route into driving, waiting, service and break'() {
+        assertEqual(getRouteSegments(TIMELINE_ROUTE).map(({ kind, start, end }) => [kind, start, end]), [
+          ['drive', at('07:50'), at('08:10')],
+          ['wait', at('08:10'), at('08:20')],
+          ['service', at('08:20'), at('08:25')],
+          ['drive', at('08:25'), at('08:45')],
+          ['service', at('08:45'), at('08:50')],
+          ['break', at('08:50'), at('09:20')],
+          ['drive', at('09:20'), at('09:40')],
+          ['service', at('09:40'), at('09:45')],
+          ['drive', at('09:45'), at('10:10')],
+          ['service', at('10:10'), at('10:15')],
+          ['drive', at('10:15'), at('10:40')]
+        ], 'segments');
+      },
+
+      'spans each course from the pickup service to the end of the drop'() {
+        const trips = [testCourse(5), testCourse(6)];
+        assertEqual(getTripBars(TIMELINE_ROUTE, trips).map(({ trip, start, end, moved }) => [trip.id, start, end, moved]), [
+          [5, at('08:20'), at('08:50'), false],
+          [6, at('09:40'), at('10:15'), true]
+        ], 'bars');
+        // Pickups of courses no longer in the day are left out
+        assertEqual(getTripBars(TIMELINE_ROUTE, [testCourse(6)]).map(bar => bar.trip.id), [6], 'bars of the remaining course');
+      }
+    }
+  },
+
+  unassignedCourses: {
+    name: 'Unassigned Courses',
+    description: 'Why courses are left out of the plan and how to place them',
+    checks: {
+      'names the missing vehicle type first'() {
+        const { code, detail } = explainUnassigned(testCourse(1, { vehicleType: 'Ambulance' }), null, { vehicles: [testVehicle(1)], config: TEST_CONFIG });
+        assertEqual(code, 'skills', 'code');
+        assertMatch(detail, /Ambulance/, 'detail');
+      },
+
+      'reports courses outside every shift'() {
+        const { code, detail } = explainUnassigned(testCourse(1, { appointmentTime: '05:00' }), null, { vehicles: [testVehicle(1)], config: TEST_CONFIG });
+        assertEqual(code, 'outside-shifts', 'code');
+        assertMatch(detail, /^Aucun véhicule en service sur 04:30–05:00/, 'detail');
+      },
+
+      'reports an appointment no vehicle can reach in time, unless its window is widened'() {
+        // The only vehicle starts in Marseille at 08:30, over an hour away from the pickup
+        const farVehicle = testVehicle(1, { coordinates: MARSEILLE, shifts: [{ start: '08:30', end: '13:00' }] });
+        const late = explainUnassigned(testCourse(1), null, { vehicles: [farVehicle], config: TEST_CONFIG });
+        assertEqual(late.code, 'time-window', 'code');
+        assertMatch(late.detail, /pour un RDV à 09:00 \(retard toléré jusqu'à 09:15\)$/, 'detail');
+        assertEqual(explainUnassigned(testCourse(1, { windowExtension: 180 }), null, { vehicles: [farVehicle], config: TEST_CONFIG }).code, 'capacity', 'widened window');
+      },
+
+      'keeps the fallback solver\'s reason, or falls back to a full fleet'() {
+        const vehicles = [testVehicle(1), testVehicle(2, { status: 'maintenance' })];
+        const scored = { id: 11, reasonCode: 'score', description: 'Score 12 sous le seuil' };
+        assertEqual(explainUnassigned(testCourse(1), scored, { vehicles, config: TEST_CONFIG }), { code: 'score', detail: 'Score 12 sous le seuil' }, 'score');
+        assertEqual(explainUnassigned(testCourse(1), { id: 11 }, { vehicles, config: TEST_CONFIG }), {
+          code: 'capacity',
+          detail: '1 véhicule compatible en service, déjà occupé sur 08:30–09:00'
+        }, 'full fleet');
+      },
+
+      'offers other course types and a back-up vehicle for a skills problem'() {
+        const [typeRemedy, taxiRemedy, backup] = getRemedies(testCourse(1, { vehicleType: 'Ambulance' }), 'skills', [testVehicle(1)]);
+        assertEqual(typeRemedy, { type: 'vehicle-type', label: 'Accepter : VSL', changes: { vehicleType: 'VSL' } }, 'type remedy');
+        assertEqual(taxiRemedy.changes, { vehicleType: 'Taxi' }, 'taxi remedy');
+        assertFields(backup.vehicle, {
+          name: 'Renfort Ambulance',
+          type: 'Ambulance',
+          equipment: ['stretcher', 'oxygen'],
+          coordinates: AVIGNON,
+          availableOn: TEST_DAY,
+          shifts: [{ start: '07:00', end: '11:00' }]
+        }, 'back-up vehicle');
+      },
+
+      'equips the back-up vehicle for the course when no type change helps'() {
+        const remedies = getRemedies(testCourse(1, { vehicleType: 'Ambulance', requiredEquipment: ['bariatric'] }), 'skills', [testVehicle(1)]);
+        assertEqual(remedies.map(remedy => remedy.type), ['temporary-vehicle'], 'remedies');
+        assertEqual(remedies[0].vehicle.equipment, ['stretcher', 'oxygen', 'bariatric'], 'equipment');
+      },
+
+      'widens the appointment window or the wait of a return one step at a time'() {
+        const [remedy] = getRemedies(testCourse(1, { windowExtension: 30 }), 'time-window', [testVehicle(1)]);
+        assertEqual(remedy, { type: 'widen-window', label: 'Tolérer +60 min au RDV', changes: { windowExtension: 60 } }, 'outbound');
+        const seriesReturn = testCourse(1, { isReturnTrip: true, seriesId: 4, maxWaitTime: 120 });
+        assertEqual(getRemedies(seriesReturn, 'time-window', [testVehicle(1)])[0], {
+          type: 'widen-window',
+          label: 'Attente max. 3 h',
+          changes: { maxWaitTime: 180 }
+        }, 'series return');
+        assertEqual(getRemedies(testCourse(1), 'outside-shifts', [testVehicle(1)]).map(remedy => remedy.type), ['temporary-vehicle'], 'outside the shifts');
+      },
+
+      'lists the courses left out of the plan, earliest first'() {
+        const { plan, trips } = unassignedScenario();
+        assertEqual(getUnassignedEntries(null, trips, { vehicles: [testVehicle(1)], config: TEST_CONFIG }), [], 'without plan');
+        const entries = getUnassignedEntries(plan, trips, { vehicles: [testVehicle(1)], config: TEST_CONFIG });
+        assertEqual(entries.map(entry => [entry.trip.id, entry.code]), [[2, 'capacity'], [3, 'not-optimized']], 'entries');
+        assertEqual(entries[0].item, { id: 21 }, 'unassigned item');
+      },
+
+      'tells courses added since the optimization apart from unassigned ones'() {
+        const { plan, trips } = unassignedScenario();
+        const [, added] = getUnassignedEntries(plan, trips, { vehicles: [testVehicle(1)], config: TEST_CONFIG });
+        assertEqual(added.reason.label, 'Pas encore optimisée', 'label');
+        assertEqual(added.remedies, [], 'remedies');
+        const olderPlan = { routes: plan.routes, results: [{ trip: trips[1] }], insertedTripIds: [3] };
+        assertEqual(getUnassignedEntries(olderPlan, trips, { vehicles: [testVehicle(1)], config: TEST_CONFIG }).map(entry => entry.code), ['capacity', 'capacity'], 'older plan');
+      }
+    }
+  }
+};
+
+/**
+ * Test suite execution functions
+ */
+export const planningTestSuite = {
+
+  // Run the checks of one feature
+  async runFeature(featureName) {
+    const feature = PLANNING_TESTS[featureName];
+    if (!feature) {
+      throw new Error(`Feature '${featureName}' not found`);
+    }
+
+    console.log(`🧪 Checking: ${feature.name}`);
+    const startTime = Date.now();
+    const checks = [];
+
+    for (const [name, check] of Object.entries(feature.checks)) {
+      try {
+        await check();
+        checks.push({ name, success: true });
+        console.log(`  ✅ ${name}`);
+      } catch (error) {
+        checks.push({ name, success: false, error: error.message });
+        console.log(`  ❌ ${name}: ${error.message}`);
+      }
+    }
+
+    const failed = checks.filter(c => !c.success).length;
+    return {
+      feature: featureName,
+      name: feature.name,
+      success: failed === 0,
+      passed: checks.length - failed,
+      failed,
+      checks,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  },
+
+  // Run the checks of every feature
+  async runAllFeatures() {
+    console.log('🎯 Starting planning test suite...');
+
+    const results = [];
+    for (const featureName of Object.keys(PLANNING_TESTS)) {
+      results.push(await this.runFeature(featureName));
+    }
+
+    const summary = {
+      total: results.reduce((sum, r) => sum + r.passed + r.failed, 0),
+      passed: results.reduce((sum, r) => sum + r.passed, 0),
+      failed: results.reduce((sum, r) => sum + r.failed, 0),
+      totalDuration: results.reduce((sum, r) => sum + r.duration, 0),
+      results
+    };
+
+    console.log(`📊 Planning Tests Complete: ${summary.passed}/${summary.total} passed (${summary.totalDuration}ms total)`);
+    return summary;
+  },
+
+  // Get feature list
+  getFeatures() {
+    return Object.keys(PLANNING_TESTS).map(key => ({
+      key,
+      name: PLANNING_TESTS[key].name,
+      description: PLANNING_TESTS[key].description,
+      checks: Object.keys(PLANNING_TESTS[key].checks).length
+    }));
+  }
+};
+
+export { PLANNING_TESTS };
+
+export default {
+  planningTestSuite,
+  PLANNING_TESTS
+};
+
+// Entry point for the OptimizationTester component
+export async function runAllPlanningTests() {
+  return await planningTestSuite.runAllFeatures();
+}
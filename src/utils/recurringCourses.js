@@ -0,0 +1,253 @@
+/**
+ * Recurring Course Series for AmbuSched
+ * A series is a course carrying a `recurrence` rule (dialysis 3x/week, radiotherapy every weekday...).
+ * It is stored once and expanded into concrete courses for a given day by the materializer.
+ *
+ * recurrence: {
+ *   weekdays: [1, 3, 5],          // JS weekdays (0 = Sunday ... 6 = Saturday)
+ *   endDate: '2026-12-31' | null, // Last possible occurrence (the series starts on course.date)
+ *   exceptions: ['2026-11-11'],   // Dates without occurrence
+ *   overrides: { '2026-11-04': { appointmentTime: '14:00' } }, // Per-occurrence changes
+ *   returnOverrides: { '2026-11-04': { vehicleType: 'Ambulance' } } // Changes of one occurrence's return
+ * }
+ */
+
+import { parseDateKey, getDayStart, isValidDateKey } from './planningCalendar';
+import { generateReturnCourse } from './returnCourses';
+
+// Fields an occurrence may override (everything else always comes from the series)
+export const OVERRIDABLE_FIELDS = [
+  'patient',
+  'pickup',
+  'destination',
+  'coordinates',
+  'destinationCoords',
+  'appointmentTime',
+  'duration',
+  'returnTime',
+  'vehicleType',
+  'requiredEquipment',
+  'shareable',
+  'maxDetour'
+];
+
+// Weekdays in display order (Monday first), with JS getDay() values
+export const WEEKDAYS = [
+  { value: 1, label: 'Lun' },
+  { value: 2, label: 'Mar' },
+  { value: 3, label: 'Mer' },
+  { value: 4, label: 'Jeu' },
+  { value: 5, label: 'Ven' },
+  { value: 6, label: 'Sam' },
+  { value: 0, label: 'Dim' }
+];
+
+// Occurrence ids are derived from the series id and the day, so they stay stable across reloads.
+// They start above any stored course id and encode (series, day, outbound or return) one-to-one.
+const OCCURRENCE_ID_BASE = 1e9;
+const DAYS_PER_SERIES = 100000; // Day numbers since 1970 stay below this until 2243
+
+// First id scheme (series * 100000 + day % 50000, returns + 50000), renumbered by storage migration v7
+const LEGACY_OCCURRENCE_ID_FACTOR = 100000;
+const LEGACY_RETURN_ID_OFFSET = 50000;
+
+/**
+ * Check if a course is a series template
+ */
+export function isRecurringCourse(course) {
+  return Boolean(course.recurrence && Array.isArray(course.recurrence.weekdays) && course.recurrence.weekdays.length > 0);
+}
+
+/**
+ * Check if a series has an occurrence on a given day
+ */
+export function occursOnDate(series, dateKey) {
+  if (!isRecurringCourse(series)) return false;
+
+  const { weekdays, endDate, exceptions = [] } = series.recurrence;
+
+  if (series.date && dateKey < series.date) return false;
+  if (endDate && dateKey > endDate) return false;
+  if (exceptions.includes(dateKey)) return false;
+
+  return weekdays.includes(parseDateKey(dateKey).getDay());
+}
+
+/**
+ * Stable numeric id of an occurrence or of its return (UI and VROOM map steps back with id * 10 + 1)
+ */
+export function getOccurrenceId(seriesId, dateKey, isReturn = false) {
+  const dayNumber = Math.round(getDayStart(dateKey) / 86400);
+  return OCCURRENCE_ID_BASE + (seriesId * DAYS_PER_SERIES + dayNumber) * 2 + (isReturn ? 1 : 0);
+}
+
+/**
+ * Series id encoded in an occurrence id (null for any other course id)
+ */
+export function getOccurrenceSeriesId(id) {
+  if (typeof id !== 'number' || id < OCCURRENCE_ID_BASE) return null;
+  return Math.floor((id - OCCURRENCE_ID_BASE) / 2 / DAYS_PER_SERIES);
+}
+
+/**
+ * Id of the current scheme for an occurrence id of the first scheme on a given day
+ * (other ids are returned unchanged)
+ */
+export function migrateLegacyOccurrenceId(id, dateKey) {
+  if (typeof id !== 'number' || id < LEGACY_OCCURRENCE_ID_FACTOR || id >= OCCURRENCE_ID_BASE) return id;
+
+  const seriesId = Math.floor(id / LEGACY_OCCURRENCE_ID_FACTOR);
+  const isReturn = id % LEGACY_OCCURRENCE_ID_FACTOR >= LEGACY_RETURN_ID_OFFSET;
+  return getOccurrenceId(seriesId, dateKey, isReturn);
+}
+
+/**
+ * Build the concrete course of a series for a given day
+ */
+export function materializeOccurrence(series, dateKey) {
+  const { recurrence, ...template } = series;
+  const override = recurrence.overrides?.[dateKey] || null;
+
+  return {
+    ...template,
+    ...override,
+    id: getOccurrenceId(series.id, dateKey),
+    date: dateKey,
+    seriesId: series.id,
+    occurrenceDate: dateKey,
+    isOverridden: Boolean(override),
+    isReturnTrip: false,
+    originalCourseId: null
+  };
+}
+
+/**
+ * Expand courses into the concrete list for one day:
+ * single courses of that day (with their stored returns) plus series occurrences and their returns
+ */
+export function materializeCoursesForDate(courses, dateKey) {
+  const dayCourses = [];
+
+  courses.forEach(course => {
+    if (isRecurringCourse(course)) {
+      if (!occursOnDate(course, dateKey)) return;
+
+      const occurrence = materializeOccurrence(course, dateKey);
+      dayCourses.push(occurrence);
+
+      const hasValidDuration = occurrence.duration && occurrence.duration > 0;
+      const hasValidReturnTime = occurrence.returnTime && occurrence.returnTime !== '00:00' && occurrence.returnTime !== '0:00';
+      if (hasValidDuration || hasValidReturnTime) {
+        dayCourses.push({
+          ...generateReturnCourse(occurrence, getOccurrenceId(course.id, dateKey, true)),
+          ...course.recurrence.returnOverrides?.[dateKey],
+          seriesId: course.id,
+          occurrenceDate: dateKey
+        });
+      }
+    } else if (course.date === dateKey) {
+      dayCourses.push(course);
+    }
+  });
+
+  return dayCourses;
+}
+
+/**
+ * Keep only the fields of an edited occurrence that differ from its series
+ */
+export function getOccurrenceOverride(series, occurrenceData) {
+  const override = {};
+
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (occurrenceData[field] === undefined) return;
+    if (JSON.stringify(occurrenceData[field]) !== JSON.stringify(series[field])) {
+      override[field] = occurrenceData[field];
+    }
+  });
+
+  return Object.keys(override).length > 0 ? override : null;
+}
+
+/**
+ * Return a copy of the series with an occurrence override set (or cleared when null)
+ */
+export function setOccurrenceOverride(series, dateKey, override) {
+  const overrides = { ...(series.recurrence.overrides || {}) };
+  if (override) {
+    overrides[dateKey] = override;
+  } else {
+    delete overrides[dateKey];
+  }
+
+  return { ...series, recurrence: { ...series.recurrence, overrides } };
+}
+
+/**
+ * Return a copy of the series with the return of one occurrence changed (or restored when null)
+ */
+export function setReturnOverride(series, dateKey, override) {
+  const returnOverrides = { ...(series.recurrence.returnOverrides || {}) };
+  if (override) {
+    returnOverrides[dateKey] = override;
+  } else {
+    delete returnOverrides[dateKey];
+  }
+
+  return { ...series, recurrence: { ...series.recurrence, returnOverrides } };
+}
+
+/**
+ * Return a copy of the series without its occurrence on a given day
+ */
+export function addSeriesException(series, dateKey) {
+  const exceptions = [...new Set([...(series.recurrence.exceptions || []), dateKey])].sort();
+  const overrides = { ...(series.recurrence.overrides || {}) };
+  delete overrides[dateKey];
+  const returnOverrides = { ...(series.recurrence.returnOverrides || {}) };
+  delete returnOverrides[dateKey];
+
+  return { ...series, recurrence: { ...series.recurrence, exceptions, overrides, returnOverrides } };
+}
+
+/**
+ * Parse a comma/space separated list of exception dates, ignoring invalid entries
+ */
+export function parseExceptionDates(value) {
+  if (!value) return [];
+  return [...new Set(
+    value.split(/[\s,;]+/).map(date => date.trim()).filter(isValidDateKey)
+  )].sort();
+}
+
+/**
+ * Short French description of a recurrence rule (e.g. "Lun, Mer, Ven jusqu'au 2026-12-31")
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence?.weekdays?.length) return '';
+
+  const days = WEEKDAYS
+    .filter(day => recurrence.weekdays.includes(day.value))
+    .map(day => day.label)
+    .join(', ');
+
+  return recurrence.endDate ? `${days} jusqu'au ${recurrence.endDate}` : days;
+}
+
+export default {
+  OVERRIDABLE_FIELDS,
+  WEEKDAYS,
+  isRecurringCourse,
+  occursOnDate,
+  getOccurrenceId,
+  getOccurrenceSeriesId,
+  migrateLegacyOccurrenceId,
+  materializeOccurrence,
+  materializeCoursesForDate,
+  getOccurrenceOverride,
+  setOccurrenceOverride,
+  setReturnOverride,
+  addSeriesException,
+  parseExceptionDates,
+  describeRecurrence
+};
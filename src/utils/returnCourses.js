@@ -3,60 +3,72 @@
  * Handles automatic generation of return trips for patients
  */
 
+import { getCourseTimestamp, toTimestamp, timestampToTime, getTodayKey } from './planningCalendar';
+
 /**
- * Calculate the exit time for a course based on appointment time and duration
+ * Calculate the exit timestamp for a course based on appointment time and duration
+ * (or explicit return time). The result may fall on the next day.
  */
-function calculateExitTime(appointmentTime, duration) {
-  const [hours, minutes] = appointmentTime.split(':').map(Number);
-  const appointmentMinutes = hours * 60 + minutes;
-  const exitMinutes = appointmentMinutes + duration;
-  
-  const exitHours = Math.floor(exitMinutes / 60);
-  const exitMins = exitMinutes % 60;
-  
-  return `${exitHours.toString().padStart(2, '0')}:${exitMins.toString().padStart(2, '0')}`;
+function calculateExitTimestamp(course) {
+  const appointmentTimestamp = getCourseTimestamp(course);
+
+  if (course.returnTime && course.returnTime !== '00:00' && course.returnTime !== '0:00') {
+    let exitTimestamp = toTimestamp(course.date || getTodayKey(), course.returnTime);
+    // A return time earlier than the appointment means the patient leaves after midnight
+    if (exitTimestamp < appointmentTimestamp) {
+      exitTimestamp = toTimestamp(course.date || getTodayKey(), addHours(course.returnTime, 24));
+    }
+    return exitTimestamp;
+  }
+
+  return appointmentTimestamp + (course.duration || 0) * 60;
 }
 
 /**
- * Calculate the earliest pickup time for return trip (exit + buffer time)
+ * Add hours to a "HH:MM" string without wrapping (e.g. "00:30" + 24 → "24:30")
  */
-function calculateReturnPickupTime(exitTime, bufferMinutes = 15) {
-  const [hours, minutes] = exitTime.split(':').map(Number);
-  const exitMinutes = hours * 60 + minutes;
-  const returnMinutes = exitMinutes + bufferMinutes;
-  
-  const returnHours = Math.floor(returnMinutes / 60);
-  const returnMins = returnMinutes % 60;
-  
-  return `${returnHours.toString().padStart(2, '0')}:${returnMins.toString().padStart(2, '0')}`;
+function addHours(timeStr, hoursToAdd) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return `${(hours + hoursToAdd).toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
 }
 
 /**
  * Generate return course for a given course
  */
 export function generateReturnCourse(originalCourse, newId) {
-  // Calculate exit time from appointment time and duration
-  const exitTime = originalCourse.returnTime || 
-    calculateExitTime(originalCourse.appointmentTime, originalCourse.duration);
-  
-  // Calculate earliest return pickup time (exit + 15 minutes buffer)
-  const returnPickupTime = calculateReturnPickupTime(exitTime, 15);
-  
+  // Calculate exit timestamp from appointment time and duration
+  const exitTimestamp = calculateExitTimestamp(originalCourse);
+
+  // Earliest return pickup (exit + 15 minutes buffer)
+  const earliestPickupTimestamp = exitTimestamp + 15 * 60;
+  const exitTime = timestampToTime(exitTimestamp);
+
   return {
     id: newId,
+    date: originalCourse.date || getTodayKey(), // Planning day of the outbound trip, even if the return crosses midnight
+    patientId: originalCourse.patientId || null,
     patient: originalCourse.patient,
+    facilityId: originalCourse.facilityId || null, // The facility is now the pickup
+    entranceId: originalCourse.entranceId || null,
+    handoverMinutes: originalCourse.handoverMinutes ?? null,
     pickup: originalCourse.destination, // Switch: destination becomes pickup
     destination: originalCourse.pickup, // Switch: pickup becomes destination
     coordinates: [...originalCourse.destinationCoords], // Switch coordinates
     destinationCoords: [...originalCourse.coordinates], // Switch coordinates
     appointmentTime: exitTime, // For return courses, this is when patient is available for pickup
+    appointmentTimestamp: exitTimestamp,
     duration: 30, // Default return duration
     returnTime: null, // No return for return trips
     isReturnTrip: true,
     originalCourseId: originalCourse.id,
     vehicleType: originalCourse.vehicleType || 'VSL',
+    requiredEquipment: originalCourse.requiredEquipment || [],
+    shareable: Boolean(originalCourse.shareable), // Sharing preferences apply to the ride home too
+    maxDetour: originalCourse.maxDetour,
     exitTime: exitTime, // When patient finished appointment
-    earliestPickupTime: returnPickupTime, // Earliest we can pick up (with buffer)
+    exitTimestamp,
+    earliestPickupTime: timestampToTime(earliestPickupTimestamp), // Earliest we can pick up (with buffer)
+    earliestPickupTimestamp,
     maxWaitTime: 240 // Maximum wait time in minutes (4 hours - mandatory pickup)
   };
 }
@@ -66,7 +78,11 @@ export function generateReturnCourse(originalCourse, newId) {
  */
 export function generateReturnCourses(courses) {
   const returnCourses = [];
-  let maxId = Math.max(...courses.map(c => c.id), 0);
+  // Series occurrences have ids of their own range (see recurringCourses), kept out of the count
+  let maxId = Math.max(...courses.filter(c => !c.seriesId).map(c => c.id), 0);
+
+  // Courses whose return is already in the list (stored, or materialized from a series)
+  const coursesWithReturn = new Set(courses.filter(c => c.isReturnTrip).map(c => c.originalCourseId));
   
   courses.forEach(course => {
     // Only generate return for non-return courses that have duration > 0 or explicit return time that's not "00:00"
@@ -81,7 +97,9 @@ export function generateReturnCourses(courses) {
       isReturnTrip: course.isReturnTrip
     });
     
-    if (!course.isReturnTrip && (hasValidDuration || hasValidReturnTime)) {
+    if (coursesWithReturn.has(course.id)) {
+      console.log(`↩️ Course ${course.id} already has its return course`);
+    } else if (!course.isReturnTrip && (hasValidDuration || hasValidReturnTime)) {
       console.log(`✅ Generating return course for ${course.id}`);
       const returnCourse = generateReturnCourse(course, ++maxId);
       console.log(`📝 Return course ${returnCourse.id} details:`, {
@@ -109,12 +127,17 @@ export function processCoursesWithReturns(courses) {
 
 /**
  * Calculate waiting time for a return course given actual pickup time
+ * (absolute timestamp, or "HH:MM" on the exit day)
  */
 export function calculateWaitingTime(returnCourse, actualPickupTime) {
   if (!returnCourse.isReturnTrip || !returnCourse.exitTime) {
     return 0;
   }
-  
+
+  if (typeof actualPickupTime === 'number' && typeof returnCourse.exitTimestamp === 'number') {
+    return Math.max(0, Math.round((actualPickupTime - returnCourse.exitTimestamp) / 60));
+  }
+
   const [exitHours, exitMinutes] = returnCourse.exitTime.split(':').map(Number);
   const [pickupHours, pickupMinutes] = actualPickupTime.split(':').map(Number);
   
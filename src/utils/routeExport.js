@@ -0,0 +1,150 @@
+/**
+ * Route Export Utilities for AmbuSched
+ * Writes the road geometries of an optimized day as a GeoJSON FeatureCollection (every
+ * vehicle: its track and its stops) or as GPX files (one per vehicle: track and waypoints)
+ * that in-cab navigation devices can load.
+ */
+
+import { formatTimestamp } from './planningCalendar';
+
+const STOP_LABELS = {
+  base: 'Base',
+  pickup: 'Prise en charge',
+  delivery: 'Dépose'
+};
+
+function getVehicleName(vehicles, vehicleId) {
+  return vehicles.find(v => v.id === vehicleId)?.name || `Véhicule ${vehicleId}`;
+}
+
+function getStopName(stop) {
+  return stop.trip ? `${STOP_LABELS[stop.kind]} – ${stop.trip.patient}` : STOP_LABELS[stop.kind];
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * GeoJSON FeatureCollection of the day: one LineString per vehicle, one Point per stop
+ * @param {Object} geometries - { [vehicleId]: geometry } from buildRouteGeometries
+ * @param {Object} context - { vehicles, date }
+ */
+export function buildRoutesGeoJSON(geometries, { vehicles, date }) {
+  const features = [];
+
+  Object.values(geometries).forEach(geometry => {
+    const vehicleName = getVehicleName(vehicles, geometry.vehicleId);
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: geometry.coordinates },
+      properties: {
+        kind: 'route',
+        vehicleId: geometry.vehicleId,
+        vehicleName,
+        date,
+        distanceKm: geometry.distanceKm,
+        durationMin: geometry.durationMin,
+        roadSnapped: geometry.roadSnapped
+      }
+    });
+
+    geometry.stops.forEach((stop, order) => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: stop.coords },
+        properties: {
+          kind: stop.kind,
+          vehicleId: geometry.vehicleId,
+          vehicleName,
+          order,
+          name: getStopName(stop),
+          address: stop.trip ? (stop.kind === 'pickup' ? stop.trip.pickup : stop.trip.destination) : null,
+          time: typeof stop.arrival === 'number' ? formatTimestamp(stop.arrival, date) : null
+        }
+      });
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * GPX 1.1 file of one vehicle: its stops as waypoints and its road path as a track
+ * @param {Object} geometry - Geometry of the vehicle's route
+ * @param {Object} context - { vehicles, date }
+ */
+export function buildRouteGpx(geometry, { vehicles, date }) {
+  const vehicleName = getVehicleName(vehicles, geometry.vehicleId);
+  const waypoints = geometry.stops
+    .filter(stop => stop.kind !== 'base')
+    .map(stop => [
+      `  <wpt lat="${stop.coords[1]}" lon="${stop.coords[0]}">`,
+      typeof stop.arrival === 'number' && `    <time>${new Date(stop.arrival * 1000).toISOString()}</time>`,
+      `    <name>${escapeXml(getStopName(stop))}</name>`,
+      stop.trip && `    <desc>${escapeXml(stop.kind === 'pickup' ? stop.trip.pickup : stop.trip.destination)}</desc>`,
+      '  </wpt>'
+    ].filter(Boolean).join('\n'));
+  const trackPoints = geometry.coordinates
+    .map(([lng, lat]) => `      <trkpt lat="${lat}" lon="${lng}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="AmbuSched" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(`${vehicleName} – ${date}`)}</name></metadata>`,
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXml(vehicleName)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download every route of the day as one .geojson file
+ */
+export function exportRoutesGeoJSON(geometries, context) {
+  if (Object.keys(geometries).length === 0) {
+    throw new Error('Aucun tracé de tournée à exporter');
+  }
+  downloadFile(JSON.stringify(buildRoutesGeoJSON(geometries, context), null, 2), 'application/geo+json', `tournees_${context.date}.geojson`);
+}
+
+/**
+ * Download the route of one vehicle as a .gpx file
+ */
+export function exportRouteGpx(geometries, context, vehicleId) {
+  const geometry = geometries[vehicleId];
+  if (!geometry) {
+    throw new Error('Tracé de la tournée pas encore calculé');
+  }
+  const name = getVehicleName(context.vehicles, vehicleId).replace(/[^\w-]+/g, '_');
+  downloadFile(buildRouteGpx(geometry, context), 'application/gpx+xml', `tournee_${name}_${context.date}.gpx`);
+}
+
+export default {
+  buildRoutesGeoJSON,
+  buildRouteGpx,
+  exportRoutesGeoJSON,
+  exportRouteGpx
+};
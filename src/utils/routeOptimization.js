@@ -17,6 +17,9 @@ import {
   getVROOMServiceInfo 
 } from '../services/vroomService.js';
 
+import { checkVehicleForCourse } from './vehicleSkills.js';
+import { geocodeBest } from '../services/geocoder.js';
+
 /**
  * Calculate distance between two points using Haversine formula
  * @param {Object} point1 - {lat, lng}
@@ -62,64 +65,17 @@ export function estimateTravelTime(distance, timeOfDay = 'afternoon', roadType =
 }
 
 /**
- * Mock geocoding function - in production, use OpenRouteService
+ * Geocode an address with the geocoder backends (offline BAN gazetteer by default)
  * @param {string} address - Address to geocode
  * @returns {Promise<Object>} Promise resolving to {lat, lng}
+ * @throws {Error} When no backend finds the address with enough confidence
  */
 export async function geocodeAddress(address) {
-  // Mock coordinates for common addresses in the Var region and test addresses
-  const mockCoordinates = {
-    'hyères': { lat: 43.1205, lng: 6.1286 },
-    'toulon': { lat: 43.1242, lng: 5.9282 },
-    'la seyne-sur-mer': { lat: 43.1042, lng: 5.8785 },
-    'six-fours-les-plages': { lat: 43.0939, lng: 5.8372 },
-    'ollioules': { lat: 43.1395, lng: 5.8475 },
-    'sanary-sur-mer': { lat: 43.1196, lng: 5.7998 },
-    'bandol': { lat: 43.1356, lng: 5.7531 },
-    'le pradet': { lat: 43.0817, lng: 6.0269 },
-    'carqueiranne': { lat: 43.0947, lng: 6.0783 },
-    
-    // Vaucluse region test addresses
-    'carpentras': { lat: 44.0550, lng: 5.0481 },
-    'carpentras centre': { lat: 44.0550, lng: 5.0481 },
-    'avignon': { lat: 43.9493, lng: 4.8055 },
-    'avignon centre': { lat: 43.9493, lng: 4.8055 },
-    'monteux': { lat: 44.0333, lng: 5.0067 },
-    'pernes-les-fontaines': { lat: 44.0061, lng: 5.0572 },
-    "l'isle-sur-la-sorgue": { lat: 43.9186, lng: 5.0506 },
-    'vedène': { lat: 44.0000, lng: 4.9000 },
-    'sarrians': { lat: 44.0833, lng: 4.9667 },
-    'aubignan': { lat: 44.0833, lng: 5.0333 },
-    'saint-didier': { lat: 44.0167, lng: 5.1000 },
-    'mazan': { lat: 44.0667, lng: 5.1167 },
-    'mormoiron': { lat: 44.0667, lng: 5.1833 },
-    'entraigues-sur-la-sorgue': { lat: 44.0000, lng: 4.9167 },
-    'sorgues': { lat: 44.0167, lng: 4.8667 },
-    'le thor': { lat: 43.9333, lng: 5.0000 },
-    'châteauneuf-du-pape': { lat: 44.0556, lng: 4.8306 },
-    
-    // Healthcare facilities
-    'hôpital': { lat: 43.9493, lng: 4.8055 },
-    'chu': { lat: 43.9493, lng: 4.8055 },
-    'clinique': { lat: 43.9493, lng: 4.8055 },
-    'ehpad': { lat: 43.9493, lng: 4.8055 },
-    'centre hospitalier': { lat: 43.9493, lng: 4.8055 },
-    'polyclinique': { lat: 43.9493, lng: 4.8055 },
-    
-    // Default fallback
-    'default': { lat: 43.1205, lng: 6.1286 } // Default to Hyères
-  };
-
-  const normalizedAddress = address.toLowerCase();
-  const coords = Object.keys(mockCoordinates).find(key => 
-    normalizedAddress.includes(key)
-  );
-
-  return new Promise(resolve => {
-    setTimeout(() => {
-      resolve(mockCoordinates[coords] || mockCoordinates.default);
-    }, 100); // Simulate API delay
-  });
+  const result = await geocodeBest(address);
+  if (!result) {
+    throw new Error(`Adresse introuvable : ${address}`);
+  }
+  return { lat: result.coordinates[1], lng: result.coordinates[0] };
 }
 
 /**
@@ -149,7 +105,7 @@ export async function calculateOptimizationScore(trip, vehicle, existingTrips =
     const totalTime = timeToPickup + tripDuration;
 
     // Calculate compatibility score
-    const vehicleTypeScore = getVehicleTypeScore(trip.vehicleType, vehicle.type);
+    const vehicleTypeScore = getVehicleTypeScore(trip, vehicle);
     const timeSlotScore = calculateTimeSlotScore(trip, vehicle, existingTrips);
     const distanceScore = calculateDistanceScore(totalDistance);
     const priorityScore = getPriorityScore(trip.priority);
@@ -346,7 +302,7 @@ function calculateEnhancedCompatibilityScore(trip, vehicle, baseScore) {
 function getCompatibilityDetails(trip, vehicle) {
   return {
     exactTypeMatch: trip.vehicleType === vehicle.type,
-    typeCompatibility: getVehicleTypeScore(trip.vehicleType, vehicle.type),
+    typeCompatibility: getVehicleTypeScore(trip, vehicle),
     priorityBoost: trip.priority === 'urgent' ? 15 : trip.priority === 'high' ? 8 : 0,
     statusPenalty: vehicle.status === 'busy' ? 20 : 0,
     availabilityBonus: vehicle.status === 'available' ? 10 : 0
@@ -1378,7 +1334,7 @@ function findCompatibleVehicle(trips, vehicles) {
   // Find a vehicle that can handle all trips in the route
   return vehicles.find(vehicle => {
     return trips.every(trip => 
-      getVehicleTypeScore(trip.vehicleType, vehicle.type) > 80
+      getVehicleTypeScore(trip, vehicle) > 80
     );
   });
 }
@@ -2043,7 +1999,8 @@ async function findBestVehicleWithOSRM(trip, vehicles, routingData, vehicleAssig
       const totalDuration = durationToPickup + durationTrip;
 
       // Calculate compatibility score
-      const vehicleTypeScore = getVehicleTypeScore(trip.vehicleType, vehicle.type);
+      const vehicleTypeScore = getVehicleTypeScore(trip, vehicle);
+      if (vehicleTypeScore === 0) continue; // Vehicle type or equipment can't serve this trip
       const distanceScore = Math.max(0, 100 - (totalDistance / 1000) * 2); // Penalty for distance
       const timeScore = Math.max(0, 100 - (totalDuration / 60) * 1); // Penalty for time
       const priorityScore = getPriorityScore(trip.priority);
@@ -2172,34 +2129,14 @@ export async function smartOptimize(trips, vehicles, options = {}) {
  */
 
 /**
- * Calculate vehicle type compatibility score
- * @param {string} requiredType - Required vehicle type for the trip
- * @param {string} vehicleType - Actual vehicle type
- * @returns {number} Compatibility score (0-100)
+ * Calculate vehicle type and equipment compatibility score
+ * @param {Object} trip - Trip with its required vehicle type and equipment
+ * @param {Object} vehicle - Vehicle with its type and equipment
+ * @returns {number} Compatibility score (0-100, 0 when the vehicle cannot serve the trip)
  */
-function getVehicleTypeScore(requiredType, vehicleType) {
-  // Perfect match
-  if (requiredType === vehicleType) {
-    return 100;
-  }
-  
-  // Compatibility matrix for medical transport
-  const compatibility = {
-    'Ambulance': {
-      'VSL': 60,      // VSL can handle some ambulance trips (non-emergency)
-      'Taxi': 20      // Taxi is last resort for ambulance trips
-    },
-    'VSL': {
-      'Ambulance': 90,  // Ambulance can always handle VSL trips
-      'Taxi': 70       // Taxi can handle many VSL trips
-    },
-    'Taxi': {
-      'Ambulance': 85,  // Ambulance can handle taxi trips easily
-      'VSL': 80        // VSL can handle most taxi trips
-    }
-  };
-  
-  return compatibility[requiredType]?.[vehicleType] || 30; // Default minimum compatibility
+function getVehicleTypeScore(trip, vehicle) {
+  const { compatible, score } = checkVehicleForCourse(trip, vehicle);
+  return compatible ? score : 0;
 }
 
 /**
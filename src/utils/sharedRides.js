@@ -0,0 +1,83 @@
+/**
+ * Shared Ride Utilities for AmbuSched
+ * Seated patients flagged as shareable may travel together in the same vehicle,
+ * as long as the vehicle has free seats and each co-rider accepts the detour.
+ */
+
+// Extra ride time a shareable patient accepts by default (minutes)
+export const DEFAULT_MAX_DETOUR = 15;
+
+/**
+ * Check if a course accepts sharing the vehicle with other patients
+ */
+export function isShareable(course) {
+  return Boolean(course.shareable);
+}
+
+/**
+ * Maximum detour (minutes) a course accepts
+ */
+export function getMaxDetour(course) {
+  return Number.isFinite(course.maxDetour) && course.maxDetour >= 0 ? course.maxDetour : DEFAULT_MAX_DETOUR;
+}
+
+/**
+ * Trip id of a pickup/delivery step (step ids are tripId * 10 + 1 / + 2)
+ */
+function getStepTripId(step) {
+  return Math.floor(step.id / 10);
+}
+
+/**
+ * Walk the steps of a route and collect, for each trip, the other trips on board at the same time
+ * @param {Object} route - Route with ordered pickup/delivery steps
+ * @returns {Map} tripId → array of co-rider trip ids (only trips sharing the vehicle)
+ */
+export function getCoRiders(route) {
+  const onBoard = new Set();
+  const coRiders = new Map();
+
+  const link = (tripA, tripB) => {
+    if (!coRiders.has(tripA)) coRiders.set(tripA, new Set());
+    coRiders.get(tripA).add(tripB);
+  };
+
+  (route?.steps || []).forEach(step => {
+    if (step.type === 'pickup') {
+      const tripId = getStepTripId(step);
+      onBoard.forEach(otherId => {
+        link(tripId, otherId);
+        link(otherId, tripId);
+      });
+      onBoard.add(tripId);
+    } else if (step.type === 'delivery') {
+      onBoard.delete(getStepTripId(step));
+    }
+  });
+
+  return new Map(Array.from(coRiders.entries()).map(([tripId, riders]) => [tripId, Array.from(riders)]));
+}
+
+/**
+ * Highest number of patients on board at once along a route
+ */
+export function getPeakOccupancy(route) {
+  let onBoard = 0;
+  let peak = 0;
+
+  (route?.steps || []).forEach(step => {
+    if (step.type === 'pickup') onBoard++;
+    if (step.type === 'delivery') onBoard = Math.max(0, onBoard - 1);
+    peak = Math.max(peak, onBoard);
+  });
+
+  return peak;
+}
+
+export default {
+  DEFAULT_MAX_DETOUR,
+  isShareable,
+  getMaxDetour,
+  getCoRiders,
+  getPeakOccupancy
+};
@@ -0,0 +1,229 @@
+/**
+ * Spreadsheet Utilities for AmbuSched
+ * Reads .xlsx/.xls/.ods course lists into the same tables as CSV files (one per sheet),
+ * and exports an optimized day to .xlsx with one sheet per vehicle.
+ * Date and time cells are turned into text ("2026-10-21", "08:30") so that the column
+ * mapping and validation treat them like CSV values.
+ * SheetJS is loaded on first use, so it stays out of the main bundle.
+ */
+
+import { formatTimestamp, formatDateLabel } from './planningCalendar';
+
+const SPREADSHEET_EXTENSIONS = /\.(xlsx|xlsm|xls|ods)$/i;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30); // Day 0 of Excel serial dates (1900 leap year bug included)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SHEET_NAME = 31;
+
+/**
+ * Whether an import file is a spreadsheet (by extension, or zip/OLE signature)
+ * @param {File} file - Uploaded file
+ * @param {ArrayBuffer} buffer - File content
+ */
+export function isSpreadsheetFile(file, buffer) {
+  if (SPREADSHEET_EXTENSIONS.test(file.name || '')) return true;
+  const bytes = new Uint8Array(buffer.slice(0, 4));
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  const isOle = bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0;
+  return isZip || isOle;
+}
+
+/**
+ * Date (YYYY-MM-DD) of an Excel serial number
+ */
+export function excelSerialToDateKey(serial) {
+  return new Date(EXCEL_EPOCH + Math.floor(serial) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Time (HH:MM) of the fractional part of an Excel serial number
+ */
+export function excelSerialToTime(serial) {
+  const minutes = Math.round((serial - Math.floor(serial)) * 24 * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Text of a date/time serial: date, time, or both
+function serialToText(serial) {
+  const hasDate = Math.floor(serial) > 0;
+  const hasTime = serial !== Math.floor(serial);
+  if (hasDate && hasTime) return `${excelSerialToDateKey(serial)} ${excelSerialToTime(serial)}`;
+  return hasDate ? excelSerialToDateKey(serial) : excelSerialToTime(serial);
+}
+
+function cellToText(XLSX, cell) {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+  if (cell.v instanceof Date) {
+    const local = new Date(cell.v.getTime() - cell.v.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16).replace('T', ' ').replace(' 00:00', '');
+  }
+  if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) return serialToText(cell.v);
+  if (cell.t === 'b') return cell.v ? 'oui' : 'non';
+  return String(cell.v).trim();
+}
+
+/**
+ * Rows of a sheet as text; every cell of a merged area takes the value of its top-left cell
+ * @returns {Object} { rows, mergedRows }: rows holding a merge spanning several columns
+ */
+function readSheetRows(XLSX, sheet) {
+  if (!sheet['!ref']) return { rows: [], mergedRows: new Set() };
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+
+  const mergedCells = new Map();
+  const mergedRows = new Set();
+  (sheet['!merges'] || []).forEach(merge => {
+    const origin = sheet[XLSX.utils.encode_cell(merge.s)];
+    if (merge.e.c > merge.s.c) mergedRows.add(merge.s.r);
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        mergedCells.set(`${r}:${c}`, origin);
+      }
+    }
+  });
+
+  const rows = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(cellToText(XLSX, mergedCells.get(`${r}:${c}`) || sheet[XLSX.utils.encode_cell({ r, c })]));
+    }
+    rows.push(row);
+  }
+  return { rows, mergedRows: new Set([...mergedRows].map(r => r - range.s.r)) };
+}
+
+/**
+ * Table (headers and data records, as read from a CSV file) of a sheet, or null when empty.
+ * Title rows above the header (one text over merged cells) are skipped; a two-level header
+ * (group label merged over several columns, column names below) gives "Groupe Colonne" names.
+ */
+function readSheetTable(XLSX, sheet) {
+  const { rows, mergedRows } = readSheetRows(XLSX, sheet);
+  const headerIndex = rows.findIndex(row => new Set(row.filter(Boolean)).size >= 2);
+  if (headerIndex === -1) return null;
+
+  let headers = rows[headerIndex];
+  let dataStart = headerIndex + 1;
+  const subHeaders = rows[headerIndex + 1];
+  if (mergedRows.has(headerIndex) && subHeaders) {
+    headers = headers.map((group, c) => {
+      const name = subHeaders[c];
+      if (!name || name === group) return group;
+      return group ? `${group} ${name}` : name;
+    });
+    dataStart++;
+  }
+
+  // Columns past the last one holding a header or a value are formatting leftovers
+  const records = rows.slice(dataStart)
+    .map((fields, index) => ({ row: dataStart + index + 1, fields }))
+    .filter(record => record.fields.some(Boolean));
+  const width = Math.max(
+    headers.reduce((last, header, c) => (header ? c + 1 : last), 0),
+    ...records.map(record => record.fields.reduce((last, value, c) => (value ? c + 1 : last), 0))
+  );
+  if (records.length === 0) return null;
+
+  return {
+    headers: headers.slice(0, width),
+    records: records.map(record => ({ ...record, fields: record.fields.slice(0, width) })),
+    rowErrors: []
+  };
+}
+
+/**
+ * Sheets of a workbook holding a table
+ * @param {ArrayBuffer} buffer - .xlsx/.xls/.ods content
+ * @returns {Promise<Array>} [{ name, table }]
+ */
+export async function readWorkbook(buffer) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(buffer, { type: 'array', cellNF: true });
+  const sheets = workbook.SheetNames
+    .map(name => ({ name, table: readSheetTable(XLSX, workbook.Sheets[name]) }))
+    .filter(sheet => sheet.table);
+  if (sheets.length === 0) {
+    throw new Error('Aucune feuille du classeur ne contient de tableau de courses');
+  }
+  return sheets;
+}
+
+// Sheet names: 31 characters at most, no []:*?/\, unique in the workbook
+function getSheetName(name, usedNames) {
+  const base = name.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME) || 'Feuille';
+  let sheetName = base;
+  for (let suffix = 2; usedNames.has(sheetName.toLowerCase()); suffix++) {
+    sheetName = `${base.slice(0, MAX_SHEET_NAME - String(suffix).length - 1)} ${suffix}`;
+  }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+/**
+ * Export an optimized day to .xlsx: one sheet per vehicle with its stops in driving order,
+ * and the unassigned courses on a last sheet
+ * @param {Object} optimizationResult - Result of the day (routes, unassigned)
+ * @param {Object} context - { vehicles, courses (the day's courses), date }
+ */
+export async function exportPlanToXlsx(optimizationResult, { vehicles, courses, date }) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+  // Shipment steps: pickup = course.id * 10 + 1, delivery = course.id * 10 + 2
+  const findCourse = (stepId) => courses.find(course => course.id * 10 + 1 === stepId || course.id * 10 + 2 === stepId);
+
+  (optimizationResult.routes || []).forEach(route => {
+    const vehicle = vehicles.find(v => v.id === route.vehicle);
+    const rows = [['Heure', 'Étape', 'Patient', 'Adresse', 'RDV', 'Transport', 'Remarque']];
+
+    (route.steps || []).forEach(step => {
+      const time = typeof step.arrival === 'number' ? formatTimestamp(step.arrival, date) : '';
+      if (step.type === 'break') {
+        rows.push([time, 'Pause', '', '', '', '', `${Math.round((step.service || 0) / 60)} min`]);
+        return;
+      }
+      if (step.type !== 'pickup' && step.type !== 'delivery') return;
+
+      const course = findCourse(step.id);
+      if (!course) return;
+      rows.push([
+        time,
+        step.type === 'pickup' ? 'Prise en charge' : 'Dépose',
+        course.patient,
+        step.type === 'pickup' ? course.pickup : course.destination,
+        course.isReturnTrip ? `Retour (fin ${course.exitTime || course.appointmentTime})` : course.appointmentTime,
+        [course.vehicleType, ...(course.requiredEquipment || [])].filter(Boolean).join(', '),
+        course.shareable ? 'Transport partagé' : ''
+      ]);
+    });
+
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = [{ wch: 8 }, { wch: 16 }, { wch: 24 }, { wch: 40 }, { wch: 18 }, { wch: 24 }, { wch: 18 }];
+    XLSX.utils.book_append_sheet(workbook, sheet, getSheetName(vehicle?.name || `Véhicule ${route.vehicle}`, usedNames));
+  });
+
+  const unassigned = (optimizationResult.unassigned || []).filter(item => item.id % 10 === 1); // Pickups only, deliveries repeat them
+  if (unassigned.length > 0) {
+    const rows = [['Patient', 'Départ', 'Destination', 'RDV', 'Raison']];
+    unassigned.forEach(item => {
+      const course = findCourse(item.id);
+      if (course) rows.push([course.patient, course.pickup, course.destination, course.appointmentTime, item.description || '']);
+    });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), getSheetName('Non assignées', usedNames));
+  }
+
+  if (workbook.SheetNames.length === 0) {
+    throw new Error('Aucune tournée à exporter');
+  }
+
+  XLSX.writeFile(workbook, `planning_${date}.xlsx`);
+  console.log(`📊 Plan of ${formatDateLabel(date)} exported: ${workbook.SheetNames.length} sheets`);
+}
+
+export default {
+  isSpreadsheetFile,
+  excelSerialToDateKey,
+  excelSerialToTime,
+  readWorkbook,
+  exportPlanToXlsx
+};
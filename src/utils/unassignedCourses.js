@@ -0,0 +1,246 @@
+/**
+ * Unassigned Courses for AmbuSched
+ * Explains why a course of the day was left out of the optimized plan (the binding reason:
+ * skills, shifts, time window, fleet capacity or score threshold; or added after the last
+ * optimization) and which one-click remedies
+ * the dispatcher can try: widen the window, accept another vehicle type, add a back-up vehicle,
+ * or look for alternatives with the conflict resolver.
+ */
+
+import { VEHICLE_TYPES, getVehicleTypeLabel, getCourseRequirements, checkVehicleForCourse, explainSkillMismatch } from './vehicleSkills';
+import { getVehicleShiftWindows, getCoursesOutsideShifts, getTripServiceRequirement, describeTripServiceTime, findFittingShift } from './vehicleShifts';
+import { getCourseTimestamp, formatTimestamp, timestampToTime } from './planningCalendar';
+import { calculateDistance, estimateTravelTime } from './routeOptimization';
+
+export const UNASSIGNED_REASONS = {
+  skills: { label: 'Aucun véhicule compatible', className: 'bg-purple-100 text-purple-800' },
+  'outside-shifts': { label: 'Hors des horaires de service', className: 'bg-gray-200 text-gray-800' },
+  'time-window': { label: 'Fenêtre horaire impossible', className: 'bg-orange-100 text-orange-800' },
+  capacity: { label: 'Flotte complète sur ce créneau', className: 'bg-red-100 text-red-800' },
+  score: { label: 'Sous le seuil d\'affectation', className: 'bg-yellow-100 text-yellow-800' },
+  'not-optimized': { label: 'Pas encore optimisée', className: 'bg-blue-100 text-blue-800' }
+};
+
+// Remedies offered for each reason, in the order they are shown
+const REASON_REMEDIES = {
+  skills: ['vehicle-type', 'temporary-vehicle'],
+  'outside-shifts': ['temporary-vehicle', 'widen-window'],
+  'time-window': ['widen-window', 'temporary-vehicle'],
+  capacity: ['widen-window', 'vehicle-type', 'temporary-vehicle', 'resolve-conflicts'],
+  score: ['resolve-conflicts', 'vehicle-type', 'temporary-vehicle'],
+  'not-optimized': [] // The next optimization plans it
+};
+
+const WINDOW_EXTENSION_STEP = 30; // Minutes of lateness accepted at the appointment, per click
+const RETURN_WAIT_STEP = 60;      // Minutes of extra wait accepted for a return, per click
+const DEFAULT_RETURN_WAIT = 240;
+
+function toLatLng(coordinates) {
+  return { lat: coordinates[1], lng: coordinates[0] };
+}
+
+/**
+ * Rough driving time (seconds) between two [lng, lat] points
+ */
+function estimateDriveSeconds(from, to) {
+  if (!from || !to) return 0;
+  return estimateTravelTime(calculateDistance(toLatLng(from), toLatLng(to))) * 60;
+}
+
+function getActiveVehicles(vehicles) {
+  return vehicles.filter(vehicle => vehicle.status !== 'maintenance');
+}
+
+/**
+ * Earliest arrival at the appointment of an outbound course, over the vehicles able to serve it:
+ * leave the base at the start of the shift, pick up no earlier than the solver allows, drive there.
+ * Null when the course has no appointment or no vehicle can serve it.
+ */
+function getEarliestArrival(trip, vehicles, config, rideSeconds) {
+  const appointment = getCourseTimestamp(trip);
+  const maxAdvance = Math.max(2, config.appointmentBufferBefore / 30) * 3600 + (trip.windowExtension || 0) * 60;
+  const ride = rideSeconds ?? estimateDriveSeconds(trip.coordinates, trip.destinationCoords);
+
+  const arrivals = getActiveVehicles(vehicles)
+    .filter(vehicle => checkVehicleForCourse(trip, vehicle).compatible)
+    .flatMap(vehicle => getVehicleShiftWindows(vehicle, trip.date).map(([shiftStart]) => {
+      const atPickup = shiftStart + estimateDriveSeconds(vehicle.coordinates, trip.coordinates);
+      return Math.max(atPickup, appointment - maxAdvance) + ride;
+    }));
+
+  return arrivals.length > 0 ? Math.min(...arrivals) : null;
+}
+
+/**
+ * Binding reason a course was not planned
+ * @param {Object} trip - Course (or return) of the day
+ * @param {Object} item - Its entry in the solver's unassigned list, if any
+ * @param {Object} context - { vehicles, config, rideSeconds }
+ * @returns {Object} { code, detail }
+ */
+export function explainUnassigned(trip, item, { vehicles, config, rideSeconds = null }) {
+  const skillIssue = explainSkillMismatch(trip, vehicles);
+  if (skillIssue) {
+    return { code: 'skills', detail: skillIssue };
+  }
+
+  if (getCoursesOutsideShifts([trip], vehicles).length > 0) {
+    return { code: 'outside-shifts', detail: `Aucun véhicule en service sur ${describeTripServiceTime(trip)}` };
+  }
+
+  if (!trip.isReturnTrip && trip.appointmentTime) {
+    const deadline = getCourseTimestamp(trip) + (config.appointmentBufferAfter + (trip.windowExtension || 0)) * 60;
+    const earliestArrival = getEarliestArrival(trip, vehicles, config, rideSeconds);
+    if (earliestArrival !== null && earliestArrival > deadline) {
+      return {
+        code: 'time-window',
+        detail: `Arrivée au plus tôt ${formatTimestamp(earliestArrival, trip.date)} pour un RDV à ${formatTimestamp(getCourseTimestamp(trip), trip.date)} (retard toléré jusqu'à ${formatTimestamp(deadline, trip.date)})`
+      };
+    }
+  }
+
+  // The fallback solver knows why it gave up; VROOM only says the course did not fit
+  if (item?.reasonCode === 'score') {
+    return { code: 'score', detail: item.description };
+  }
+  const compatibleCount = getActiveVehicles(vehicles)
+    .filter(vehicle => checkVehicleForCourse(trip, vehicle).compatible && findFittingShift(trip, vehicle) !== -1)
+    .length;
+  return {
+    code: 'capacity',
+    detail: `${compatibleCount} véhicule${compatibleCount > 1 ? 's' : ''} compatible${compatibleCount > 1 ? 's' : ''} en service, déjà occupé${compatibleCount > 1 ? 's' : ''} sur ${describeTripServiceTime(trip)}`
+  };
+}
+
+/**
+ * Back-up vehicle able to serve a course: required type and equipment, based at the fleet
+ * vehicle closest to the pickup, on a shift covering the course with an hour of margin.
+ * It only works on the course's day (availableOn).
+ */
+function buildTemporaryVehicle(trip, vehicles) {
+  const { vehicleType, equipment } = getCourseRequirements(trip);
+  const typeEquipment = VEHICLE_TYPES.find(type => type.value === vehicleType)?.defaultEquipment || [];
+  const { earliestStart, latestStart, duration } = getTripServiceRequirement(trip);
+
+  const nearest = trip.coordinates
+    ? [...vehicles]
+      .filter(vehicle => vehicle.coordinates)
+      .sort((a, b) => estimateDriveSeconds(a.coordinates, trip.coordinates) - estimateDriveSeconds(b.coordinates, trip.coordinates))[0]
+    : null;
+  const hourFloor = timestamp => Math.floor(timestamp / 3600) * 3600;
+
+  return {
+    name: `Renfort ${getVehicleTypeLabel(vehicleType)}`,
+    type: vehicleType,
+    equipment: [...new Set([...typeEquipment, ...equipment])],
+    location: nearest?.location || trip.pickup,
+    coordinates: nearest?.coordinates || trip.coordinates,
+    capacity: 1,
+    availableOn: trip.date,
+    shifts: [{
+      start: timestampToTime(hourFloor(earliestStart - 3600)),
+      end: timestampToTime(hourFloor(latestStart + duration + 2 * 3600))
+    }],
+    breaks: []
+  };
+}
+
+/**
+ * Course types that would open the course to more vehicles of the fleet (same equipment)
+ */
+function getAlternativeCourseTypes(trip, vehicles) {
+  const { vehicleType } = getCourseRequirements(trip);
+  const servingNow = new Set(getActiveVehicles(vehicles).filter(vehicle => checkVehicleForCourse(trip, vehicle).compatible).map(v => v.id));
+
+  return VEHICLE_TYPES
+    .map(type => type.value)
+    .filter(type => type !== vehicleType)
+    .filter(type => getActiveVehicles(vehicles).some(vehicle =>
+      !servingNow.has(vehicle.id) && checkVehicleForCourse({ ...trip, vehicleType: type }, vehicle).compatible
+    ));
+}
+
+/**
+ * One-click remedies for a reason
+ * @returns {Array} [{ type, label, changes? (course fields), vehicle? (back-up vehicle) }]
+ */
+export function getRemedies(trip, code, vehicles) {
+  return REASON_REMEDIES[code].flatMap(type => {
+    switch (type) {
+      case 'widen-window':
+        if (trip.isReturnTrip) {
+          const wait = trip.maxWaitTime || DEFAULT_RETURN_WAIT;
+          return [{ type, label: `Attente max. ${(wait + RETURN_WAIT_STEP) / 60} h`, changes: { maxWaitTime: wait + RETURN_WAIT_STEP } }];
+        }
+        // Lateness at the appointment doesn't bring an outbound course into a shift
+        if (!trip.appointmentTime || code === 'outside-shifts') return [];
+        return [{
+          type,
+          label: `Tolérer +${(trip.windowExtension || 0) + WINDOW_EXTENSION_STEP} min au RDV`,
+          changes: { windowExtension: (trip.windowExtension || 0) + WINDOW_EXTENSION_STEP }
+        }];
+      case 'vehicle-type':
+        return getAlternativeCourseTypes(trip, vehicles).slice(0, 2).map(vehicleType => ({
+          type,
+          label: `Accepter : ${getVehicleTypeLabel(vehicleType)}`,
+          changes: { vehicleType }
+        }));
+      case 'temporary-vehicle':
+        return [{ type, label: 'Ajouter un véhicule de renfort', vehicle: buildTemporaryVehicle(trip, vehicles) }];
+      case 'resolve-conflicts':
+        return [{ type, label: 'Chercher des alternatives' }];
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Every course of the day left out of the plan, with its reason and remedies. Courses the
+ * optimization never saw (added or changed into the day since) are only "not optimized yet".
+ * @param {Object} optimizationResult - Result of the day (routes, unassigned, inputTripIds, insertedTripIds)
+ * @param {Array} trips - Courses of the day with their returns
+ * @param {Object} context - { vehicles, config, tripDetails }
+ * @returns {Array} [{ trip, item, code, reason, detail, remedies }]
+ */
+export function getUnassignedEntries(optimizationResult, trips, { vehicles, config, tripDetails = {} }) {
+  if (!optimizationResult?.routes) return [];
+
+  // Shipment steps: pickup = trip.id * 10 + 1
+  const plannedIds = new Set(optimizationResult.routes.flatMap(route =>
+    (route.steps || []).filter(step => step.type === 'pickup').map(step => step.id)
+  ));
+  const unassignedById = new Map((optimizationResult.unassigned || []).map(item => [item.id, item]));
+  // Plans saved before inputTripIds was recorded: the trips of their results
+  const optimizedIds = new Set([
+    ...(optimizationResult.inputTripIds || (optimizationResult.results || []).map(result => result.trip.id)),
+    ...(optimizationResult.insertedTripIds || [])
+  ]);
+
+  return trips
+    .filter(trip => !plannedIds.has(trip.id * 10 + 1))
+    .map(trip => {
+      const item = unassignedById.get(trip.id * 10 + 1) || null;
+      if (!item && !optimizedIds.has(trip.id)) {
+        return {
+          trip,
+          item,
+          code: 'not-optimized',
+          reason: UNASSIGNED_REASONS['not-optimized'],
+          detail: 'Ajoutée après la dernière optimisation : relancez l\'optimisation pour la planifier',
+          remedies: []
+        };
+      }
+      const rideSeconds = typeof tripDetails[trip.id]?.duration === 'number' ? tripDetails[trip.id].duration : null;
+      const { code, detail } = explainUnassigned(trip, item, { vehicles, config, rideSeconds });
+      return { trip, item, code, reason: UNASSIGNED_REASONS[code], detail, remedies: getRemedies(trip, code, vehicles) };
+    })
+    .sort((a, b) => getCourseTimestamp(a.trip) - getCourseTimestamp(b.trip));
+}
+
+export default {
+  UNASSIGNED_REASONS,
+  explainUnassigned,
+  getRemedies,
+  getUnassignedEntries
+};
@@ -0,0 +1,278 @@
+/**
+ * Vehicle Shift Utilities for AmbuSched
+ * Each vehicle works one or more shifts per day: [{ start: '06:00', end: '13:00' }, ...]
+ * A shift ending at or before its start runs past midnight (night shift); the part after midnight
+ * also counts as availability of the next planning day.
+ * Crew breaks have a flexible window: [{ start: '11:30', end: '14:00', duration: 45 }, ...]
+ */
+
+import { toTimestamp, getCourseTimestamp, formatTimestamp, getTodayKey, getDayStart, addDays } from './planningCalendar';
+
+// Used for vehicles created before shifts existed (former fixed 06:00–21:00 window)
+export const DEFAULT_SHIFTS = [{ start: '06:00', end: '21:00' }];
+
+// Suggested meal break for new vehicles (45 minutes somewhere between 11:30 and 14:00)
+export const DEFAULT_BREAKS = [{ start: '11:30', end: '14:00', duration: 45 }];
+
+// Time a vehicle is busy around a trip, when the real route is not known yet
+const APPOINTMENT_LEAD_MINUTES = 30; // Pickup ~30 min before the appointment
+const RETURN_TRIP_MINUTES = 60;      // Pickup + ride home
+
+/**
+ * Get the shifts of a vehicle (defaults for vehicles without shifts)
+ */
+export function getVehicleShifts(vehicle) {
+  return Array.isArray(vehicle.shifts) && vehicle.shifts.length > 0 ? vehicle.shifts : DEFAULT_SHIFTS;
+}
+
+/**
+ * Check if a shift runs past midnight
+ */
+export function isNightShift(shift) {
+  return shift.end <= shift.start;
+}
+
+/**
+ * Absolute time window [start, end] (seconds) of a shift on a planning day
+ */
+export function getShiftWindow(shift, dateKey) {
+  const start = toTimestamp(dateKey, shift.start);
+  let end = toTimestamp(dateKey, shift.end);
+  if (end <= start) {
+    end += 24 * 3600;
+  }
+  return [start, end];
+}
+
+/**
+ * Whether a vehicle works on a day: back-up vehicles added for one day (availableOn) don't work the others
+ */
+export function isVehicleAvailableOn(vehicle, dateKey) {
+  return !vehicle.availableOn || vehicle.availableOn === dateKey;
+}
+
+/**
+ * Shifts a vehicle works on a planning day: the day's own shifts, then the end of the previous
+ * day's night shifts (from midnight). Shift indexes (VROOM vehicles, breaks) follow this order.
+ * @returns {Array} [{ shift, window: [start, end], overnight }, ...]
+ */
+export function getVehicleDayShifts(vehicle, dateKey) {
+  const shifts = getVehicleShifts(vehicle);
+  const dayStart = getDayStart(dateKey);
+  const previousDay = addDays(dateKey, -1);
+
+  return [
+    ...(isVehicleAvailableOn(vehicle, dateKey) ? shifts : [])
+      .map(shift => ({ shift, window: getShiftWindow(shift, dateKey), overnight: false })),
+    ...(isVehicleAvailableOn(vehicle, previousDay) ? shifts : []).filter(isNightShift).map(shift => ({
+      shift,
+      window: [dayStart, getShiftWindow(shift, previousDay)[1]],
+      overnight: true
+    }))
+  ];
+}
+
+/**
+ * Absolute time windows of all shifts of a vehicle on a planning day
+ */
+export function getVehicleShiftWindows(vehicle, dateKey) {
+  return getVehicleDayShifts(vehicle, dateKey).map(entry => entry.window);
+}
+
+/**
+ * Format a shift for display (e.g. "22:00–06:00 (nuit)")
+ */
+export function formatShift(shift) {
+  return `${shift.start}–${shift.end}${isNightShift(shift) ? ' (nuit)' : ''}`;
+}
+
+/**
+ * Check that shifts are well formed and don't overlap each other
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateShifts(shifts, dateKey = getTodayKey()) {
+  if (!shifts.length) return 'Au moins un créneau de service est requis';
+
+  const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (shifts.some(shift => !timeRegex.test(shift.start) || !timeRegex.test(shift.end))) {
+    return 'Format d\'heure invalide dans les créneaux';
+  }
+  if (shifts.some(shift => shift.start === shift.end)) {
+    return 'Un créneau ne peut pas commencer et finir à la même heure';
+  }
+
+  // The end of a night shift must not overlap the next morning's shifts either
+  const windows = getVehicleShiftWindows({ shifts }, dateKey).sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < windows.length; i++) {
+    if (windows[i][0] < windows[i - 1][1]) {
+      return 'Les créneaux de service se chevauchent';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Time a trip needs on a vehicle, as absolute timestamps:
+ * the service may start between earliestStart and latestStart and lasts `duration` seconds
+ */
+export function getTripServiceRequirement(trip) {
+  if (trip.isReturnTrip) {
+    const earliestStart = typeof trip.earliestPickupTimestamp === 'number'
+      ? trip.earliestPickupTimestamp
+      : getCourseTimestamp(trip) + 15 * 60;
+    return {
+      earliestStart,
+      latestStart: earliestStart + (trip.maxWaitTime || 240) * 60,
+      duration: RETURN_TRIP_MINUTES * 60
+    };
+  }
+
+  const pickupStart = getCourseTimestamp(trip) - APPOINTMENT_LEAD_MINUTES * 60;
+  return {
+    earliestStart: pickupStart,
+    latestStart: pickupStart,
+    duration: APPOINTMENT_LEAD_MINUTES * 60
+  };
+}
+
+/**
+ * Check if a trip can be served within a time window
+ */
+export function fitsTimeWindow(trip, window) {
+  const { earliestStart, latestStart, duration } = getTripServiceRequirement(trip);
+  const start = Math.max(earliestStart, window[0]);
+  return start <= latestStart && start + duration <= window[1];
+}
+
+/**
+ * Index of the first vehicle shift able to serve a trip, or -1
+ */
+export function findFittingShift(trip, vehicle) {
+  const dateKey = trip.date || getTodayKey();
+  return getVehicleShiftWindows(vehicle, dateKey).findIndex(window => fitsTimeWindow(trip, window));
+}
+
+/**
+ * Trips that no shift of any vehicle can serve
+ */
+export function getCoursesOutsideShifts(trips, vehicles) {
+  const activeVehicles = vehicles.filter(vehicle => vehicle.status !== 'maintenance');
+  return trips.filter(trip => !activeVehicles.some(vehicle => findFittingShift(trip, vehicle) !== -1));
+}
+
+/**
+ * Describe the time a trip needs, for "outside shifts" messages
+ */
+export function describeTripServiceTime(trip) {
+  const { earliestStart, latestStart, duration } = getTripServiceRequirement(trip);
+  const from = formatTimestamp(earliestStart, trip.date);
+  const to = formatTimestamp(latestStart + duration, trip.date);
+  return `${from}–${to}`;
+}
+
+/**
+ * Get the crew breaks of a vehicle
+ */
+export function getVehicleBreaks(vehicle) {
+  return Array.isArray(vehicle.breaks) ? vehicle.breaks : [];
+}
+
+/**
+ * Absolute window [start, end] (seconds) in which a break may be taken on a planning day
+ */
+export function getBreakWindow(crewBreak, dateKey) {
+  return getShiftWindow(crewBreak, dateKey);
+}
+
+/**
+ * Breaks a vehicle takes on a planning day. Each break goes to the first shift able to hold it,
+ * with its window clipped to that shift; breaks outside every shift are dropped.
+ * @returns {Array} [{ crewBreak, breakIndex, shiftIndex, window: [start, end] }, ...]
+ */
+export function getVehicleBreakWindows(vehicle, dateKey) {
+  const shiftWindows = getVehicleShiftWindows(vehicle, dateKey);
+
+  return getVehicleBreaks(vehicle).flatMap((crewBreak, breakIndex) => {
+    const breakWindow = getBreakWindow(crewBreak, dateKey);
+    const clipped = shiftWindows.map(window => [Math.max(breakWindow[0], window[0]), Math.min(breakWindow[1], window[1])]);
+    const shiftIndex = clipped.findIndex(([start, end]) => end - start >= crewBreak.duration * 60);
+
+    return shiftIndex === -1 ? [] : [{ crewBreak, breakIndex, shiftIndex, window: clipped[shiftIndex] }];
+  });
+}
+
+/**
+ * Format a break for display (e.g. "45 min entre 11:30 et 14:00")
+ */
+export function formatBreak(crewBreak) {
+  return `${crewBreak.duration} min entre ${crewBreak.start} et ${crewBreak.end}`;
+}
+
+/**
+ * Check that breaks are well formed (window long enough for the break)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBreaks(breaks, dateKey = getTodayKey()) {
+  const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  for (const crewBreak of breaks) {
+    if (!timeRegex.test(crewBreak.start) || !timeRegex.test(crewBreak.end)) {
+      return 'Format d\'heure invalide dans les pauses';
+    }
+    if (!crewBreak.duration || crewBreak.duration <= 0) {
+      return 'La durée d\'une pause doit être positive';
+    }
+    const [start, end] = getBreakWindow(crewBreak, dateKey);
+    if (end - start < crewBreak.duration * 60) {
+      return `La plage ${crewBreak.start}–${crewBreak.end} est trop courte pour une pause de ${crewBreak.duration} min`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the earliest start of a break inside its window that doesn't overlap busy intervals
+ * @param {Array} window - [start, end] absolute seconds
+ * @param {number} duration - Break duration in seconds
+ * @param {Array} busyIntervals - [[start, end], ...] absolute seconds
+ * @returns {number|null} Break start timestamp, or null if the break cannot fit
+ */
+export function findBreakSlot(window, duration, busyIntervals) {
+  const blocking = busyIntervals
+    .filter(([start, end]) => end > window[0] && start < window[1])
+    .sort((a, b) => a[0] - b[0]);
+
+  let candidate = window[0];
+  for (const [start, end] of blocking) {
+    if (start - candidate >= duration) break;
+    candidate = Math.max(candidate, end);
+  }
+
+  return candidate + duration <= window[1] ? candidate : null;
+}
+
+export default {
+  DEFAULT_SHIFTS,
+  DEFAULT_BREAKS,
+  getVehicleShifts,
+  isNightShift,
+  getShiftWindow,
+  isVehicleAvailableOn,
+  getVehicleDayShifts,
+  getVehicleShiftWindows,
+  formatShift,
+  validateShifts,
+  getTripServiceRequirement,
+  fitsTimeWindow,
+  findFittingShift,
+  getCoursesOutsideShifts,
+  describeTripServiceTime,
+  getVehicleBreaks,
+  getBreakWindow,
+  getVehicleBreakWindows,
+  formatBreak,
+  validateBreaks,
+  findBreakSlot
+};
@@ -0,0 +1,183 @@
+/**
+ * Vehicle Skills Model for AmbuSched
+ * Vehicles declare a type and their equipment; courses state the transport type and equipment they need.
+ * The same mapping drives VROOM skills, the fallback solver and the route optimization scores.
+ */
+
+// Vehicle types, with the equipment a vehicle of that type carries when none is declared
+export const VEHICLE_TYPES = [
+  { value: 'Ambulance', label: 'Ambulance', defaultEquipment: ['stretcher', 'oxygen'] },
+  { value: 'VSL', label: 'VSL', defaultEquipment: [] },
+  { value: 'Taxi', label: 'Taxi Conventionné', defaultEquipment: [] },
+  { value: 'Minibus', label: 'Minibus (TPMR)', defaultEquipment: ['wheelchair_ramp'] }
+];
+
+export const EQUIPMENT = [
+  { value: 'stretcher', label: 'Brancard' },
+  { value: 'wheelchair_ramp', label: 'Rampe fauteuil' },
+  { value: 'oxygen', label: 'Oxygène' },
+  { value: 'bariatric', label: 'Bariatrique' }
+];
+
+/**
+ * Which vehicle types may serve a course requiring a given transport type, with a preference score (0-100).
+ * Types missing from a row cannot serve that course.
+ */
+export const TYPE_COMPATIBILITY = {
+  Ambulance: { Ambulance: 100 },                           // Lying patient: ambulance only
+  VSL: { VSL: 100, Ambulance: 70 },                        // Seated patient with care: VSL, or an ambulance
+  Taxi: { Taxi: 100, VSL: 80, Ambulance: 50, Minibus: 60 }, // Seated autonomous patient
+  Minibus: { Minibus: 100 }                                // Group / wheelchair transport
+};
+
+// VROOM skill ids: one per course type a vehicle can serve, one per piece of equipment
+const TYPE_SKILL_IDS = { Ambulance: 1, VSL: 2, Taxi: 3, Minibus: 4 };
+const EQUIPMENT_SKILL_IDS = { stretcher: 11, wheelchair_ramp: 12, oxygen: 13, bariatric: 14 };
+
+const DEFAULT_COURSE_TYPE = 'VSL';
+
+/**
+ * French label of a vehicle type
+ */
+export function getVehicleTypeLabel(type) {
+  return VEHICLE_TYPES.find(vehicleType => vehicleType.value === type)?.label || type;
+}
+
+/**
+ * French label of a piece of equipment
+ */
+export function getEquipmentLabel(equipment) {
+  return EQUIPMENT.find(item => item.value === equipment)?.label || equipment;
+}
+
+/**
+ * Equipment carried by a vehicle (type defaults for vehicles that don't declare any)
+ */
+export function getVehicleEquipment(vehicle) {
+  if (Array.isArray(vehicle.equipment)) return vehicle.equipment;
+  return VEHICLE_TYPES.find(type => type.value === vehicle.type)?.defaultEquipment || [];
+}
+
+/**
+ * Transport type and equipment a course requires
+ */
+export function getCourseRequirements(course) {
+  return {
+    vehicleType: TYPE_COMPATIBILITY[course.vehicleType] ? course.vehicleType : DEFAULT_COURSE_TYPE,
+    equipment: Array.isArray(course.requiredEquipment) ? course.requiredEquipment : []
+  };
+}
+
+/**
+ * Preference score (0-100) of a vehicle type for a required transport type; 0 means incompatible
+ */
+export function getTypeCompatibilityScore(requiredType, vehicleType) {
+  const row = TYPE_COMPATIBILITY[requiredType] || TYPE_COMPATIBILITY[DEFAULT_COURSE_TYPE];
+  return row[vehicleType] || 0;
+}
+
+/**
+ * VROOM skills of a vehicle: every course type it may serve plus its equipment
+ */
+export function getVehicleSkillIds(vehicle) {
+  const typeSkills = Object.keys(TYPE_COMPATIBILITY)
+    .filter(courseType => getTypeCompatibilityScore(courseType, vehicle.type) > 0)
+    .map(courseType => TYPE_SKILL_IDS[courseType]);
+  const equipmentSkills = getVehicleEquipment(vehicle)
+    .map(equipment => EQUIPMENT_SKILL_IDS[equipment])
+    .filter(Boolean);
+
+  return [...typeSkills, ...equipmentSkills];
+}
+
+/**
+ * VROOM skills a course requires (a vehicle must have all of them)
+ */
+export function getCourseSkillIds(course) {
+  const { vehicleType, equipment } = getCourseRequirements(course);
+  return [
+    TYPE_SKILL_IDS[vehicleType],
+    ...equipment.map(item => EQUIPMENT_SKILL_IDS[item]).filter(Boolean)
+  ];
+}
+
+/**
+ * Check if a vehicle can serve a course
+ * @returns {Object} { compatible, score, typeMismatch, missingEquipment, reason }
+ */
+export function checkVehicleForCourse(course, vehicle) {
+  const { vehicleType, equipment } = getCourseRequirements(course);
+  const score = getTypeCompatibilityScore(vehicleType, vehicle.type);
+  const vehicleEquipment = getVehicleEquipment(vehicle);
+  const missingEquipment = equipment.filter(item => !vehicleEquipment.includes(item));
+
+  const problems = [];
+  if (score === 0) {
+    problems.push(`${getVehicleTypeLabel(vehicle.type)} ne peut pas assurer un transport ${getVehicleTypeLabel(vehicleType)}`);
+  }
+  if (missingEquipment.length > 0) {
+    problems.push(`équipement manquant : ${missingEquipment.map(getEquipmentLabel).join(', ')}`);
+  }
+
+  return {
+    compatible: problems.length === 0,
+    score,
+    typeMismatch: score === 0,
+    missingEquipment,
+    reason: problems.join(' ; ')
+  };
+}
+
+/**
+ * Explain why no active vehicle can serve a course, or null if at least one can
+ */
+export function explainSkillMismatch(course, vehicles) {
+  const activeVehicles = vehicles.filter(vehicle => vehicle.status !== 'maintenance');
+  if (activeVehicles.some(vehicle => checkVehicleForCourse(course, vehicle).compatible)) {
+    return null;
+  }
+
+  const { vehicleType, equipment } = getCourseRequirements(course);
+  const needs = [getVehicleTypeLabel(vehicleType), ...equipment.map(getEquipmentLabel)].join(' + ');
+
+  const typeMatches = activeVehicles.filter(vehicle => !checkVehicleForCourse(course, vehicle).typeMismatch);
+  if (typeMatches.length === 0) {
+    return `Aucun véhicule disponible ne peut assurer un transport ${getVehicleTypeLabel(vehicleType)} (besoin : ${needs})`;
+  }
+
+  const missing = [...new Set(typeMatches.flatMap(vehicle => checkVehicleForCourse(course, vehicle).missingEquipment))];
+  return `Aucun véhicule compatible n'a l'équipement requis : ${missing.map(getEquipmentLabel).join(', ')} (besoin : ${needs})`;
+}
+
+/**
+ * Parse an equipment list from an import ("brancard; oxygène", "stretcher|oxygen"...), ignoring unknown items
+ */
+export function parseEquipmentList(value) {
+  if (Array.isArray(value)) return value.filter(item => EQUIPMENT_SKILL_IDS[item]);
+  if (!value) return [];
+
+  const normalize = text => text.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return [...new Set(
+    String(value)
+      .split(/[;|+/]/)
+      .map(normalize)
+      .map(item => EQUIPMENT.find(equipment => equipment.value === item || normalize(equipment.label) === item)?.value)
+      .filter(Boolean)
+  )];
+}
+
+export default {
+  VEHICLE_TYPES,
+  EQUIPMENT,
+  TYPE_COMPATIBILITY,
+  getVehicleTypeLabel,
+  getEquipmentLabel,
+  getVehicleEquipment,
+  getCourseRequirements,
+  getTypeCompatibilityScore,
+  getVehicleSkillIds,
+  getCourseSkillIds,
+  checkVehicleForCourse,
+  explainSkillMismatch,
+  parseEquipmentList
+};